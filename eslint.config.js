@@ -38,6 +38,14 @@ export default [
 			react: { version: 'detect' },
 		},
 	},
+	{
+		files: ['scripts/**/*.js'],
+		languageOptions: {
+			globals: {
+				...globals.node,
+			},
+		},
+	},
 	{
 		files: ['tests/**/*.{js,jsx}'],
 		languageOptions: {
@@ -0,0 +1,162 @@
+/**
+ * First-party page-view counts in KV.
+ *
+ * The app sends one beacon per navigation to POST /api/collect with the
+ * route's path pattern (e.g. `/contact/status/:token`, never the token)
+ * and the referrer. Only aggregate counts are kept — no IP, user agent,
+ * fingerprint or per-visit record:
+ *
+ *   Key:      pageviews_{YYYY-MM-DD}_{referrer host}_{path}   (UTC day)
+ *   Value:    count as a string, also in the key's metadata as { count }
+ *             so stats can be read from list() alone
+ *   Expires:  PAGE_VIEWS.TTL_DAYS after the last count
+ *
+ * The referrer host is "-" for direct visits. Counting is read-then-write
+ * like metrics.js, so concurrent views of one path can be lost — fine for
+ * traffic trends.
+ *
+ * Only the app's own route patterns are counted, and each IP gets
+ * PAGE_VIEWS.RATE_LIMIT beacons an hour, so a script can't fill KV with
+ * made-up paths or inflate the counts much.
+ */
+
+import { ROUTE_PATHS } from '../../shared/routes.js';
+
+export const PAGE_VIEWS = {
+	PREFIX: 'pageviews_',
+	TTL_DAYS: 400,
+	/** Beacons per IP — far more page views than a person reads in an hour. */
+	RATE_LIMIT: { MAX_REQUESTS: 120, WINDOW_HOURS: 1 },
+	/** Referrer host recorded for direct visits. */
+	NO_REFERRER: '-',
+	/** Longest range GET /api/admin/stats returns. */
+	MAX_STATS_DAYS: 366,
+};
+
+/** Hostnames only — no ports, credentials or underscores (the key separator). */
+const HOST_PATTERN = /^[a-z0-9.-]{1,253}$/;
+
+/**
+ * @param {*} path
+ * @returns {boolean} Whether `path` is one of the app's route patterns (shared/routes.js)
+ */
+export function isRoutePath(path) {
+	return ROUTE_PATHS.includes(path);
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD (UTC)
+ */
+export function dayOf(date) {
+	return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Reduce a beacon body to what's counted.
+ *
+ * @param {object} body - { path, referrer? } from the beacon
+ * @returns {{path: string, referrer: string}|null} null when `path` isn't a route pattern
+ */
+export function normalizePageView(body) {
+	const path = body?.path;
+	if (!isRoutePath(path)) return null;
+
+	let referrer = PAGE_VIEWS.NO_REFERRER;
+	if (typeof body.referrer === 'string' && body.referrer) {
+		try {
+			const host = new URL(body.referrer).hostname.toLowerCase();
+			if (HOST_PATTERN.test(host)) referrer = host;
+		} catch {
+			// Unparseable referrers count as direct
+		}
+	}
+	return { path, referrer };
+}
+
+/**
+ * @param {string} day - YYYY-MM-DD
+ * @param {{path: string, referrer: string}} view
+ * @returns {string}
+ */
+export function pageViewKey(day, { path, referrer }) {
+	return `${PAGE_VIEWS.PREFIX}${day}_${referrer}_${path}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {{day: string, referrer: string, path: string}|null}
+ */
+export function parsePageViewKey(key) {
+	const match = key.match(/^pageviews_(\d{4}-\d{2}-\d{2})_([^_]+)_(.+)$/);
+	return match ? { day: match[1], referrer: match[2], path: match[3] } : null;
+}
+
+/**
+ * Add one to the view's counter for now's UTC day.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {{path: string, referrer: string}} view - From normalizePageView()
+ * @param {Date} [now]
+ * @returns {Promise<void>}
+ */
+export async function recordPageView(kv, view, now = new Date()) {
+	const key = pageViewKey(dayOf(now), view);
+	const count = (parseInt(await kv.get(key), 10) || 0) + 1;
+	await kv.put(key, String(count), {
+		metadata: { count },
+		expirationTtl: PAGE_VIEWS.TTL_DAYS * 86400,
+	});
+}
+
+/**
+ * Daily counts between two UTC days, inclusive. Days without views are
+ * included with zero counts so the series has no gaps.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {object} range
+ * @param {string} range.since - YYYY-MM-DD
+ * @param {string} range.until - YYYY-MM-DD
+ * @returns {Promise<{days: Array<object>, totals: object}>}
+ *   days: [{ date, views, paths: { path: n }, referrers: { host: n } }], oldest first;
+ *   totals: { views, paths, referrers } over the whole range
+ */
+export async function readPageViewStats(kv, { since, until }) {
+	const days = new Map();
+	for (let date = new Date(`${since}T00:00:00Z`); dayOf(date) <= until; date.setUTCDate(date.getUTCDate() + 1)) {
+		days.set(dayOf(date), { date: dayOf(date), views: 0, paths: {}, referrers: {} });
+	}
+	const totals = { views: 0, paths: {}, referrers: {} };
+
+	// Keys sort by day, so list only what the range's days have in common
+	// and stop once past `until`.
+	const sinceKey = `${PAGE_VIEWS.PREFIX}${since}`;
+	const untilKey = `${PAGE_VIEWS.PREFIX}${until}`;
+	let prefix = sinceKey;
+	while (!untilKey.startsWith(prefix)) prefix = prefix.slice(0, -1);
+
+	let cursor;
+	let done = false;
+	while (!done) {
+		const page = await kv.list({ prefix, cursor });
+		for (const { name, metadata } of page.keys) {
+			const parsed = parsePageViewKey(name);
+			if (!parsed || parsed.day < since) continue;
+			if (parsed.day > until) {
+				done = true;
+				break;
+			}
+			const count = metadata?.count ?? (parseInt(await kv.get(name), 10) || 0);
+			const day = days.get(parsed.day);
+			for (const bucket of [day, totals]) {
+				bucket.views += count;
+				bucket.paths[parsed.path] = (bucket.paths[parsed.path] || 0) + count;
+				bucket.referrers[parsed.referrer] = (bucket.referrers[parsed.referrer] || 0) + count;
+			}
+		}
+		if (page.list_complete) done = true;
+		cursor = page.cursor;
+	}
+
+	return { days: [...days.values()], totals };
+}
@@ -0,0 +1,203 @@
+/**
+ * Shared request handling for the JSON API.
+ *
+ * Each Pages Function file passes its per-method handlers to route() and
+ * exports what it returns, so every endpoint gets the same behaviour:
+ *
+ * - CORS: allow-listed origins reflected on every response (see cors.js),
+ *   OPTIONS preflight answered with the methods the route defines
+ * - Request IDs: every response carries X-Request-Id, and error bodies a
+ *   `requestId`, so a visitor's report can be matched to the logs
+ * - Errors: handlers `throw new ApiError(status, code)`; anything else is
+ *   logged and becomes a 500. Error bodies are always
+ *     { success: false, code, error, requestId, ...details }
+ *   with `code` from shared/apiErrors.js
+ * - Bodies: readJson() parses a JSON object of at most API.MAX_BODY_BYTES
+ * - Logging: handlers get a request-scoped logger (see log.js), and every
+ *   request ends with one "request" line: method, path, status, outcome
+ *   `code` and latencyMs
+ *
+ * Handlers are called as `handler(context, { requestId, log })` and return
+ * a Response, usually from json().
+ */
+
+import { getCorsHeaders, preflightResponse } from './cors.js';
+import { createLogger } from './log.js';
+import { API_ERRORS } from '../../shared/apiErrors.js';
+
+export const API = {
+	/** Largest JSON body readJson() accepts by default. */
+	MAX_BODY_BYTES: 64 * 1024,
+	REQUEST_ID_HEADER: 'X-Request-Id',
+};
+
+/** Messages for codes whose wording doesn't depend on the endpoint. */
+const DEFAULT_MESSAGES = {
+	[API_ERRORS.INVALID_JSON]: 'Request body must be a JSON object.',
+	[API_ERRORS.PAYLOAD_TOO_LARGE]: 'Request body is too large.',
+	[API_ERRORS.UNAUTHORIZED]: 'Unauthorized.',
+	[API_ERRORS.NOT_FOUND]: 'Not found.',
+	[API_ERRORS.MISCONFIGURED]: 'Server configuration error.',
+	[API_ERRORS.INTERNAL]: 'Internal server error.',
+};
+
+/**
+ * An error response, thrown from a route handler.
+ */
+export class ApiError extends Error {
+	/**
+	 * @param {number} status - HTTP status
+	 * @param {string} code - From API_ERRORS
+	 * @param {string} [message] - Human-readable `error`; defaults per code
+	 * @param {object} [options]
+	 * @param {object} [options.details] - Extra body fields, e.g. `errors` or `retryAfter`
+	 * @param {object} [options.headers] - Extra response headers
+	 */
+	constructor(status, code, message = DEFAULT_MESSAGES[code] || 'Request failed.', { details, headers } = {}) {
+		super(message);
+		this.name = 'ApiError';
+		this.status = status;
+		this.code = code;
+		this.details = details;
+		this.headers = headers;
+	}
+}
+
+/**
+ * @param {object} body - Serialized as JSON
+ * @param {object} [init]
+ * @param {number} [init.status]
+ * @param {object} [init.headers]
+ * @returns {Response}
+ */
+export function json(body, { status = 200, headers } = {}) {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { 'Content-Type': 'application/json', ...headers },
+	});
+}
+
+/**
+ * Read a JSON object body, refusing anything over `maxBytes` — by its
+ * Content-Length before reading, and by its actual size after.
+ *
+ * @param {Request} request
+ * @param {object} [options]
+ * @param {number} [options.maxBytes]
+ * @returns {Promise<object>}
+ * @throws {ApiError} 413 PAYLOAD_TOO_LARGE, or 400 INVALID_JSON
+ */
+export async function readJson(request, { maxBytes = API.MAX_BODY_BYTES } = {}) {
+	if (Number(request.headers.get('Content-Length')) > maxBytes) {
+		throw new ApiError(413, API_ERRORS.PAYLOAD_TOO_LARGE);
+	}
+	const text = await request.text();
+	if (new TextEncoder().encode(text).byteLength > maxBytes) {
+		throw new ApiError(413, API_ERRORS.PAYLOAD_TOO_LARGE);
+	}
+
+	let body;
+	try {
+		body = JSON.parse(text);
+	} catch {
+		body = null;
+	}
+	if (!body || typeof body !== 'object' || Array.isArray(body)) {
+		throw new ApiError(400, API_ERRORS.INVALID_JSON);
+	}
+	return body;
+}
+
+/**
+ * Copy a response, adding any of `headers` it doesn't already set.
+ *
+ * @param {Response} response
+ * @param {object} headers
+ * @returns {Response}
+ */
+function withDefaultHeaders(response, headers) {
+	const merged = new Response(response.body, response);
+	for (const [name, value] of Object.entries(headers)) {
+		if (!merged.headers.has(name)) merged.headers.set(name, value);
+	}
+	return merged;
+}
+
+/**
+ * @param {Request} request
+ * @returns {string|undefined} The URL's path, for the request log line
+ */
+function pathOf(request) {
+	try {
+		return new URL(request.url).pathname;
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * Run one handler with the shared behaviour described above.
+ *
+ * @param {object} context - Pages Function context
+ * @param {Function} handler
+ * @param {object} options
+ * @param {string} options.name - Used in logs, e.g. "Contact form"
+ * @param {object} [options.headers] - Added to every response
+ * @returns {Promise<Response>}
+ */
+async function handle(context, handler, { name, headers: routeHeaders }) {
+	const started = Date.now();
+	const requestId = crypto.randomUUID();
+	const headers = { ...getCorsHeaders(context.request), ...routeHeaders, [API.REQUEST_ID_HEADER]: requestId };
+	const log = createLogger({ env: context.env, fields: { requestId, route: name } });
+
+	let response;
+	let code = 'ok';
+	try {
+		response = withDefaultHeaders(await handler(context, { requestId, log }), headers);
+	} catch (err) {
+		const error = err instanceof ApiError ? err : new ApiError(500, API_ERRORS.INTERNAL);
+		if (error !== err) log.error(`${name} error`, { error: err });
+		code = error.code;
+		response = json(
+			{ success: false, code: error.code, error: error.message, requestId, ...error.details },
+			{ status: error.status, headers: { ...headers, ...error.headers } }
+		);
+	}
+
+	log[response.status >= 500 ? 'error' : 'info']('request', {
+		method: context.request.method,
+		path: pathOf(context.request),
+		status: response.status,
+		code,
+		latencyMs: Date.now() - started,
+	});
+	// Shipping logs to a drain shouldn't hold up the response
+	const flushed = log.flush();
+	if (context.waitUntil) context.waitUntil(flushed);
+	else await flushed;
+	return response;
+}
+
+/**
+ * Build a file's Pages Function exports from its per-method handlers.
+ *
+ * @param {Record<string, Function>} handlers - e.g. { POST: submit }
+ * @param {object} options
+ * @param {string} options.name - Used in logs, e.g. "Contact form"
+ * @param {string} [options.allowHeaders] - Access-Control-Allow-Headers for preflight
+ * @param {object} [options.headers] - Added to every response, errors included,
+ *   e.g. Cache-Control
+ * @returns {Record<string, Function>} onRequestOptions plus onRequestGet, onRequestPost, …
+ */
+export function route(handlers, { name, allowHeaders = 'Content-Type', headers }) {
+	const methods = [...Object.keys(handlers), 'OPTIONS'].join(', ');
+	const exports = {
+		onRequestOptions: async (context) => preflightResponse(context.request, { methods, headers: allowHeaders }),
+	};
+	for (const [method, handler] of Object.entries(handlers)) {
+		const exportName = `onRequest${method[0]}${method.slice(1).toLowerCase()}`;
+		exports[exportName] = (context) => handle(context, handler, { name, headers });
+	}
+	return exports;
+}
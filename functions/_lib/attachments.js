@@ -0,0 +1,225 @@
+/**
+ * Contact form attachments stored in R2.
+ *
+ * Flow:
+ * 1. POST /api/attachments { name, type, size } — checked against
+ *    shared/attachments.js and rate limited per IP — returns a signed,
+ *    short-lived upload URL for `pending/{id}`
+ * 2. PUT <uploadUrl> with the file. The signature pins the id, type,
+ *    size, name and expiry, so a URL can't be reused for another file.
+ * 3. POST /api/contact { ..., attachments: ['pending/{id}', ...] } — after
+ *    CAPTCHA and validation (and before rate limiting) every key must
+ *    exist. Once the submission is stored the objects are moved to
+ *    `attachments/{submissionKey}/{id}` and listed on the record.
+ *
+ * Uploads that are never submitted stay under `pending/`, which an R2
+ * lifecycle rule clears after a day (see docs/CLOUDFLARE_SETUP.md).
+ *
+ * Binding: CONTACT_ATTACHMENTS (R2). Signing key: ATTACHMENT_SIGNING_SECRET.
+ */
+
+import { ATTACHMENT_RULES } from '../../shared/attachments.js';
+
+export const ATTACHMENT_UPLOAD = {
+	/** Lifetime of a signed upload URL */
+	TTL_SECONDS: 600,
+	/** Upload URLs issued per IP */
+	RATE_LIMIT: { MAX_REQUESTS: 10, WINDOW_HOURS: 1 },
+};
+
+export const PENDING_PREFIX = 'pending/';
+export const ATTACHMENT_PREFIX = 'attachments/';
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * @param {string} id
+ * @returns {boolean} Whether id looks like an upload id (a UUID)
+ */
+export function isAttachmentId(id) {
+	return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * Reduce a client-supplied file name to something safe to store and show:
+ * no directories, control characters or quotes.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeFileName(name) {
+	const base = String(name).split(/[\\/]/).pop();
+	const cleaned = base.replace(/[\p{Cc}"]+/gu, '').trim();
+	return cleaned.slice(0, ATTACHMENT_RULES.MAX_NAME_LENGTH) || 'attachment';
+}
+
+/**
+ * Hex-encoded HMAC-SHA256.
+ *
+ * @param {string} secret
+ * @param {string} data
+ * @returns {Promise<string>}
+ */
+async function hmacHex(secret, data) {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey(
+		'raw',
+		encoder.encode(secret),
+		{ name: 'HMAC', hash: 'SHA-256' },
+		false,
+		['sign']
+	);
+	const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
+	return [...new Uint8Array(mac)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * The string an upload URL signature covers.
+ *
+ * @param {{id: string, type: string, size: number, name: string, expires: number}} upload
+ * @returns {string}
+ */
+function signedPayload({ id, type, size, name, expires }) {
+	return [id, type, size, name, expires].join('\n');
+}
+
+/**
+ * Issue a signed upload URL for one file.
+ *
+ * @param {string} secret - ATTACHMENT_SIGNING_SECRET
+ * @param {string} origin - Origin the URL points at (the API's own)
+ * @param {{name: string, type: string, size: number}} file - Already checked with checkAttachment
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{key: string, uploadUrl: string, expiresAt: string}>}
+ */
+export async function createUploadUrl(secret, origin, file, now = Date.now()) {
+	const id = crypto.randomUUID();
+	const upload = {
+		id,
+		type: file.type,
+		size: file.size,
+		name: sanitizeFileName(file.name),
+		expires: Math.floor(now / 1000) + ATTACHMENT_UPLOAD.TTL_SECONDS,
+	};
+
+	const url = new URL(`/api/attachments/${id}`, origin);
+	url.searchParams.set('type', upload.type);
+	url.searchParams.set('size', String(upload.size));
+	url.searchParams.set('name', upload.name);
+	url.searchParams.set('expires', String(upload.expires));
+	url.searchParams.set('signature', await hmacHex(secret, signedPayload(upload)));
+
+	return {
+		key: `${PENDING_PREFIX}${id}`,
+		uploadUrl: url.href,
+		expiresAt: new Date(upload.expires * 1000).toISOString(),
+	};
+}
+
+/**
+ * Check an upload URL's signature and expiry.
+ *
+ * @param {string} secret - ATTACHMENT_SIGNING_SECRET
+ * @param {string} id - The :id route param
+ * @param {URLSearchParams} params - The URL's query parameters
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{type: string, size: number, name: string}|null>} The signed upload, or null if invalid/expired
+ */
+export async function verifyUploadUrl(secret, id, params, now = Date.now()) {
+	const upload = {
+		id,
+		type: params.get('type'),
+		size: Number(params.get('size')),
+		name: params.get('name'),
+		expires: Number(params.get('expires')),
+	};
+	const signature = params.get('signature') || '';
+	if (!isAttachmentId(id) || !upload.type || !upload.name) return null;
+	if (!Number.isInteger(upload.size) || !Number.isInteger(upload.expires)) return null;
+	if (upload.expires < Math.floor(now / 1000)) return null;
+
+	const expected = await hmacHex(secret, signedPayload(upload));
+	if (expected.length !== signature.length) return null;
+	let diff = 0;
+	for (let i = 0; i < expected.length; i++) {
+		diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+	}
+	return diff === 0 ? { type: upload.type, size: upload.size, name: upload.name } : null;
+}
+
+/**
+ * Check the `attachments` field of a contact body. Pure — whether the
+ * uploads exist is checked separately with findMissingAttachments.
+ *
+ * @param {*} keys - Value of body.attachments
+ * @returns {string|null} Error message, or null when absent or well-formed
+ */
+export function validateAttachmentKeys(keys) {
+	if (keys === undefined || keys === null) return null;
+	if (!Array.isArray(keys) || keys.length > ATTACHMENT_RULES.MAX_FILES) {
+		return `Attach at most ${ATTACHMENT_RULES.MAX_FILES} files.`;
+	}
+	const valid = keys.every((key) => (
+		typeof key === 'string'
+		&& key.startsWith(PENDING_PREFIX)
+		&& isAttachmentId(key.slice(PENDING_PREFIX.length))
+	));
+	if (!valid || new Set(keys).size !== keys.length) {
+		return 'Attachments are invalid. Please attach the files again.';
+	}
+	return null;
+}
+
+/**
+ * Find pending upload keys that are not in the bucket (never uploaded,
+ * already submitted, or expired by the lifecycle rule).
+ *
+ * @param {object} bucket - R2 bucket binding
+ * @param {string[]} keys - From validateAttachmentKeys
+ * @returns {Promise<string[]>}
+ */
+export async function findMissingAttachments(bucket, keys) {
+	const objects = await Promise.all(keys.map((key) => bucket.head(key)));
+	return keys.filter((key, index) => !objects[index]);
+}
+
+/**
+ * Copy pending uploads under the submission's prefix. The pending copies
+ * are left for releasePendingAttachments, so a failure before the record
+ * is stored can be retried with the same keys.
+ *
+ * @param {object} bucket - R2 bucket binding
+ * @param {string} submissionKey - KV key of the submission
+ * @param {string[]} keys - Pending keys, already checked to exist
+ * @returns {Promise<Array<{key: string, name: string, type: string, size: number}>>} For the record
+ */
+export async function claimAttachments(bucket, submissionKey, keys) {
+	return Promise.all(keys.map(async (pendingKey) => {
+		const object = await bucket.get(pendingKey);
+		if (!object) throw new Error(`Attachment ${pendingKey} disappeared before it was claimed`);
+
+		const key = `${ATTACHMENT_PREFIX}${submissionKey}/${pendingKey.slice(PENDING_PREFIX.length)}`;
+		const body = await object.arrayBuffer();
+		await bucket.put(key, body, {
+			httpMetadata: object.httpMetadata,
+			customMetadata: { ...object.customMetadata, submissionKey },
+		});
+		return {
+			key,
+			name: object.customMetadata?.name || 'attachment',
+			type: object.httpMetadata?.contentType || 'application/octet-stream',
+			size: body.byteLength,
+		};
+	}));
+}
+
+/**
+ * Delete pending uploads once their submission is stored.
+ *
+ * @param {object} bucket - R2 bucket binding
+ * @param {string[]} keys
+ * @returns {Promise<void>}
+ */
+export async function releasePendingAttachments(bucket, keys) {
+	if (keys.length > 0) await bucket.delete(keys);
+}
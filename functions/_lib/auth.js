@@ -0,0 +1,87 @@
+/**
+ * Bearer-token authentication for admin Pages Functions.
+ *
+ * The token is read from the ADMIN_API_TOKEN secret. Admin routes fail
+ * closed (503) when it is not configured, mirroring the Turnstile
+ * behaviour in /api/contact.
+ */
+
+import { ApiError } from './api.js';
+import { defaultLog } from './log.js';
+import { checkRateLimit, getClientIP, rateLimitHeaders, retryAfterSeconds } from './rateLimit.js';
+import { API_ERRORS } from '../../shared/apiErrors.js';
+
+/** Admin requests per IP per hour — generous for tooling, tight for brute force. */
+export const ADMIN_RATE_LIMIT = {
+	MAX_REQUESTS: 120,
+	WINDOW_HOURS: 1
+};
+
+/**
+ * Compare two strings without leaking where they differ.
+ * Both sides are hashed first so the comparison length is constant.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {Promise<boolean>}
+ */
+async function timingSafeEqual(a, b) {
+	const encoder = new TextEncoder();
+	const [hashA, hashB] = await Promise.all([
+		crypto.subtle.digest('SHA-256', encoder.encode(a)),
+		crypto.subtle.digest('SHA-256', encoder.encode(b)),
+	]);
+	const bytesA = new Uint8Array(hashA);
+	const bytesB = new Uint8Array(hashB);
+	let diff = 0;
+	for (let i = 0; i < bytesA.length; i++) {
+		diff |= bytesA[i] ^ bytesB[i];
+	}
+	return diff === 0;
+}
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header.
+ *
+ * @param {Request} request
+ * @returns {string|null}
+ */
+function getBearerToken(request) {
+	const header = request.headers.get('Authorization');
+	const match = header?.match(/^Bearer\s+(.+)$/i);
+	return match ? match[1].trim() : null;
+}
+
+/**
+ * Authorize an admin request.
+ * Applies the admin rate limit before checking the token so guessing
+ * attempts are throttled too.
+ *
+ * @param {object} context - Pages Function context
+ * @param {object} [log] - Request logger
+ * @returns {Promise<void>}
+ * @throws {ApiError} 503 when ADMIN_API_TOKEN is unset, 429 when rate
+ *   limited, 401 for a missing or wrong token
+ */
+export async function requireAdmin(context, log = defaultLog) {
+	const expected = context.env?.ADMIN_API_TOKEN;
+	if (!expected) {
+		log.error('ADMIN_API_TOKEN not configured — rejecting admin request');
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	}
+
+	const clientIP = getClientIP(context.request);
+	const rateLimitCheck = await checkRateLimit(context.env, `admin_${clientIP}`, ADMIN_RATE_LIMIT, { log });
+	if (!rateLimitCheck.allowed) {
+		const retryAfter = retryAfterSeconds(rateLimitCheck);
+		throw new ApiError(429, API_ERRORS.RATE_LIMITED, 'Rate limit exceeded. Please try again later.', {
+			details: { retryAfter },
+			headers: { 'Retry-After': String(retryAfter), ...rateLimitHeaders(rateLimitCheck) },
+		});
+	}
+
+	const token = getBearerToken(context.request);
+	if (!token || !(await timingSafeEqual(token, expected))) {
+		throw new ApiError(401, API_ERRORS.UNAUTHORIZED, 'Unauthorized.', { headers: { 'WWW-Authenticate': 'Bearer' } });
+	}
+}
@@ -0,0 +1,125 @@
+/**
+ * Confirmation email to the sender of a contact submission.
+ *
+ * Off unless AUTO_REPLY_ENABLED is exactly "true". The body comes from
+ * templates/auto-reply.txt and templates/auto-reply.html, bundled as
+ * text modules; `{{placeholders}}` are filled from the submission and
+ * escaped in the HTML version. When the submission has a status link (see
+ * _lib/statusTokens.js) the email includes it so the sender can check on
+ * or withdraw their message.
+ *
+ * The recipient address is whatever the visitor typed, so each address
+ * gets its own rate limit (AUTO_REPLY_RATE_LIMIT) to stop the form being
+ * used to flood a third party. Like owner notifications, sending is
+ * best-effort: `sendAutoReply` never throws and returns a delivery result
+ * for the submission record.
+ */
+
+import textTemplate from './templates/auto-reply.txt';
+import htmlTemplate from './templates/auto-reply.html';
+import { defaultLog } from './log.js';
+import { createMailTransport } from './mail.js';
+import { checkRateLimit, hashEmail } from './rateLimit.js';
+
+export const AUTO_REPLY_SUBJECT = 'Thanks for your message';
+
+/** Confirmations per recipient address. */
+export const AUTO_REPLY_RATE_LIMIT = {
+	MAX_REQUESTS: 3,
+	WINDOW_HOURS: 24,
+};
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+/**
+ * Fill `{{name}}` placeholders. Unknown placeholders are left as-is.
+ *
+ * @param {string} template
+ * @param {Record<string, string>} values - Already escaped for the template's format
+ * @returns {string}
+ */
+export function renderTemplate(template, values) {
+	return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (
+		Object.hasOwn(values, name) ? values[name] : placeholder
+	));
+}
+
+/**
+ * Build the confirmation email for a stored submission.
+ *
+ * @param {object} record - Stored submission record
+ * @param {object} env - Pages Function env (AUTO_REPLY_FROM or NOTIFY_EMAIL_FROM, optional NOTIFY_EMAIL_TO)
+ * @param {object} [options]
+ * @param {string} [options.statusUrl] - Link to the submission's status page
+ * @returns {object} Mail message for a transport
+ */
+export function formatAutoReplyEmail(record, env, { statusUrl } = {}) {
+	const text = renderTemplate(textTemplate, {
+		name: record.name,
+		submittedAt: record.submittedAt,
+		quotedMessage: record.message.split('\n').map((line) => `> ${line}`).join('\n'),
+		statusLink: statusUrl ? `You can check on your message, or delete it, here:\n${statusUrl}\n\n` : '',
+	});
+	const html = renderTemplate(htmlTemplate, {
+		name: escapeHtml(record.name),
+		submittedAt: escapeHtml(record.submittedAt),
+		message: escapeHtml(record.message),
+		statusLink: statusUrl
+			? `<p>You can <a href="${escapeHtml(statusUrl)}" style="color:#d4d4d4;">check on your message, or delete it</a>.</p>`
+			: '',
+	});
+
+	const message = {
+		from: { email: env.AUTO_REPLY_FROM || env.NOTIFY_EMAIL_FROM, name: 'Twistan' },
+		to: record.email,
+		subject: AUTO_REPLY_SUBJECT,
+		text,
+		html,
+	};
+	// Replies to the confirmation reach the owner, not the no-reply sender
+	if (env.NOTIFY_EMAIL_TO) message.replyTo = env.NOTIFY_EMAIL_TO;
+	return message;
+}
+
+/**
+ * Email the sender a confirmation quoting their message.
+ *
+ * @param {object} env - Pages Function env
+ * @param {object} record - Stored submission record
+ * @param {object} [transport] - Mail transport; defaults to the env-configured one
+ * @param {object} [options]
+ * @param {string} [options.statusUrl] - Link to the submission's status page
+ * @param {object} [options.log] - Request logger
+ * @returns {Promise<object|null>} Delivery result, or null when auto-reply is off or unconfigured
+ */
+export async function sendAutoReply(env, record, transport = createMailTransport(env), { statusUrl, log = defaultLog } = {}) {
+	if (env?.AUTO_REPLY_ENABLED !== 'true') return null;
+	if (!transport || !(env.AUTO_REPLY_FROM || env.NOTIFY_EMAIL_FROM)) return null;
+
+	const attemptedAt = new Date().toISOString();
+	const result = { channel: 'autoReply', transport: transport.name, attemptedAt };
+
+	try {
+		const limit = await checkRateLimit(env, `autoreply_${await hashEmail(record.email)}`, AUTO_REPLY_RATE_LIMIT, { log });
+		if (!limit.allowed) {
+			return { ...result, status: 'skipped', reason: 'rate_limited' };
+		}
+
+		await transport.send(formatAutoReplyEmail(record, env, { statusUrl }));
+		return { ...result, status: 'sent' };
+	} catch (err) {
+		log.error('Auto-reply failed', { error: err });
+		return { ...result, status: 'failed', error: err?.message || String(err) };
+	}
+}
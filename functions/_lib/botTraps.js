@@ -0,0 +1,158 @@
+/**
+ * Bot traps for /api/contact that work without Cloudflare — they still
+ * apply locally with SKIP_CAPTCHA=true.
+ *
+ * - Honeypot: the form renders a hidden HONEYPOT_FIELD input; anything in
+ *   it means a bot filled the form.
+ * - Render token: the form fetches GET /api/form-token when it mounts and
+ *   sends the token back as FORM_TOKEN_FIELD. The token is the render time
+ *   and issue time signed with FORM_TOKEN_SECRET. A submission faster than
+ *   FORM_TIMING.MIN_SECONDS after the render is a script; a token issued
+ *   more than FORM_TIMING.MAX_SECONDS ago is stale. The form fetches a new
+ *   token well before that (src/hooks/useFormToken.js), passing its
+ *   current one so the render time carries over: a refresh just before
+ *   someone presses Send doesn't restart the clock.
+ *
+ * Without FORM_TOKEN_SECRET the timing check is off: /api/form-token hands
+ * out UNSIGNED_FORM_TOKEN so the form can still be sent, only the honeypot
+ * applies, and GET /api/health?deep=1 reports it (see _lib/health.js).
+ *
+ * Tokens are not single-use; a script that waits and reuses one still has
+ * to get past CAPTCHA and rate limiting. These traps only catch the cheap
+ * bots early.
+ */
+
+import { FORM_TOKEN_FIELD, HONEYPOT_FIELD } from '../../shared/botTraps.js';
+
+export const FORM_TIMING = {
+	/** Quicker than this from first render to submit is not a person typing */
+	MIN_SECONDS: 3,
+	/** Tokens issued longer ago than this are refused (the form refreshes every 30 minutes) */
+	MAX_SECONDS: 2 * 60 * 60,
+};
+
+/** What /api/form-token issues when FORM_TOKEN_SECRET isn't set. */
+export const UNSIGNED_FORM_TOKEN = 'unsigned';
+
+/**
+ * Trip names. All but EXPIRED are dropped silently; each is counted as the
+ * `bot_trap_{name}` metric.
+ */
+export const BOT_TRAPS = {
+	HONEYPOT: 'honeypot',
+	MISSING_TOKEN: 'missing_token',
+	INVALID_TOKEN: 'invalid_token',
+	TOO_FAST: 'too_fast',
+	EXPIRED: 'expired',
+};
+
+/**
+ * Hex-encoded HMAC-SHA256.
+ *
+ * @param {string} secret
+ * @param {string} data
+ * @returns {Promise<string>}
+ */
+async function hmacHex(secret, data) {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey(
+		'raw',
+		encoder.encode(secret),
+		{ name: 'HMAC', hash: 'SHA-256' },
+		false,
+		['sign']
+	);
+	const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
+	return [...new Uint8Array(mac)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Issue a render token.
+ *
+ * @param {string} secret - FORM_TOKEN_SECRET
+ * @param {number} [now] - Issue time in ms
+ * @param {number} [renderedAt] - When the form was first shown, in ms; a
+ *   refresh carries this over from the previous token
+ * @returns {Promise<string>} `{renderedAtMs}.{issuedAtMs}.{hex signature}`,
+ *   or `{issuedAtMs}.{hex signature}` when both are the same
+ */
+export async function createFormToken(secret, now = Date.now(), renderedAt = now) {
+	const times = renderedAt === now ? [now] : [renderedAt, now];
+	return `${times.join('.')}.${await hmacHex(secret, `contact-form\n${times.join('\n')}`)}`;
+}
+
+/**
+ * Check a render token's signature.
+ *
+ * @param {string} secret - FORM_TOKEN_SECRET
+ * @param {*} token
+ * @returns {Promise<{renderedAt: number, issuedAt: number}|string>} The
+ *   token's times, or a BOT_TRAPS name when it is missing or not ours
+ */
+async function readFormToken(secret, token) {
+	if (typeof token !== 'string' || !token) return BOT_TRAPS.MISSING_TOKEN;
+
+	const times = token.split('.');
+	const signature = times.pop();
+	if (times.length < 1 || times.length > 2 || !times.every((t) => /^\d+$/.test(t))) return BOT_TRAPS.INVALID_TOKEN;
+	const expected = await hmacHex(secret, `contact-form\n${times.join('\n')}`);
+	if (expected.length !== signature.length) return BOT_TRAPS.INVALID_TOKEN;
+	let diff = 0;
+	for (let i = 0; i < expected.length; i++) {
+		diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+	}
+	if (diff !== 0) return BOT_TRAPS.INVALID_TOKEN;
+
+	const [renderedAt, issuedAt = renderedAt] = times.map(Number);
+	return { renderedAt, issuedAt };
+}
+
+/**
+ * Check a render token's signature and age.
+ *
+ * @param {string} secret - FORM_TOKEN_SECRET
+ * @param {*} token - Value of body[FORM_TOKEN_FIELD]
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<string|null>} A BOT_TRAPS name, or null when the token is fine
+ */
+export async function checkFormToken(secret, token, now = Date.now()) {
+	const times = await readFormToken(secret, token);
+	if (typeof times === 'string') return times;
+
+	if ((now - times.renderedAt) / 1000 < FORM_TIMING.MIN_SECONDS) return BOT_TRAPS.TOO_FAST;
+	if ((now - times.issuedAt) / 1000 > FORM_TIMING.MAX_SECONDS) return BOT_TRAPS.EXPIRED;
+	return null;
+}
+
+/**
+ * Issue the next token for an open form: keeps the render time of
+ * `previous` when it is one of ours and still usable, otherwise starts
+ * the clock now.
+ *
+ * @param {string} secret - FORM_TOKEN_SECRET
+ * @param {*} previous - The form's current token, if any
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<string>}
+ */
+export async function renewFormToken(secret, previous, now = Date.now()) {
+	const times = previous ? await readFormToken(secret, previous) : null;
+	const usable = times && typeof times !== 'string'
+		&& times.renderedAt <= now
+		&& (now - times.issuedAt) / 1000 <= FORM_TIMING.MAX_SECONDS;
+	return createFormToken(secret, now, usable ? times.renderedAt : now);
+}
+
+/**
+ * Run every trap against a contact body.
+ *
+ * @param {string} [secret] - FORM_TOKEN_SECRET; without it only the honeypot applies
+ * @param {object} body - Parsed request body
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<string|null>} The first trap tripped, or null
+ */
+export async function checkBotTraps(secret, body, now = Date.now()) {
+	const honeypot = body?.[HONEYPOT_FIELD];
+	if (honeypot !== undefined && String(honeypot).trim() !== '') return BOT_TRAPS.HONEYPOT;
+	if (!secret) return null;
+	return checkFormToken(secret, body?.[FORM_TOKEN_FIELD], now);
+}
@@ -0,0 +1,30 @@
+/**
+ * The deployed build's metadata (see shared/buildInfo.js), read from the
+ * build.json the Vite build puts in dist/.
+ */
+
+import { defaultLog } from './log.js';
+import { BUILD_INFO_FILE, UNKNOWN_BUILD } from '../../shared/buildInfo.js';
+
+/**
+ * Fetch build.json through the static assets binding. Never throws: a
+ * missing binding or file (e.g. Functions run without a build) gives
+ * UNKNOWN_BUILD.
+ *
+ * @param {object} env - Pages Function env
+ * @param {Request} request - The incoming request, for the asset URL's origin
+ * @param {object} [log] - Request logger
+ * @returns {Promise<{version: string|null, commit: string|null, builtAt: string|null}>}
+ */
+export async function loadBuildInfo(env, request, log = defaultLog) {
+	if (!env?.ASSETS) return UNKNOWN_BUILD;
+	try {
+		const response = await env.ASSETS.fetch(new URL(`/${BUILD_INFO_FILE}`, request.url));
+		if (!response.ok) return UNKNOWN_BUILD;
+		const { version = null, commit = null, builtAt = null } = await response.json();
+		return { version, commit, builtAt };
+	} catch (err) {
+		log.error('Could not read build info', { error: err });
+		return UNKNOWN_BUILD;
+	}
+}
@@ -0,0 +1,355 @@
+/**
+ * CAPTCHA verification for Pages Functions.
+ *
+ * A provider is `{ name, tokenField, verify(token, { remoteip }) }` where
+ * `verify` resolves to `{ success, errorCodes }` and throws when the
+ * verification service can't be reached (callers answer 503).
+ *
+ * Selected by the CAPTCHA_PROVIDER env var (the form's
+ * VITE_CAPTCHA_PROVIDER must match):
+ * - "turnstile" (default): Cloudflare siteverify with TURNSTILE_SECRET_KEY;
+ *   also checks hostname, action and token age, and refuses repeats
+ * - "hcaptcha": hCaptcha siteverify with HCAPTCHA_SECRET_KEY (and
+ *   HCAPTCHA_SITE_KEY, checked when set)
+ * - "pow":      self-hosted proof-of-work, no third-party script. The form
+ *   gets a challenge signed with POW_SECRET from GET /api/challenge and
+ *   searches for a nonce; verifying costs one hash, and each challenge is
+ *   accepted once (tracked in KV until it expires).
+ * - "fake":     deterministic, for tests (see FAKE_CAPTCHA_TOKENS). Only
+ *   selected alongside SKIP_CAPTCHA=true, so setting it alone can never
+ *   turn verification off in a deployment
+ * A provider whose secret is missing is not configured; the contact
+ * handler then fails closed unless SKIP_CAPTCHA=true.
+ */
+
+import { isAllowedOrigin } from './cors.js';
+import { defaultLog } from './log.js';
+import {
+	CAPTCHA_ERRORS,
+	CAPTCHA_PROVIDERS,
+	DEFAULT_CAPTCHA_PROVIDER,
+	FAKE_CAPTCHA_TOKENS,
+	hasLeadingZeroBits,
+	powHash,
+} from '../../shared/captcha.js';
+
+const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+const HCAPTCHA_VERIFY_URL = 'https://api.hcaptcha.com/siteverify';
+
+export const TURNSTILE_TOKEN = {
+	/** Siteverify stops accepting tokens after 5 minutes; this can only be lower */
+	MAX_AGE_SECONDS: 300,
+};
+
+export const POW_CHALLENGE = {
+	/** How long a challenge can be solved and submitted */
+	TTL_SECONDS: 600,
+	/** Leading zero bits required — ~65k hashes, a second or two in a browser */
+	DEFAULT_DIFFICULTY: 16,
+	MAX_DIFFICULTY: 24,
+};
+
+/**
+ * SHA-256 hex digest.
+ *
+ * @param {string} data
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(data) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(data));
+	return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Cloudflare's dummy secret keys answer for `example.com` with no action,
+ * whatever page the widget ran on.
+ *
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function isTurnstileTestSecret(secret) {
+	return /^[123]x0+AA$/.test(secret);
+}
+
+/**
+ * TURNSTILE_MAX_TOKEN_AGE_SECONDS, clamped to 1..TURNSTILE_TOKEN.MAX_AGE_SECONDS.
+ *
+ * @param {object} [env]
+ * @returns {number}
+ */
+export function loadTurnstileMaxAge(env) {
+	const value = parseInt(env?.TURNSTILE_MAX_TOKEN_AGE_SECONDS, 10);
+	if (!Number.isFinite(value)) return TURNSTILE_TOKEN.MAX_AGE_SECONDS;
+	return Math.min(Math.max(value, 1), TURNSTILE_TOKEN.MAX_AGE_SECONDS);
+}
+
+/**
+ * Turnstile siteverify, plus checks on what it returns: the token must
+ * have been issued on an allowed hostname (same rules as CORS), for the
+ * form's action, no more than `maxAgeSeconds` ago — and be seen only
+ * once (tracked in KV by hash until it is too old anyway). Siteverify
+ * refuses repeats too; the KV check catches them without a network call
+ * and isn't atomic, so it narrows replays rather than ruling them out.
+ *
+ * Failures add their own error codes: `hostname-mismatch`,
+ * `action-mismatch` and `challenge-expired`; a repeat is
+ * `timeout-or-duplicate` like Cloudflare's.
+ *
+ * @param {object} options
+ * @param {string} options.secret - TURNSTILE_SECRET_KEY
+ * @param {object} [options.kv] - KV binding for single-use tracking
+ * @param {number} [options.maxAgeSeconds] - Oldest `challenge_ts` accepted
+ * @param {function(): number} [options.now] - Clock in ms (for tests)
+ * @returns {{name: string, tokenField: string, verify: function(string, object): Promise<{success: boolean, errorCodes: string[]}>}}
+ */
+export function createTurnstileProvider({ secret, kv, maxAgeSeconds = TURNSTILE_TOKEN.MAX_AGE_SECONDS, now = Date.now }) {
+	const { action, tokenField } = CAPTCHA_PROVIDERS.turnstile;
+	const fail = (code) => ({ success: false, errorCodes: [code] });
+
+	return {
+		name: 'turnstile',
+		tokenField,
+		async verify(token, { remoteip } = {}) {
+			const usedKey = kv && `turnstile_${await sha256Hex(token)}`;
+			if (usedKey && await kv.get(usedKey)) return fail('timeout-or-duplicate');
+
+			const response = await fetch(TURNSTILE_VERIFY_URL, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ secret, response: token, remoteip }),
+			});
+			const result = await response.json();
+			if (result.success !== true) return { success: false, errorCodes: result['error-codes'] || [] };
+
+			if (!isTurnstileTestSecret(secret)) {
+				if (!isAllowedOrigin(`https://${result.hostname}`)) return fail('hostname-mismatch');
+				if (result.action !== action) return fail('action-mismatch');
+			}
+			const age = (now() - Date.parse(result.challenge_ts)) / 1000;
+			if (!(age <= maxAgeSeconds)) return fail('challenge-expired');
+
+			if (usedKey) {
+				// KV's minimum TTL is 60 seconds
+				await kv.put(usedKey, '1', { expirationTtl: Math.max(60, Math.ceil(maxAgeSeconds - age)) });
+			}
+			return { success: true, errorCodes: [] };
+		},
+	};
+}
+
+/**
+ * hCaptcha siteverify (form-encoded, unlike Turnstile).
+ *
+ * @param {object} options
+ * @param {string} options.secret - HCAPTCHA_SECRET_KEY
+ * @param {string} [options.sitekey] - HCAPTCHA_SITE_KEY; hCaptcha checks the token was issued for it
+ * @returns {{name: string, tokenField: string, verify: function(string, object): Promise<{success: boolean, errorCodes: string[]}>}}
+ */
+export function createHcaptchaProvider({ secret, sitekey }) {
+	return {
+		name: 'hcaptcha',
+		tokenField: CAPTCHA_PROVIDERS.hcaptcha.tokenField,
+		async verify(token, { remoteip } = {}) {
+			const params = new URLSearchParams({ secret, response: token });
+			if (remoteip) params.set('remoteip', remoteip);
+			if (sitekey) params.set('sitekey', sitekey);
+
+			const response = await fetch(HCAPTCHA_VERIFY_URL, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+				body: params.toString(),
+			});
+			const result = await response.json();
+			return { success: result.success === true, errorCodes: result['error-codes'] || [] };
+		},
+	};
+}
+
+/**
+ * Hex-encoded HMAC-SHA256.
+ *
+ * @param {string} secret
+ * @param {string} data
+ * @returns {Promise<string>}
+ */
+async function hmacHex(secret, data) {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey(
+		'raw',
+		encoder.encode(secret),
+		{ name: 'HMAC', hash: 'SHA-256' },
+		false,
+		['sign']
+	);
+	const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
+	return [...new Uint8Array(mac)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Issue a proof-of-work challenge: `{id}.{expires}.{difficulty}.{signature}`.
+ *
+ * @param {string} secret - POW_SECRET
+ * @param {number} difficulty - Leading zero bits required
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{challenge: string, difficulty: number, expiresAt: string}>}
+ */
+export async function createPowChallenge(secret, difficulty, now = Date.now()) {
+	const expires = Math.floor(now / 1000) + POW_CHALLENGE.TTL_SECONDS;
+	const payload = `${crypto.randomUUID()}.${expires}.${difficulty}`;
+	return {
+		challenge: `${payload}.${await hmacHex(secret, payload)}`,
+		difficulty,
+		expiresAt: new Date(expires * 1000).toISOString(),
+	};
+}
+
+/**
+ * Self-hosted proof-of-work. Tokens are `${challenge}:${nonce}`.
+ *
+ * @param {object} options
+ * @param {string} options.secret - POW_SECRET
+ * @param {object} [options.kv] - KV binding for single-use tracking; without it a solved challenge can be replayed until it expires
+ * @param {function(): number} [options.now] - Clock in ms (for tests)
+ * @returns {{name: string, tokenField: string, verify: function(string): Promise<{success: boolean, errorCodes: string[]}>}}
+ */
+export function createPowProvider({ secret, kv, now = Date.now }) {
+	const fail = (code) => ({ success: false, errorCodes: [code] });
+
+	return {
+		name: 'pow',
+		tokenField: CAPTCHA_PROVIDERS.pow.tokenField,
+		async verify(token) {
+			const [challenge, nonce] = String(token).split(':');
+			const [id, expires, difficulty, signature = ''] = challenge.split('.');
+			if (!/^\d+$/.test(nonce || '') || !/^\d+$/.test(expires || '') || !/^\d+$/.test(difficulty || '')) {
+				return fail('invalid-input-response');
+			}
+
+			const expected = await hmacHex(secret, `${id}.${expires}.${difficulty}`);
+			if (expected.length !== signature.length) return fail('invalid-input-response');
+			let diff = 0;
+			for (let i = 0; i < expected.length; i++) {
+				diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+			}
+			if (diff !== 0) return fail('invalid-input-response');
+
+			const remaining = Number(expires) - Math.floor(now() / 1000);
+			if (remaining < 0) return fail('timeout-or-duplicate');
+			if (!hasLeadingZeroBits(await powHash(challenge, Number(nonce)), Number(difficulty))) {
+				return fail('invalid-input-response');
+			}
+
+			if (kv) {
+				const usedKey = `pow_${id}`;
+				if (await kv.get(usedKey)) return fail('timeout-or-duplicate');
+				// KV's minimum TTL is 60 seconds
+				await kv.put(usedKey, '1', { expirationTtl: Math.max(60, remaining) });
+			}
+			return { success: true, errorCodes: [] };
+		},
+	};
+}
+
+/** Most checks a fake provider records; the oldest are dropped first. */
+export const FAKE_CAPTCHA_CHECKS_LIMIT = 100;
+
+/**
+ * Checks made by fake providers, oldest first. tests/setup.js empties it
+ * after every test.
+ */
+export const fakeCaptchaChecks = [];
+
+/**
+ * Deterministic provider for tests: FAKE_CAPTCHA_TOKENS.PASS verifies,
+ * FAKE_CAPTCHA_TOKENS.ERROR throws like an outage, anything else fails.
+ *
+ * @param {Array<object>} [checks] - Where to record `{ token, remoteip }`; defaults to `fakeCaptchaChecks`
+ * @returns {{name: string, tokenField: string, checks: Array<object>, verify: function(string, object): Promise<{success: boolean, errorCodes: string[]}>}}
+ */
+export function createFakeCaptchaProvider(checks = fakeCaptchaChecks) {
+	return {
+		name: 'fake',
+		tokenField: CAPTCHA_PROVIDERS.fake.tokenField,
+		checks,
+		async verify(token, { remoteip } = {}) {
+			if (checks.length >= FAKE_CAPTCHA_CHECKS_LIMIT) checks.splice(0, checks.length - FAKE_CAPTCHA_CHECKS_LIMIT + 1);
+			checks.push({ token, remoteip });
+			if (token === FAKE_CAPTCHA_TOKENS.ERROR) throw new Error('Fake CAPTCHA service unavailable');
+			return token === FAKE_CAPTCHA_TOKENS.PASS
+				? { success: true, errorCodes: [] }
+				: { success: false, errorCodes: ['invalid-input-response'] };
+		},
+	};
+}
+
+/**
+ * POW_DIFFICULTY, clamped to 1..POW_CHALLENGE.MAX_DIFFICULTY.
+ *
+ * @param {object} [env]
+ * @returns {number}
+ */
+export function loadPowDifficulty(env) {
+	const value = parseInt(env?.POW_DIFFICULTY, 10);
+	if (!Number.isFinite(value)) return POW_CHALLENGE.DEFAULT_DIFFICULTY;
+	return Math.min(Math.max(value, 1), POW_CHALLENGE.MAX_DIFFICULTY);
+}
+
+/** Provider error codes meaning "solve it again", not "you failed". */
+const EXPIRED_ERROR_CODES = ['timeout-or-duplicate', 'challenge-expired'];
+
+/**
+ * Classify a failed verification for the response's `code`.
+ *
+ * @param {string[]} errorCodes - From a provider's verify()
+ * @returns {string} CAPTCHA_ERRORS.EXPIRED or CAPTCHA_ERRORS.FAILED
+ */
+export function captchaErrorCode(errorCodes = []) {
+	return errorCodes.some((code) => EXPIRED_ERROR_CODES.includes(code))
+		? CAPTCHA_ERRORS.EXPIRED
+		: CAPTCHA_ERRORS.FAILED;
+}
+
+/**
+ * @param {object} [env]
+ * @returns {string} The configured provider name (may be unknown)
+ */
+export function captchaProviderName(env) {
+	return env?.CAPTCHA_PROVIDER || DEFAULT_CAPTCHA_PROVIDER;
+}
+
+/**
+ * Pick the provider configured for this environment.
+ *
+ * @param {object} [env] - Pages Function env
+ * @param {object} [log] - Request logger
+ * @returns {object|null} null when the provider is unknown or its secret is missing,
+ *   or when "fake" is picked without SKIP_CAPTCHA=true
+ */
+export function createCaptchaProvider(env, log = defaultLog) {
+	const name = captchaProviderName(env);
+	switch (name) {
+		case 'turnstile':
+			return env?.TURNSTILE_SECRET_KEY
+				? createTurnstileProvider({
+					secret: env.TURNSTILE_SECRET_KEY,
+					kv: env.CONTACT_SUBMISSIONS,
+					maxAgeSeconds: loadTurnstileMaxAge(env),
+				})
+				: null;
+		case 'hcaptcha':
+			return env?.HCAPTCHA_SECRET_KEY
+				? createHcaptchaProvider({ secret: env.HCAPTCHA_SECRET_KEY, sitekey: env.HCAPTCHA_SITE_KEY })
+				: null;
+		case 'pow':
+			return env?.POW_SECRET ? createPowProvider({ secret: env.POW_SECRET, kv: env.CONTACT_SUBMISSIONS }) : null;
+		case 'fake':
+			if (env?.SKIP_CAPTCHA !== 'true') {
+				log.error('CAPTCHA_PROVIDER "fake" needs SKIP_CAPTCHA=true — not using it');
+				return null;
+			}
+			return createFakeCaptchaProvider();
+		default:
+			log.error(`Unknown CAPTCHA_PROVIDER "${name}"`);
+			return null;
+	}
+}
@@ -0,0 +1,120 @@
+/**
+ * Browser error reports in KV.
+ *
+ * The app's error boundaries and window error handlers POST what broke to
+ * /api/client-errors. Reports are grouped by a fingerprint of the message
+ * and the top stack frames, one record per group:
+ *
+ *   Key:      clienterror_{fingerprint}
+ *   Value:    JSON { fingerprint, message, stack, source, path, commit,
+ *             count, firstSeen, lastSeen } — the latest report's details
+ *   Expires:  CLIENT_ERRORS.TTL_DAYS after the last recorded report
+ *
+ * A group is written at most once per CLIENT_ERRORS.DEDUP_MINUTES, so an
+ * error every visitor hits costs one KV write, not one per visit; `count`
+ * is the number of reports recorded, not seen. Stacks are minified — run
+ * them through `npm run symbolicate` for source positions.
+ */
+
+import { isRoutePath } from './analytics.js';
+import { parseStackLocation } from '../../shared/stackTrace.js';
+
+export const CLIENT_ERRORS = {
+	PREFIX: 'clienterror_',
+	/** Largest report body accepted. */
+	MAX_BODY_BYTES: 16 * 1024,
+	/** Longer messages and stacks are cut, not refused. */
+	MAX_MESSAGE_LENGTH: 500,
+	MAX_STACK_LENGTH: 8000,
+	/** Stack frames that make up the fingerprint. */
+	FINGERPRINT_FRAMES: 5,
+	/** Repeats of a group within this window aren't written. */
+	DEDUP_MINUTES: 60,
+	TTL_DAYS: 30,
+	/** Recorded reports per IP — a page sends at most 10. */
+	RATE_LIMIT: { MAX_REQUESTS: 30, WINDOW_HOURS: 1 },
+	/** Where in the app a report comes from. */
+	SOURCES: ['route', 'root', 'error', 'unhandledrejection'],
+};
+
+/** A build's git commit, as stamped by vite.config.js. */
+const COMMIT_PATTERN = /^[0-9a-f]{7,40}$/;
+
+/**
+ * Fraction of reports recorded, from CLIENT_ERROR_SAMPLE_RATE (0–1).
+ *
+ * @param {object} [env] - Pages Function env
+ * @returns {number} 1 when unset or invalid
+ */
+export function loadSampleRate(env) {
+	const raw = env?.CLIENT_ERROR_SAMPLE_RATE;
+	if (raw === undefined || raw === '') return 1;
+	const rate = Number(raw);
+	return Number.isFinite(rate) && rate >= 0 && rate <= 1 ? rate : 1;
+}
+
+/**
+ * Reduce a report body to what's stored, cutting long fields to size.
+ *
+ * @param {object} body - { message, stack?, source?, path?, commit? }
+ * @returns {{message: string, stack: string, source: string, path: string|null, commit: string|null}|null}
+ *   null without a message
+ */
+export function normalizeClientError(body) {
+	if (typeof body?.message !== 'string' || !body.message.trim()) return null;
+	return {
+		message: body.message.trim().slice(0, CLIENT_ERRORS.MAX_MESSAGE_LENGTH),
+		stack: typeof body.stack === 'string' ? body.stack.slice(0, CLIENT_ERRORS.MAX_STACK_LENGTH) : '',
+		source: CLIENT_ERRORS.SOURCES.includes(body.source) ? body.source : 'error',
+		// Route patterns only, like page views — never a status token
+		path: isRoutePath(body.path) ? body.path : null,
+		commit: typeof body.commit === 'string' && COMMIT_PATTERN.test(body.commit) ? body.commit : null,
+	};
+}
+
+/**
+ * Group key for a report: its message with numbers blanked, plus the
+ * script locations of its top frames without origin or query, so the same
+ * crash from different hosts, tabs or indexes lands in one group.
+ *
+ * @param {{message: string, stack: string}} report
+ * @returns {Promise<string>} 16 hex characters
+ */
+export async function fingerprintClientError({ message, stack }) {
+	const frames = stack.split('\n')
+		.map(parseStackLocation)
+		.filter(Boolean)
+		.slice(0, CLIENT_ERRORS.FINGERPRINT_FRAMES)
+		.map(({ file, line, column }) => `${file}:${line}:${column}`);
+	const text = [message.replace(/\d+/g, 'N'), ...frames].join('\n');
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+	return [...new Uint8Array(digest).slice(0, 8)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Record a report under its group, unless the group was written within
+ * the dedup window.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {object} report - From normalizeClientError()
+ * @param {Date} [now]
+ * @returns {Promise<{fingerprint: string, deduplicated: boolean}>}
+ */
+export async function recordClientError(kv, report, now = new Date()) {
+	const fingerprint = await fingerprintClientError(report);
+	const key = `${CLIENT_ERRORS.PREFIX}${fingerprint}`;
+	const existing = await kv.get(key, 'json');
+	if (existing && now - new Date(existing.lastSeen) < CLIENT_ERRORS.DEDUP_MINUTES * 60 * 1000) {
+		return { fingerprint, deduplicated: true };
+	}
+
+	const lastSeen = now.toISOString();
+	await kv.put(key, JSON.stringify({
+		fingerprint,
+		...report,
+		count: (existing?.count || 0) + 1,
+		firstSeen: existing?.firstSeen || lastSeen,
+		lastSeen,
+	}), { expirationTtl: CLIENT_ERRORS.TTL_DAYS * 86400 });
+	return { fingerprint, deduplicated: false };
+}
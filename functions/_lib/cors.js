@@ -0,0 +1,75 @@
+/**
+ * Shared CORS helpers for Pages Functions.
+ *
+ * Every API route reflects allow-listed origins and falls back to the
+ * production origin otherwise, so browsers on unknown origins are refused.
+ */
+
+export const DEFAULT_ORIGIN = 'https://twistan.com';
+
+/**
+ * Check whether an Origin header value is allowed.
+ * Permits:
+ *   - http://localhost (any port)
+ *   - https://twistan.com and its subdomains (not look-alikes such as
+ *     eviltwistan.com)
+ *   - https://*.pages.dev  (Cloudflare Pages previews + production)
+ *
+ * @param {string|null} origin
+ * @returns {boolean}
+ */
+export function isAllowedOrigin(origin) {
+	if (!origin) return false;
+	try {
+		const url = new URL(origin);
+		if (url.hostname === 'localhost') return true;
+		if (url.protocol === 'https:' && (url.hostname === 'twistan.com' || url.hostname.endsWith('.twistan.com'))) return true;
+		if (url.protocol === 'https:' && url.hostname.endsWith('.pages.dev')) return true;
+		return false;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Build CORS headers based on the request Origin.
+ * Reflects the origin if it passes the allow-list, otherwise returns
+ * the default production origin. Always includes Vary: Origin so
+ * CDN caches don't mix up responses for different origins.
+ *
+ * @param {Request} request
+ * @returns {object} CORS + content-type headers
+ */
+export function getCorsHeaders(request) {
+	const origin = request.headers.get('Origin');
+	return {
+		'Access-Control-Allow-Origin': isAllowedOrigin(origin) ? origin : DEFAULT_ORIGIN,
+		'Content-Type': 'application/json',
+		'Vary': 'Origin',
+	};
+}
+
+/**
+ * Build a 204 preflight response for the given methods and request headers.
+ *
+ * @param {Request} request
+ * @param {object} [options]
+ * @param {string} [options.methods] - Value for Access-Control-Allow-Methods
+ * @param {string} [options.headers] - Value for Access-Control-Allow-Headers
+ * @returns {Response}
+ */
+export function preflightResponse(request, { methods = 'POST, OPTIONS', headers = 'Content-Type' } = {}) {
+	const origin = request.headers.get('Origin');
+	const allowedOrigin = isAllowedOrigin(origin) ? origin : DEFAULT_ORIGIN;
+
+	return new Response(null, {
+		status: 204,
+		headers: {
+			'Access-Control-Allow-Origin': allowedOrigin,
+			'Access-Control-Allow-Methods': methods,
+			'Access-Control-Allow-Headers': headers,
+			'Access-Control-Max-Age': '86400',
+			'Vary': 'Origin',
+		},
+	});
+}
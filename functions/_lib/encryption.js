@@ -0,0 +1,212 @@
+/**
+ * Envelope encryption for contact submissions at rest.
+ *
+ * Each record is encrypted with its own random AES-256-GCM data key,
+ * bound to its KV key as additional data so a value can't be moved to
+ * another key. The data key is itself encrypted ("wrapped") with a key
+ * from SUBMISSION_ENCRYPTION_KEYS and stored next to the ciphertext with
+ * that key's id:
+ *
+ *   { "enc": { "v": 1, "kid": "2026-10", "key": "<wrapped data key>",
+ *              "iv": "<base64>", "data": "<base64 ciphertext>" } }
+ *
+ * Keys (env):
+ * - SUBMISSION_ENCRYPTION_KEYS: JSON object of key id → base64 32-byte key,
+ *   e.g. {"2026-10":"…"} (`openssl rand -base64 32`)
+ * - SUBMISSION_ENCRYPTION_KEY_ID: the id new records are wrapped with;
+ *   optional while there is only one key
+ *
+ * Rotating: add a new key, point SUBMISSION_ENCRYPTION_KEY_ID at it and
+ * keep the old ones — records wrapped with them stay readable. Running
+ * `npm run submissions -- encrypt` re-wraps them with the new key (and
+ * encrypts records stored before encryption was enabled), after which
+ * the old keys can be removed.
+ *
+ * Without SUBMISSION_ENCRYPTION_KEYS records are stored as plain JSON.
+ */
+
+export const ENCRYPTION = {
+	VERSION: 1,
+	KEY_BYTES: 32,
+	IV_BYTES: 12,
+};
+
+const KEY_ID_PATTERN = /^[\w.-]{1,32}$/;
+
+/**
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+	let binary = '';
+	for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+	return btoa(binary);
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+	return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+/**
+ * Import the configured key-encryption keys.
+ *
+ * @param {object} [env]
+ * @returns {Promise<{currentId: string, keys: Map<string, CryptoKey>}|null>} null when
+ *   encryption isn't configured
+ * @throws {Error} When the keys are set but malformed — callers fail closed
+ */
+export async function loadKeyring(env) {
+	const raw = env?.SUBMISSION_ENCRYPTION_KEYS;
+	if (!raw) return null;
+
+	let entries;
+	try {
+		entries = Object.entries(JSON.parse(raw));
+	} catch {
+		throw new Error('SUBMISSION_ENCRYPTION_KEYS is not valid JSON');
+	}
+	if (entries.length === 0) throw new Error('SUBMISSION_ENCRYPTION_KEYS has no keys');
+
+	const keys = new Map();
+	for (const [id, encoded] of entries) {
+		if (!KEY_ID_PATTERN.test(id)) throw new Error(`Invalid encryption key id "${id}"`);
+		let bytes;
+		try {
+			bytes = fromBase64(String(encoded));
+		} catch {
+			bytes = null;
+		}
+		if (bytes?.length !== ENCRYPTION.KEY_BYTES) {
+			throw new Error(`Encryption key "${id}" must be ${ENCRYPTION.KEY_BYTES} bytes, base64-encoded`);
+		}
+		keys.set(id, await crypto.subtle.importKey('raw', bytes, 'AES-GCM', false, ['wrapKey', 'unwrapKey']));
+	}
+
+	const currentId = env.SUBMISSION_ENCRYPTION_KEY_ID || (keys.size === 1 ? entries[0][0] : null);
+	if (!currentId) throw new Error('SUBMISSION_ENCRYPTION_KEY_ID must name the current key when there are several');
+	if (!keys.has(currentId)) throw new Error(`SUBMISSION_ENCRYPTION_KEY_ID "${currentId}" is not in SUBMISSION_ENCRYPTION_KEYS`);
+
+	return { currentId, keys };
+}
+
+/**
+ * @param {*} value - A parsed KV value
+ * @returns {boolean} Whether it is an encrypted envelope
+ */
+export function isEncryptedRecord(value) {
+	return Boolean(value?.enc && typeof value.enc === 'object');
+}
+
+/**
+ * Look up the key an envelope was wrapped with.
+ *
+ * @param {object|null} keyring
+ * @param {string} kid
+ * @returns {CryptoKey}
+ */
+function wrappingKey(keyring, kid) {
+	const key = keyring?.keys.get(kid);
+	if (!key) throw new Error(`Record is encrypted with key "${kid}", which is not configured`);
+	return key;
+}
+
+/**
+ * Wrap a data key with the keyring's current key.
+ *
+ * @param {object} keyring
+ * @param {CryptoKey} dataKey
+ * @returns {Promise<{kid: string, key: string}>} `key` is base64 IV + wrapped key
+ */
+async function wrapDataKey(keyring, dataKey) {
+	const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION.IV_BYTES));
+	const wrapped = await crypto.subtle.wrapKey('raw', dataKey, keyring.keys.get(keyring.currentId), {
+		name: 'AES-GCM',
+		iv,
+		additionalData: new TextEncoder().encode(keyring.currentId),
+	});
+	const bytes = new Uint8Array(iv.length + wrapped.byteLength);
+	bytes.set(iv);
+	bytes.set(new Uint8Array(wrapped), iv.length);
+	return { kid: keyring.currentId, key: toBase64(bytes) };
+}
+
+/**
+ * @param {object} keyring
+ * @param {{kid: string, key: string}} enc
+ * @returns {Promise<CryptoKey>}
+ */
+async function unwrapDataKey(keyring, { kid, key }) {
+	const bytes = fromBase64(key);
+	return crypto.subtle.unwrapKey(
+		'raw',
+		bytes.slice(ENCRYPTION.IV_BYTES),
+		wrappingKey(keyring, kid),
+		{ name: 'AES-GCM', iv: bytes.slice(0, ENCRYPTION.IV_BYTES), additionalData: new TextEncoder().encode(kid) },
+		'AES-GCM',
+		true,
+		['encrypt', 'decrypt']
+	);
+}
+
+/**
+ * Encrypt a record for storage under `storageKey`.
+ *
+ * @param {object} keyring - From loadKeyring()
+ * @param {string} storageKey - The KV key the record is stored under
+ * @param {object} record
+ * @returns {Promise<{enc: object}>}
+ */
+export async function encryptRecord(keyring, storageKey, record) {
+	const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: ENCRYPTION.KEY_BYTES * 8 }, true, ['encrypt', 'decrypt']);
+	const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION.IV_BYTES));
+	const data = await crypto.subtle.encrypt(
+		{ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(storageKey) },
+		dataKey,
+		new TextEncoder().encode(JSON.stringify(record))
+	);
+	return {
+		enc: {
+			v: ENCRYPTION.VERSION,
+			...await wrapDataKey(keyring, dataKey),
+			iv: toBase64(iv),
+			data: toBase64(data),
+		},
+	};
+}
+
+/**
+ * Decrypt an envelope written by encryptRecord().
+ *
+ * @param {object|null} keyring
+ * @param {string} storageKey - The KV key the envelope was read from
+ * @param {{enc: object}} envelope
+ * @returns {Promise<object>}
+ * @throws {Error} When the key isn't configured or the data was tampered with
+ */
+export async function decryptRecord(keyring, storageKey, { enc }) {
+	if (enc.v !== ENCRYPTION.VERSION) throw new Error(`Unsupported encryption version ${enc.v}`);
+	const dataKey = await unwrapDataKey(keyring, enc);
+	const plaintext = await crypto.subtle.decrypt(
+		{ name: 'AES-GCM', iv: fromBase64(enc.iv), additionalData: new TextEncoder().encode(storageKey) },
+		dataKey,
+		fromBase64(enc.data)
+	);
+	return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Re-wrap an envelope's data key with the keyring's current key, leaving
+ * the ciphertext untouched.
+ *
+ * @param {object} keyring
+ * @param {{enc: object}} envelope
+ * @returns {Promise<{enc: object}>}
+ */
+export async function rewrapRecord(keyring, { enc }) {
+	const dataKey = await unwrapDataKey(keyring, enc);
+	return { enc: { ...enc, ...await wrapDataKey(keyring, dataKey) } };
+}
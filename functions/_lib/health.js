@@ -0,0 +1,120 @@
+/**
+ * Dependency checks for GET /api/health?deep=1.
+ *
+ * Each check resolves to `{ status: 'ok' | 'fail' | 'skipped', … }` and
+ * never throws. The overall status is the worst outcome:
+ * - "down":     a check /api/contact fails closed on (KV, CAPTCHA) failed —
+ *               submissions are being refused with 503
+ * - "degraded": only a non-critical check (mail, form timing) failed —
+ *               submissions are stored, but notifications may not go out
+ *               or the bot timing check is off
+ * - "ok":       everything passed or was skipped
+ *
+ * Failure reasons are short and generic; details go to the logs, since the
+ * endpoint is public.
+ */
+
+import { captchaProviderName, createCaptchaProvider } from './captcha.js';
+import { defaultLog } from './log.js';
+import { createMailTransport } from './mail.js';
+
+export const HEALTH = {
+	/** Prefix of the short-lived key written by the KV round trip. */
+	CANARY_PREFIX: 'health_canary_',
+	/** KV's minimum expirationTtl, so a canary that fails to delete goes away. */
+	CANARY_TTL_SECONDS: 60,
+	/** How long a deep result is reused, so polling the public endpoint can't drive KV writes and mail requests. */
+	CACHE_SECONDS: 60,
+	/** HTTP status for each overall status. Degraded still accepts submissions. */
+	HTTP_STATUS: { ok: 200, degraded: 200, down: 503 },
+};
+
+/**
+ * Write, read back and delete a canary key. Each run uses its own key, so
+ * concurrent checks never hit KV's one-write-per-second-per-key limit.
+ *
+ * @param {object} [kv] - KV namespace binding
+ * @param {object} [log] - Request logger
+ * @returns {Promise<object>} Check result with the round trip's `latencyMs`
+ */
+export async function checkKV(kv, log = defaultLog) {
+	if (!kv) return { status: 'fail', error: 'CONTACT_SUBMISSIONS not bound' };
+
+	const key = `${HEALTH.CANARY_PREFIX}${crypto.randomUUID()}`;
+	const value = new Date().toISOString();
+	const started = Date.now();
+	try {
+		await kv.put(key, value, { expirationTtl: HEALTH.CANARY_TTL_SECONDS });
+		const read = await kv.get(key);
+		await kv.delete(key);
+		if (read !== value) return { status: 'fail', error: 'Read back a different value' };
+		return { status: 'ok', latencyMs: Date.now() - started };
+	} catch (err) {
+		log.error('Health check KV round trip failed', { error: err });
+		return { status: 'fail', error: 'Round trip failed' };
+	}
+}
+
+/**
+ * Whether the configured CAPTCHA provider has its secret. Nothing is sent
+ * to the provider — verifying needs a real token.
+ *
+ * @param {object} env - Pages Function env
+ * @param {object} [log] - Request logger
+ * @returns {object} Check result naming the `provider`
+ */
+export function checkCaptcha(env, log = defaultLog) {
+	const provider = captchaProviderName(env);
+	if (createCaptchaProvider(env, log)) return { status: 'ok', provider };
+	if (env?.SKIP_CAPTCHA === 'true') return { status: 'skipped', provider, reason: 'SKIP_CAPTCHA=true' };
+	return { status: 'fail', provider, error: 'Secret not configured' };
+}
+
+/**
+ * Whether the contact form's render tokens are signed. Without a secret
+ * /api/contact still works but skips the timing trap (see _lib/botTraps.js).
+ *
+ * @param {object} env - Pages Function env
+ * @returns {object} Check result
+ */
+export function checkFormTiming(env) {
+	if (env?.FORM_TOKEN_SECRET) return { status: 'ok' };
+	return { status: 'fail', error: 'FORM_TOKEN_SECRET not configured' };
+}
+
+/**
+ * Whether the mail transport answers.
+ *
+ * @param {object|null} transport - From createMailTransport(); null when mail is disabled
+ * @param {object} [log] - Request logger
+ * @returns {Promise<object>} Check result naming the `transport`
+ */
+export async function checkMail(transport, log = defaultLog) {
+	if (!transport) return { status: 'skipped', reason: 'MAIL_TRANSPORT not set' };
+	try {
+		await transport.check();
+		return { status: 'ok', transport: transport.name };
+	} catch (err) {
+		log.error(`Health check mail transport (${transport.name}) unreachable`, { error: err });
+		return { status: 'fail', transport: transport.name, error: 'Unreachable' };
+	}
+}
+
+/**
+ * Run every check.
+ *
+ * @param {object} env - Pages Function env
+ * @param {object} [options]
+ * @param {object} [options.log] - Request logger
+ * @param {object|null} [options.transport] - Mail transport to check
+ * @returns {Promise<{status: string, checks: object}>}
+ */
+export async function runHealthChecks(env, { log = defaultLog, transport = createMailTransport(env, log) } = {}) {
+	const [kv, mail] = await Promise.all([checkKV(env?.CONTACT_SUBMISSIONS, log), checkMail(transport, log)]);
+	const checks = { kv, captcha: checkCaptcha(env, log), formTiming: checkFormTiming(env), mail };
+
+	let status = 'ok';
+	if (mail.status === 'fail' || checks.formTiming.status === 'fail') status = 'degraded';
+	if (kv.status === 'fail' || checks.captcha.status === 'fail') status = 'down';
+	return { status, checks };
+}
@@ -0,0 +1,172 @@
+/**
+ * Duplicate-submission protection for /api/contact.
+ *
+ * Two layers, both stored in the CONTACT_SUBMISSIONS KV namespace:
+ *
+ * 1. Idempotency keys — the client sends an `Idempotency-Key` header,
+ *    generated once per form fill. The first successful response is
+ *    saved under `idempotency_{key}` for 24 hours and replayed verbatim
+ *    for repeats, so a retry after a network blip never stores twice.
+ * 2. Content-hash dedup — for clients that don't send a key, the same
+ *    email + message arriving again within DEDUP_WINDOW_MINUTES
+ *    (`dedup_{sha256}`) gets the original response replayed.
+ *
+ * An idempotency entry also keeps the submission's status token, so a
+ * client retrying after a dropped connection still gets its status link.
+ * Dedup entries never do: anyone who knows a sender's address and message
+ * could trigger a dedup replay, while an idempotency key is known only to
+ * the client that generated it.
+ *
+ * Only successful responses are saved: a request that failed CAPTCHA,
+ * validation or rate limiting can be retried with the same key. Like the
+ * KV rate limiter this is not atomic — two copies arriving at the same
+ * instant can both be stored.
+ */
+
+import { defaultLog } from './log.js';
+
+export const IDEMPOTENCY = {
+	HEADER: 'Idempotency-Key',
+	TTL_SECONDS: 24 * 3600,
+	MAX_KEY_LENGTH: 255,
+	DEDUP_WINDOW_MINUTES: 10,
+};
+
+const IDEMPOTENCY_PREFIX = 'idempotency_';
+const DEDUP_PREFIX = 'dedup_';
+
+/** Printable ASCII, no spaces — what any client-generated UUID or token uses. */
+const KEY_PATTERN = /^[\x21-\x7e]+$/;
+
+/**
+ * Read the Idempotency-Key header.
+ *
+ * @param {Request} request
+ * @returns {{key: string|null, valid: boolean}} key is null when the header is absent
+ */
+export function getIdempotencyKey(request) {
+	const key = request.headers.get(IDEMPOTENCY.HEADER);
+	if (key === null || key === undefined) return { key: null, valid: true };
+	const valid = key.length > 0 && key.length <= IDEMPOTENCY.MAX_KEY_LENGTH && KEY_PATTERN.test(key);
+	return { key: valid ? key : null, valid };
+}
+
+/**
+ * Dedup window from DEDUP_WINDOW_MINUTES. KV can't expire keys sooner
+ * than 60 seconds, so the window is at least one minute.
+ *
+ * @param {object} [env]
+ * @param {object} [log] - Request logger
+ * @returns {number} Minutes
+ */
+export function loadDedupWindowMinutes(env, log = defaultLog) {
+	if (env?.DEDUP_WINDOW_MINUTES === undefined) return IDEMPOTENCY.DEDUP_WINDOW_MINUTES;
+	const minutes = Number(env.DEDUP_WINDOW_MINUTES);
+	if (!(minutes >= 1)) {
+		log.error('DEDUP_WINDOW_MINUTES is invalid — using default');
+		return IDEMPOTENCY.DEDUP_WINDOW_MINUTES;
+	}
+	return minutes;
+}
+
+/**
+ * @param {string} value
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+async function sha256(value) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+	return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Fingerprint of a submission's fields, stored with an idempotency key so
+ * a key reused for a different message can be refused.
+ *
+ * @param {object} fields - Validated form fields, in schema order
+ * @returns {Promise<string>}
+ */
+export function fingerprintSubmission(fields) {
+	return sha256(JSON.stringify(Object.entries(fields).filter(([, value]) => value !== undefined)));
+}
+
+/**
+ * Hash used for content dedup: the sender plus the message, ignoring case
+ * and whitespace differences.
+ *
+ * @param {{email: string, message: string}} fields
+ * @returns {Promise<string>}
+ */
+export function hashSubmissionContent({ email, message }) {
+	const normalized = message.toLowerCase().replace(/\s+/g, ' ').trim();
+	return sha256(`${email.toLowerCase()}\n${normalized}`);
+}
+
+/**
+ * Look up the saved response for an idempotency key.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {string} key - Idempotency key from the client
+ * @returns {Promise<object|null>} `{ fingerprint, status, body, headers, savedAt, statusToken? }`
+ */
+export async function getIdempotentResponse(kv, key) {
+	const raw = await kv.get(`${IDEMPOTENCY_PREFIX}${key}`);
+	return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Look up the saved response for a recent identical submission.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {string} hash - From hashSubmissionContent
+ * @returns {Promise<object|null>}
+ */
+export async function getDuplicateResponse(kv, hash) {
+	const raw = await kv.get(`${DEDUP_PREFIX}${hash}`);
+	return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Save a successful response under the idempotency key (if any) and the
+ * content hash. The status token goes in the idempotency entry only.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {object} entry
+ * @param {string|null} entry.idempotencyKey
+ * @param {string} entry.fingerprint - From fingerprintSubmission
+ * @param {string} entry.contentHash - From hashSubmissionContent
+ * @param {number} entry.dedupWindowMinutes - From loadDedupWindowMinutes
+ * @param {{status: number, body: string, headers: object}} entry.response - Without the status token
+ * @param {string|null} [entry.statusToken] - Added to the body when the idempotency entry is replayed
+ * @returns {Promise<void>}
+ */
+export async function saveSubmissionResponse(kv, { idempotencyKey, fingerprint, contentHash, dedupWindowMinutes, response, statusToken }) {
+	const entry = { fingerprint, ...response, savedAt: new Date().toISOString() };
+	const saved = JSON.stringify(entry);
+	await Promise.all([
+		idempotencyKey && kv.put(`${IDEMPOTENCY_PREFIX}${idempotencyKey}`, JSON.stringify(statusToken ? { ...entry, statusToken } : entry), {
+			expirationTtl: IDEMPOTENCY.TTL_SECONDS,
+		}),
+		kv.put(`${DEDUP_PREFIX}${contentHash}`, saved, {
+			expirationTtl: Math.round(dedupWindowMinutes * 60),
+		}),
+	]);
+}
+
+/**
+ * Rebuild a saved response, marked as a replay, with its status token
+ * when the entry has one.
+ *
+ * @param {{status: number, body: string, headers: object, statusToken?: string}} saved
+ * @returns {Response}
+ */
+export function replayResponse(saved) {
+	const body = saved.statusToken ? JSON.stringify({ ...JSON.parse(saved.body), statusToken: saved.statusToken }) : saved.body;
+	return new Response(body, {
+		status: saved.status,
+		headers: {
+			'Content-Type': 'application/json',
+			...saved.headers,
+			'Idempotent-Replayed': 'true',
+		},
+	});
+}
@@ -0,0 +1,226 @@
+/**
+ * Structured logging for Pages Functions.
+ *
+ * route() (see api.js) gives every handler a logger bound to its request:
+ *
+ *   async function handler(context, { requestId, log }) {
+ *     log.warn('Bot trap tripped', { trap });
+ *   }
+ *
+ * Each call becomes one JSON line:
+ *   { time, level, msg, requestId, route, ...fields }
+ * and route() ends every request with a "request" line carrying method,
+ * path, status, outcome `code` (an API_ERRORS code, or "ok") and latencyMs.
+ *
+ * Fields are redacted before they reach any sink: `email` becomes
+ * `emailHash` and `ip` becomes `ipHash` (the same hashes the rate limiter
+ * keys on, so a sender's lines can still be correlated; the IP's is keyed
+ * with IP_HASH_KEY, and without it the IP is just "[redacted]"), personal
+ * and secret fields become "[redacted]", and Errors become
+ * { name, message, stack }.
+ *
+ * Sinks are `{ write(entry), flush?() }`, picked by env:
+ * - LOG_SINK="capture" keeps entries in memory (`capturedLogs`) — honoured
+ *   only under the test runner, so a stray setting can't make a deployment
+ *   hold its logs in memory; anything else writes JSON lines to the console
+ * - LOG_DRAIN_URL also forwards entries to an HTTP log drain, in batches
+ *   of LOG_DRAIN.BATCH_SIZE, when the request's logs are flushed
+ * LOG_LEVEL (debug, info, warn, error; default info) drops quieter lines.
+ *
+ * Shared helpers (_lib/) take the request's logger as a `log` argument so
+ * their lines carry the request ID; `defaultLog` stands in when they run
+ * outside a request (the retention Worker, scripts, tests).
+ */
+
+import { hashEmail, hashIP } from './rateLimit.js';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+export const LOG_DRAIN = {
+	/** Most entries per POST to the drain. */
+	BATCH_SIZE: 50,
+	/** Give up on a batch after this long, so a slow drain can't hold the request open. */
+	TIMEOUT_MS: 5000,
+};
+
+/** Most entries a memory sink keeps; the oldest are dropped first. */
+export const LOG_CAPTURE_LIMIT = 1000;
+
+/** Fields never logged as-is; `email` and `ip` are hashed instead (see redact()). */
+const REDACTED_FIELDS = new Set(['name', 'message', 'subject', 'phone', 'token', 'secret', 'authorization', 'password']);
+
+/**
+ * Make fields safe to log.
+ *
+ * @param {object} fields
+ * @param {object} [options]
+ * @param {string} [options.ipHashKey] - IP_HASH_KEY; without it `ip` is redacted, not hashed
+ * @returns {Promise<object>}
+ */
+export async function redact(fields, { ipHashKey } = {}) {
+	const safe = {};
+	for (const [field, value] of Object.entries(fields)) {
+		if (value === undefined) continue;
+		if (field === 'email') {
+			if (typeof value === 'string' && value) safe.emailHash = await hashEmail(value);
+		} else if (field === 'ip') {
+			if (typeof value === 'string' && value) {
+				const ipHash = await hashIP(value, ipHashKey);
+				if (ipHash) safe.ipHash = ipHash;
+				else safe.ip = '[redacted]';
+			}
+		} else if (REDACTED_FIELDS.has(field.toLowerCase())) {
+			safe[field] = '[redacted]';
+		} else if (value instanceof Error) {
+			safe[field] = { name: value.name, message: value.message, stack: value.stack };
+		} else {
+			safe[field] = value;
+		}
+	}
+	return safe;
+}
+
+/**
+ * Sink that writes each entry as a JSON line, through the console method
+ * matching its level so the dashboard's level filter still works.
+ *
+ * @returns {{write: function(object): void}}
+ */
+export function createConsoleSink() {
+	const methods = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+	return {
+		write(entry) {
+			console[methods[entry.level]](JSON.stringify(entry));
+		},
+	};
+}
+
+/**
+ * Entries recorded by memory sinks that use the shared buffer, oldest
+ * first. tests/setup.js empties it after every test.
+ */
+export const capturedLogs = [];
+
+/**
+ * Sink that keeps the last LOG_CAPTURE_LIMIT entries in memory.
+ *
+ * @param {Array<object>} [entries] - Where to record entries; defaults to `capturedLogs`
+ * @returns {{entries: Array<object>, write: function(object): void}}
+ */
+export function createMemorySink(entries = capturedLogs) {
+	return {
+		entries,
+		write(entry) {
+			if (entries.length >= LOG_CAPTURE_LIMIT) entries.splice(0, entries.length - LOG_CAPTURE_LIMIT + 1);
+			entries.push(entry);
+		},
+	};
+}
+
+/**
+ * Sink that POSTs buffered entries to a log drain as NDJSON when flushed.
+ * A failed batch is reported on the console and dropped — logging never
+ * fails a request.
+ *
+ * @param {object} options
+ * @param {string} options.url - Drain endpoint
+ * @param {string} [options.token] - Sent as `Authorization: Bearer …` when present
+ * @param {number} [options.batchSize]
+ * @returns {{write: function(object): void, flush: function(): Promise<void>}}
+ */
+export function createHttpSink({ url, token, batchSize = LOG_DRAIN.BATCH_SIZE }) {
+	let buffer = [];
+	const headers = { 'Content-Type': 'application/x-ndjson' };
+	if (token) headers.Authorization = `Bearer ${token}`;
+
+	return {
+		write(entry) {
+			buffer.push(entry);
+		},
+		async flush() {
+			const entries = buffer;
+			buffer = [];
+			for (let i = 0; i < entries.length; i += batchSize) {
+				const batch = entries.slice(i, i + batchSize);
+				try {
+					const response = await fetch(url, {
+						method: 'POST',
+						headers,
+						body: batch.map((entry) => JSON.stringify(entry)).join('\n'),
+						signal: AbortSignal.timeout(LOG_DRAIN.TIMEOUT_MS),
+					});
+					if (!response.ok) throw new Error(`Log drain responded ${response.status}`);
+				} catch (err) {
+					console.error(`Dropped ${batch.length} log entries:`, err.message);
+				}
+			}
+		},
+	};
+}
+
+/**
+ * Pick the sinks configured for this environment.
+ *
+ * @param {object} [env] - Pages Function env
+ * @returns {Array<object>}
+ */
+export function createLogSinks(env) {
+	// Vite sets MODE to "test" under vitest; the Pages bundle has no import.meta.env
+	const capture = env?.LOG_SINK === 'capture' && import.meta.env?.MODE === 'test';
+	const sinks = [capture ? createMemorySink() : createConsoleSink()];
+	if (env?.LOG_DRAIN_URL) {
+		sinks.push(createHttpSink({ url: env.LOG_DRAIN_URL, token: env.LOG_DRAIN_TOKEN }));
+	}
+	return sinks;
+}
+
+/**
+ * Create a logger.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env] - Pages Function env; picks sinks and level, and
+ *   holds the IP_HASH_KEY `ip` fields are hashed with
+ * @param {Array<object>} [options.sinks]
+ * @param {string} [options.level] - Lowest level written
+ * @param {object} [options.fields] - Added to every entry, e.g. requestId and route
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function, flush: function(): Promise<void>}}
+ *   Level methods take (msg, fields?) and return nothing; entries reach
+ *   the sinks in order, and flush() resolves once all have
+ */
+export function createLogger({ env, sinks = createLogSinks(env), level = env?.LOG_LEVEL, fields = {} } = {}) {
+	const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+	// Redaction is async (hashing), so entries are chained to keep their order
+	const state = { pending: Promise.resolve() };
+
+	function bind(bound) {
+		const write = (entryLevel) => (msg, extra = {}) => {
+			if (LOG_LEVELS[entryLevel] < threshold) return;
+			const time = new Date().toISOString();
+			state.pending = state.pending
+				.then(() => redact({ ...bound, ...extra }, { ipHashKey: env?.IP_HASH_KEY }))
+				.then((safe) => {
+					const entry = { time, level: entryLevel, msg, ...safe };
+					for (const sink of sinks) sink.write(entry);
+				})
+				.catch((err) => console.error('Could not write log entry:', err));
+		};
+
+		return {
+			debug: write('debug'),
+			info: write('info'),
+			warn: write('warn'),
+			error: write('error'),
+			/** A logger that adds `more` to every entry, sharing sinks and order. */
+			child: (more) => bind({ ...bound, ...more }),
+			async flush() {
+				await state.pending;
+				await Promise.all(sinks.map((sink) => sink.flush?.()));
+			},
+		};
+	}
+
+	return bind(fields);
+}
+
+/** Console logger for code running outside a request. */
+export const defaultLog = createLogger();
@@ -0,0 +1,149 @@
+/**
+ * Outbound mail transports for Pages Functions.
+ *
+ * A transport is `{ name, send(message), check() }` where `send` resolves
+ * once the provider accepted the message and throws otherwise, and `check`
+ * resolves if the provider looks reachable (used by /api/health?deep=1).
+ * Messages use a provider-neutral shape:
+ *   { from, to, replyTo?, subject, text, html? }
+ * Addresses are plain strings or `{ email, name }` objects.
+ *
+ * Selected by the MAIL_TRANSPORT env var:
+ * - "http":    MailChannels-style JSON API at MAIL_API_URL (MAIL_API_KEY sent as X-Api-Key)
+ * - "console": logs the message — for local development
+ * - "capture": keeps messages in memory (`capturedMail`) — for tests, and
+ *              honoured only under the test runner, so a stray setting
+ *              can't make a deployment hold every email in memory
+ * - unset:     no transport; callers skip sending
+ */
+
+import { defaultLog } from './log.js';
+
+const DEFAULT_MAIL_API_URL = 'https://api.mailchannels.net/tx/v1/send';
+
+/** How long check() waits for the mail API before calling it unreachable. */
+export const MAIL_CHECK_TIMEOUT_MS = 3000;
+
+/**
+ * Normalize an address to the `{ email, name? }` form.
+ *
+ * @param {string|{email: string, name?: string}} address
+ * @returns {{email: string, name?: string}}
+ */
+function toAddress(address) {
+	return typeof address === 'string' ? { email: address } : address;
+}
+
+/**
+ * Transport that POSTs a MailChannels-compatible payload over HTTP.
+ *
+ * @param {object} options
+ * @param {string} [options.url] - Send endpoint
+ * @param {string} [options.apiKey] - Sent as X-Api-Key when present
+ * @returns {{name: string, send: function(object): Promise<void>, check: function(): Promise<void>}}
+ */
+export function createHttpTransport({ url = DEFAULT_MAIL_API_URL, apiKey } = {}) {
+	return {
+		name: 'http',
+		/** Any answer short of a 5xx means the API is up; nothing is sent. */
+		async check() {
+			const response = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(MAIL_CHECK_TIMEOUT_MS) });
+			if (response.status >= 500) throw new Error(`Mail API responded ${response.status}`);
+		},
+		async send(message) {
+			const content = [{ type: 'text/plain', value: message.text }];
+			if (message.html) content.push({ type: 'text/html', value: message.html });
+
+			const payload = {
+				personalizations: [{ to: [toAddress(message.to)] }],
+				from: toAddress(message.from),
+				subject: message.subject,
+				content,
+			};
+			if (message.replyTo) payload.reply_to = toAddress(message.replyTo);
+
+			const headers = { 'Content-Type': 'application/json' };
+			if (apiKey) headers['X-Api-Key'] = apiKey;
+
+			const response = await fetch(url, {
+				method: 'POST',
+				headers,
+				body: JSON.stringify(payload),
+			});
+
+			if (!response.ok) {
+				const detail = await response.text().catch(() => '');
+				throw new Error(`Mail API responded ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+			}
+		},
+	};
+}
+
+/**
+ * Transport that logs messages instead of sending them. The whole message
+ * is logged (nested, so redaction leaves it readable) — it's for local
+ * development.
+ *
+ * @param {object} [log] - Request logger
+ * @returns {{name: string, send: function(object): Promise<void>, check: function(): Promise<void>}}
+ */
+export function createConsoleTransport(log = defaultLog) {
+	return {
+		name: 'console',
+		async check() {},
+		async send(message) {
+			log.info('Outbound email (console transport, not sent)', { outbound: message });
+		},
+	};
+}
+
+/** Most messages a capture transport keeps; the oldest are dropped first. */
+export const MAIL_CAPTURE_LIMIT = 100;
+
+/**
+ * Messages accepted by capture transports that use the shared outbox,
+ * oldest first. tests/setup.js empties it after every test.
+ */
+export const capturedMail = [];
+
+/**
+ * Transport that records the last MAIL_CAPTURE_LIMIT messages instead of
+ * sending them.
+ *
+ * @param {Array<object>} [outbox] - Where to record messages; defaults to `capturedMail`
+ * @returns {{name: string, messages: Array<object>, send: function(object): Promise<void>, check: function(): Promise<void>}}
+ */
+export function createCaptureTransport(outbox = capturedMail) {
+	return {
+		name: 'capture',
+		messages: outbox,
+		async check() {},
+		async send(message) {
+			if (outbox.length >= MAIL_CAPTURE_LIMIT) outbox.splice(0, outbox.length - MAIL_CAPTURE_LIMIT + 1);
+			outbox.push(message);
+		},
+	};
+}
+
+/**
+ * Pick the transport configured for this environment.
+ *
+ * @param {object} [env] - Pages Function env
+ * @param {object} [log] - Request logger
+ * @returns {{name: string, send: function(object): Promise<void>}|null} null when mail is disabled
+ */
+export function createMailTransport(env, log = defaultLog) {
+	switch (env?.MAIL_TRANSPORT) {
+		case 'http':
+			return createHttpTransport({ url: env.MAIL_API_URL || undefined, apiKey: env.MAIL_API_KEY });
+		case 'console':
+			return createConsoleTransport(log);
+		case 'capture':
+			// Vite sets MODE to "test" under vitest; the Pages bundle has no import.meta.env
+			if (import.meta.env?.MODE === 'test') return createCaptureTransport();
+			log.error('MAIL_TRANSPORT=capture only works under the test runner — email disabled');
+			return null;
+		default:
+			return null;
+	}
+}
@@ -0,0 +1,44 @@
+/**
+ * Daily counters in KV.
+ *
+ * Key format: metrics_{name}_{YYYY-MM-DD} (UTC day), value = count as a
+ * string, expiring after METRICS_TTL_DAYS. Read them with
+ * `wrangler kv key list --prefix metrics_` (see scripts/README.md).
+ *
+ * Counting is read-then-write, so concurrent increments can be lost — fine
+ * for trend numbers, not for anything that needs to be exact.
+ */
+
+import { defaultLog } from './log.js';
+
+export const METRICS_TTL_DAYS = 90;
+
+/**
+ * @param {string} name - Metric name, e.g. "bot_trap_honeypot"
+ * @param {Date} [now]
+ * @returns {string} KV key for the metric's counter on now's UTC day
+ */
+export function metricKey(name, now = new Date()) {
+	return `metrics_${name}_${now.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Add one to today's counter. Never throws — a failed count is logged
+ * and otherwise ignored.
+ *
+ * @param {object} [kv] - KV namespace binding; no-op when absent
+ * @param {string} name
+ * @param {Date} [now]
+ * @param {object} [log] - Request logger
+ * @returns {Promise<void>}
+ */
+export async function incrementMetric(kv, name, now = new Date(), log = defaultLog) {
+	if (!kv) return;
+	try {
+		const key = metricKey(name, now);
+		const count = parseInt(await kv.get(key), 10) || 0;
+		await kv.put(key, String(count + 1), { expirationTtl: METRICS_TTL_DAYS * 86400 });
+	} catch (err) {
+		log.error(`Failed to count metric ${name}`, { error: err });
+	}
+}
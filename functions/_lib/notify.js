@@ -0,0 +1,99 @@
+/**
+ * Owner notifications for new contact submissions.
+ *
+ * Notifications are best-effort: `notifySubmission` never throws. It
+ * returns a delivery result that the caller stores on the submission
+ * record so failed deliveries are visible in the admin API.
+ *
+ * The recipient follows the submission's category when NOTIFY_ROUTES is
+ * set (see routing.js), and falls back to NOTIFY_EMAIL_TO.
+ */
+
+import { defaultLog } from './log.js';
+import { createMailTransport } from './mail.js';
+import { resolveNotifyRoute } from './routing.js';
+import { describeContactFields } from '../../shared/contactSchema.js';
+
+/**
+ * Strip CR/LF so user-supplied values can't break out of a header line.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function singleLine(value) {
+	return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Format the owner notification email for a submission.
+ *
+ * @param {string} key - KV key of the stored submission
+ * @param {object} record - Stored submission record
+ * @param {object} env - Pages Function env (NOTIFY_EMAIL_FROM / NOTIFY_EMAIL_TO)
+ * @param {string} [to] - Recipient; defaults to NOTIFY_EMAIL_TO
+ * @returns {object} Mail message for a transport
+ */
+export function formatSubmissionEmail(key, record, env, to = env.NOTIFY_EMAIL_TO) {
+	const details = describeContactFields(record).map(({ label, value }) => (
+		`${`${label}:`.padEnd(10)} ${singleLine(value)}`
+	));
+	if (record.attachments?.length) {
+		details.push(`Files:     ${record.attachments.map((file) => singleLine(file.name)).join(', ')}`);
+	}
+	const text = [
+		`New message from the twistan.com contact form.`,
+		'',
+		`Name:      ${record.name}`,
+		`Email:     ${record.email}`,
+		...details,
+		`Submitted: ${record.submittedAt}`,
+		`Key:       ${key}`,
+		'',
+		'─'.repeat(40),
+		record.message,
+		'─'.repeat(40),
+		'',
+		'Reply to this email to answer the sender directly.',
+	].join('\n');
+
+	return {
+		from: { email: env.NOTIFY_EMAIL_FROM, name: 'Twistan Contact Form' },
+		to,
+		replyTo: { email: record.email, name: singleLine(record.name) },
+		subject: singleLine(record.subject
+			? `New contact submission from ${record.name}: ${record.subject}`
+			: `New contact submission from ${record.name}`),
+		text,
+	};
+}
+
+/**
+ * Email the site owner about a new submission.
+ *
+ * @param {object} env - Pages Function env
+ * @param {string} key - KV key of the stored submission
+ * @param {object} record - Stored submission record
+ * @param {object} [transport] - Mail transport; defaults to the env-configured one
+ * @param {object} [log] - Request logger
+ * @returns {Promise<object|null>} Delivery result, or null when notifications are
+ *   not configured or the category's route has no email
+ */
+export async function notifySubmission(env, key, record, transport = createMailTransport(env), log = defaultLog) {
+	const { email: to } = resolveNotifyRoute(env, record.category, log);
+	if (!transport || !to || !env?.NOTIFY_EMAIL_FROM) return null;
+
+	const attemptedAt = new Date().toISOString();
+	try {
+		await transport.send(formatSubmissionEmail(key, record, env, to));
+		return { channel: 'email', transport: transport.name, status: 'sent', attemptedAt };
+	} catch (err) {
+		log.error('Submission notification failed', { error: err });
+		return {
+			channel: 'email',
+			transport: transport.name,
+			status: 'failed',
+			attemptedAt,
+			error: err?.message || String(err),
+		};
+	}
+}
@@ -0,0 +1,468 @@
+/**
+ * Rate limiting shared by Pages Functions.
+ *
+ * Two backends, chosen per environment:
+ * - Durable Object (RATE_LIMIT_BACKEND="durable-object" + RATE_LIMITER binding):
+ *   sliding window, atomic — each identifier maps to one object instance
+ *   that serializes its own requests. See workers/rate-limiter/.
+ * - KV (default / fallback): fixed window. Not atomic (TOCTOU race),
+ *   so callers should place the check after cheaper rejections (CAPTCHA,
+ *   auth) to make concurrent abuse expensive.
+ *
+ * Both return the same shape so callers can set X-RateLimit-* headers:
+ *   { allowed, limit, remaining, resetAt }  (resetAt in epoch ms)
+ *
+ * /api/contact layers several policies on top (per IP, per email, per
+ * subnet, global) — see checkRateLimitPolicies. Limits can be overridden
+ * with the RATE_LIMIT_POLICIES env var.
+ */
+
+import { defaultLog } from './log.js';
+
+export const RATE_LIMIT = {
+	MAX_REQUESTS: 5,
+	WINDOW_HOURS: 1
+};
+
+/**
+ * Resolve the client IP from Cloudflare / proxy headers.
+ *
+ * @param {Request} request
+ * @returns {string}
+ */
+export function getClientIP(request) {
+	return (
+		request.headers.get('CF-Connecting-IP') ||
+		request.headers.get('X-Forwarded-For')?.split(',')[0] ||
+		'unknown'
+	);
+}
+
+/**
+ * A limit's window in whole milliseconds. RATE_LIMIT_POLICIES allows
+ * fractional hours, and KV keys and the Durable Object both need an
+ * integer.
+ *
+ * @param {{WINDOW_HOURS: number}} limit
+ * @returns {number}
+ */
+function windowMsOf(limit) {
+	return Math.max(1, Math.round(limit.WINDOW_HOURS * 3600 * 1000));
+}
+
+/**
+ * Check rate limit for given identifier using KV-based fixed windows.
+ * Windows are aligned to the Unix epoch (so hourly/daily windows start on
+ * UTC boundaries regardless of server timezone).
+ * Creates keys with format: ratelimit_{identifier}_{window_start_ms}
+ * Keys auto-expire after the window via KV TTL.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {string} identifier - Client IP, optionally prefixed with a scope (e.g. "admin_1.2.3.4")
+ * @param {{MAX_REQUESTS: number, WINDOW_HOURS: number}} [limit]
+ * @param {object} [options]
+ * @param {boolean} [options.consume] - Count this request (false = only peek)
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetAt: number}>}
+ */
+export async function checkKVRateLimit(kv, identifier, limit = RATE_LIMIT, { consume = true } = {}) {
+	const windowMs = windowMsOf(limit);
+	const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+	const resetAt = windowStart + windowMs;
+
+	if (!kv) return { allowed: true, limit: limit.MAX_REQUESTS, remaining: limit.MAX_REQUESTS, resetAt };
+
+	const key = `ratelimit_${identifier}_${windowStart}`;
+
+	const currentCount = parseInt(await kv.get(key) || '0', 10);
+
+	if (currentCount >= limit.MAX_REQUESTS) {
+		return { allowed: false, limit: limit.MAX_REQUESTS, remaining: 0, resetAt };
+	}
+
+	if (!consume) {
+		return { allowed: true, limit: limit.MAX_REQUESTS, remaining: limit.MAX_REQUESTS - currentCount, resetAt };
+	}
+
+	await kv.put(key, String(currentCount + 1), {
+		// KV requires a TTL of at least 60 seconds
+		expirationTtl: Math.max(60, Math.ceil((resetAt - Date.now()) / 1000))
+	});
+
+	return {
+		allowed: true,
+		limit: limit.MAX_REQUESTS,
+		remaining: limit.MAX_REQUESTS - currentCount - 1,
+		resetAt,
+	};
+}
+
+/**
+ * Give back a slot taken by checkKVRateLimit, in the window `result`
+ * came from.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {string} identifier
+ * @param {{MAX_REQUESTS: number, WINDOW_HOURS: number}} limit
+ * @param {{resetAt: number}} result - What the consuming check returned
+ * @returns {Promise<void>}
+ */
+export async function refundKVRateLimit(kv, identifier, limit, result) {
+	if (!kv) return;
+	const key = `ratelimit_${identifier}_${result.resetAt - windowMsOf(limit)}`;
+	const currentCount = parseInt(await kv.get(key) || '0', 10);
+	if (currentCount < 1) return;
+	await kv.put(key, String(currentCount - 1), {
+		expirationTtl: Math.max(60, Math.ceil((result.resetAt - Date.now()) / 1000))
+	});
+}
+
+/**
+ * Check rate limit through the RateLimiter Durable Object (sliding window).
+ *
+ * @param {object} namespace - Durable Object namespace binding
+ * @param {string} identifier
+ * @param {{MAX_REQUESTS: number, WINDOW_HOURS: number}} [limit]
+ * @param {object} [options]
+ * @param {boolean} [options.consume] - Count this request (false = only peek)
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetAt: number}>}
+ */
+export async function checkDurableObjectRateLimit(namespace, identifier, limit = RATE_LIMIT, { consume = true } = {}) {
+	const stub = namespace.get(namespace.idFromName(identifier));
+	const response = await stub.fetch('https://rate-limiter/check', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({
+			limit: limit.MAX_REQUESTS,
+			windowMs: windowMsOf(limit),
+			consume,
+		}),
+	});
+	if (!response.ok) {
+		throw new Error(`RateLimiter responded ${response.status}`);
+	}
+	const result = await response.json();
+	return { ...result, limit: limit.MAX_REQUESTS };
+}
+
+/**
+ * Give back a slot through the RateLimiter Durable Object (drops the
+ * identifier's newest hit).
+ *
+ * @param {object} namespace - Durable Object namespace binding
+ * @param {string} identifier
+ * @param {{MAX_REQUESTS: number, WINDOW_HOURS: number}} limit
+ * @returns {Promise<void>}
+ */
+export async function refundDurableObjectRateLimit(namespace, identifier, limit) {
+	const stub = namespace.get(namespace.idFromName(identifier));
+	const response = await stub.fetch('https://rate-limiter/refund', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ windowMs: windowMsOf(limit) }),
+	});
+	if (!response.ok) {
+		throw new Error(`RateLimiter responded ${response.status}`);
+	}
+}
+
+/**
+ * Check rate limit using the backend configured for this environment.
+ * Falls back to KV if the Durable Object is unavailable.
+ *
+ * @param {object} [env] - Pages Function env
+ * @param {string} identifier
+ * @param {{MAX_REQUESTS: number, WINDOW_HOURS: number}} [limit]
+ * @param {object} [options]
+ * @param {boolean} [options.consume] - Count this request (false = only peek)
+ * @param {object} [options.log] - Request logger
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetAt: number}>}
+ */
+export async function checkRateLimit(env, identifier, limit = RATE_LIMIT, { log = defaultLog, ...options } = {}) {
+	if (env?.RATE_LIMIT_BACKEND === 'durable-object' && env.RATE_LIMITER) {
+		try {
+			return await checkDurableObjectRateLimit(env.RATE_LIMITER, identifier, limit, options);
+		} catch (err) {
+			log.error('Durable Object rate limiter failed — falling back to KV', { error: err });
+		}
+	}
+	return checkKVRateLimit(env?.CONTACT_SUBMISSIONS, identifier, limit, options);
+}
+
+/**
+ * Give back a slot taken by checkRateLimit, on the backend configured for
+ * this environment (falling back to KV like checkRateLimit). Best-effort:
+ * failures are logged, never thrown.
+ *
+ * @param {object} [env] - Pages Function env
+ * @param {string} identifier
+ * @param {{MAX_REQUESTS: number, WINDOW_HOURS: number}} limit
+ * @param {{resetAt: number}} result - What the consuming check returned
+ * @param {object} [options]
+ * @param {object} [options.log] - Request logger
+ * @returns {Promise<void>}
+ */
+export async function refundRateLimit(env, identifier, limit, result, { log = defaultLog } = {}) {
+	try {
+		if (env?.RATE_LIMIT_BACKEND === 'durable-object' && env.RATE_LIMITER) {
+			try {
+				return await refundDurableObjectRateLimit(env.RATE_LIMITER, identifier, limit);
+			} catch (err) {
+				log.error('Durable Object rate limiter failed — falling back to KV', { error: err });
+			}
+		}
+		await refundKVRateLimit(env?.CONTACT_SUBMISSIONS, identifier, limit, result);
+	} catch (err) {
+		log.error('Could not refund rate limit slot', { error: err });
+	}
+}
+
+/**
+ * Default contact form policies, evaluated in this order. `windowHours`
+ * may be fractional. Override any of them with RATE_LIMIT_POLICIES, e.g.
+ *   {"email": {"maxRequests": 2, "windowHours": 24}, "subnet": null}
+ * where null disables a policy.
+ */
+export const DEFAULT_RATE_LIMIT_POLICIES = {
+	ip: { MAX_REQUESTS: RATE_LIMIT.MAX_REQUESTS, WINDOW_HOURS: RATE_LIMIT.WINDOW_HOURS },
+	email: { MAX_REQUESTS: 3, WINDOW_HOURS: 1 },
+	subnet: { MAX_REQUESTS: 20, WINDOW_HOURS: 1 },
+	global: { MAX_REQUESTS: 100, WINDOW_HOURS: 24 },
+};
+
+/** Human-readable policy names for 429 messages. */
+const POLICY_LABELS = {
+	ip: 'per-IP',
+	email: 'per-email',
+	subnet: 'per-network',
+	global: 'site-wide daily',
+};
+
+/**
+ * Resolve the active policies from defaults + RATE_LIMIT_POLICIES.
+ * Invalid overrides are logged and ignored (the default stays in force).
+ *
+ * @param {object} [env]
+ * @param {object} [log] - Request logger
+ * @returns {Array<{name: string, limit: {MAX_REQUESTS: number, WINDOW_HOURS: number}}>}
+ */
+export function loadRateLimitPolicies(env, log = defaultLog) {
+	let overrides = {};
+	if (env?.RATE_LIMIT_POLICIES) {
+		try {
+			overrides = JSON.parse(env.RATE_LIMIT_POLICIES) ?? {};
+		} catch {
+			log.error('RATE_LIMIT_POLICIES is not valid JSON — using defaults');
+		}
+	}
+
+	return Object.entries(DEFAULT_RATE_LIMIT_POLICIES).flatMap(([name, limit]) => {
+		if (!(name in overrides)) return [{ name, limit }];
+
+		const override = overrides[name];
+		if (override === null || override === false) return [];
+
+		const maxRequests = override?.maxRequests ?? limit.MAX_REQUESTS;
+		const windowHours = override?.windowHours ?? limit.WINDOW_HOURS;
+		if (!Number.isInteger(maxRequests) || maxRequests < 1 || !(windowHours > 0) || !Number.isFinite(windowHours)) {
+			log.error(`RATE_LIMIT_POLICIES.${name} is invalid — using default`);
+			return [{ name, limit }];
+		}
+		return [{ name, limit: { MAX_REQUESTS: maxRequests, WINDOW_HOURS: windowHours } }];
+	});
+}
+
+/**
+ * Network prefix an IP belongs to: /24 for IPv4, /64 for IPv6.
+ *
+ * @param {string} ip
+ * @returns {string|null} e.g. "203.0.113.0/24", "2001:db8:0:1::/64"; null if not an IP
+ */
+export function getSubnet(ip) {
+	const v4 = /^(?:::ffff:)?(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.\d{1,3}$/i.exec(ip);
+	if (v4) return `${v4[1]}.${v4[2]}.${v4[3]}.0/24`;
+
+	if (!ip.includes(':') || !/^[0-9a-f:]+$/i.test(ip) || ip.split('::').length > 2) return null;
+	const [head, tail = ''] = ip.split('::');
+	const headParts = head ? head.split(':') : [];
+	const tailParts = ip.includes('::') && tail ? tail.split(':') : [];
+	const missing = 8 - headParts.length - tailParts.length;
+	if (missing < 0 || (!ip.includes('::') && missing !== 0)) return null;
+	if ([...headParts, ...tailParts].some((g) => g.length === 0 || g.length > 4)) return null;
+
+	const groups = [...headParts, ...Array(missing).fill('0'), ...tailParts];
+	const prefix = groups.slice(0, 4).map((g) => parseInt(g, 16).toString(16));
+	return `${prefix.join(':')}::/64`;
+}
+
+/**
+ * Short SHA-256 hex (128 bits).
+ *
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+async function shortHash(value) {
+	return shortHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+}
+
+/**
+ * @param {ArrayBuffer} digest
+ * @returns {string} First 16 bytes as hex
+ */
+function shortHex(digest) {
+	return [...new Uint8Array(digest).slice(0, 16)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Short SHA-256 hex of a normalized email, so addresses never appear in
+ * rate limit keys or Durable Object names.
+ *
+ * @param {string} email
+ * @returns {Promise<string>}
+ */
+export async function hashEmail(email) {
+	return shortHash(email.trim().toLowerCase());
+}
+
+/**
+ * Short HMAC-SHA256 hex of an IP keyed with IP_HASH_KEY, for rate limit
+ * keys and logs of endpoints that promise not to keep IPs. A plain hash
+ * wouldn't keep that promise: hashing all 2^32 IPv4 addresses reverses it.
+ *
+ * @param {string} ip
+ * @param {string} [key] - IP_HASH_KEY
+ * @returns {Promise<string|null>} null when no key is configured
+ */
+export async function hashIP(ip, key) {
+	if (!key) return null;
+	const encoder = new TextEncoder();
+	const hmacKey = await crypto.subtle.importKey('raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	return shortHex(await crypto.subtle.sign('HMAC', hmacKey, encoder.encode(ip)));
+}
+
+/**
+ * Bucket identifier for a policy, or null when the policy doesn't apply.
+ * Per-IP buckets are the bare IP with no prefix (`ratelimit_{ip}_…`, see
+ * scripts/README.md); they expire with their window, so changing this
+ * format only resets the current window's counts.
+ *
+ * @param {string} name - Policy name
+ * @param {{ip: string, email?: string}} subject
+ * @returns {Promise<string|null>}
+ */
+async function policyIdentifier(name, subject) {
+	switch (name) {
+		case 'ip':
+			return subject.ip;
+		case 'email':
+			return subject.email ? `email_${await hashEmail(subject.email)}` : null;
+		case 'subnet': {
+			const subnet = getSubnet(subject.ip);
+			return subnet ? `subnet_${subnet}` : null;
+		}
+		case 'global':
+			return 'global';
+		default:
+			return null;
+	}
+}
+
+/**
+ * Evaluate every contact policy for a request.
+ *
+ * All policies are peeked first and only consumed if every one allows the
+ * request, so a request blocked by one policy doesn't burn slots in the
+ * others. A concurrent request can still take a policy's last slot between
+ * the peek and the consume; the slots this request took from the other
+ * policies are then refunded. When several trip, the one that frees up
+ * last is reported so Retry-After covers all of them.
+ *
+ * @param {object} [env] - Pages Function env
+ * @param {{ip: string, email?: string}} subject
+ * @param {object} [options]
+ * @param {object} [options.log] - Request logger
+ * @param {Array} [options.policies] - From loadRateLimitPolicies
+ * @returns {Promise<object>} `{ allowed, policy, result, retryAfter? }` where
+ *   `result` is the backend result for the reported policy: the tripped
+ *   one when blocked, the per-IP one (the visitor's own quota) when allowed.
+ */
+export async function checkRateLimitPolicies(env, subject, { log = defaultLog, policies = loadRateLimitPolicies(env, log) } = {}) {
+	const applicable = (await Promise.all(policies.map(async (policy) => ({
+		...policy,
+		identifier: await policyIdentifier(policy.name, subject),
+	})))).filter((policy) => policy.identifier);
+
+	const evaluate = (consume) => Promise.all(applicable.map(async (policy) => ({
+		policy: policy.name,
+		identifier: policy.identifier,
+		limit: policy.limit,
+		result: await checkRateLimit(env, policy.identifier, policy.limit, { consume, log }),
+	})));
+
+	const blocked = (checks) => {
+		const tripped = checks.filter((check) => !check.result.allowed);
+		if (tripped.length === 0) return null;
+		const worst = tripped.reduce((a, b) => (b.result.resetAt > a.result.resetAt ? b : a));
+		return {
+			allowed: false,
+			policy: worst.policy,
+			result: worst.result,
+			retryAfter: retryAfterSeconds(worst.result),
+		};
+	};
+
+	const peeked = await evaluate(false);
+	const peekBlocked = blocked(peeked);
+	if (peekBlocked) return peekBlocked;
+
+	// A concurrent request may have taken the last slot since the peek
+	const consumed = await evaluate(true);
+	const consumeBlocked = blocked(consumed);
+	if (consumeBlocked) {
+		await Promise.all(consumed
+			.filter((check) => check.result.allowed)
+			.map((check) => refundRateLimit(env, check.identifier, check.limit, check.result, { log })));
+		return consumeBlocked;
+	}
+
+	const primary = consumed.find((check) => check.policy === 'ip') || consumed[0];
+	return {
+		allowed: true,
+		policy: primary?.policy ?? null,
+		result: primary?.result ?? { limit: 0, remaining: 0, resetAt: Date.now() },
+	};
+}
+
+/**
+ * Message for a 429 naming the tripped policy.
+ *
+ * @param {string} policy
+ * @returns {string}
+ */
+export function describeRateLimitPolicy(policy) {
+	return `Rate limit exceeded (${POLICY_LABELS[policy] || policy} limit). Please try again later.`;
+}
+
+/**
+ * Seconds until a blocked caller may retry (for Retry-After).
+ *
+ * @param {{resetAt: number}} result
+ * @returns {number}
+ */
+export function retryAfterSeconds(result) {
+	return Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+}
+
+/**
+ * X-RateLimit-* headers for a rate limit result.
+ * X-RateLimit-Reset is the unix time (seconds) at which a slot frees up.
+ *
+ * @param {{limit: number, remaining: number, resetAt: number}} result
+ * @returns {object}
+ */
+export function rateLimitHeaders(result) {
+	return {
+		'X-RateLimit-Limit': String(result.limit),
+		'X-RateLimit-Remaining': String(result.remaining),
+		'X-RateLimit-Reset': String(Math.ceil(result.resetAt / 1000)),
+	};
+}
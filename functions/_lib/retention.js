@@ -0,0 +1,172 @@
+/**
+ * Data retention for contact submissions.
+ *
+ * Policy (env, shared by the Pages project and workers/retention):
+ * - RETENTION_DAYS: how long submissions are kept. Opt-in: unset (or
+ *   "0") keeps them forever, so deploying never removes existing data
+ *   nobody chose to remove
+ * - RETENTION_ACTION: "delete" (default) or "anonymize"; an unknown value
+ *   anonymizes rather than guessing at a deletion
+ *
+ * Two mechanisms enforce it:
+ * 1. On write, "delete" gives the record a KV expiration of submittedAt +
+ *    RETENTION_DAYS + RETENTION_GRACE_DAYS (see putSubmission), so KV
+ *    drops it even if the job below never runs. The grace period lets the
+ *    job get there first, since only the job removes R2 attachments and
+ *    writes the audit entry. Rewrites (status changes, delivery results)
+ *    recompute the same expiration, so they don't extend it.
+ * 2. A daily cron in workers/retention runs runRetention(), which
+ *    deletes — or anonymizes, keeping only dates, status, category and
+ *    spam score — submissions older than the policy, removes their R2
+ *    attachments, and writes an audit entry for the run. It covers
+ *    records written before the policy existed and the "anonymize"
+ *    action, which has no KV expiration.
+ */
+
+import { ATTACHMENT_PREFIX } from './attachments.js';
+import { loadKeyring } from './encryption.js';
+import { defaultLog } from './log.js';
+import {
+	SUBMISSION_PREFIX,
+	getSubmission,
+	normalizeSubmission,
+	parseSubmissionKey,
+	putSubmission,
+} from './submissions.js';
+
+export const RETENTION = {
+	ACTIONS: ['delete', 'anonymize'],
+	/** Submissions handled per run, keeping a run well inside the Worker's subrequest limit */
+	MAX_PER_RUN: 200,
+	/** Audit entries are kept for a little over a year */
+	AUDIT_TTL_DAYS: 400,
+};
+
+export const AUDIT_PREFIX = 'audit_retention_';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the retention policy from env.
+ *
+ * @param {object} [env]
+ * @param {object} [log] - Request logger
+ * @returns {{days: number, action: string}} `days` 0 means keep forever
+ */
+export function loadRetentionPolicy(env, log = defaultLog) {
+	const value = parseInt(env?.RETENTION_DAYS, 10);
+	const days = Number.isFinite(value) ? Math.max(value, 0) : 0;
+
+	const action = env?.RETENTION_ACTION || 'delete';
+	if (!RETENTION.ACTIONS.includes(action)) {
+		log.error(`Unknown RETENTION_ACTION "${action}" — anonymizing instead`);
+		return { days, action: 'anonymize' };
+	}
+	return { days, action };
+}
+
+/**
+ * What's left of a submission after anonymizing: when it came in, how it
+ * was triaged and scored, and how many files it had — no names, contact
+ * details, message text, notes or delivery logs.
+ *
+ * @param {object} record
+ * @param {string} anonymizedAt - ISO 8601
+ * @returns {object}
+ */
+export function anonymizeSubmission(record, anonymizedAt) {
+	const current = normalizeSubmission(record);
+	const anonymized = {
+		submittedAt: current.submittedAt,
+		status: current.status,
+		statusHistory: current.statusHistory.map(({ status, changedAt }) => ({ status, changedAt })),
+		anonymizedAt,
+	};
+	if (current.category) anonymized.category = current.category;
+	if (current.spam) anonymized.spam = { score: current.spam.score, threshold: current.spam.threshold };
+	if (current.attachments?.length) anonymized.attachmentCount = current.attachments.length;
+	return anonymized;
+}
+
+/**
+ * Delete or anonymize submissions older than the retention policy and
+ * record the run under `audit_retention_{ranAt}`.
+ *
+ * Keys sort by submission time, so the scan stops at the first key
+ * inside the retention period. Anonymized records carry
+ * `{ anonymized: true }` KV metadata and are skipped without being read.
+ * A run handles at most `limit` submissions; `complete: false` in the
+ * audit entry means the next run picks up the rest.
+ *
+ * @param {object} env - CONTACT_SUBMISSIONS (required), CONTACT_ATTACHMENTS, RETENTION_*,
+ *   SUBMISSION_ENCRYPTION_* (to read attachment lists from encrypted records)
+ * @param {object} [options]
+ * @param {number} [options.now] - Current time in ms (the cron's scheduledTime)
+ * @param {number} [options.limit] - Submissions to handle in this run
+ * @returns {Promise<object|null>} The audit entry, or null when retention is off
+ */
+export async function runRetention(env, { now = Date.now(), limit = RETENTION.MAX_PER_RUN } = {}) {
+	const kv = env?.CONTACT_SUBMISSIONS;
+	if (!kv) throw new Error('CONTACT_SUBMISSIONS binding not configured');
+
+	const policy = loadRetentionPolicy(env);
+	if (policy.days === 0) return null;
+
+	const ranAt = new Date(now).toISOString();
+	const cutoff = new Date(now - policy.days * DAY_MS).toISOString();
+	const bucket = env.CONTACT_ATTACHMENTS;
+	const keyring = await loadKeyring(env);
+
+	const audit = {
+		ranAt,
+		action: policy.action,
+		days: policy.days,
+		cutoff,
+		deleted: [],
+		anonymized: [],
+		failed: [],
+		attachmentsDeleted: 0,
+		complete: true,
+	};
+
+	let cursor;
+	scan: do {
+		const page = await kv.list({ prefix: SUBMISSION_PREFIX, cursor });
+		for (const { name, metadata } of page.keys) {
+			const parsed = parseSubmissionKey(name);
+			if (!parsed || metadata?.anonymized) continue;
+			if (parsed.submittedAt >= cutoff) break scan;
+			if (audit.deleted.length + audit.anonymized.length + audit.failed.length >= limit) {
+				audit.complete = false;
+				break scan;
+			}
+
+			try {
+				const record = await getSubmission(kv, name, { keyring });
+				const files = (record?.attachments || [])
+					.map((file) => file.key)
+					.filter((key) => key?.startsWith(`${ATTACHMENT_PREFIX}${name}/`));
+				if (files.length > 0 && bucket) {
+					await bucket.delete(files);
+					audit.attachmentsDeleted += files.length;
+				}
+
+				if (policy.action === 'anonymize' && record) {
+					await putSubmission(kv, name, anonymizeSubmission(record, ranAt), { keyring });
+					audit.anonymized.push(name);
+				} else {
+					await kv.delete(name);
+					audit.deleted.push(name);
+				}
+			} catch (err) {
+				audit.failed.push({ key: name, error: err.message });
+			}
+		}
+		cursor = page.list_complete ? null : page.cursor;
+	} while (cursor);
+
+	await kv.put(`${AUDIT_PREFIX}${ranAt}`, JSON.stringify(audit), {
+		expirationTtl: RETENTION.AUDIT_TTL_DAYS * 24 * 60 * 60,
+	});
+	return audit;
+}
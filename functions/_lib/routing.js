@@ -0,0 +1,79 @@
+/**
+ * Category-based notification routing.
+ *
+ * NOTIFY_ROUTES maps a submission category (see CONTACT_CATEGORIES in
+ * shared/contactSchema.js) to the targets its notifications should reach:
+ *
+ *   {
+ *     "work":    { "email": "jobs@twistan.com", "webhooks": ["slack"] },
+ *     "hello":   { "email": null, "webhooks": ["discord"] },
+ *     "default": { "webhooks": [] }
+ *   }
+ *
+ * - email:    owner email recipient; null turns the email off; omitted
+ *             keeps NOTIFY_EMAIL_TO
+ * - webhooks: names of WEBHOOKS targets to call; omitted keeps them all
+ *
+ * Submissions without a category, or with one that has no entry, use the
+ * "default" entry. With no entry at all — or NOTIFY_ROUTES unset — every
+ * configured target is notified, as before routing existed. Invalid
+ * config is logged and ignored so the owner is never silently cut off.
+ */
+
+import { defaultLog } from './log.js';
+
+export const DEFAULT_ROUTE = 'default';
+
+/**
+ * Parse NOTIFY_ROUTES.
+ *
+ * @param {object} env - Pages Function env
+ * @param {object} [log] - Request logger
+ * @returns {Record<string, object>|null} null when unset or invalid
+ */
+export function loadNotifyRoutes(env, log = defaultLog) {
+	if (!env?.NOTIFY_ROUTES) return null;
+
+	let routes;
+	try {
+		routes = JSON.parse(env.NOTIFY_ROUTES);
+	} catch {
+		log.error('NOTIFY_ROUTES is not valid JSON — routing disabled');
+		return null;
+	}
+	if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+		log.error('NOTIFY_ROUTES must be a JSON object — routing disabled');
+		return null;
+	}
+
+	for (const [category, route] of Object.entries(routes)) {
+		const validEmail = route?.email === undefined || route.email === null || typeof route.email === 'string';
+		const validWebhooks = route?.webhooks === undefined
+			|| (Array.isArray(route.webhooks) && route.webhooks.every((name) => typeof name === 'string'));
+		if (!route || typeof route !== 'object' || !validEmail || !validWebhooks) {
+			log.error(`NOTIFY_ROUTES["${category}"] is invalid — routing disabled`);
+			return null;
+		}
+	}
+	return routes;
+}
+
+/**
+ * Work out where a submission's notifications go.
+ *
+ * @param {object} env - Pages Function env
+ * @param {string} [category] - Submission category
+ * @param {object} [log] - Request logger
+ * @returns {{email: string|null, webhooks: string[]|null}}
+ *   email: recipient, or null for no email; webhooks: target names, or
+ *   null for every configured target
+ */
+export function resolveNotifyRoute(env, category, log = defaultLog) {
+	const routes = loadNotifyRoutes(env, log) || {};
+	const route = (category && Object.hasOwn(routes, category) ? routes[category] : routes[DEFAULT_ROUTE]) || {};
+
+	return {
+		email: route.email === undefined ? env?.NOTIFY_EMAIL_TO || null : route.email || null,
+		webhooks: route.webhooks ?? null,
+	};
+}
@@ -0,0 +1,259 @@
+/**
+ * Server-side spam scoring for contact submissions.
+ *
+ * Turnstile proves a human (or a solver farm) filled the form; it says
+ * nothing about what they pasted into it. Each validated submission gets
+ * a score from a set of independent signals, and anything at or above
+ * the threshold is stored with the `spam` status instead of `new`.
+ * Nothing is rejected — the visitor always sees the normal success
+ * response, and the breakdown is kept on the record for review.
+ *
+ * Exact repeats are caught by hashing the normalized message and keeping
+ * the hash in KV (`spamhash_{sha256}`) for a day. A repeat alone stays
+ * under the default threshold — short, generic messages ("Are you
+ * available for freelance work?") can match between unrelated senders —
+ * but tips a message that already trips another signal.
+ */
+
+import { defaultLog } from './log.js';
+
+export const SPAM_SCORING = {
+	THRESHOLD: 5,
+	DUPLICATE_WINDOW_SECONDS: 24 * 3600,
+	/** Same non-space character this many times in a row counts as a run */
+	REPEAT_RUN_LENGTH: 10,
+};
+
+/** Points per signal. Most signals add their weight once per match. */
+export const SPAM_WEIGHTS = {
+	/** Per link beyond the first */
+	links: 1,
+	/** Per distinct URL shortener domain */
+	shortener: 3,
+	/** Per blocklisted term */
+	blockedTerm: 3,
+	/** Per blocklisted domain (in links or the sender's address) */
+	blockedDomain: 5,
+	repeatedChars: 2,
+	mixedScript: 3,
+	/** Below THRESHOLD on purpose: a repeated message is only spam with another signal */
+	duplicate: 3,
+};
+
+/** Well-known URL shorteners. Legitimate senders rarely need them. */
+export const URL_SHORTENERS = [
+	'bit.ly', 'buff.ly', 'cutt.ly', 'goo.gl', 'is.gd', 'ow.ly', 'rb.gy',
+	'rebrand.ly', 'shorturl.at', 't.co', 't.ly', 'tiny.cc', 'tinyurl.com',
+];
+
+export const SPAM_HASH_PREFIX = 'spamhash_';
+
+/** Cap on the link signal so one long list can't dominate the breakdown. */
+const MAX_LINK_SCORE = 5;
+
+/** URLs with a scheme, a www. prefix, or a bare domain followed by a path. */
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+|\bwww\.[^\s<>"']+|\b(?:[a-z0-9-]+\.)+[a-z]{2,}\/[^\s<>"']*/gi;
+
+/** Scripts commonly mixed to fake Latin lookalikes (e.g. Cyrillic "а"). */
+const SCRIPTS = {
+	Latin: /\p{Script=Latin}/u,
+	Cyrillic: /\p{Script=Cyrillic}/u,
+	Greek: /\p{Script=Greek}/u,
+};
+
+/**
+ * Resolve the threshold and blocklist from env.
+ *
+ * SPAM_THRESHOLD is a positive number; SPAM_BLOCKLIST is JSON of the form
+ * `{"terms": ["casino"], "domains": ["spam.example"]}`. Invalid values are
+ * logged and the defaults (threshold 5, empty blocklist) used instead.
+ *
+ * @param {object} [env]
+ * @param {object} [log] - Request logger
+ * @returns {{threshold: number, terms: string[], domains: string[]}}
+ */
+export function loadSpamConfig(env, log = defaultLog) {
+	let threshold = SPAM_SCORING.THRESHOLD;
+	if (env?.SPAM_THRESHOLD !== undefined) {
+		const parsed = Number(env.SPAM_THRESHOLD);
+		if (parsed > 0) {
+			threshold = parsed;
+		} else {
+			log.error('SPAM_THRESHOLD is invalid — using default');
+		}
+	}
+
+	let blocklist = {};
+	if (env?.SPAM_BLOCKLIST) {
+		try {
+			blocklist = JSON.parse(env.SPAM_BLOCKLIST) ?? {};
+		} catch {
+			log.error('SPAM_BLOCKLIST is not valid JSON — ignoring');
+		}
+	}
+
+	const clean = (list) => (Array.isArray(list) ? list : [])
+		.filter((item) => typeof item === 'string' && item.trim())
+		.map((item) => item.trim().toLowerCase());
+
+	return { threshold, terms: clean(blocklist.terms), domains: clean(blocklist.domains) };
+}
+
+/**
+ * Hostnames of all links in a piece of text, lowercased, without `www.`.
+ *
+ * @param {string} text
+ * @returns {string[]} One entry per link (duplicates kept)
+ */
+export function extractLinkHosts(text) {
+	return (text.match(URL_PATTERN) || []).map((url) => url
+		.replace(/^https?:\/\//i, '')
+		.split(/[/?#:]/)[0]
+		.toLowerCase()
+		.replace(/^www\./, ''));
+}
+
+/**
+ * True when `host` is `domain` or one of its subdomains.
+ *
+ * @param {string} host
+ * @param {string} domain
+ * @returns {boolean}
+ */
+function matchesDomain(host, domain) {
+	return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Score the content of a submission. Pure: the duplicate check, which
+ * needs KV, is done separately by scoreSubmission.
+ *
+ * @param {{name: string, email: string, message: string, subject?: string}} fields
+ * @param {{terms: string[], domains: string[]}} config - From loadSpamConfig
+ * @returns {Array<{rule: string, score: number, detail: string}>} Signals that fired
+ */
+export function scoreContent({ name, email, message, subject }, config) {
+	const signals = [];
+	// The subject line is free text too — scan it with the message
+	const body = subject ? `${subject}\n${message}` : message;
+	const hosts = extractLinkHosts(body);
+
+	if (hosts.length > 1) {
+		signals.push({
+			rule: 'links',
+			score: Math.min((hosts.length - 1) * SPAM_WEIGHTS.links, MAX_LINK_SCORE),
+			detail: `${hosts.length} links`,
+		});
+	}
+
+	const shorteners = [...new Set(hosts.filter((host) => URL_SHORTENERS.some((s) => matchesDomain(host, s))))];
+	if (shorteners.length > 0) {
+		signals.push({
+			rule: 'shortener',
+			score: shorteners.length * SPAM_WEIGHTS.shortener,
+			detail: shorteners.join(', '),
+		});
+	}
+
+	const text = `${name}\n${body}`.toLowerCase();
+	const terms = config.terms.filter((term) => text.includes(term));
+	if (terms.length > 0) {
+		signals.push({
+			rule: 'blockedTerm',
+			score: terms.length * SPAM_WEIGHTS.blockedTerm,
+			detail: terms.join(', '),
+		});
+	}
+
+	const emailDomain = email.split('@').pop().toLowerCase();
+	const domains = config.domains.filter(
+		(domain) => matchesDomain(emailDomain, domain) || hosts.some((host) => matchesDomain(host, domain))
+	);
+	if (domains.length > 0) {
+		signals.push({
+			rule: 'blockedDomain',
+			score: domains.length * SPAM_WEIGHTS.blockedDomain,
+			detail: domains.join(', '),
+		});
+	}
+
+	const runPattern = new RegExp(`(\\S)\\1{${SPAM_SCORING.REPEAT_RUN_LENGTH - 1},}`, 'u');
+	const run = runPattern.exec(`${name}\n${body}`);
+	if (run) {
+		signals.push({
+			rule: 'repeatedChars',
+			score: SPAM_WEIGHTS.repeatedChars,
+			detail: `"${run[1]}" repeated ${run[0].length} times`,
+		});
+	}
+
+	const mixedWords = name.split(/\s+/).filter((word) => {
+		const scripts = Object.values(SCRIPTS).filter((pattern) => pattern.test(word));
+		return scripts.length > 1;
+	});
+	if (mixedWords.length > 0) {
+		signals.push({
+			rule: 'mixedScript',
+			score: SPAM_WEIGHTS.mixedScript,
+			detail: `name mixes scripts: ${mixedWords.join(' ')}`,
+		});
+	}
+
+	return signals;
+}
+
+/**
+ * SHA-256 of a message after case and whitespace normalization, so
+ * trivially re-spaced copies still match.
+ *
+ * @param {string} message
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashMessage(message) {
+	const normalized = message.toLowerCase().replace(/\s+/g, ' ').trim();
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+	return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Record a message hash and report how often it was seen in the
+ * duplicate window before this submission. Like the KV rate limiter this
+ * is not atomic; two simultaneous copies may both count as first.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {string} hash - From hashMessage
+ * @returns {Promise<number>} Previous sightings
+ */
+async function recordMessageHash(kv, hash) {
+	const key = `${SPAM_HASH_PREFIX}${hash}`;
+	const seen = parseInt(await kv.get(key) || '0', 10) || 0;
+	await kv.put(key, String(seen + 1), { expirationTtl: SPAM_SCORING.DUPLICATE_WINDOW_SECONDS });
+	return seen;
+}
+
+/**
+ * Score a validated submission.
+ *
+ * @param {object} [env] - Pages Function env (SPAM_THRESHOLD, SPAM_BLOCKLIST, CONTACT_SUBMISSIONS)
+ * @param {{name: string, email: string, message: string, subject?: string}} fields
+ * @param {object} [log] - Request logger
+ * @returns {Promise<{score: number, threshold: number, isSpam: boolean, signals: Array}>}
+ */
+export async function scoreSubmission(env, fields, log = defaultLog) {
+	const config = loadSpamConfig(env, log);
+	const signals = scoreContent(fields, config);
+
+	if (env?.CONTACT_SUBMISSIONS) {
+		const seen = await recordMessageHash(env.CONTACT_SUBMISSIONS, await hashMessage(fields.message));
+		if (seen > 0) {
+			signals.push({
+				rule: 'duplicate',
+				score: SPAM_WEIGHTS.duplicate,
+				detail: `same message seen ${seen} time${seen === 1 ? '' : 's'} in the last 24 hours`,
+			});
+		}
+	}
+
+	const score = signals.reduce((sum, signal) => sum + signal.score, 0);
+	return { score, threshold: config.threshold, isSpam: score >= config.threshold, signals };
+}
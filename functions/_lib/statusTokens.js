@@ -0,0 +1,129 @@
+/**
+ * Capability links that let visitors see and withdraw their own submission.
+ *
+ * A successful POST /api/contact returns a random 256-bit `statusToken`
+ * (and the auto-reply, when enabled, links to it). The page at
+ * /contact/status/{token} reads the submission through
+ * GET /api/contact/:token and deletes it with DELETE /api/contact/:token.
+ *
+ * Whoever holds the token can read and delete the message, so it is only
+ * handed to the submitter and never stored: KV keeps a SHA-256 of it,
+ * `status_{sha256}` → submission key, which expires when the submission's
+ * retention period ends. Tokens that don't match stored data just get 404.
+ */
+
+import { CONTACT_SCHEMA } from '../../shared/contactSchema.js';
+import { STATUS_PAGE_PATH, VISITOR_STATUSES } from '../../shared/statusLinks.js';
+
+export const STATUS_TOKEN_PREFIX = 'status_';
+
+const TOKEN_BYTES = 32;
+
+/** base64url, unpadded, of TOKEN_BYTES bytes */
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/** Admin status → what the visitor sees (see VISITOR_STATUSES). */
+const VISITOR_STATUS_FOR = {
+	new: 'received',
+	read: 'read',
+	replied: 'replied',
+	archived: 'closed',
+	spam: 'received',
+};
+
+/**
+ * Hex-encoded SHA-256.
+ *
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(value) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+	return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @returns {string} A new unguessable token (base64url)
+ */
+export function createStatusToken() {
+	const bytes = crypto.getRandomValues(new Uint8Array(TOKEN_BYTES));
+	return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {*} token
+ * @returns {boolean} Whether token has the shape createStatusToken() produces
+ */
+export function isStatusToken(token) {
+	return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Remember which submission a token opens.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {string} token
+ * @param {string} submissionKey
+ * @param {object} [options]
+ * @param {number} [options.expiration] - Unix seconds; the submission's retentionExpiration()
+ * @returns {Promise<void>}
+ */
+export async function saveStatusToken(kv, token, submissionKey, { expiration } = {}) {
+	const key = `${STATUS_TOKEN_PREFIX}${await sha256Hex(token)}`;
+	if (expiration) {
+		await kv.put(key, submissionKey, { expiration });
+	} else {
+		await kv.put(key, submissionKey);
+	}
+}
+
+/**
+ * @param {object} kv - KV namespace binding
+ * @param {string} token
+ * @returns {Promise<string|null>} The submission key, or null for unknown or malformed tokens
+ */
+export async function findStatusToken(kv, token) {
+	if (!isStatusToken(token)) return null;
+	return kv.get(`${STATUS_TOKEN_PREFIX}${await sha256Hex(token)}`);
+}
+
+/**
+ * @param {object} kv - KV namespace binding
+ * @param {string} token
+ * @returns {Promise<void>}
+ */
+export async function deleteStatusToken(kv, token) {
+	await kv.delete(`${STATUS_TOKEN_PREFIX}${await sha256Hex(token)}`);
+}
+
+/**
+ * @param {string} origin - Site origin, e.g. https://twistan.com
+ * @param {string} token
+ * @returns {string} Link to the status page
+ */
+export function statusPageUrl(origin, token) {
+	return new URL(`${STATUS_PAGE_PATH}/${token}`, origin).href;
+}
+
+/**
+ * The part of a stored submission its sender sees: what they sent and
+ * where it stands — not spam scores, admin notes or delivery logs.
+ *
+ * @param {object} record - Normalized submission record
+ * @returns {object}
+ */
+export function visitorView(record) {
+	const status = VISITOR_STATUS_FOR[record.status] || 'received';
+	const view = {
+		submittedAt: record.submittedAt,
+		status,
+		statusLabel: VISITOR_STATUSES[status],
+	};
+	if (record.anonymizedAt) return { ...view, anonymized: true };
+
+	for (const field of Object.keys(CONTACT_SCHEMA)) {
+		if (record[field]) view[field] = record[field];
+	}
+	if (record.attachments?.length) view.attachments = record.attachments.map((file) => file.name);
+	return view;
+}
@@ -0,0 +1,258 @@
+/**
+ * Contact submission storage helpers.
+ *
+ * Submissions live in the CONTACT_SUBMISSIONS KV namespace under
+ * `contact_{ISO_timestamp}_{uuid}`. ISO timestamps sort lexicographically,
+ * so KV list order is chronological order.
+ *
+ * With SUBMISSION_ENCRYPTION_KEYS set, records are stored encrypted (see
+ * encryption.js); pass the `keyring` from loadKeyring() to the read and
+ * write helpers below and they encrypt/decrypt transparently. Plaintext
+ * records written before encryption was enabled stay readable.
+ */
+
+import { decryptRecord, encryptRecord, isEncryptedRecord } from './encryption.js';
+
+export const SUBMISSION_PREFIX = 'contact_';
+
+/**
+ * Triage states a submission can be in. New records start as `new`;
+ * admins move them between states via PATCH /api/admin/submissions/:key.
+ */
+export const SUBMISSION_STATUSES = ['new', 'read', 'replied', 'archived', 'spam'];
+
+/** Upper bound KV accepts for a single list() call. */
+export const MAX_PAGE_SIZE = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days a "delete" policy's KV expiration trails the retention cutoff: two
+ * runs of the daily retention job, so the job deletes the record (and its
+ * R2 attachments) and audits it before KV would, even after a missed run.
+ */
+export const RETENTION_GRACE_DAYS = 2;
+
+/** KV rejects expirations less than 60 seconds away. */
+const MIN_EXPIRATION_MS = 60 * 1000;
+
+const KEY_PATTERN = /^contact_(\d{4}-\d{2}-\d{2}T[\d:.]+Z)_([\w-]+)$/;
+
+/**
+ * Build a new submission key for the given timestamp.
+ *
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @returns {string}
+ */
+export function createSubmissionKey(timestamp) {
+	return `${SUBMISSION_PREFIX}${timestamp}_${crypto.randomUUID()}`;
+}
+
+/**
+ * Split a submission key into its timestamp and id parts.
+ *
+ * @param {string} key
+ * @returns {{submittedAt: string, id: string}|null} null if the key is not a submission key
+ */
+export function parseSubmissionKey(key) {
+	const match = KEY_PATTERN.exec(key);
+	return match ? { submittedAt: match[1], id: match[2] } : null;
+}
+
+/**
+ * Build the stored record for a new submission.
+ *
+ * @param {object} fields - Validated form fields (name, email, message and
+ *   whichever optional CONTACT_SCHEMA fields were filled in)
+ * @param {string} timestamp - ISO 8601 submission time
+ * @param {string} [status] - Initial status
+ * @returns {object}
+ */
+export function createSubmissionRecord(fields, timestamp, status = 'new') {
+	return {
+		...fields,
+		submittedAt: timestamp,
+		status,
+		statusHistory: [{ status, changedAt: timestamp }],
+	};
+}
+
+/**
+ * Fill in lifecycle fields for records written before statuses existed.
+ *
+ * @param {object} record
+ * @returns {object}
+ */
+export function normalizeSubmission(record) {
+	if (record.status) return record;
+	return {
+		...record,
+		status: 'new',
+		statusHistory: [{ status: 'new', changedAt: record.submittedAt }],
+	};
+}
+
+/**
+ * Return a copy of the record moved to a new status, with the change
+ * appended to its history. Setting the current status again is a no-op.
+ *
+ * @param {object} record
+ * @param {string} status - One of SUBMISSION_STATUSES
+ * @param {object} [options]
+ * @param {string} [options.changedAt] - ISO 8601 time of the change
+ * @param {string} [options.note] - Optional admin note stored with the change
+ * @returns {object}
+ */
+export function applyStatusChange(record, status, { changedAt = new Date().toISOString(), note } = {}) {
+	const current = normalizeSubmission(record);
+	if (current.status === status) return current;
+
+	const entry = { status, changedAt };
+	if (note) entry.note = note;
+
+	return {
+		...current,
+		status,
+		statusHistory: [...current.statusHistory, entry],
+	};
+}
+
+/**
+ * Read a single submission.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {string} key
+ * @param {object} [options]
+ * @param {object|null} [options.keyring] - From loadKeyring(); needed for encrypted records
+ * @returns {Promise<object|null>} Normalized record, or null if missing
+ * @throws {Error} When the record is encrypted with a key the keyring doesn't have
+ */
+export async function getSubmission(kv, key, { keyring } = {}) {
+	const raw = await kv.get(key);
+	if (!raw) return null;
+	return openSubmission(key, JSON.parse(raw), keyring);
+}
+
+/**
+ * @param {string} key
+ * @param {object} stored - Parsed KV value, plaintext or encrypted
+ * @param {object|null} keyring
+ * @returns {Promise<object>} Normalized plaintext record
+ */
+async function openSubmission(key, stored, keyring) {
+	return normalizeSubmission(isEncryptedRecord(stored) ? await decryptRecord(keyring, key, stored) : stored);
+}
+
+/**
+ * When KV should drop a submission, as a KV `expiration`: RETENTION_DAYS
+ * plus RETENTION_GRACE_DAYS after it was submitted, and at least a minute
+ * from now (KV's minimum). The expiration is only a backstop for the
+ * retention job, which purges at RETENTION_DAYS.
+ *
+ * @param {string} submittedAt - ISO 8601
+ * @param {{days: number}} [retention] - From loadRetentionPolicy()
+ * @param {number} [now] - Current time in ms
+ * @returns {number|undefined} Unix seconds, or undefined when kept forever
+ */
+export function retentionExpiration(submittedAt, retention, now = Date.now()) {
+	if (!(retention?.days > 0)) return undefined;
+	const expiresAt = Date.parse(submittedAt) + (retention.days + RETENTION_GRACE_DAYS) * DAY_MS;
+	return Math.ceil(Math.max(expiresAt || 0, now + MIN_EXPIRATION_MS) / 1000);
+}
+
+/**
+ * Write a submission record.
+ *
+ * Under a "delete" retention policy the record expires with
+ * retentionExpiration(), so rewriting it never extends its life.
+ * Anonymized records keep the metadata flag the retention job skips them by.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {string} key
+ * @param {object} record
+ * @param {object} [options]
+ * @param {{days: number, action: string}} [options.retention] - From loadRetentionPolicy()
+ * @param {number} [options.now] - Current time in ms
+ * @param {object|null} [options.keyring] - From loadKeyring(); the record is stored
+ *   encrypted when given
+ * @returns {Promise<void>}
+ */
+export async function putSubmission(kv, key, record, { retention, now = Date.now(), keyring } = {}) {
+	const options = {};
+	if (record.anonymizedAt) {
+		options.metadata = { anonymized: true };
+	} else if (retention?.action === 'delete' && retention.days > 0) {
+		options.expiration = retentionExpiration(record.submittedAt, retention, now);
+	}
+
+	const value = JSON.stringify(keyring ? await encryptRecord(keyring, key, record) : record);
+	if (Object.keys(options).length > 0) {
+		await kv.put(key, value, options);
+	} else {
+		await kv.put(key, value);
+	}
+}
+
+/**
+ * List one page of submissions, optionally restricted to a date range.
+ * Range bounds are compared against the timestamp embedded in the key,
+ * so records are only fetched for keys inside the range. Once a key past
+ * `until` is seen the listing is reported complete.
+ *
+ * Records encrypted with a key the keyring doesn't have are left out of
+ * `submissions` and listed in `undecryptable` with the key id they need,
+ * so one of them doesn't hide the rest of the page. They can't be
+ * filtered, so every one on the page is listed.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {object} [options]
+ * @param {string} [options.cursor] - Cursor returned by a previous page
+ * @param {number} [options.limit] - Keys to scan for this page
+ * @param {string} [options.since] - Inclusive lower bound (ISO 8601)
+ * @param {string} [options.until] - Inclusive upper bound (ISO 8601)
+ * @param {string} [options.status] - Only return submissions in this status
+ * @param {Record<string, string>} [options.fields] - Only return submissions whose
+ *   form fields equal these values, e.g. `{ category: 'work' }`
+ * @param {object|null} [options.keyring] - From loadKeyring(); needed for encrypted records
+ * @returns {Promise<{submissions: object[], undecryptable: Array<{key: string, kid: string}>, cursor: string|null, listComplete: boolean}>}
+ */
+export async function listSubmissions(kv, { cursor, limit = 50, since, until, status, fields = {}, keyring } = {}) {
+	const page = await kv.list({ prefix: SUBMISSION_PREFIX, cursor, limit });
+
+	let pastRange = false;
+	const keys = [];
+	for (const { name } of page.keys) {
+		const parsed = parseSubmissionKey(name);
+		if (!parsed) continue;
+		if (since && parsed.submittedAt < since) continue;
+		if (until && parsed.submittedAt > until) {
+			pastRange = true;
+			break;
+		}
+		keys.push(name);
+	}
+
+	const undecryptable = [];
+	const submissions = await Promise.all(keys.map(async (key) => {
+		const raw = await kv.get(key);
+		if (!raw) return null;
+		const stored = JSON.parse(raw);
+		// e.g. an old key dropped from SUBMISSION_ENCRYPTION_KEYS before
+		// `npm run submissions -- encrypt` re-wrapped everything
+		if (isEncryptedRecord(stored) && !keyring?.keys.has(stored.enc.kid)) {
+			undecryptable.push({ key, kid: stored.enc.kid });
+			return null;
+		}
+		return { key, ...await openSubmission(key, stored, keyring) };
+	}));
+
+	const listComplete = pastRange || page.list_complete;
+	const matches = (s) => (!status || s.status === status)
+		&& Object.entries(fields).every(([field, value]) => s[field] === value);
+	return {
+		submissions: submissions.filter((s) => s && matches(s)),
+		undecryptable: undecryptable.sort((a, b) => (a.key < b.key ? -1 : 1)),
+		cursor: listComplete ? null : page.cursor,
+		listComplete,
+	};
+}
@@ -0,0 +1,376 @@
+/**
+ * Outbound webhooks for contact events.
+ *
+ * Targets come from the WEBHOOKS env var, a JSON array:
+ *   [{ "url": "https://discord.com/api/webhooks/…", "format": "discord" },
+ *    { "url": "https://ntfy.sh/my-topic", "format": "ntfy", "secret": "…", "name": "phone" }]
+ * `format` is one of discord | slack | ntfy | json (default json).
+ * `secret` falls back to WEBHOOK_SECRET; targets without any secret are
+ * skipped so every request that leaves is signed. The optional `name` is
+ * what NOTIFY_ROUTES refers to when sending a category to specific
+ * targets (see routing.js); unnamed targets only receive unrouted events.
+ *
+ * Signing: each request carries
+ *   X-Webhook-Id:        event id (stable across retries)
+ *   X-Webhook-Timestamp: unix seconds
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+ * Receivers verify with `verifyWebhookSignature`.
+ *
+ * Delivery: up to MAX_ATTEMPTS per target with exponential backoff, each
+ * attempt cut off after TIMEOUT_MS. Network errors, timeouts, 429 and 5xx
+ * are retried; other 4xx fail immediately. Every attempt is tracked in KV
+ * under `webhook_{eventId}_{targetIndex}`.
+ */
+
+import { defaultLog } from './log.js';
+import { resolveNotifyRoute } from './routing.js';
+import { describeContactFields, pickContactFields } from '../../shared/contactSchema.js';
+
+export const WEBHOOK_RETRY = {
+	MAX_ATTEMPTS: 3,
+	BASE_DELAY_MS: 1000,
+	/** A receiver that hasn't answered by now counts as a failed attempt. */
+	TIMEOUT_MS: 10000,
+	/** Delivery records are kept for a week for debugging. */
+	RECORD_TTL_SECONDS: 7 * 24 * 3600,
+};
+
+/** Signature timestamps older than this are rejected by the verifier. */
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const FORMATS = ['discord', 'slack', 'ntfy', 'json'];
+
+/**
+ * Truncate text to a provider field limit.
+ *
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function truncate(text, max) {
+	return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Payload formatters. Each maps an event to `{ body, headers }`.
+ * Event shape: { id, type, createdAt, data: { key, submission } }
+ */
+export const formatters = {
+	discord(event) {
+		const { key, submission } = event.data;
+		return {
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				embeds: [{
+					title: 'New contact submission',
+					description: truncate(submission.message, 4096),
+					color: 0x33ff33,
+					timestamp: event.createdAt,
+					fields: [
+						{ name: 'Name', value: truncate(submission.name, 1024), inline: true },
+						{ name: 'Email', value: truncate(submission.email, 1024), inline: true },
+						...describeContactFields(submission).map(({ label, value }) => (
+							{ name: label, value: truncate(value, 1024), inline: true }
+						)),
+						{ name: 'Key', value: truncate(key, 1024) },
+					],
+				}],
+			}),
+		};
+	},
+
+	slack(event) {
+		const { key, submission } = event.data;
+		return {
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				text: `New contact submission from ${submission.name}`,
+				blocks: [
+					{ type: 'header', text: { type: 'plain_text', text: 'New contact submission' } },
+					{
+						type: 'section',
+						fields: [
+							{ type: 'mrkdwn', text: `*Name:*\n${truncate(submission.name, 1900)}` },
+							{ type: 'mrkdwn', text: `*Email:*\n${truncate(submission.email, 1900)}` },
+							// Slack allows at most 10 fields per section
+							...describeContactFields(submission).slice(0, 8).map(({ label, value }) => (
+								{ type: 'mrkdwn', text: `*${label}:*\n${truncate(value, 1900)}` }
+							)),
+						],
+					},
+					{ type: 'section', text: { type: 'plain_text', text: truncate(submission.message, 3000) } },
+					{ type: 'context', elements: [{ type: 'mrkdwn', text: `\`${key}\`` }] },
+				],
+			}),
+		};
+	},
+
+	ntfy(event) {
+		const { submission } = event.data;
+		return {
+			headers: {
+				'Content-Type': 'text/plain; charset=utf-8',
+				// Header values must be single-line ASCII-safe
+				'Title': `New contact submission from ${submission.name}`.replace(/[^\x20-\x7e]+/g, ' '),
+				'Tags': 'email',
+			},
+			body: `${submission.message}\n\n— ${submission.name} <${submission.email}>`,
+		};
+	},
+
+	json(event) {
+		return {
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(event),
+		};
+	},
+};
+
+/**
+ * Parse webhook targets from env.
+ *
+ * @param {object} [env]
+ * @param {object} [log] - Request logger
+ * @returns {Array<{url: string, format: string, secret: string, name?: string}>}
+ */
+export function parseWebhookTargets(env, log = defaultLog) {
+	if (!env?.WEBHOOKS) return [];
+
+	let configured;
+	try {
+		configured = JSON.parse(env.WEBHOOKS);
+	} catch {
+		log.error('WEBHOOKS is not valid JSON — webhooks disabled');
+		return [];
+	}
+	if (!Array.isArray(configured)) {
+		log.error('WEBHOOKS must be a JSON array — webhooks disabled');
+		return [];
+	}
+
+	return configured.flatMap((target, index) => {
+		const format = target?.format || 'json';
+		const secret = target?.secret || env.WEBHOOK_SECRET;
+		let url;
+		try {
+			url = new URL(target?.url);
+		} catch {
+			log.error(`WEBHOOKS[${index}] has an invalid url — skipped`);
+			return [];
+		}
+		if (url.protocol !== 'https:' && url.hostname !== 'localhost' && url.hostname !== '127.0.0.1') {
+			log.error(`WEBHOOKS[${index}] must use https — skipped`);
+			return [];
+		}
+		if (!FORMATS.includes(format)) {
+			log.error(`WEBHOOKS[${index}] has unknown format "${format}" — skipped`);
+			return [];
+		}
+		if (!secret) {
+			log.error(`WEBHOOKS[${index}] has no secret and WEBHOOK_SECRET is unset — skipped`);
+			return [];
+		}
+		if (target.name !== undefined && typeof target.name !== 'string') {
+			log.error(`WEBHOOKS[${index}] name must be a string — skipped`);
+			return [];
+		}
+		return [target.name ? { url: url.href, format, secret, name: target.name } : { url: url.href, format, secret }];
+	});
+}
+
+/**
+ * Hex-encoded HMAC-SHA256.
+ *
+ * @param {string} secret
+ * @param {string} data
+ * @returns {Promise<string>}
+ */
+async function hmacHex(secret, data) {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey(
+		'raw',
+		encoder.encode(secret),
+		{ name: 'HMAC', hash: 'SHA-256' },
+		false,
+		['sign']
+	);
+	const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
+	return [...new Uint8Array(signature)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compute the signature header value for a body.
+ *
+ * @param {string} secret
+ * @param {string} body
+ * @param {number} timestamp - Unix seconds
+ * @returns {Promise<string>} `sha256=<hex>`
+ */
+export async function signWebhook(secret, body, timestamp) {
+	return `sha256=${await hmacHex(secret, `${timestamp}.${body}`)}`;
+}
+
+/**
+ * Verify a received webhook. Intended for receivers (see scripts/webhook-receiver.js).
+ *
+ * @param {object} options
+ * @param {string} options.secret
+ * @param {string} options.body - Raw request body
+ * @param {string|number} options.timestamp - X-Webhook-Timestamp
+ * @param {string} options.signature - X-Webhook-Signature
+ * @param {number} [options.now] - Current time in ms (for tests)
+ * @returns {Promise<boolean>}
+ */
+export async function verifyWebhookSignature({ secret, body, timestamp, signature, now = Date.now() }) {
+	const ts = Number(timestamp);
+	if (!Number.isFinite(ts) || !signature) return false;
+	if (Math.abs(now / 1000 - ts) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+	const expected = await signWebhook(secret, body, ts);
+	if (expected.length !== signature.length) return false;
+	let diff = 0;
+	for (let i = 0; i < expected.length; i++) {
+		diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+	}
+	return diff === 0;
+}
+
+/**
+ * Build a `submission.created` event.
+ *
+ * @param {string} key - KV key of the stored submission
+ * @param {object} record - Stored submission record
+ * @returns {object}
+ */
+export function createSubmissionEvent(key, record) {
+	return {
+		id: crypto.randomUUID(),
+		type: 'submission.created',
+		createdAt: new Date().toISOString(),
+		data: {
+			key,
+			submission: {
+				...pickContactFields(record),
+				...(record.attachments && { attachments: record.attachments }),
+				submittedAt: record.submittedAt,
+				status: record.status,
+			},
+		},
+	};
+}
+
+/**
+ * Deliver one event to one target with retries, tracking attempts in KV.
+ *
+ * @param {object} kv - KV namespace binding (optional)
+ * @param {object} event
+ * @param {{url: string, format: string, secret: string}} target
+ * @param {number} index - Target's position among the valid targets, used in the KV record key
+ * @param {function(number): Promise<void>} sleep
+ * @returns {Promise<object>} Delivery result
+ */
+async function deliverToTarget(kv, event, target, index, sleep) {
+	const { body, headers } = formatters[target.format](event);
+	const recordKey = `webhook_${event.id}_${index}`;
+	const delivery = {
+		eventId: event.id,
+		type: event.type,
+		target: new URL(target.url).host,
+		format: target.format,
+		state: 'pending',
+		attempts: [],
+	};
+
+	for (let attempt = 1; attempt <= WEBHOOK_RETRY.MAX_ATTEMPTS; attempt++) {
+		const timestamp = Math.floor(Date.now() / 1000);
+		const entry = { at: new Date().toISOString() };
+		let retryable = true;
+
+		try {
+			const response = await fetch(target.url, {
+				method: 'POST',
+				headers: {
+					...headers,
+					'X-Webhook-Id': event.id,
+					'X-Webhook-Timestamp': String(timestamp),
+					'X-Webhook-Signature': await signWebhook(target.secret, body, timestamp),
+				},
+				body,
+				signal: AbortSignal.timeout(WEBHOOK_RETRY.TIMEOUT_MS),
+			});
+			entry.status = response.status;
+			if (response.ok) {
+				delivery.state = 'delivered';
+			} else {
+				retryable = response.status === 429 || response.status >= 500;
+			}
+		} catch (err) {
+			entry.error = err?.message || String(err);
+		}
+
+		delivery.attempts.push(entry);
+		const finished = delivery.state === 'delivered' || !retryable || attempt === WEBHOOK_RETRY.MAX_ATTEMPTS;
+		if (finished && delivery.state !== 'delivered') delivery.state = 'failed';
+		if (!finished) {
+			delivery.nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY.BASE_DELAY_MS * 2 ** (attempt - 1)).toISOString();
+		} else {
+			delete delivery.nextAttemptAt;
+		}
+
+		if (kv) {
+			await kv.put(recordKey, JSON.stringify(delivery), {
+				expirationTtl: WEBHOOK_RETRY.RECORD_TTL_SECONDS,
+			});
+		}
+		if (finished) break;
+		await sleep(WEBHOOK_RETRY.BASE_DELAY_MS * 2 ** (attempt - 1));
+	}
+
+	return {
+		channel: 'webhook',
+		target: delivery.target,
+		format: target.format,
+		status: delivery.state === 'delivered' ? 'sent' : 'failed',
+		attempts: delivery.attempts.length,
+		attemptedAt: delivery.attempts[0].at,
+	};
+}
+
+/**
+ * Fan an event out to the configured webhook targets — all of them, or
+ * the ones NOTIFY_ROUTES names for the submission's category.
+ * Never throws; per-target failures are reported in the results.
+ *
+ * @param {object} env - Pages Function env
+ * @param {object} event - From createSubmissionEvent
+ * @param {object} [options]
+ * @param {function(number): Promise<void>} [options.sleep] - Backoff delay (tests pass a no-op)
+ * @param {object} [options.log] - Request logger
+ * @returns {Promise<object[]>} One delivery result per target called
+ */
+export async function dispatchWebhooks(env, event, { sleep = (ms) => new Promise((r) => setTimeout(r, ms)), log = defaultLog } = {}) {
+	const { webhooks: routed } = resolveNotifyRoute(env, event.data?.submission?.category, log);
+	// Number targets before routing drops any, so a target's record key doesn't
+	// depend on the category. Invalid WEBHOOKS entries are already gone, so
+	// this is the position among valid targets, not in WEBHOOKS itself
+	const targets = parseWebhookTargets(env, log)
+		.map((target, index) => ({ target, index }))
+		.filter(({ target }) => !routed || routed.includes(target.name));
+	const results = await Promise.allSettled(
+		targets.map(({ target, index }) => deliverToTarget(env?.CONTACT_SUBMISSIONS, event, target, index, sleep))
+	);
+	return results.map((result, i) => {
+		if (result.status === 'fulfilled') return result.value;
+		log.error('Webhook delivery error', { error: result.reason });
+		const { target } = targets[i];
+		return {
+			channel: 'webhook',
+			target: new URL(target.url).host,
+			format: target.format,
+			status: 'failed',
+			attempts: 0,
+			attemptedAt: new Date().toISOString(),
+			error: result.reason?.message || String(result.reason),
+		};
+	});
+}
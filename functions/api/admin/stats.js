@@ -0,0 +1,87 @@
+/**
+ * Admin page-view stats — Cloudflare Pages Function.
+ *
+ * GET /api/admin/stats
+ *
+ * Auth: `Authorization: Bearer <ADMIN_API_TOKEN>` (fail-closed if unset).
+ *
+ * Query parameters:
+ * - since: first UTC day (YYYY-MM-DD, default 29 days before `until`)
+ * - until: last UTC day (YYYY-MM-DD, default today)
+ *
+ * → { success, since, until, days: [{ date, views, paths, referrers }], totals }
+ * with one entry per day, oldest first (see _lib/analytics.js).
+ */
+
+import { ApiError, json, route } from '../../_lib/api.js';
+import { requireAdmin } from '../../_lib/auth.js';
+import { PAGE_VIEWS, dayOf, readPageViewStats } from '../../_lib/analytics.js';
+import { API_ERRORS } from '../../../shared/apiErrors.js';
+
+const DEFAULT_STATS_DAYS = 30;
+
+/**
+ * Parse an optional YYYY-MM-DD query parameter.
+ *
+ * @param {string|null} value
+ * @returns {string|null|undefined} The day, null if absent, undefined if invalid
+ */
+function parseDayParam(value) {
+	if (!value) return null;
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+	const date = new Date(`${value}T00:00:00Z`);
+	return Number.isNaN(date.getTime()) || dayOf(date) !== value ? undefined : value;
+}
+
+/**
+ * GET handler — daily page-view counts.
+ *
+ * Error responses (`code` from API_ERRORS):
+ * - 400: Invalid or reversed dates, or a range over 366 days (validation_failed)
+ * - 401: Missing or wrong bearer token
+ * - 429: Admin rate limit exceeded
+ * - 503: ADMIN_API_TOKEN or KV binding not configured
+ * - 500: Internal server error
+ */
+async function showStats(context, { log }) {
+	await requireAdmin(context, log);
+
+	const kv = context.env?.CONTACT_SUBMISSIONS;
+	if (!kv) throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+
+	const params = new URL(context.request.url).searchParams;
+	let since = parseDayParam(params.get('since'));
+	let until = parseDayParam(params.get('until'));
+	if (since === undefined || until === undefined) {
+		throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, 'since and until must be dates as YYYY-MM-DD.');
+	}
+	until ??= dayOf(new Date());
+	if (!since) {
+		const start = new Date(`${until}T00:00:00Z`);
+		start.setUTCDate(start.getUTCDate() - (DEFAULT_STATS_DAYS - 1));
+		since = dayOf(start);
+	}
+
+	const span = (Date.parse(until) - Date.parse(since)) / 86_400_000 + 1;
+	if (span < 1 || span > PAGE_VIEWS.MAX_STATS_DAYS) {
+		throw new ApiError(
+			400,
+			API_ERRORS.VALIDATION_FAILED,
+			`since must not be after until, and the range must be at most ${PAGE_VIEWS.MAX_STATS_DAYS} days.`
+		);
+	}
+
+	return json({ success: true, since, until, ...(await readPageViewStats(kv, { since, until })) });
+}
+
+const api = route({ GET: showStats }, {
+	name: 'Admin stats',
+	allowHeaders: 'Authorization, Content-Type',
+	headers: { 'Cache-Control': 'no-store' },
+});
+
+/** CORS preflight handler for admin stats endpoint. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** GET handler (see showStats). */
+export const onRequestGet = api.onRequestGet;
@@ -0,0 +1,101 @@
+/**
+ * Admin submission triage — Cloudflare Pages Function.
+ *
+ * PATCH /api/admin/submissions/:key
+ * Body: { "status": "read" | "replied" | "archived" | "spam" | "new", "note"?: string }
+ *
+ * Auth and rate limiting match GET /api/admin/submissions. Each status
+ * change is appended to the record's `statusHistory`; re-sending the
+ * current status leaves the record untouched.
+ */
+
+import { ApiError, json, readJson, route } from '../../../_lib/api.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { loadKeyring } from '../../../_lib/encryption.js';
+import { loadRetentionPolicy } from '../../../_lib/retention.js';
+import {
+	SUBMISSION_STATUSES,
+	applyStatusChange,
+	getSubmission,
+	parseSubmissionKey,
+	putSubmission,
+} from '../../../_lib/submissions.js';
+import { API_ERRORS } from '../../../../shared/apiErrors.js';
+
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Decode the :key route param, returning null when it is malformed.
+ *
+ * @param {string} param
+ * @returns {string|null}
+ */
+function decodeKeyParam(param) {
+	try {
+		return decodeURIComponent(param);
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * PATCH handler — move a submission to a new status.
+ *
+ * Error responses (`code` from API_ERRORS):
+ * - 400: Malformed key, unknown status, or invalid note (validation_failed),
+ *   or a body that isn't a JSON object (invalid_json)
+ * - 401: Missing or wrong bearer token
+ * - 404: No submission stored under the key
+ * - 413: Body too large
+ * - 429: Admin rate limit exceeded
+ * - 503: ADMIN_API_TOKEN or KV binding not configured, or malformed encryption keys
+ * - 500: Internal server error
+ */
+async function updateSubmission(context, { log }) {
+	await requireAdmin(context, log);
+
+	const kv = context.env?.CONTACT_SUBMISSIONS;
+	if (!kv) throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+
+	const keyring = await loadKeyring(context.env).catch((err) => {
+		log.error('Submission encryption misconfigured', { reason: err.message });
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	});
+
+	const key = decodeKeyParam(context.params.key);
+	if (!key || !parseSubmissionKey(key)) {
+		throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, 'Invalid submission key.');
+	}
+
+	const body = await readJson(context.request);
+	if (!SUBMISSION_STATUSES.includes(body.status)) {
+		throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, `status must be one of: ${SUBMISSION_STATUSES.join(', ')}.`);
+	}
+
+	const note = typeof body.note === 'string' ? body.note.trim() : body.note;
+	if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+		throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, `note must be a string of at most ${MAX_NOTE_LENGTH} characters.`);
+	}
+
+	const record = await getSubmission(kv, key, { keyring });
+	if (!record) throw new ApiError(404, API_ERRORS.NOT_FOUND, 'Submission not found.');
+
+	const updated = applyStatusChange(record, body.status, { note });
+	if (updated !== record) {
+		await putSubmission(kv, key, updated, { retention: loadRetentionPolicy(context.env, log), keyring });
+	}
+
+	return json({ success: true, submission: { key, ...updated } });
+}
+
+const api = route({ PATCH: updateSubmission }, {
+	name: 'Admin submission update',
+	allowHeaders: 'Authorization, Content-Type',
+	headers: { 'Cache-Control': 'no-store' },
+});
+
+/** CORS preflight handler for admin submission endpoint. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** PATCH handler (see updateSubmission). */
+export const onRequestPatch = api.onRequestPatch;
@@ -0,0 +1,121 @@
+/**
+ * Admin submissions reader — Cloudflare Pages Function.
+ *
+ * GET /api/admin/submissions
+ *
+ * Auth: `Authorization: Bearer <ADMIN_API_TOKEN>` (fail-closed if unset).
+ * Rate limited per IP using the same backend as /api/contact.
+ *
+ * Query parameters:
+ * - limit:  keys scanned per page (1–1000, default 50)
+ * - cursor: opaque cursor from the previous page
+ * - since:  inclusive lower bound on submission time (ISO 8601)
+ * - until:  inclusive upper bound on submission time (ISO 8601)
+ * - status: only submissions in this triage status (new, read, replied, archived, spam)
+ * - any CONTACT_SCHEMA field marked `filterable`, e.g. category: only
+ *   submissions with exactly this value (select fields must name an option)
+ *
+ * Pages may contain fewer than `limit` submissions when a date range
+ * filters keys out; keep following `cursor` until it is null.
+ *
+ * Records encrypted with a key that is no longer configured are listed in
+ * `undecryptable` as `{ key, kid }` instead of failing the whole page.
+ */
+
+import { ApiError, json, route } from '../../../_lib/api.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { loadKeyring } from '../../../_lib/encryption.js';
+import { MAX_PAGE_SIZE, SUBMISSION_STATUSES, listSubmissions } from '../../../_lib/submissions.js';
+import { CONTACT_SCHEMA } from '../../../../shared/contactSchema.js';
+import { API_ERRORS } from '../../../../shared/apiErrors.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Parse an optional ISO date query parameter.
+ *
+ * @param {string|null} value
+ * @returns {string|null|undefined} Normalized ISO string, null if absent, undefined if invalid
+ */
+function parseDateParam(value) {
+	if (!value) return null;
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * GET handler — list stored submissions.
+ *
+ * Error responses (`code` from API_ERRORS):
+ * - 400: Invalid query parameters (validation_failed)
+ * - 401: Missing or wrong bearer token
+ * - 429: Admin rate limit exceeded
+ * - 503: ADMIN_API_TOKEN or KV binding not configured, or malformed encryption keys
+ * - 500: Internal server error
+ */
+async function listAdminSubmissions(context, { log }) {
+	await requireAdmin(context, log);
+
+	const kv = context.env?.CONTACT_SUBMISSIONS;
+	if (!kv) throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+
+	const keyring = await loadKeyring(context.env).catch((err) => {
+		log.error('Submission encryption misconfigured', { reason: err.message });
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	});
+
+	const params = new URL(context.request.url).searchParams;
+	const limit = params.has('limit') ? Number(params.get('limit')) : DEFAULT_PAGE_SIZE;
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+		throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+	}
+
+	const since = parseDateParam(params.get('since'));
+	const until = parseDateParam(params.get('until'));
+	if (since === undefined || until === undefined) {
+		throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, 'since and until must be valid ISO 8601 dates.');
+	}
+
+	const status = params.get('status');
+	if (status && !SUBMISSION_STATUSES.includes(status)) {
+		throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, `status must be one of: ${SUBMISSION_STATUSES.join(', ')}.`);
+	}
+
+	const fields = {};
+	for (const [field, rules] of Object.entries(CONTACT_SCHEMA)) {
+		const value = params.get(field);
+		if (!rules.filterable || !value) continue;
+		if (rules.options && !rules.options.some((option) => option.value === value)) {
+			throw new ApiError(
+				400,
+				API_ERRORS.VALIDATION_FAILED,
+				`${field} must be one of: ${rules.options.map((option) => option.value).join(', ')}.`
+			);
+		}
+		fields[field] = value;
+	}
+
+	const page = await listSubmissions(kv, {
+		cursor: params.get('cursor') || undefined,
+		limit,
+		since,
+		until,
+		status: status || undefined,
+		fields,
+		keyring,
+	});
+
+	return json({ success: true, ...page });
+}
+
+const api = route({ GET: listAdminSubmissions }, {
+	name: 'Admin submissions',
+	allowHeaders: 'Authorization, Content-Type',
+	headers: { 'Cache-Control': 'no-store' },
+});
+
+/** CORS preflight handler for admin submissions endpoint. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** GET handler (see listAdminSubmissions). */
+export const onRequestGet = api.onRequestGet;
@@ -0,0 +1,78 @@
+/**
+ * Attachment upload — Cloudflare Pages Function.
+ *
+ * PUT /api/attachments/:id?type=…&size=…&name=…&expires=…&signature=…
+ * Body: the raw file, with Content-Type matching the signed `type`.
+ *
+ * Only accepts URLs issued by POST /api/attachments: the signature must
+ * match and must not have expired, and the body must be exactly the
+ * signed size. The file is stored at `pending/{id}` until a contact
+ * submission claims it.
+ */
+
+import { ApiError, json, route } from '../../_lib/api.js';
+import { PENDING_PREFIX, verifyUploadUrl } from '../../_lib/attachments.js';
+import { API_ERRORS } from '../../../shared/apiErrors.js';
+
+/**
+ * PUT handler — store an uploaded file.
+ *
+ * Error responses (`code` from API_ERRORS):
+ * - 403: Signature invalid or expired (forbidden)
+ * - 409: Something was already uploaded with this URL (conflict)
+ * - 413: Body larger than the signed size (payload_too_large)
+ * - 400: Content-Type or body size doesn't match the signed values (validation_failed)
+ * - 503: CONTACT_ATTACHMENTS or ATTACHMENT_SIGNING_SECRET not configured
+ * - 500: Internal server error
+ */
+async function storeUpload(context, { log }) {
+	const bucket = context.env?.CONTACT_ATTACHMENTS;
+	const secret = context.env?.ATTACHMENT_SIGNING_SECRET;
+	if (!bucket || !secret) {
+		log.error('CONTACT_ATTACHMENTS or ATTACHMENT_SIGNING_SECRET not configured — rejecting upload');
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	}
+
+	const id = context.params.id;
+	const upload = await verifyUploadUrl(secret, id, new URL(context.request.url).searchParams);
+	if (!upload) throw new ApiError(403, API_ERRORS.FORBIDDEN, 'Upload URL is invalid or has expired.');
+
+	const contentType = (context.request.headers.get('Content-Type') || '').split(';')[0].trim();
+	if (contentType !== upload.type) {
+		throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, `Content-Type must be ${upload.type}.`);
+	}
+
+	// Refuse oversized bodies before reading them
+	const declaredLength = Number(context.request.headers.get('Content-Length'));
+	if (declaredLength > upload.size) {
+		throw new ApiError(413, API_ERRORS.PAYLOAD_TOO_LARGE, 'File is larger than the size it was signed for.');
+	}
+
+	const key = `${PENDING_PREFIX}${id}`;
+	if (await bucket.head(key)) {
+		throw new ApiError(409, API_ERRORS.CONFLICT, 'This upload URL has already been used.');
+	}
+
+	const body = await context.request.arrayBuffer();
+	if (body.byteLength > upload.size) {
+		throw new ApiError(413, API_ERRORS.PAYLOAD_TOO_LARGE, 'File is larger than the size it was signed for.');
+	}
+	if (body.byteLength !== upload.size) {
+		throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, 'File size does not match the size it was signed for.');
+	}
+
+	await bucket.put(key, body, {
+		httpMetadata: { contentType: upload.type },
+		customMetadata: { name: upload.name, uploadedAt: new Date().toISOString() },
+	});
+
+	return json({ success: true, key });
+}
+
+const api = route({ PUT: storeUpload }, { name: 'Attachment upload' });
+
+/** CORS preflight handler for attachment uploads. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** PUT handler (see storeUpload). */
+export const onRequestPut = api.onRequestPut;
@@ -0,0 +1,85 @@
+/**
+ * Attachment upload URLs — Cloudflare Pages Function.
+ *
+ * POST /api/attachments
+ * Body: { "name": "screenshot.png", "type": "image/png", "size": 48213,
+ *         "formToken": "<render token from GET /api/form-token>" }
+ *
+ * Checks the file against shared/attachments.js and returns a signed
+ * upload URL valid for ATTACHMENT_UPLOAD.TTL_SECONDS:
+ *   { success, key, uploadUrl, expiresAt }
+ * PUT the file to `uploadUrl`, then send `key` in the `attachments` array
+ * of POST /api/contact (see _lib/attachments.js for the whole flow).
+ *
+ * No CAPTCHA here — the Turnstile token is single-use and belongs to the
+ * contact submission. Instead the request must carry the contact form's
+ * render token (see _lib/botTraps.js), so URLs are only signed for a page
+ * that loaded the form; without FORM_TOKEN_SECRET that check is off, as it
+ * is for /api/contact. Issuing is rate limited per IP on its own counter,
+ * so it never uses up contact form slots; uploads that are never
+ * submitted expire from `pending/`.
+ */
+
+import { ApiError, json, readJson, route } from '../../_lib/api.js';
+import { checkRateLimit, getClientIP, rateLimitHeaders, retryAfterSeconds } from '../../_lib/rateLimit.js';
+import { ATTACHMENT_UPLOAD, createUploadUrl } from '../../_lib/attachments.js';
+import { BOT_TRAPS, checkFormToken } from '../../_lib/botTraps.js';
+import { FORM_TOKEN_FIELD } from '../../../shared/botTraps.js';
+import { checkAttachment } from '../../../shared/attachments.js';
+import { API_ERRORS } from '../../../shared/apiErrors.js';
+
+/**
+ * POST handler — issue a signed upload URL.
+ *
+ * Error responses (`code` from API_ERRORS):
+ * - 400: Malformed body (invalid_json), an expired render token
+ *   (form_expired), or a file type/size/name the rules don't accept
+ *   (validation_failed)
+ * - 403: Render token missing, forged or too quick (forbidden)
+ * - 429: Upload URL rate limit exceeded
+ * - 503: CONTACT_ATTACHMENTS or ATTACHMENT_SIGNING_SECRET not configured
+ * - 500: Internal server error
+ */
+async function issueUploadUrl(context, { log }) {
+	const secret = context.env?.ATTACHMENT_SIGNING_SECRET;
+	if (!context.env?.CONTACT_ATTACHMENTS || !secret) {
+		log.error('CONTACT_ATTACHMENTS or ATTACHMENT_SIGNING_SECRET not configured — rejecting upload');
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	}
+
+	const body = await readJson(context.request);
+	const formTokenSecret = context.env.FORM_TOKEN_SECRET;
+	const trap = formTokenSecret ? await checkFormToken(formTokenSecret, body[FORM_TOKEN_FIELD]) : null;
+	if (trap === BOT_TRAPS.EXPIRED) {
+		throw new ApiError(400, API_ERRORS.FORM_EXPIRED, 'This form has expired. Please reload the page and try again.');
+	}
+	if (trap) {
+		log.warn('Refused upload URL: bot trap', { trap, ip: getClientIP(context.request) });
+		throw new ApiError(403, API_ERRORS.FORBIDDEN, 'Upload refused.');
+	}
+
+	const file = { name: body.name, type: body.type, size: body.size };
+	const error = checkAttachment(file);
+	if (error) throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, error);
+
+	const clientIP = getClientIP(context.request);
+	const rateLimitCheck = await checkRateLimit(context.env, `attachment_${clientIP}`, ATTACHMENT_UPLOAD.RATE_LIMIT, { log });
+	if (!rateLimitCheck.allowed) {
+		const retryAfter = retryAfterSeconds(rateLimitCheck);
+		throw new ApiError(429, API_ERRORS.RATE_LIMITED, 'Too many uploads. Please try again later.', {
+			details: { retryAfter },
+			headers: { 'Retry-After': String(retryAfter), ...rateLimitHeaders(rateLimitCheck) },
+		});
+	}
+
+	const upload = await createUploadUrl(secret, new URL(context.request.url).origin, file);
+	return json({ success: true, ...upload }, { headers: { 'Cache-Control': 'no-store' } });
+}
+
+const api = route({ POST: issueUploadUrl }, { name: 'Attachment upload URL' });
+
+/** CORS preflight handler for attachment upload URLs. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** POST handler (see issueUploadUrl). */
+export const onRequestPost = api.onRequestPost;
@@ -0,0 +1,39 @@
+/**
+ * Proof-of-work challenge — Cloudflare Pages Function.
+ *
+ * GET /api/challenge → { success, challenge, difficulty, expiresAt }
+ *
+ * Used when CAPTCHA_PROVIDER="pow". The form looks for a nonce whose
+ * SHA-256(`${challenge}:${nonce}`) starts with `difficulty` zero bits and
+ * submits `${challenge}:${nonce}` as `pow-solution` (see _lib/captcha.js).
+ * Issuing costs one HMAC and no storage, so it isn't rate limited.
+ */
+
+import { ApiError, json, route } from '../_lib/api.js';
+import { createPowChallenge, loadPowDifficulty } from '../_lib/captcha.js';
+import { API_ERRORS } from '../../shared/apiErrors.js';
+
+/**
+ * GET handler — issue a signed challenge.
+ *
+ * Error responses:
+ * - 503: POW_SECRET not configured
+ * - 500: Internal server error
+ */
+async function issueChallenge(context, { log }) {
+	const secret = context.env?.POW_SECRET;
+	if (!secret) {
+		log.error('POW_SECRET not configured — rejecting challenge request');
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	}
+
+	return json({ success: true, ...(await createPowChallenge(secret, loadPowDifficulty(context.env))) });
+}
+
+const api = route({ GET: issueChallenge }, { name: 'Challenge', headers: { 'Cache-Control': 'no-store' } });
+
+/** CORS preflight handler for the challenge endpoint. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** GET handler (see issueChallenge). */
+export const onRequestGet = api.onRequestGet;
@@ -0,0 +1,77 @@
+/**
+ * Browser error reports — Cloudflare Pages Function.
+ *
+ * POST /api/client-errors
+ * Body: { "message": "x is undefined", "stack": "…", "source": "route",
+ *         "path": "/projects", "commit": "9f2c…" }
+ * → 204
+ *
+ * Records the report under its fingerprint (see _lib/clientErrors.js),
+ * keeping CLIENT_ERROR_SAMPLE_RATE of reports (all by default) and
+ * writing each group at most once per dedup window. Each IP gets
+ * CLIENT_ERRORS.RATE_LIMIT recorded reports, counted under an HMAC of the
+ * IP keyed with IP_HASH_KEY (reports are refused without it). Sent by
+ * navigator.sendBeacon, so the body may arrive as text/plain and no
+ * response is read.
+ */
+
+import { ApiError, readJson, route } from '../_lib/api.js';
+import { CLIENT_ERRORS, loadSampleRate, normalizeClientError, recordClientError } from '../_lib/clientErrors.js';
+import { checkRateLimit, getClientIP, hashIP, rateLimitHeaders, retryAfterSeconds } from '../_lib/rateLimit.js';
+import { API_ERRORS } from '../../shared/apiErrors.js';
+
+/**
+ * POST handler — record a browser error.
+ *
+ * Error responses (`code` from API_ERRORS):
+ * - 400: Malformed body (invalid_json) or no message (validation_failed)
+ * - 413: Body over 16 KB
+ * - 429: Report rate limit exceeded
+ * - 503: KV binding or IP_HASH_KEY not configured
+ * - 500: Internal server error
+ */
+async function reportClientError(context, { log }) {
+	const kv = context.env?.CONTACT_SUBMISSIONS;
+	if (!kv) throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+
+	const report = normalizeClientError(await readJson(context.request, { maxBytes: CLIENT_ERRORS.MAX_BODY_BYTES }));
+	if (!report) throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, 'message is required.');
+
+	if (Math.random() >= loadSampleRate(context.env)) {
+		return new Response(null, { status: 204 });
+	}
+
+	const ipHash = await hashIP(getClientIP(context.request), context.env.IP_HASH_KEY);
+	if (!ipHash) {
+		log.error('IP_HASH_KEY not configured — client error not recorded');
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	}
+	const rateLimitCheck = await checkRateLimit(context.env, `clienterror_${ipHash}`, CLIENT_ERRORS.RATE_LIMIT, { log });
+	if (!rateLimitCheck.allowed) {
+		const retryAfter = retryAfterSeconds(rateLimitCheck);
+		throw new ApiError(429, API_ERRORS.RATE_LIMITED, 'Rate limit exceeded. Please try again later.', {
+			details: { retryAfter },
+			headers: { 'Retry-After': String(retryAfter), ...rateLimitHeaders(rateLimitCheck) },
+		});
+	}
+
+	const { fingerprint, deduplicated } = await recordClientError(kv, report);
+	if (!deduplicated) {
+		log.warn('Client error', {
+			fingerprint,
+			source: report.source,
+			path: report.path,
+			commit: report.commit,
+			errorMessage: report.message,
+		});
+	}
+	return new Response(null, { status: 204 });
+}
+
+const api = route({ POST: reportClientError }, { name: 'Client error report' });
+
+/** CORS preflight handler for browser error reports. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** POST handler (see reportClientError). */
+export const onRequestPost = api.onRequestPost;
@@ -0,0 +1,70 @@
+/**
+ * Page-view beacon — Cloudflare Pages Function.
+ *
+ * POST /api/collect
+ * Body: { "path": "/projects", "referrer": "https://news.ycombinator.com/" }
+ * → 204
+ *
+ * Counts one view of `path` from the referrer's host for today (see
+ * _lib/analytics.js). Sent by navigator.sendBeacon, so the body arrives as
+ * text/plain and no response is read. Requests with `DNT: 1` are accepted
+ * and not counted, in case a client sends one anyway. Each IP gets
+ * PAGE_VIEWS.RATE_LIMIT beacons, counted under an HMAC of the IP keyed
+ * with IP_HASH_KEY; without that secret beacons are refused rather than
+ * counted under something an IP could be recovered from.
+ */
+
+import { ApiError, readJson, route } from '../_lib/api.js';
+import { PAGE_VIEWS, normalizePageView, recordPageView } from '../_lib/analytics.js';
+import { checkRateLimit, getClientIP, hashIP, rateLimitHeaders, retryAfterSeconds } from '../_lib/rateLimit.js';
+import { API_ERRORS } from '../../shared/apiErrors.js';
+
+/** Beacons are tiny; anything bigger isn't one. */
+const MAX_BEACON_BYTES = 2048;
+
+/**
+ * POST handler — count a page view.
+ *
+ * Error responses (`code` from API_ERRORS):
+ * - 400: Malformed body (invalid_json) or a path that isn't one of the app's routes (validation_failed)
+ * - 413: Body over 2 KB
+ * - 429: Beacon rate limit exceeded
+ * - 503: KV binding or IP_HASH_KEY not configured
+ * - 500: Internal server error
+ */
+async function collectPageView(context, { log }) {
+	if (context.request.headers.get('DNT') === '1') {
+		return new Response(null, { status: 204 });
+	}
+
+	const kv = context.env?.CONTACT_SUBMISSIONS;
+	if (!kv) throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+
+	const view = normalizePageView(await readJson(context.request, { maxBytes: MAX_BEACON_BYTES }));
+	if (!view) throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, 'path must be a route path.');
+
+	const ipHash = await hashIP(getClientIP(context.request), context.env.IP_HASH_KEY);
+	if (!ipHash) {
+		log.error('IP_HASH_KEY not configured — page view not counted');
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	}
+	const rateLimitCheck = await checkRateLimit(context.env, `pageview_${ipHash}`, PAGE_VIEWS.RATE_LIMIT, { log });
+	if (!rateLimitCheck.allowed) {
+		const retryAfter = retryAfterSeconds(rateLimitCheck);
+		throw new ApiError(429, API_ERRORS.RATE_LIMITED, 'Rate limit exceeded. Please try again later.', {
+			details: { retryAfter },
+			headers: { 'Retry-After': String(retryAfter), ...rateLimitHeaders(rateLimitCheck) },
+		});
+	}
+
+	await recordPageView(kv, view);
+	return new Response(null, { status: 204 });
+}
+
+const api = route({ POST: collectPageView }, { name: 'Page view beacon' });
+
+/** CORS preflight handler for the page-view beacon. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** POST handler (see collectPageView). */
+export const onRequestPost = api.onRequestPost;
@@ -2,296 +2,394 @@
  * Contact form handler — Cloudflare Pages Function.
  *
  * Security layers (in execution order):
- * 1. CORS: Origin-restricted cross-origin headers
- * 2. Body parsing: Reject malformed requests without side effects
- * 3. CAPTCHA: Cloudflare Turnstile verification (fail-closed)
- * 4. Input validation: Required fields, types, lengths, email format
- * 5. Rate limiting: 5 submissions per IP per hour (KV-based)
- *    Placed last so invalid/bot requests don't consume rate limit slots.
+ * 1. CORS: Origin-restricted cross-origin headers (see _lib/api.js, which
+ *    also gives every response a request ID and every error a `code`)
+ * 2. Body parsing: a JSON object of at most API.MAX_BODY_BYTES, rejected
+ *    (400/413) without side effects
+ *    Idempotency: a repeated Idempotency-Key replays the saved response
+ *    Bot traps: a filled honeypot field or a missing, forged or too-quick
+ *    render token (see _lib/botTraps.js) is dropped with the normal success
+ *    response and counted in metrics; a stale token gets a 400
+ * 3. CAPTCHA: the CAPTCHA_PROVIDER — Turnstile by default, hCaptcha or
+ *    self-hosted proof-of-work (see _lib/captcha.js) — fail-closed. Each
+ *    token is accepted once; 400s carry a `code` (CAPTCHA_ERRORS) so the
+ *    form can tell an expired token from a failed one
+ * 4. Input validation: shared/contactSchema.js — the same rules the form
+ *    applies client-side, including the optional subject, category and
+ *    any extra fields; 400s carry a per-field `errors` map
+ *    Attachments: keys from POST /api/attachments must name uploads that
+ *    exist in the CONTACT_ATTACHMENTS bucket (see _lib/attachments.js)
+ *    Dedup: the same email + message within DEDUP_WINDOW_MINUTES replays
+ *    the original response instead of storing again
+ * 5. Rate limiting: per IP (5/hour), per email, per /24 or /64 network
+ *    and a global daily cap — configurable via RATE_LIMIT_POLICIES.
+ *    Durable Object sliding window when configured, KV fixed window
+ *    otherwise. Placed after validation so invalid/bot requests don't
+ *    consume rate limit slots.
+ * 6. Spam scoring: links, shorteners, blocklist, repeated characters,
+ *    mixed-script names and recent duplicates (see _lib/spam.js). High
+ *    scores are stored as `spam`, never rejected.
  *
- * Storage: Submissions stored in KV with timestamped UUID keys
+ * Storage: Submissions stored in KV with timestamped UUID keys, starting
+ * in the `new` status — or `spam` when the score reaches the threshold
+ * (see _lib/submissions.js for the lifecycle). Attachments move from
+ * `pending/` to `attachments/{key}/` in R2 and are listed on the record.
+ * The response carries a `statusToken` for the sender's status page
+ * (see _lib/statusTokens.js); Idempotency-Key replays return it again,
+ * dedup replays never include it.
  *
- * Known limitation: KV rate limiting is not atomic (TOCTOU race).
- * Mitigated by placing rate limit after CAPTCHA — concurrent abuse
- * requires solving multiple CAPTCHAs simultaneously.
+ * Notification: After storage the owner is emailed through the configured
+ * mail transport and a `submission.created` event is sent to any
+ * configured webhooks — or only the targets NOTIFY_ROUTES names for the
+ * submission's category (see _lib/routing.js). With
+ * AUTO_REPLY_ENABLED=true the sender also gets a confirmation quoting
+ * their message and linking to its status page (rate limited per
+ * recipient). Submissions scored as spam are not notified. Best-effort —
+ * delivery results are recorded on the submission and never change the
+ * visitor's response.
+ *
+ * Known limitation: the KV rate limit backend and the duplicate checks
+ * are not atomic (TOCTOU race). Mitigated by placing rate limit after
+ * CAPTCHA — concurrent abuse requires solving multiple CAPTCHAs
+ * simultaneously. Set RATE_LIMIT_BACKEND=durable-object to use the atomic
+ * backend instead.
  */
 
-const RATE_LIMIT = {
-	MAX_REQUESTS: 5,
-	WINDOW_HOURS: 1
-};
-
-const MAX_LENGTHS = {
-	name: 100,
-	email: 254,
-	message: 5000
-};
-
-const DEFAULT_ORIGIN = 'https://twistan.com';
+import { ApiError, json, readJson, route } from '../_lib/api.js';
+import { DEFAULT_ORIGIN } from '../_lib/cors.js';
+import { validateFields } from '../../shared/validation.js';
+import { CONTACT_SCHEMA, pickContactFields } from '../../shared/contactSchema.js';
+import {
+	checkRateLimitPolicies,
+	describeRateLimitPolicy,
+	getClientIP,
+	rateLimitHeaders,
+} from '../_lib/rateLimit.js';
+import { loadKeyring } from '../_lib/encryption.js';
+import { loadRetentionPolicy } from '../_lib/retention.js';
+import {
+	createSubmissionKey,
+	createSubmissionRecord,
+	getSubmission,
+	putSubmission,
+	retentionExpiration,
+} from '../_lib/submissions.js';
+import { createStatusToken, saveStatusToken, statusPageUrl } from '../_lib/statusTokens.js';
+import { scoreSubmission } from '../_lib/spam.js';
+import {
+	claimAttachments,
+	findMissingAttachments,
+	releasePendingAttachments,
+	validateAttachmentKeys,
+} from '../_lib/attachments.js';
+import {
+	fingerprintSubmission,
+	getDuplicateResponse,
+	getIdempotencyKey,
+	getIdempotentResponse,
+	hashSubmissionContent,
+	loadDedupWindowMinutes,
+	replayResponse,
+	saveSubmissionResponse,
+} from '../_lib/idempotency.js';
+import { createMailTransport } from '../_lib/mail.js';
+import { notifySubmission } from '../_lib/notify.js';
+import { sendAutoReply } from '../_lib/autoReply.js';
+import { BOT_TRAPS, checkBotTraps } from '../_lib/botTraps.js';
+import { incrementMetric } from '../_lib/metrics.js';
+import { captchaErrorCode, captchaProviderName, createCaptchaProvider } from '../_lib/captcha.js';
+import { CAPTCHA_ERRORS, captchaTokenField } from '../../shared/captcha.js';
+import { API_ERRORS } from '../../shared/apiErrors.js';
+import { createSubmissionEvent, dispatchWebhooks } from '../_lib/webhooks.js';
 
 /**
- * Check whether an Origin header value is allowed.
- * Permits:
- *   - http://localhost (any port)
- *   - https://twistan.com
- *   - https://*.pages.dev  (Cloudflare Pages previews + production)
+ * Run a task after the response when the runtime supports waitUntil,
+ * otherwise (tests, plain Node) await it inline. Task errors are logged,
+ * never rethrown, and the task's log lines are flushed when it settles.
  *
- * @param {string|null} origin
- * @returns {boolean}
+ * @param {object} context - Pages Function context
+ * @param {object} log - Request logger
+ * @param {Promise} task
+ * @returns {Promise<void>}
  */
-function isAllowedOrigin(origin) {
-	if (!origin) return false;
-	try {
-		const url = new URL(origin);
-		if (url.hostname === 'localhost') return true;
-		if (url.protocol === 'https:' && url.hostname.endsWith('twistan.com')) return true;
-		if (url.protocol === 'https:' && url.hostname.endsWith('.pages.dev')) return true;
-		return false;
-	} catch {
-		return false;
+async function runAfterResponse(context, log, task) {
+	const guarded = task
+		.catch((err) => log.error('Background task failed', { error: err }))
+		.finally(() => log.flush());
+	if (typeof context.waitUntil === 'function') {
+		context.waitUntil(guarded);
+	} else {
+		await guarded;
 	}
 }
 
 /**
- * Build CORS headers based on the request Origin.
- * Reflects the origin if it passes the allow-list, otherwise returns
- * the default production origin. Always includes Vary: Origin so
- * CDN caches don't mix up responses for different origins.
+ * Notify the owner (email + webhooks), send the sender's auto-reply, and
+ * record the delivery results on the submission.
  *
- * @param {Request} request
- * @returns {object} CORS + content-type headers
- */
-function getCorsHeaders(request) {
-	const origin = request.headers.get('Origin');
-	return {
-		'Access-Control-Allow-Origin': isAllowedOrigin(origin) ? origin : DEFAULT_ORIGIN,
-		'Content-Type': 'application/json',
-		'Vary': 'Origin',
-	};
-}
-
-/**
- * CORS preflight handler for contact form endpoint.
- */
-export async function onRequestOptions(context) {
-	const origin = context.request.headers.get('Origin');
-	const allowedOrigin = isAllowedOrigin(origin) ? origin : DEFAULT_ORIGIN;
-
-	return new Response(null, {
-		status: 204,
-		headers: {
-			'Access-Control-Allow-Origin': allowedOrigin,
-			'Access-Control-Allow-Methods': 'POST, OPTIONS',
-			'Access-Control-Allow-Headers': 'Content-Type',
-			'Access-Control-Max-Age': '86400',
-			'Vary': 'Origin',
-		},
-	});
-}
-
-/**
- * Check rate limit for given IP address using KV-based hourly buckets.
- * Creates keys with format: ratelimit_{ip}_{hour_timestamp}
- * Keys auto-expire after 1 hour via KV TTL.
+ * Delivery can take a while (webhook retries back off for seconds), and
+ * the owner may change the record or the sender withdraw it meanwhile, so
+ * the results are added to a fresh read of the record — and dropped if it
+ * is gone. KV has no compare-and-swap; a change landing between that read
+ * and the write can still be lost, but the window is one round trip
+ * instead of the whole delivery.
  *
- * @param {object} kv - KV namespace binding
- * @param {string} ip - Client IP address
- * @returns {Promise<{allowed: boolean, remaining: number}>}
+ * @param {object} env - Pages Function env
+ * @param {string} key - KV key of the stored submission
+ * @param {object} record - Stored submission record
+ * @param {object} options
+ * @param {object|null} options.keyring - From loadKeyring(); null stores plaintext
+ * @param {string} [options.statusUrl] - Status page link for the auto-reply
+ * @param {object} options.log - Request logger
+ * @returns {Promise<void>}
  */
-async function checkRateLimit(kv, ip) {
-	if (!kv) return { allowed: true, remaining: RATE_LIMIT.MAX_REQUESTS };
-
-	const now = new Date();
-	const hourTimestamp = new Date(
-		now.getFullYear(),
-		now.getMonth(),
-		now.getDate(),
-		now.getHours()
-	).getTime();
-	const key = `ratelimit_${ip}_${hourTimestamp}`;
+async function deliverNotifications(env, key, record, { keyring, statusUrl, log }) {
+	const transport = createMailTransport(env, log);
+	const [emailResult, webhookResults, autoReplyResult] = await Promise.all([
+		notifySubmission(env, key, record, transport, log),
+		dispatchWebhooks(env, createSubmissionEvent(key, record), { log }),
+		sendAutoReply(env, record, transport, { statusUrl, log }),
+	]);
+	const results = [emailResult, ...webhookResults, autoReplyResult].filter(Boolean);
+	if (results.length === 0 || !env?.CONTACT_SUBMISSIONS) return;
 
-	const currentCount = parseInt(await kv.get(key) || '0', 10);
-
-	if (currentCount >= RATE_LIMIT.MAX_REQUESTS) {
-		return { allowed: false, remaining: 0 };
+	const current = await getSubmission(env.CONTACT_SUBMISSIONS, key, { keyring });
+	if (!current) {
+		log.info('Submission removed before delivery finished — results not recorded', { key });
+		return;
 	}
-
-	await kv.put(key, String(currentCount + 1), {
-		expirationTtl: RATE_LIMIT.WINDOW_HOURS * 3600
-	});
-
-	return { allowed: true, remaining: RATE_LIMIT.MAX_REQUESTS - currentCount - 1 };
+	await putSubmission(env.CONTACT_SUBMISSIONS, key, {
+		...current,
+		notifications: [...(current.notifications || []), ...results],
+	}, { retention: loadRetentionPolicy(env, log), keyring });
 }
 
 /**
  * POST handler for contact form submissions.
  *
  * Flow:
- * 1. Parse request body (reject malformed JSON early, no side effects)
- * 2. Verify Turnstile CAPTCHA (fail-closed if secret key missing)
- * 3. Validate form fields (required, types, lengths, email format)
+ * 1. Parse request body (reject malformed or oversized JSON early, no side
+ *    effects); replay the saved response if the Idempotency-Key was
+ *    already used; silently drop submissions that trip a bot trap
+ * 2. Verify the CAPTCHA with the configured provider (fail-closed if its
+ *    secret is missing)
+ * 3. Validate form fields against CONTACT_SCHEMA and check that any
+ *    attachments were uploaded;
+ *    replay the original response for a recent identical submission
  * 4. Check rate limit (only for validated, human-verified requests)
- * 5. Store submission in KV with timestamped UUID key
- * 6. Return success with rate limit headers
+ * 5. Score for spam
+ * 6. Claim attachments and store submission in KV with timestamped UUID key
+ *    (status `spam` if over threshold), encrypted when keys are configured,
+ *    and index a new status token for it
+ * 7. Notify the owner via email + webhooks and auto-reply to the sender
+ *    unless spam (best-effort, after the response when possible)
+ * 8. Save the response for replays, return success with rate limit
+ *    headers and the status token — spam gets the same response
+ *
+ * Replays carry `Idempotent-Replayed: true`. An Idempotency-Key replay
+ * includes the original status token, so a retry after a dropped
+ * connection doesn't lose the link; a dedup replay doesn't, since anyone
+ * who knows an address and message could trigger one.
+ * Dropped bot submissions get a random token that opens nothing.
  *
- * Error responses:
- * - 429: Rate limit exceeded
- * - 400: CAPTCHA failed or validation error
- * - 503: CAPTCHA verification service unavailable or misconfigured
+ * Error responses (`code` from API_ERRORS):
+ * - 429: Rate limit exceeded (rate_limited; `policy` and X-RateLimit-Policy
+ *   name the policy)
+ * - 400: Body not a JSON object (invalid_json), CAPTCHA missing, failed or
+ *   expired (captcha_*), validation error (validation_failed, `errors`
+ *   maps field → message), missing attachment (attachment_missing),
+ *   expired render token (form_expired) or malformed Idempotency-Key
+ * - 413: Body larger than API.MAX_BODY_BYTES
+ * - 422: Idempotency-Key already used for a different submission
+ * - 503: CAPTCHA verification service unavailable (captcha_unavailable) or
+ *   misconfigured, malformed SUBMISSION_ENCRYPTION_KEYS, or attachments
+ *   sent without a CONTACT_ATTACHMENTS binding (server_misconfigured)
  * - 500: Internal server error
  */
-export async function onRequestPost(context) {
-	const corsHeaders = getCorsHeaders(context.request);
+async function submitContact(context, { log }) {
+	const clientIP = getClientIP(context.request);
 
-	try {
-		const clientIP =
-			context.request.headers.get('CF-Connecting-IP') ||
-			context.request.headers.get('X-Forwarded-For')?.split(',')[0] ||
-			'unknown';
+	/* 1. Parse Body — before any side effects (rate limit writes) */
+	const body = await readJson(context.request);
+	// Normalize now (pure, no side effects); the result is enforced after CAPTCHA
+	const validation = validateFields(CONTACT_SCHEMA, body);
+	const fields = pickContactFields(validation.values);
+	const { email, message } = fields;
+	const attachmentError = validateAttachmentKeys(body.attachments);
+	const attachmentKeys = attachmentError ? [] : body.attachments || [];
+	if (attachmentError) validation.errors.attachments = attachmentError;
+	const kv = context.env?.CONTACT_SUBMISSIONS;
 
-		/* 1. Parse Body — before any side effects (rate limit writes) */
-		const body = await context.request.json();
-		const name = typeof body.name === 'string' ? body.name.trim() : body.name;
-		const email = typeof body.email === 'string' ? body.email.trim() : body.email;
-		const message = typeof body.message === 'string' ? body.message.trim() : body.message;
+	// Malformed encryption keys fail closed rather than storing plaintext
+	const keyring = await loadKeyring(context.env).catch((err) => {
+		log.error('Submission encryption misconfigured — rejecting request', { reason: err.message });
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	});
+
+	/* 1b. Idempotency — checked before CAPTCHA so a retry with a spent token still replays */
+	const idempotency = getIdempotencyKey(context.request);
+	if (!idempotency.valid) {
+		throw new ApiError(400, API_ERRORS.INVALID_IDEMPOTENCY_KEY, 'Invalid Idempotency-Key header.');
+	}
 
-		/* 2. Turnstile CAPTCHA Verification — fail closed */
-		const turnstileToken = body['cf-turnstile-response'];
-		if (!turnstileToken) {
-			return new Response(
-				JSON.stringify({ success: false, error: 'Please complete the CAPTCHA verification.' }),
-				{ status: 400, headers: corsHeaders }
-			);
+	const fingerprint = await fingerprintSubmission({ ...fields, attachments: attachmentKeys });
+	if (idempotency.key && kv) {
+		const saved = await getIdempotentResponse(kv, idempotency.key);
+		if (saved && saved.fingerprint !== fingerprint) {
+			throw new ApiError(422, API_ERRORS.IDEMPOTENCY_KEY_REUSED, 'Idempotency-Key was already used for a different message.');
 		}
+		if (saved) return replayResponse(saved);
+	}
 
-		if (context.env?.TURNSTILE_SECRET_KEY) {
-			try {
-				const verifyResponse = await fetch(
-					'https://challenges.cloudflare.com/turnstile/v0/siteverify',
-					{
-						method: 'POST',
-						headers: { 'Content-Type': 'application/json' },
-						body: JSON.stringify({
-							secret: context.env.TURNSTILE_SECRET_KEY,
-							response: turnstileToken,
-							remoteip: context.request.headers.get('CF-Connecting-IP')
-						})
-					}
-				);
+	/* 1c. Bot Traps — look like success when tripped; the timing check needs a signing secret */
+	const formTokenSecret = context.env?.FORM_TOKEN_SECRET;
+	if (!formTokenSecret) {
+		log.warn('FORM_TOKEN_SECRET not configured — skipping the form timing check');
+	}
+	const trap = await checkBotTraps(formTokenSecret, body);
+	if (trap) {
+		await runAfterResponse(context, log, incrementMetric(kv, `bot_trap_${trap}`, new Date(), log));
+		if (trap === BOT_TRAPS.EXPIRED) {
+			throw new ApiError(400, API_ERRORS.FORM_EXPIRED, 'This form has expired. Please reload the page and try again.');
+		}
+		log.warn('Dropped contact submission: bot trap', { trap, ip: clientIP });
+		return json({ success: true, message: 'Message received.', statusToken: createStatusToken() });
+	}
 
-				const verifyResult = await verifyResponse.json();
+	/* 2. CAPTCHA Verification — fail closed */
+	const captcha = createCaptchaProvider(context.env, log);
+	const captchaToken = body[captchaTokenField(captchaProviderName(context.env))];
+	if (!captchaToken) {
+		throw new ApiError(400, API_ERRORS.CAPTCHA_REQUIRED, 'Please complete the CAPTCHA verification.');
+	}
 
-				if (!verifyResult.success) {
-					console.error('Turnstile verification failed:', verifyResult['error-codes']);
-					return new Response(
-						JSON.stringify({ success: false, error: 'CAPTCHA verification failed. Please try again.' }),
-						{ status: 400, headers: corsHeaders }
-					);
-				}
-			} catch (turnstileError) {
-				console.error('Turnstile verification error:', turnstileError);
-				return new Response(
-					JSON.stringify({ success: false, error: 'Unable to verify CAPTCHA. Please try again later.' }),
-					{ status: 503, headers: corsHeaders }
-				);
-			}
-		} else if (context.env?.SKIP_CAPTCHA === 'true') {
-			console.warn('[DEV] Turnstile verification skipped — SKIP_CAPTCHA=true');
-		} else {
-			// Fail closed: no secret key and no explicit skip flag = reject
-			console.error('TURNSTILE_SECRET_KEY not configured — rejecting request');
-			return new Response(
-				JSON.stringify({ success: false, error: 'Server configuration error.' }),
-				{ status: 503, headers: corsHeaders }
-			);
+	if (captcha) {
+		let verifyResult;
+		try {
+			verifyResult = await captcha.verify(captchaToken, {
+				remoteip: context.request.headers.get('CF-Connecting-IP')
+			});
+		} catch (captchaError) {
+			log.error('CAPTCHA verification error', { provider: captcha.name, error: captchaError });
+			throw new ApiError(503, API_ERRORS.CAPTCHA_UNAVAILABLE, 'Unable to verify CAPTCHA. Please try again later.');
 		}
 
-		/* 3. Form Field Validation */
-		if (!name || !email || !message) {
-			return new Response(
-				JSON.stringify({ success: false, error: 'All fields are required (name, email, message).' }),
-				{ status: 400, headers: corsHeaders }
-			);
+		if (!verifyResult.success) {
+			log.warn('CAPTCHA verification failed', { provider: captcha.name, errorCodes: verifyResult.errorCodes });
+			const code = captchaErrorCode(verifyResult.errorCodes);
+			throw new ApiError(400, code, code === CAPTCHA_ERRORS.EXPIRED
+				? 'CAPTCHA expired. Please complete it again.'
+				: 'CAPTCHA verification failed. Please try again.');
 		}
+	} else if (context.env?.SKIP_CAPTCHA === 'true') {
+		log.warn('[DEV] CAPTCHA verification skipped — SKIP_CAPTCHA=true');
+	} else {
+		// Fail closed: no configured provider and no explicit skip flag = reject
+		log.error('CAPTCHA provider not configured — rejecting request', { provider: captchaProviderName(context.env) });
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	}
 
-		if (typeof name !== 'string' || typeof email !== 'string' || typeof message !== 'string') {
-			return new Response(
-				JSON.stringify({ success: false, error: 'Invalid field types.' }),
-				{ status: 400, headers: corsHeaders }
-			);
-		}
+	/* 3. Form Field Validation */
+	if (Object.keys(validation.errors).length > 0) {
+		throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, Object.values(validation.errors)[0], {
+			details: { errors: validation.errors },
+		});
+	}
 
-		// Length validation
-		for (const [field, max] of Object.entries(MAX_LENGTHS)) {
-			const val = { name, email, message }[field];
-			if (val.length > max) {
-				return new Response(
-					JSON.stringify({ success: false, error: `${field} exceeds ${max} characters.` }),
-					{ status: 400, headers: corsHeaders }
-				);
-			}
+	/* 3a. Attachments — every key must be an upload that exists */
+	const bucket = context.env?.CONTACT_ATTACHMENTS;
+	if (attachmentKeys.length > 0) {
+		if (!bucket) {
+			log.error('Attachments sent but CONTACT_ATTACHMENTS is not bound — rejecting request');
+			throw new ApiError(503, API_ERRORS.MISCONFIGURED);
 		}
-
-		if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-			return new Response(
-				JSON.stringify({ success: false, error: 'Invalid email format.' }),
-				{ status: 400, headers: corsHeaders }
-			);
+		if ((await findMissingAttachments(bucket, attachmentKeys)).length > 0) {
+			const error = 'An attachment was not found or has expired. Please attach it again.';
+			throw new ApiError(400, API_ERRORS.ATTACHMENT_MISSING, error, { details: { errors: { attachments: error } } });
 		}
+	}
 
-		/* 4. Rate Limiting — only for validated, CAPTCHA-verified requests */
-		const rateLimitCheck = await checkRateLimit(context.env?.CONTACT_SUBMISSIONS, clientIP);
-		if (!rateLimitCheck.allowed) {
-			return new Response(
-				JSON.stringify({
-					success: false,
-					error: 'Rate limit exceeded. Please try again later.',
-					retryAfter: RATE_LIMIT.WINDOW_HOURS * 3600
-				}),
-				{
-					status: 429,
-					headers: {
-						...corsHeaders,
-						'Retry-After': String(RATE_LIMIT.WINDOW_HOURS * 3600),
-						'X-RateLimit-Limit': String(RATE_LIMIT.MAX_REQUESTS),
-						'X-RateLimit-Remaining': '0'
-					}
-				}
-			);
-		}
+	/* 3b. Content Dedup — same sender + message within the window */
+	const contentHash = await hashSubmissionContent({ email, message });
+	if (kv) {
+		const duplicate = await getDuplicateResponse(kv, contentHash);
+		if (duplicate) return replayResponse(duplicate);
+	}
 
-		/* 5. Store Submission in KV */
-		const timestamp = new Date().toISOString();
-		const key = `contact_${timestamp}_${crypto.randomUUID()}`;
-		const value = JSON.stringify({
-			name,
-			email,
-			message,
-			submittedAt: timestamp,
+	/* 4. Rate Limiting — only for validated, CAPTCHA-verified requests */
+	const rateLimitCheck = await checkRateLimitPolicies(context.env, { ip: clientIP, email }, { log });
+	if (!rateLimitCheck.allowed) {
+		throw new ApiError(429, API_ERRORS.RATE_LIMITED, describeRateLimitPolicy(rateLimitCheck.policy), {
+			details: { policy: rateLimitCheck.policy, retryAfter: rateLimitCheck.retryAfter },
+			headers: {
+				'Retry-After': String(rateLimitCheck.retryAfter),
+				'X-RateLimit-Policy': rateLimitCheck.policy,
+				...rateLimitHeaders(rateLimitCheck.result)
+			},
 		});
+	}
 
-		if (context.env?.CONTACT_SUBMISSIONS) {
-			await context.env.CONTACT_SUBMISSIONS.put(key, value);
-		} else {
-			console.log('[DEV] Contact submission (no KV):', { key, value });
-		}
+	/* 5. Spam Scoring — flag, don't reject */
+	const spamCheck = await scoreSubmission(context.env, fields, log);
+
+	/* 6. Store Submission in KV */
+	const timestamp = new Date().toISOString();
+	const key = createSubmissionKey(timestamp);
+	const record = {
+		...createSubmissionRecord(fields, timestamp, spamCheck.isSpam ? 'spam' : 'new'),
+		spam: { score: spamCheck.score, threshold: spamCheck.threshold, signals: spamCheck.signals },
+	};
+	if (attachmentKeys.length > 0) {
+		record.attachments = await claimAttachments(bucket, key, attachmentKeys);
+	}
 
-		return new Response(
-			JSON.stringify({ success: true, message: 'Message received.' }),
-			{
-				status: 200,
-				headers: {
-					...corsHeaders,
-					'X-RateLimit-Limit': String(RATE_LIMIT.MAX_REQUESTS),
-					'X-RateLimit-Remaining': String(rateLimitCheck.remaining)
-				}
-			}
-		);
-	} catch (err) {
-		console.error('Contact form error:', err);
-		return new Response(
-			JSON.stringify({ success: false, error: 'Internal server error.' }),
-			{ status: 500, headers: corsHeaders }
-		);
+	let statusToken = null;
+	if (kv) {
+		const retention = loadRetentionPolicy(context.env, log);
+		await putSubmission(kv, key, record, { retention, keyring });
+		statusToken = createStatusToken();
+		await saveStatusToken(kv, statusToken, key, { expiration: retentionExpiration(timestamp, retention) });
+	} else {
+		log.warn('CONTACT_SUBMISSIONS not bound — submission not stored', { key });
 	}
+	if (attachmentKeys.length > 0) {
+		await releasePendingAttachments(bucket, attachmentKeys);
+	}
+
+	/* 7. Owner Notification — failures are recorded, not surfaced */
+	if (!spamCheck.isSpam) {
+		const statusUrl = statusToken ? statusPageUrl(context.env?.SITE_URL || DEFAULT_ORIGIN, statusToken) : undefined;
+		await runAfterResponse(context, log, deliverNotifications(context.env, key, record, { keyring, statusUrl, log }));
+	}
+
+	/* 8. Save for Replays — the status token only under the Idempotency-Key */
+	const result = { success: true, message: 'Message received.' };
+	const response = {
+		status: 200,
+		body: JSON.stringify(result),
+		headers: rateLimitHeaders(rateLimitCheck.result),
+	};
+	if (kv) {
+		await saveSubmissionResponse(kv, {
+			idempotencyKey: idempotency.key,
+			fingerprint,
+			contentHash,
+			dedupWindowMinutes: loadDedupWindowMinutes(context.env, log),
+			response,
+			statusToken,
+		});
+	}
+
+	return json(statusToken ? { ...result, statusToken } : result, { headers: response.headers });
 }
+
+const api = route({ POST: submitContact }, {
+	name: 'Contact form',
+	allowHeaders: 'Content-Type, Idempotency-Key',
+});
+
+/** CORS preflight handler for contact form endpoint. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** POST handler (see submitContact). */
+export const onRequestPost = api.onRequestPost;
@@ -0,0 +1,107 @@
+/**
+ * Visitor submission status — Cloudflare Pages Function.
+ *
+ * GET    /api/contact/:token  → { success, submission } (see visitorView)
+ * DELETE /api/contact/:token  → deletes the submission and its attachments
+ *
+ * The token is the capability returned by POST /api/contact; there is no
+ * other auth (see functions/_lib/statusTokens.js). Unknown, malformed and
+ * already-withdrawn tokens all get the same 404. Responses are never
+ * cached and never leak the token in a Referer.
+ */
+
+import { ApiError, json, route } from '../../_lib/api.js';
+import { loadKeyring } from '../../_lib/encryption.js';
+import { ATTACHMENT_PREFIX } from '../../_lib/attachments.js';
+import { deleteStatusToken, findStatusToken, visitorView } from '../../_lib/statusTokens.js';
+import { getSubmission } from '../../_lib/submissions.js';
+import { API_ERRORS } from '../../../shared/apiErrors.js';
+
+const NOT_FOUND = 'Message not found. It may have been withdrawn or deleted.';
+
+/**
+ * Resolve the route's token to its submission.
+ *
+ * @param {object} context - Pages Function context
+ * @param {object} log - Request logger
+ * @returns {Promise<{kv: object, key: string, record: object}>}
+ * @throws {ApiError} 503 without KV or with malformed encryption keys, 404
+ *   when the token opens nothing
+ */
+async function loadSubmission(context, log) {
+	const kv = context.env?.CONTACT_SUBMISSIONS;
+	if (!kv) {
+		log.error('CONTACT_SUBMISSIONS not configured');
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	}
+	const keyring = await loadKeyring(context.env).catch((err) => {
+		log.error('Submission encryption misconfigured', { reason: err.message });
+		throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+	});
+
+	const key = await findStatusToken(kv, context.params.token);
+	const record = key && await getSubmission(kv, key, { keyring });
+	if (!record) throw new ApiError(404, API_ERRORS.NOT_FOUND, NOT_FOUND);
+	return { kv, key, record };
+}
+
+/**
+ * GET handler — show the sender their submission and its status.
+ *
+ * Error responses (`code` from API_ERRORS):
+ * - 404: Unknown token, or the submission is gone
+ * - 503: KV binding not configured, or malformed encryption keys
+ * - 500: Internal server error
+ */
+async function showSubmission(context, { log }) {
+	const { record } = await loadSubmission(context, log);
+	return json({ success: true, submission: visitorView(record) });
+}
+
+/**
+ * DELETE handler — withdraw the submission: its attachments, the record
+ * and the token go, in that order, so a failure part-way can be retried
+ * with the same link.
+ *
+ * Error responses (`code` from API_ERRORS):
+ * - 404: Unknown token, or the submission is already gone
+ * - 503: KV binding not configured, malformed encryption keys, or the
+ *   submission has attachments but CONTACT_ATTACHMENTS isn't bound
+ * - 500: Internal server error
+ */
+async function withdrawSubmission(context, { log }) {
+	const { kv, key, record } = await loadSubmission(context, log);
+
+	const files = (record.attachments || [])
+		.map((file) => file.key)
+		.filter((fileKey) => fileKey?.startsWith(`${ATTACHMENT_PREFIX}${key}/`));
+	if (files.length > 0) {
+		const bucket = context.env?.CONTACT_ATTACHMENTS;
+		if (!bucket) {
+			log.error('CONTACT_ATTACHMENTS not configured — cannot withdraw a submission with attachments');
+			throw new ApiError(503, API_ERRORS.MISCONFIGURED);
+		}
+		await bucket.delete(files);
+	}
+
+	await kv.delete(key);
+	await deleteStatusToken(kv, context.params.token);
+	log.info('Submission withdrawn by its sender', { key });
+
+	return json({ success: true, message: 'Your message has been deleted.' });
+}
+
+const api = route({ GET: showSubmission, DELETE: withdrawSubmission }, {
+	name: 'Submission status',
+	// Never cached, and the token never leaks in a Referer
+	headers: { 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' },
+});
+
+/** CORS preflight handler for the status endpoint. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** GET handler (see showSubmission). */
+export const onRequestGet = api.onRequestGet;
+
+/** DELETE handler (see withdrawSubmission). */
+export const onRequestDelete = api.onRequestDelete;
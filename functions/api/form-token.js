@@ -0,0 +1,42 @@
+/**
+ * Contact form render token — Cloudflare Pages Function.
+ *
+ * GET /api/form-token → { success, token }
+ * GET /api/form-token?token=<current> → { success, token } (refresh)
+ *
+ * The form fetches this when it mounts and sends the token back with the
+ * submission, so /api/contact can tell how long the form was open (see
+ * _lib/botTraps.js). When refreshing, the form passes its current token
+ * and the new one keeps its render time. Costs at most two HMACs and no
+ * storage, so it isn't rate limited. Without FORM_TOKEN_SECRET it issues
+ * an unsigned placeholder and /api/contact skips the timing check.
+ */
+
+import { json, route } from '../_lib/api.js';
+import { UNSIGNED_FORM_TOKEN, renewFormToken } from '../_lib/botTraps.js';
+
+/**
+ * GET handler — issue a render token, carrying over the render time of
+ * a valid `token` query parameter.
+ *
+ * Error responses:
+ * - 500: Internal server error
+ */
+async function issueFormToken(context, { log }) {
+	const secret = context.env?.FORM_TOKEN_SECRET;
+	if (!secret) {
+		log.warn('FORM_TOKEN_SECRET not configured — issuing an unsigned form token');
+		return json({ success: true, token: UNSIGNED_FORM_TOKEN });
+	}
+
+	const previous = new URL(context.request.url).searchParams.get('token');
+	return json({ success: true, token: await renewFormToken(secret, previous) });
+}
+
+const api = route({ GET: issueFormToken }, { name: 'Form token', headers: { 'Cache-Control': 'no-store' } });
+
+/** CORS preflight handler for the form token endpoint. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** GET handler (see issueFormToken). */
+export const onRequestGet = api.onRequestGet;
@@ -1,15 +1,68 @@
 /**
  * Health check endpoint — Cloudflare Pages Function.
+ *
+ * GET /api/health → { status: "ok", timestamp, build }
+ *
+ * GET /api/health?deep=1 also checks what /api/contact depends on (see
+ * _lib/health.js) and answers with the overall status's HTTP code:
+ *   { status: "ok" | "degraded" | "down", timestamp, build, checks }
+ *
+ * `build` is the deployed build's { version, commit, builtAt }.
+ *
+ * The endpoint is public, so deep results are kept in the Cache API for
+ * HEALTH.CACHE_SECONDS and repeat requests in that window get the same
+ * answer (its `timestamp` says when the checks ran) without touching KV or
+ * the mail API again.
  */
-export async function onRequestGet() {
-	return new Response(
-		JSON.stringify({
-			status: 'ok',
-			timestamp: new Date().toISOString(),
-		}),
-		{
-			status: 200,
-			headers: { 'Content-Type': 'application/json' },
-		}
-	);
+
+import { json, route } from '../_lib/api.js';
+import { loadBuildInfo } from '../_lib/buildInfo.js';
+import { HEALTH, runHealthChecks } from '../_lib/health.js';
+
+/**
+ * Run the deep checks, or reuse a result cached in the last
+ * HEALTH.CACHE_SECONDS.
+ *
+ * @param {object} context - Pages Function context
+ * @param {object} build - From loadBuildInfo()
+ * @param {object} log - Request logger
+ * @returns {Promise<Response>}
+ */
+async function deepHealth(context, build, log) {
+	const cache = globalThis.caches?.default;
+	const cacheKey = new URL('/api/health?deep=1', context.request.url).href;
+	const cached = await cache?.match(cacheKey);
+	if (cached) return json(await cached.json(), { status: cached.status, headers: { 'Cache-Control': 'no-store' } });
+
+	const { status, checks } = await runHealthChecks(context.env, { log });
+	const result = { status, timestamp: new Date().toISOString(), build, checks };
+	if (cache) {
+		const stored = cache.put(cacheKey, json(result, {
+			status: HEALTH.HTTP_STATUS[status],
+			headers: { 'Cache-Control': `max-age=${HEALTH.CACHE_SECONDS}` },
+		}));
+		if (context.waitUntil) context.waitUntil(stored);
+		else await stored;
+	}
+	return json(result, { status: HEALTH.HTTP_STATUS[status], headers: { 'Cache-Control': 'no-store' } });
+}
+
+/**
+ * GET handler — report that the Functions runtime is up, and with `deep`
+ * whether its dependencies are.
+ */
+async function checkHealth(context, { log }) {
+	const build = await loadBuildInfo(context.env, context.request, log);
+	if (new URL(context.request.url).searchParams.get('deep') === '1') {
+		return deepHealth(context, build, log);
+	}
+	return json({ status: 'ok', timestamp: new Date().toISOString(), build });
 }
+
+const api = route({ GET: checkHealth }, { name: 'Health check' });
+
+/** CORS preflight handler for the health endpoint. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** GET handler (see checkHealth). */
+export const onRequestGet = api.onRequestGet;
@@ -0,0 +1,26 @@
+/**
+ * Deployed version — Cloudflare Pages Function.
+ *
+ * GET /api/version → { success, version, commit, builtAt }
+ *
+ * Which build is live, from the metadata the Vite build stamps into
+ * dist/build.json. Fields are null when Functions run without a build.
+ */
+
+import { json, route } from '../_lib/api.js';
+import { loadBuildInfo } from '../_lib/buildInfo.js';
+
+/**
+ * GET handler — report the deployed build.
+ */
+async function showVersion(context, { log }) {
+	return json({ success: true, ...(await loadBuildInfo(context.env, context.request, log)) });
+}
+
+const api = route({ GET: showVersion }, { name: 'Version', headers: { 'Cache-Control': 'no-store' } });
+
+/** CORS preflight handler for the version endpoint. */
+export const onRequestOptions = api.onRequestOptions;
+
+/** GET handler (see showVersion). */
+export const onRequestGet = api.onRequestGet;
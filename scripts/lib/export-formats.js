@@ -0,0 +1,166 @@
+/**
+ * Export formats for contact submissions (see scripts/submissions.js).
+ *
+ * Each formatter takes `{ key, ...record }` objects, oldest first, and
+ * returns the whole file as a string:
+ *   json — the records as stored, plus their key (also the backup format)
+ *   csv  — one row per submission, one column per CONTACT_SCHEMA field
+ *   mbox — one message per submission, for mail clients (mboxrd)
+ *   md   — a readable report
+ */
+
+import { CONTACT_SCHEMA } from '../../shared/contactSchema.js';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'mbox', 'md'];
+
+/** Domain used for Message-ID headers in mbox exports. */
+const MESSAGE_ID_DOMAIN = 'twistan.com';
+
+/**
+ * @param {object[]} submissions
+ * @returns {string}
+ */
+function toJson(submissions) {
+	return `${JSON.stringify(submissions, null, 2)}\n`;
+}
+
+/**
+ * Quote a CSV cell (RFC 4180). Cells starting with a formula character
+ * get a leading apostrophe so spreadsheets show them as text instead of
+ * running them.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+	let text = value === undefined || value === null ? '' : String(value);
+	if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {object[]} submissions
+ * @returns {string}
+ */
+function toCsv(submissions) {
+	const columns = ['key', 'submittedAt', 'status', ...Object.keys(CONTACT_SCHEMA), 'attachments', 'spamScore'];
+	const rows = submissions.map((submission) => columns.map((column) => {
+		if (column === 'attachments') return (submission.attachments || []).map((file) => file.name).join('; ');
+		if (column === 'spamScore') return submission.spam?.score;
+		return submission[column];
+	}));
+	return [columns, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * A header value on one line, RFC 2047-encoded if it isn't plain ASCII.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function mailHeader(value) {
+	const text = String(value ?? '').replace(/[\r\n]+/g, ' ');
+	if (/^[\x20-\x7e]*$/.test(text)) return text;
+	return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * `"Name" <email>` with the name quoted or encoded.
+ *
+ * @param {object} submission
+ * @returns {string}
+ */
+function mailAddress(submission) {
+	const email = String(submission.email || '').replace(/[\s<>]/g, '');
+	const name = String(submission.name || '').replace(/[\r\n"\\]+/g, ' ').trim();
+	if (!name) return `<${email}>`;
+	return /^[\x20-\x7e]*$/.test(name) ? `"${name}" <${email}>` : `${mailHeader(name)} <${email}>`;
+}
+
+/**
+ * The date format of mbox "From " lines, e.g. `Sat Feb 14 15:30:00 2026` (UTC).
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function asctime(date) {
+	const [weekday, day, month, year, time] = date.toUTCString().replace(',', '').split(' ');
+	return `${weekday} ${month} ${day} ${time} ${year}`;
+}
+
+/**
+ * @param {object[]} submissions
+ * @returns {string}
+ */
+function toMbox(submissions) {
+	return submissions.map((submission) => {
+		const date = new Date(submission.submittedAt);
+		const sender = String(submission.email || 'unknown').replace(/\s/g, '');
+		const subject = submission.subject || `Contact form message from ${submission.name || sender}`;
+		const headers = [
+			`From ${sender} ${asctime(date)}`,
+			`From: ${mailAddress(submission)}`,
+			`Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+			`Subject: ${mailHeader(subject)}`,
+			`Message-ID: <${submission.key}@${MESSAGE_ID_DOMAIN}>`,
+			`X-Submission-Key: ${submission.key}`,
+			`X-Submission-Status: ${submission.status}`,
+		];
+		if (submission.category) headers.push(`X-Submission-Category: ${mailHeader(submission.category)}`);
+		headers.push('MIME-Version: 1.0', 'Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: 8bit');
+
+		// mboxrd: lines that look like "From " (after any '>') get one more '>'
+		const body = String(submission.message || '')
+			.replace(/\r\n?/g, '\n')
+			.split('\n')
+			.map((line) => (/^>*From /.test(line) ? `>${line}` : line))
+			.join('\n');
+		return `${headers.join('\n')}\n\n${body}\n`;
+	}).join('\n');
+}
+
+/**
+ * @param {object[]} submissions
+ * @returns {string}
+ */
+function toMarkdown(submissions) {
+	const sections = submissions.map((submission) => {
+		const title = submission.subject || `Message from ${submission.name}`;
+		const details = [
+			['From', `${submission.name} <${submission.email}>`],
+			['Sent', submission.submittedAt],
+			['Status', submission.status],
+			...Object.entries(CONTACT_SCHEMA)
+				.filter(([field]) => !['name', 'email', 'subject', 'message'].includes(field) && submission[field])
+				.map(([field, rules]) => [rules.label, submission[field]]),
+			['Attachments', (submission.attachments || []).map((file) => file.name).join(', ')],
+			['Key', `\`${submission.key}\``],
+		].filter(([, value]) => value);
+
+		const quoted = String(submission.message || '').split(/\r?\n/).map((line) => `> ${line}`.trimEnd()).join('\n');
+		return [
+			`## ${title.replace(/[\r\n]+/g, ' ')}`,
+			'',
+			...details.map(([label, value]) => `- **${label}:** ${String(value).replace(/[\r\n]+/g, ' ')}`),
+			'',
+			quoted,
+		].join('\n');
+	});
+
+	return [`# Contact submissions (${submissions.length})`, ...sections].join('\n\n') + '\n';
+}
+
+const FORMATTERS = { json: toJson, csv: toCsv, mbox: toMbox, md: toMarkdown };
+
+/**
+ * Render submissions in one of EXPORT_FORMATS.
+ *
+ * @param {object[]} submissions - `{ key, ...record }`, oldest first
+ * @param {string} format
+ * @returns {string}
+ */
+export function formatSubmissions(submissions, format) {
+	const formatter = FORMATTERS[format];
+	if (!formatter) throw new Error(`Unknown format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+	return formatter(submissions);
+}
@@ -0,0 +1,122 @@
+/**
+ * KV access for Node scripts, shaped like a Workers KV binding
+ * (`list`/`get`/`put`/`delete`) so the helpers in functions/_lib work
+ * on it unchanged.
+ *
+ * Two backends:
+ *   remote — the Cloudflare REST API, with CLOUDFLARE_ACCOUNT_ID and
+ *            CLOUDFLARE_API_TOKEN (a token with "Workers KV Storage: Edit")
+ *   local  — the on-disk state `npm run preview` keeps, opened through
+ *            Miniflare (installed with wrangler)
+ */
+
+import { resolve } from 'node:path';
+
+/** The CONTACT_SUBMISSIONS namespace from wrangler.toml. */
+export const DEFAULT_NAMESPACE_ID = '99b1efa188d544c78cff0a633c22d6df';
+
+/** Where `wrangler pages dev` persists local state by default. */
+export const DEFAULT_PERSIST_DIR = '.wrangler/state';
+
+const API_BASE = 'https://api.cloudflare.com/client/v4';
+
+/** Requests in flight at once, well inside the API's rate limit. */
+const MAX_CONCURRENT_REQUESTS = 6;
+
+/**
+ * KV binding backed by the Cloudflare REST API.
+ *
+ * @param {object} options
+ * @param {string} options.accountId
+ * @param {string} options.namespaceId
+ * @param {string} options.apiToken
+ * @param {function} [options.fetch] - fetch implementation (for tests)
+ * @returns {{list: function, get: function, put: function, delete: function}}
+ */
+export function createRestKV({ accountId, namespaceId, apiToken, fetch = globalThis.fetch }) {
+	const base = `${API_BASE}/accounts/${accountId}/storage/kv/namespaces/${namespaceId}`;
+	let active = 0;
+	const waiting = [];
+
+	/** fetch() with at most MAX_CONCURRENT_REQUESTS in flight. */
+	async function request(method, path, { body, allowNotFound = false } = {}) {
+		if (active >= MAX_CONCURRENT_REQUESTS) await new Promise((resolveSlot) => waiting.push(resolveSlot));
+		active++;
+		try {
+			const response = await fetch(`${base}${path}`, {
+				method,
+				headers: { Authorization: `Bearer ${apiToken}` },
+				body,
+			});
+			if (allowNotFound && response.status === 404) return null;
+			if (!response.ok) {
+				const data = await response.json().catch(() => ({}));
+				const reason = data.errors?.[0]?.message || response.statusText;
+				throw new Error(`Cloudflare API ${method} ${path.split('?')[0]} failed (${response.status}): ${reason}`);
+			}
+			return response;
+		} finally {
+			active--;
+			waiting.shift()?.();
+		}
+	}
+
+	const valuePath = (key) => `/values/${encodeURIComponent(key)}`;
+
+	return {
+		async list({ prefix = '', cursor, limit = 1000 } = {}) {
+			// The API accepts 10–1000 keys per page
+			const params = new URLSearchParams({ prefix, limit: String(Math.min(Math.max(limit, 10), 1000)) });
+			if (cursor) params.set('cursor', cursor);
+			const data = await (await request('GET', `/keys?${params}`)).json();
+			const next = data.result_info?.cursor || null;
+			return { keys: data.result, list_complete: !next, cursor: next || undefined };
+		},
+		async get(key, options) {
+			const response = await request('GET', valuePath(key), { allowNotFound: true });
+			if (!response) return null;
+			const type = typeof options === 'string' ? options : options?.type;
+			return type === 'json' ? response.json() : response.text();
+		},
+		async put(key, value, { expiration, expirationTtl, metadata } = {}) {
+			const params = new URLSearchParams();
+			if (expiration) params.set('expiration', String(expiration));
+			if (expirationTtl) params.set('expiration_ttl', String(expirationTtl));
+			const query = params.toString() ? `?${params}` : '';
+
+			// Metadata can only be sent alongside the value as multipart form data
+			let body = value;
+			if (metadata !== undefined) {
+				body = new FormData();
+				body.set('value', value);
+				body.set('metadata', JSON.stringify(metadata));
+			}
+			await request('PUT', `${valuePath(key)}${query}`, { body });
+		},
+		async delete(key) {
+			await request('DELETE', valuePath(key), { allowNotFound: true });
+		},
+	};
+}
+
+/**
+ * KV binding over local wrangler/Miniflare state.
+ *
+ * @param {object} options
+ * @param {string} options.namespaceId
+ * @param {string} [options.persistTo] - Same as `wrangler pages dev --persist-to`
+ * @returns {Promise<{kv: object, close: function(): Promise<void>}>}
+ */
+export async function openLocalKV({ namespaceId, persistTo = DEFAULT_PERSIST_DIR }) {
+	const { Miniflare } = await import('miniflare');
+	const mf = new Miniflare({
+		modules: true,
+		script: 'export default { fetch: () => new Response(null, { status: 404 }) };',
+		kvNamespaces: { CONTACT_SUBMISSIONS: namespaceId },
+		kvPersist: resolve(persistTo, 'v3', 'kv'),
+	});
+	return {
+		kv: await mf.getKVNamespace('CONTACT_SUBMISSIONS'),
+		close: () => mf.dispose(),
+	};
+}
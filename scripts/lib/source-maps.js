@@ -0,0 +1,117 @@
+/**
+ * Reading source maps (v3) for the symbolication CLI — just enough to
+ * map a generated line and column back to its source, with no
+ * dependencies.
+ *
+ * Vite writes the maps next to the bundles and vite.config.js moves them
+ * to sourcemaps/, keeping their paths: sourcemaps/assets/index-abc.js.map
+ * is the map of dist/assets/index-abc.js.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join, posix, relative, sep } from 'node:path';
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decode one segment's base64 VLQ values.
+ *
+ * @param {string} segment
+ * @returns {number[]}
+ */
+function decodeVLQ(segment) {
+	const values = [];
+	let value = 0;
+	let shift = 0;
+	for (const char of segment) {
+		const digit = BASE64.indexOf(char);
+		if (digit === -1) throw new Error(`Invalid source map mapping character "${char}"`);
+		value += (digit & 31) << shift;
+		if (digit & 32) {
+			shift += 5;
+		} else {
+			values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+			value = 0;
+			shift = 0;
+		}
+	}
+	return values;
+}
+
+/**
+ * Decode a map's `mappings` into absolute positions.
+ *
+ * @param {string} mappings
+ * @returns {Array<Array<number[]>>} Per generated line (0-based), its
+ *   segments as [column, sourceIndex, sourceLine, sourceColumn] (all
+ *   0-based), sorted by column; segments without a source are dropped
+ */
+export function decodeMappings(mappings) {
+	const lines = [];
+	let sourceIndex = 0;
+	let sourceLine = 0;
+	let sourceColumn = 0;
+	for (const line of mappings.split(';')) {
+		const segments = [];
+		let column = 0;
+		for (const segment of line.split(',')) {
+			if (!segment) continue;
+			const values = decodeVLQ(segment);
+			column += values[0];
+			if (values.length < 4) continue;
+			sourceIndex += values[1];
+			sourceLine += values[2];
+			sourceColumn += values[3];
+			segments.push([column, sourceIndex, sourceLine, sourceColumn]);
+		}
+		lines.push(segments);
+	}
+	return lines;
+}
+
+/**
+ * Wrap a parsed source map for lookups.
+ *
+ * @param {object} map - Parsed .map JSON
+ * @param {string} file - The generated file's path relative to dist/, e.g. `assets/index-abc.js`
+ * @returns {{originalPositionFor: function(number, number): ({source: string, line: number, column: number}|null)}}
+ *   Takes and returns 1-based lines and columns, as stack traces print them;
+ *   `source` is relative to the project root
+ */
+export function createSourceMap(map, file) {
+	const lines = decodeMappings(map.mappings);
+	// Sources are relative to where the map was written, next to the bundle in dist/
+	const base = posix.join('dist', posix.dirname(file), map.sourceRoot || '');
+	const sources = map.sources.map((source) => posix.normalize(posix.join(base, source)));
+
+	return {
+		originalPositionFor(line, column) {
+			const segments = lines[line - 1] || [];
+			let found = null;
+			for (const segment of segments) {
+				if (segment[0] > column - 1) break;
+				found = segment;
+			}
+			if (!found) return null;
+			return { source: sources[found[1]], line: found[2] + 1, column: found[3] + 1 };
+		},
+	};
+}
+
+/**
+ * Load every map under a directory.
+ *
+ * @param {string} dir - e.g. sourcemaps/
+ * @returns {Promise<Map<string, object>>} Generated file (relative to dist/) → createSourceMap() result
+ */
+export async function loadSourceMaps(dir) {
+	const maps = new Map();
+	const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+	for (const entry of entries) {
+		if (!entry.isFile() || !entry.name.endsWith('.map')) continue;
+		const path = join(entry.parentPath ?? entry.path, entry.name);
+		const file = relative(dir, path).split(sep).join('/').slice(0, -'.map'.length);
+		maps.set(file, createSourceMap(JSON.parse(await readFile(path, 'utf8')), file));
+	}
+	return maps;
+}
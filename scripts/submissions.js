@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+/**
+ * Contact submission CLI — list, export, delete and count the submissions
+ * in the CONTACT_SUBMISSIONS KV namespace.
+ *
+ * Talks to production KV through the Cloudflare REST API (set
+ * CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN) or, with --local, to the
+ * data `npm run preview` keeps in .wrangler/state.
+ *
+ * Usage:
+ *   npm run submissions -- <command> [options]
+ *
+ *   list                       One line per submission
+ *   export --format <fmt>      json (default), csv, mbox or md; --out <file> to write a file
+ *   stats                      Counts by status, category and month
+ *   delete --older-than <age>  e.g. 90d or 12h
+ *   delete --key <key>         Repeatable
+ *   encrypt                    Encrypt plaintext records, re-wrap old-key ones
+ *
+ * Filters (all commands): --since <date> --until <date> --status <status> --category <value>
+ * Delete: --dry-run shows what would go; otherwise the submissions are
+ * first written to --backup <file> (default backups/submissions-<time>.json)
+ * and nothing is deleted unless that backup reads back intact. This script
+ * has no R2 access, so it prints the commands that remove the deleted
+ * submissions' attachments.
+ * Exports and backups hold decrypted personal data: they are created
+ * readable by the owner only and never overwrite an existing file.
+ * Backend: --local [--persist-to <dir>], --namespace-id <id>
+ *
+ * Encrypted records are decrypted with SUBMISSION_ENCRYPTION_KEYS (and
+ * SUBMISSION_ENCRYPTION_KEY_ID) from the environment, the same values the
+ * Pages project uses; see functions/_lib/encryption.js.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { ATTACHMENT_PREFIX } from '../functions/_lib/attachments.js';
+import { encryptRecord, isEncryptedRecord, loadKeyring, rewrapRecord } from '../functions/_lib/encryption.js';
+import {
+	MAX_PAGE_SIZE,
+	SUBMISSION_PREFIX,
+	getSubmission,
+	listSubmissions,
+	parseSubmissionKey,
+} from '../functions/_lib/submissions.js';
+import { EXPORT_FORMATS, formatSubmissions } from './lib/export-formats.js';
+import { DEFAULT_NAMESPACE_ID, createRestKV, openLocalKV } from './lib/kv-store.js';
+
+export const COMMANDS = ['list', 'export', 'stats', 'delete', 'encrypt'];
+
+/** `bucket_name` of the CONTACT_ATTACHMENTS binding in wrangler.toml. */
+const ATTACHMENT_BUCKET = 'twistan-contact-attachments';
+
+/** For files holding decrypted submissions: owner-only, never over an existing file. */
+const PRIVATE_FILE = { flag: 'wx', mode: 0o600 };
+
+const OPTIONS = {
+	format: { type: 'string', default: 'json' },
+	out: { type: 'string' },
+	since: { type: 'string' },
+	until: { type: 'string' },
+	status: { type: 'string' },
+	category: { type: 'string' },
+	'older-than': { type: 'string' },
+	key: { type: 'string', multiple: true, default: [] },
+	'dry-run': { type: 'boolean', default: false },
+	backup: { type: 'string' },
+	local: { type: 'boolean', default: false },
+	'persist-to': { type: 'string' },
+	'namespace-id': { type: 'string' },
+	help: { type: 'boolean', short: 'h', default: false },
+};
+
+const USAGE = `Usage: npm run submissions -- <command> [options]
+
+Commands:
+  list                        One line per submission
+  export [--format json|csv|mbox|md] [--out <file>]
+  stats                       Counts by status, category and month
+  delete --older-than <age>   Delete submissions older than e.g. 90d or 12h
+  delete --key <key>          Delete one submission (repeatable)
+  encrypt [--dry-run]         Encrypt plaintext submissions and re-wrap those
+                              under older keys with the current one (ignores filters)
+
+Filters:
+  --since <date>  --until <date>  --status <status>  --category <value>
+
+Delete:
+  --dry-run        Show what would be deleted, change nothing
+  --backup <file>  Where to save the backup taken before deleting
+                   (default backups/submissions-<time>.json)
+
+Backend (default: Cloudflare API with CLOUDFLARE_ACCOUNT_ID + CLOUDFLARE_API_TOKEN):
+  --local [--persist-to <dir>]   Local preview data (default .wrangler/state)
+  --namespace-id <id>            KV namespace (default from wrangler.toml)
+
+Encrypted submissions are read with SUBMISSION_ENCRYPTION_KEYS and
+SUBMISSION_ENCRYPTION_KEY_ID from the environment.
+`;
+
+/**
+ * Split argv into a command and its options.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string|undefined, values: object}}
+ */
+export function parseCommand(argv) {
+	const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+	if (positionals.length > 1) throw new Error(`Unexpected argument "${positionals[1]}"`);
+	return { command: positionals[0], values };
+}
+
+/**
+ * A --since/--until value as an ISO bound. Plain dates cover the whole
+ * day (UTC): --since from its start, --until to its end.
+ *
+ * @param {string} [value]
+ * @param {string} flag - For the error message
+ * @param {boolean} endOfDay
+ * @returns {string|undefined}
+ */
+function parseDateBound(value, flag, endOfDay) {
+	if (!value) return undefined;
+	const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+	const date = new Date(dateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+	if (Number.isNaN(date.getTime())) throw new Error(`--${flag} must be a date like 2026-02-14, got "${value}"`);
+	return date.toISOString();
+}
+
+/**
+ * Parse an age like `90d`, `2w` or `12h`.
+ *
+ * @param {string} value
+ * @returns {number} Milliseconds
+ */
+export function parseAge(value) {
+	const match = /^(\d+)([hdw])$/.exec(value || '');
+	if (!match) throw new Error(`--older-than must look like 90d, 2w or 12h, got "${value}"`);
+	const hours = { h: 1, d: 24, w: 24 * 7 }[match[2]];
+	return Number(match[1]) * hours * 60 * 60 * 1000;
+}
+
+/**
+ * Every submission matching the filters, oldest first.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {object} filters - listSubmissions options (since, until, status, fields)
+ * @returns {Promise<object[]>}
+ * @throws {Error} When a record is encrypted with a key the keyring doesn't have —
+ *   an export or bulk delete that silently left records out would be worse
+ */
+export async function collectSubmissions(kv, filters) {
+	const submissions = [];
+	let cursor;
+	do {
+		const page = await listSubmissions(kv, { ...filters, cursor, limit: MAX_PAGE_SIZE });
+		const [missing] = page.undecryptable;
+		if (missing) throw new Error(`Record is encrypted with key "${missing.kid}", which is not configured (${missing.key})`);
+		submissions.push(...page.submissions);
+		cursor = page.cursor;
+	} while (cursor);
+	return submissions;
+}
+
+/**
+ * Bring every stored submission under the keyring's current key:
+ * plaintext records are encrypted, records wrapped with an older key get
+ * their data key re-wrapped. Expirations and metadata are kept.
+ *
+ * @param {object} kv - KV namespace binding
+ * @param {object} keyring - From loadKeyring()
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Count without writing
+ * @param {Date} [options.now]
+ * @param {function(string, string): void} [options.onChange] - Called with
+ *   ('encrypted'|'rewrapped', key) for each record changed
+ * @returns {Promise<{encrypted: number, rewrapped: number, current: number}>}
+ */
+export async function migrateEncryption(kv, keyring, { dryRun = false, now = new Date(), onChange = () => {} } = {}) {
+	const counts = { encrypted: 0, rewrapped: 0, current: 0 };
+	// KV rejects expirations less than a minute away
+	const minExpiration = Math.ceil(now.getTime() / 1000) + 60;
+	let cursor;
+	do {
+		const page = await kv.list({ prefix: SUBMISSION_PREFIX, cursor });
+		for (const { name, expiration, metadata } of page.keys) {
+			if (!parseSubmissionKey(name)) continue;
+			const raw = await kv.get(name);
+			if (!raw) continue;
+
+			const stored = JSON.parse(raw);
+			let change;
+			if (!isEncryptedRecord(stored)) change = 'encrypted';
+			else if (stored.enc.kid !== keyring.currentId) change = 'rewrapped';
+			if (!change) {
+				counts.current++;
+				continue;
+			}
+
+			if (!dryRun) {
+				const value = change === 'encrypted'
+					? await encryptRecord(keyring, name, stored)
+					: await rewrapRecord(keyring, stored);
+				const options = {};
+				if (expiration) options.expiration = Math.max(expiration, minExpiration);
+				if (metadata) options.metadata = metadata;
+				await kv.put(name, JSON.stringify(value), options);
+			}
+			counts[change]++;
+			onChange(change, name);
+		}
+		cursor = page.list_complete ? null : page.cursor;
+	} while (cursor);
+	return counts;
+}
+
+/**
+ * One `list` line: key, status, category, sender and subject (or the
+ * start of the message).
+ *
+ * @param {object} submission
+ * @returns {string}
+ */
+function describeSubmission(submission) {
+	const topic = submission.subject || String(submission.message || '').replace(/\s+/g, ' ').slice(0, 60);
+	return [
+		submission.key,
+		submission.status.padEnd(8),
+		(submission.category || '-').padEnd(8),
+		submission.anonymizedAt ? `(anonymized ${submission.anonymizedAt.slice(0, 10)})` : `${submission.name} <${submission.email}>`,
+		topic,
+	].join('  ');
+}
+
+/**
+ * `name count, name count` sorted by count, then name.
+ *
+ * @param {string[]} values
+ * @returns {string}
+ */
+function countBy(values) {
+	const counts = new Map();
+	for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+	return [...counts]
+		.sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+		.map(([value, count]) => `${value} ${count}`)
+		.join(', ');
+}
+
+/**
+ * @param {object[]} submissions
+ * @returns {string[]} Lines for `stats`
+ */
+function describeStats(submissions) {
+	if (submissions.length === 0) return ['Submissions: 0'];
+	const files = submissions.flatMap((s) => s.attachments || []);
+	const first = submissions[0].submittedAt.slice(0, 10);
+	const last = submissions[submissions.length - 1].submittedAt.slice(0, 10);
+	return [
+		`Submissions:  ${submissions.length} (${first} → ${last})`,
+		`By status:    ${countBy(submissions.map((s) => s.status))}`,
+		`By category:  ${countBy(submissions.map((s) => s.category || '(none)'))}`,
+		`By month:     ${countBy(submissions.map((s) => s.submittedAt.slice(0, 7)))}`,
+		`Attachments:  ${files.length} file(s) on ${submissions.filter((s) => s.attachments?.length).length} submission(s)`,
+	];
+}
+
+/**
+ * Write submissions to a new JSON file and read it back. Throws unless
+ * the file holds exactly these submissions.
+ *
+ * @param {object[]} submissions
+ * @param {string} path - Must not exist yet
+ * @returns {Promise<void>}
+ */
+export async function writeBackup(submissions, path) {
+	await mkdir(dirname(path), { recursive: true });
+	await writeFile(path, formatSubmissions(submissions, 'json'), PRIVATE_FILE);
+
+	const saved = JSON.parse(await readFile(path, 'utf8'));
+	const savedKeys = saved.map((s) => s.key).join('\n');
+	if (savedKeys !== submissions.map((s) => s.key).join('\n')) {
+		throw new Error(`Backup ${path} does not match the submissions to delete`);
+	}
+}
+
+/**
+ * Run a parsed command against a KV binding.
+ *
+ * @param {{command: string, values: object}} parsed - From parseCommand
+ * @param {object} io
+ * @param {object} io.kv - KV namespace binding
+ * @param {object|null} [io.keyring] - From loadKeyring(), for encrypted submissions
+ * @param {Date} [io.now]
+ * @param {function(string): void} [io.stdout] - Results (exports, lists)
+ * @param {function(string): void} [io.stderr] - Progress messages
+ * @returns {Promise<void>}
+ */
+export async function runCommand({ command, values }, {
+	kv,
+	keyring = null,
+	now = new Date(),
+	stdout = (text) => process.stdout.write(text),
+	stderr = (text) => process.stderr.write(text),
+}) {
+	const print = (line) => stdout(`${line}\n`);
+	const filters = {
+		since: parseDateBound(values.since, 'since', false),
+		until: parseDateBound(values.until, 'until', true),
+		status: values.status,
+		fields: values.category ? { category: values.category } : {},
+		keyring,
+	};
+
+	switch (command) {
+		case 'list': {
+			const submissions = await collectSubmissions(kv, filters);
+			submissions.forEach((submission) => print(describeSubmission(submission)));
+			print(`${submissions.length} submission(s)`);
+			return;
+		}
+
+		case 'export': {
+			if (!EXPORT_FORMATS.includes(values.format)) {
+				throw new Error(`--format must be one of ${EXPORT_FORMATS.join(', ')}, got "${values.format}"`);
+			}
+			const submissions = await collectSubmissions(kv, filters);
+			const output = formatSubmissions(submissions, values.format);
+			if (values.out) {
+				await writeFile(values.out, output, PRIVATE_FILE);
+				stderr(`Exported ${submissions.length} submission(s) to ${values.out}\n`);
+			} else {
+				stdout(output);
+			}
+			return;
+		}
+
+		case 'stats': {
+			describeStats(await collectSubmissions(kv, filters)).forEach(print);
+			return;
+		}
+
+		case 'delete': {
+			const olderThan = values['older-than'];
+			if (!olderThan && values.key.length === 0) throw new Error('delete needs --older-than <age> or --key <key>');
+			if (olderThan && values.key.length > 0) throw new Error('Use either --older-than or --key, not both');
+
+			let targets;
+			if (olderThan) {
+				const cutoff = new Date(now.getTime() - parseAge(olderThan)).toISOString();
+				const until = filters.until && filters.until < cutoff ? filters.until : cutoff;
+				targets = await collectSubmissions(kv, { ...filters, until });
+			} else {
+				targets = [];
+				for (const key of values.key) {
+					const record = await getSubmission(kv, key, { keyring });
+					if (!record) throw new Error(`No submission at ${key}`);
+					targets.push({ key, ...record });
+				}
+			}
+
+			if (targets.length === 0) {
+				print('No submissions match.');
+				return;
+			}
+
+			if (values['dry-run']) {
+				print(`Would delete ${targets.length} submission(s):`);
+				targets.forEach((submission) => print(describeSubmission(submission)));
+				print('Dry run — nothing was backed up or deleted.');
+				return;
+			}
+
+			const backup = values.backup || join('backups', `submissions-${now.toISOString().replace(/[:.]/g, '-')}.json`);
+			await writeBackup(targets, backup);
+			stderr(`Backed up ${targets.length} submission(s) to ${backup}\n`);
+
+			for (const { key } of targets) {
+				await kv.delete(key);
+				print(`Deleted: ${key}`);
+			}
+			print(`✅ Deleted ${targets.length} submission(s)`);
+
+			const files = targets.flatMap(({ key, attachments = [] }) => attachments
+				.map((file) => file.key)
+				.filter((file) => file?.startsWith(`${ATTACHMENT_PREFIX}${key}/`)));
+			if (files.length > 0) {
+				print(`⚠️  ${files.length} attachment(s) are still in R2 under ${ATTACHMENT_PREFIX}<key>/. Remove them with:`);
+				files.forEach((file) => print(`npx wrangler r2 object delete ${ATTACHMENT_BUCKET}/${file} --remote`));
+			}
+			return;
+		}
+
+		case 'encrypt': {
+			if (!keyring) throw new Error('encrypt needs SUBMISSION_ENCRYPTION_KEYS (and SUBMISSION_ENCRYPTION_KEY_ID when rotating)');
+
+			const dryRun = values['dry-run'];
+			const labels = dryRun
+				? { encrypted: 'Would encrypt', rewrapped: 'Would re-wrap' }
+				: { encrypted: 'Encrypted', rewrapped: 'Re-wrapped' };
+			const counts = await migrateEncryption(kv, keyring, {
+				dryRun,
+				now,
+				onChange: (change, key) => print(`${labels[change]}: ${key}`),
+			});
+			const current = `${counts.current} already on key "${keyring.currentId}"`;
+			print(dryRun
+				? `Dry run — ${counts.encrypted} to encrypt, ${counts.rewrapped} to re-wrap, ${current}. Nothing was changed.`
+				: `✅ Encrypted ${counts.encrypted}, re-wrapped ${counts.rewrapped}, ${current}`);
+			return;
+		}
+
+		default:
+			throw new Error(command ? `Unknown command "${command}"\n\n${USAGE}` : USAGE);
+	}
+}
+
+/**
+ * Open the KV namespace the options point at.
+ *
+ * @param {object} values - Parsed options
+ * @param {object} env - process.env
+ * @returns {Promise<{kv: object, close: function(): Promise<void>}>}
+ */
+export async function openKV(values, env) {
+	const namespaceId = values['namespace-id'] || env.KV_NAMESPACE_ID || DEFAULT_NAMESPACE_ID;
+	if (values.local) return openLocalKV({ namespaceId, persistTo: values['persist-to'] });
+
+	const { CLOUDFLARE_ACCOUNT_ID: accountId, CLOUDFLARE_API_TOKEN: apiToken } = env;
+	if (!accountId || !apiToken) {
+		throw new Error('Set CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN, or pass --local to use the local preview data');
+	}
+	return { kv: createRestKV({ accountId, namespaceId, apiToken }), close: async () => {} };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+	let store;
+	try {
+		const parsed = parseCommand(process.argv.slice(2));
+		if (parsed.values.help || !parsed.command) {
+			process.stdout.write(USAGE);
+		} else {
+			if (!COMMANDS.includes(parsed.command)) throw new Error(`Unknown command "${parsed.command}"\n\n${USAGE}`);
+			const keyring = await loadKeyring(process.env);
+			store = await openKV(parsed.values, process.env);
+			await runCommand(parsed, { kv: store.kv, keyring });
+		}
+	} catch (err) {
+		process.stderr.write(`❌ ${err.message}\n`);
+		process.exitCode = 1;
+	} finally {
+		await store?.close();
+	}
+}
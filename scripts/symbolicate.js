@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Stack trace symbolication CLI — rewrites the minified positions in a
+ * browser stack trace to source files, lines and columns, using the maps
+ * `npm run build` leaves in sourcemaps/. Works offline: nothing is
+ * fetched.
+ *
+ * Usage:
+ *   npm run symbolicate -- [file] [--maps <dir>]
+ *
+ * Input (from `file`, or stdin) is a stack trace, or a client error
+ * report as stored in KV (JSON with a `stack`), e.g.
+ *   npx wrangler kv key get --namespace-id=<id> --remote clienterror_<fingerprint> | npm run symbolicate
+ *
+ * A report's `commit` is checked against the maps' build.json: maps from
+ * another build give wrong positions, so rebuild that commit first.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { BUILD_INFO_FILE } from '../shared/buildInfo.js';
+import { parseStackLocation } from '../shared/stackTrace.js';
+import { loadSourceMaps } from './lib/source-maps.js';
+
+/** Where vite.config.js moves the build's source maps. */
+export const DEFAULT_MAPS_DIR = 'sourcemaps';
+
+const USAGE = `Usage: npm run symbolicate -- [file] [--maps <dir>]
+
+Reads a stack trace, or a client error report (JSON with "stack"), from
+file or stdin and prints it with source positions.
+
+  --maps <dir>   Source maps from \`npm run build\` (default ${DEFAULT_MAPS_DIR})
+`;
+
+/**
+ * Rewrite every frame a map covers; other lines are kept as they are.
+ *
+ * @param {string} stack
+ * @param {Map<string, object>} maps - From loadSourceMaps()
+ * @returns {{stack: string, mapped: number, frames: number}}
+ */
+export function symbolicateStack(stack, maps) {
+	let mapped = 0;
+	let frames = 0;
+	const lines = stack.split('\n').map((text) => {
+		const location = parseStackLocation(text);
+		if (!location) return text;
+		frames++;
+		const original = maps.get(location.file)?.originalPositionFor(location.line, location.column);
+		if (!original) return text;
+		mapped++;
+		const { source, line, column } = original;
+		return `${text.slice(0, location.index)}${source}:${line}:${column}${text.slice(location.index + location.length)}`;
+	});
+	return { stack: lines.join('\n'), mapped, frames };
+}
+
+/**
+ * The stack and build commit in the input.
+ *
+ * @param {string} input - A stack trace, or a report's JSON
+ * @returns {{stack: string, commit: string|null}}
+ */
+export function parseInput(input) {
+	try {
+		const report = JSON.parse(input);
+		if (typeof report?.stack === 'string') {
+			const header = report.message && !report.stack.includes(report.message) ? `${report.message}\n` : '';
+			return { stack: `${header}${report.stack}`, commit: report.commit || null };
+		}
+	} catch {
+		// Not JSON: a plain stack trace
+	}
+	return { stack: input, commit: null };
+}
+
+/**
+ * @param {string[]} argv - Arguments after the script name
+ * @param {object} io
+ * @param {function(): Promise<string>} io.readStdin
+ * @param {function(string): void} io.print - Output
+ * @param {function(string): void} io.warn - Diagnostics
+ * @returns {Promise<void>}
+ */
+export async function run(argv, { readStdin, print, warn }) {
+	const { values, positionals } = parseArgs({
+		args: argv,
+		options: {
+			maps: { type: 'string', default: DEFAULT_MAPS_DIR },
+			help: { type: 'boolean', short: 'h', default: false },
+		},
+		allowPositionals: true,
+	});
+	if (values.help) {
+		print(USAGE);
+		return;
+	}
+	if (positionals.length > 1) throw new Error(`Unexpected argument "${positionals[1]}"\n\n${USAGE}`);
+
+	const maps = await loadSourceMaps(values.maps).catch((err) => {
+		if (err.code === 'ENOENT') throw new Error(`No source maps in ${values.maps} — run \`npm run build\` first`);
+		throw err;
+	});
+	const input = positionals[0] ? await readFile(positionals[0], 'utf8') : await readStdin();
+	const { stack, commit } = parseInput(input.trim());
+
+	if (commit) {
+		const built = JSON.parse(await readFile(join(values.maps, BUILD_INFO_FILE), 'utf8').catch(() => '{}'));
+		if (built.commit !== commit) {
+			warn(`⚠️  Report is from ${commit}, maps are from ${built.commit || 'an unknown build'} — positions may be wrong\n`);
+		}
+	}
+
+	const result = symbolicateStack(stack, maps);
+	print(`${result.stack}\n`);
+	if (result.frames > result.mapped) {
+		warn(`${result.frames - result.mapped} of ${result.frames} frame(s) had no matching source map\n`);
+	}
+}
+
+/** @returns {Promise<string>} All of stdin */
+async function readStdin() {
+	const chunks = [];
+	for await (const chunk of process.stdin) chunks.push(chunk);
+	return Buffer.concat(chunks).toString('utf8');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+	try {
+		await run(process.argv.slice(2), {
+			readStdin,
+			print: (text) => process.stdout.write(text),
+			warn: (text) => process.stderr.write(text),
+		});
+	} catch (err) {
+		process.stderr.write(`❌ ${err.message}\n`);
+		process.exitCode = 1;
+	}
+}
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Local webhook receiver for testing outbound contact webhooks end to end.
+ *
+ * Verifies the X-Webhook-Signature header with the shared secret and
+ * prints each delivery. Point a WEBHOOKS entry at it from .dev.vars:
+ *   WEBHOOKS=[{"url":"http://localhost:8790/hook","format":"json"}]
+ *   WEBHOOK_SECRET=dev-webhook-secret
+ *
+ * Usage:
+ *   node scripts/webhook-receiver.js [--port 8790] [--secret dev-webhook-secret] [--fail 2]
+ *
+ *   --fail N  respond 503 to the first N deliveries to exercise retries
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { verifyWebhookSignature } from '../functions/_lib/webhooks.js';
+
+/**
+ * Create (but don't start) a receiver server.
+ *
+ * @param {object} options
+ * @param {string} options.secret - Shared signing secret
+ * @param {number} [options.failFirst] - Respond 503 to this many requests first
+ * @param {function(object): void} [options.onDelivery] - Called with each received delivery
+ * @returns {import('node:http').Server}
+ */
+export function createWebhookReceiver({ secret, failFirst = 0, onDelivery = () => {} }) {
+	let received = 0;
+
+	return createServer((req, res) => {
+		const chunks = [];
+		req.on('data', (chunk) => chunks.push(chunk));
+		req.on('end', async () => {
+			received++;
+			const body = Buffer.concat(chunks).toString('utf8');
+			const verified = await verifyWebhookSignature({
+				secret,
+				body,
+				timestamp: req.headers['x-webhook-timestamp'],
+				signature: req.headers['x-webhook-signature'],
+			});
+
+			const delivery = {
+				id: req.headers['x-webhook-id'],
+				path: req.url,
+				contentType: req.headers['content-type'],
+				verified,
+				body,
+			};
+			onDelivery(delivery);
+
+			if (received <= failFirst) {
+				res.writeHead(503).end('simulated failure');
+			} else if (!verified) {
+				res.writeHead(401).end('bad signature');
+			} else {
+				res.writeHead(204).end();
+			}
+		});
+	});
+}
+
+/**
+ * Read `--name value` from argv.
+ *
+ * @param {string[]} args
+ * @param {string} name
+ * @param {string} fallback
+ * @returns {string}
+ */
+function readFlag(args, name, fallback) {
+	const index = args.indexOf(`--${name}`);
+	return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+/**
+ * Pretty-print a delivery to stdout.
+ *
+ * @param {object} delivery
+ */
+function printDelivery(delivery) {
+	console.log('─────────────────────────────────────────');
+	console.log(`${delivery.verified ? '✅ verified' : '❌ bad signature'}  ${delivery.id}  ${delivery.path}`);
+	let body = delivery.body;
+	if (delivery.contentType?.includes('json')) {
+		try {
+			body = JSON.stringify(JSON.parse(body), null, 2);
+		} catch {
+			// print as-is
+		}
+	}
+	console.log(body);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+	const args = process.argv.slice(2);
+	const port = Number(readFlag(args, 'port', '8790'));
+	const secret = readFlag(args, 'secret', process.env.WEBHOOK_SECRET || 'dev-webhook-secret');
+	const failFirst = Number(readFlag(args, 'fail', '0'));
+
+	createWebhookReceiver({
+		secret,
+		failFirst,
+		onDelivery: printDelivery,
+	}).listen(port, () => {
+		console.log(`Webhook receiver listening on http://localhost:${port} (secret: ${secret})`);
+	});
+}
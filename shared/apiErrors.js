@@ -0,0 +1,39 @@
+/**
+ * Machine-readable `code` on every API error body, known to both the form
+ * and the API (functions/_lib/api.js). Codes are stable — clients and
+ * tests branch on these, never on the English `error` message.
+ */
+
+import { CAPTCHA_ERRORS } from './captcha.js';
+
+export const API_ERRORS = {
+	/** Body isn't a JSON object */
+	INVALID_JSON: 'invalid_json',
+	/** Body larger than the route's limit */
+	PAYLOAD_TOO_LARGE: 'payload_too_large',
+	/** Field or query validation failed; `errors` maps field → message when there are several */
+	VALIDATION_FAILED: 'validation_failed',
+	INVALID_IDEMPOTENCY_KEY: 'invalid_idempotency_key',
+	/** Idempotency-Key already used for a different body */
+	IDEMPOTENCY_KEY_REUSED: 'idempotency_key_reused',
+	/** The render token is too old; reload the form */
+	FORM_EXPIRED: 'form_expired',
+	CAPTCHA_REQUIRED: CAPTCHA_ERRORS.REQUIRED,
+	CAPTCHA_EXPIRED: CAPTCHA_ERRORS.EXPIRED,
+	CAPTCHA_FAILED: CAPTCHA_ERRORS.FAILED,
+	/** The CAPTCHA provider couldn't be reached; retrying later may work */
+	CAPTCHA_UNAVAILABLE: 'captcha_unavailable',
+	/** An attachment key names no upload (or it expired) */
+	ATTACHMENT_MISSING: 'attachment_missing',
+	/** Signed URL invalid or expired */
+	FORBIDDEN: 'forbidden',
+	UNAUTHORIZED: 'unauthorized',
+	NOT_FOUND: 'not_found',
+	/** The resource already exists, e.g. an upload URL used twice */
+	CONFLICT: 'conflict',
+	/** `policy` and `retryAfter` say which limit and for how long */
+	RATE_LIMITED: 'rate_limited',
+	/** A binding or secret is missing or malformed — fail closed */
+	MISCONFIGURED: 'server_misconfigured',
+	INTERNAL: 'internal_error',
+};
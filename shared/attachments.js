@@ -0,0 +1,45 @@
+/**
+ * Contact form attachment rules, shared by the form in src/pages/Contact.jsx
+ * and the upload endpoints in functions/api/attachments/ so both sides
+ * accept the same files.
+ */
+
+export const ATTACHMENT_RULES = {
+	MAX_FILES: 3,
+	MAX_BYTES: 5 * 1024 * 1024,
+	MAX_NAME_LENGTH: 200,
+	/** Accepted MIME types → label used in messages */
+	TYPES: {
+		'image/png': 'PNG',
+		'image/jpeg': 'JPEG',
+		'image/gif': 'GIF',
+		'image/webp': 'WebP',
+		'application/pdf': 'PDF',
+		'text/plain': 'plain text',
+	},
+};
+
+/** One-line summary of the rules for the form hint and error messages. */
+export const ATTACHMENT_HINT = `Up to ${ATTACHMENT_RULES.MAX_FILES} files, `
+	+ `${ATTACHMENT_RULES.MAX_BYTES / (1024 * 1024)} MB each: `
+	+ `${Object.values(ATTACHMENT_RULES.TYPES).join(', ')}.`;
+
+/**
+ * Check one file against the rules.
+ *
+ * @param {{name: string, type: string, size: number}} file - A File or the same fields from a request body
+ * @returns {string|null} Error message, or null when the file is acceptable
+ */
+export function checkAttachment(file) {
+	const name = typeof file?.name === 'string' ? file.name : '';
+	if (!name || name.length > ATTACHMENT_RULES.MAX_NAME_LENGTH) {
+		return `Attachment names must be 1–${ATTACHMENT_RULES.MAX_NAME_LENGTH} characters.`;
+	}
+	if (!Object.hasOwn(ATTACHMENT_RULES.TYPES, file.type)) {
+		return `${name} is not an accepted file type (${Object.values(ATTACHMENT_RULES.TYPES).join(', ')}).`;
+	}
+	if (!Number.isInteger(file.size) || file.size < 1 || file.size > ATTACHMENT_RULES.MAX_BYTES) {
+		return `${name} must be between 1 byte and ${ATTACHMENT_RULES.MAX_BYTES / (1024 * 1024)} MB.`;
+	}
+	return null;
+}
@@ -0,0 +1,10 @@
+/**
+ * Field names for the contact form's bot traps, shared by the form
+ * (src/pages/Contact.jsx) and the API (functions/_lib/botTraps.js).
+ */
+
+/** Hidden text input people never see or fill; bots that fill every field do. */
+export const HONEYPOT_FIELD = 'website';
+
+/** Hidden input carrying the signed render-time token from GET /api/form-token. */
+export const FORM_TOKEN_FIELD = 'formToken';
@@ -0,0 +1,19 @@
+/**
+ * Build metadata, stamped at build time by the build-info plugin in
+ * vite.config.js and read by the app (src/utils/buildInfo.js) and the API
+ * (functions/_lib/buildInfo.js). Shape: { version, commit, builtAt }.
+ */
+
+/** Written to dist/ and served as `/${BUILD_INFO_FILE}`. */
+export const BUILD_INFO_FILE = 'build.json';
+
+/** What's reported when there's no stamped build, e.g. under `vite` dev or tests. */
+export const UNKNOWN_BUILD = { version: null, commit: null, builtAt: null };
+
+/**
+ * @param {string|null} commit - Full git SHA
+ * @returns {string|null} The 7-character form git shows
+ */
+export function shortCommit(commit) {
+	return commit ? commit.slice(0, 7) : null;
+}
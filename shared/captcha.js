@@ -0,0 +1,115 @@
+/**
+ * CAPTCHA providers known to both the form (src/utils/captcha.js) and the
+ * API (functions/_lib/captcha.js), plus the proof-of-work puzzle both
+ * sides compute.
+ *
+ * The provider is chosen per environment — VITE_CAPTCHA_PROVIDER for the
+ * form, CAPTCHA_PROVIDER for the API — and the two must match. Each one
+ * submits its token under its own body field. `csp` lists the sources a
+ * provider's widget needs per Content-Security-Policy directive; the CSP
+ * in public/_headers allows every provider's, so switching providers
+ * needs no header edit (tests/api/captcha.test.js checks they agree).
+ */
+
+export const DEFAULT_CAPTCHA_PROVIDER = 'turnstile';
+
+export const CAPTCHA_PROVIDERS = {
+	/** `action` is passed to turnstile.render and must come back from siteverify */
+	turnstile: {
+		label: 'Turnstile',
+		tokenField: 'cf-turnstile-response',
+		action: 'contact',
+		csp: {
+			'script-src': ['https://challenges.cloudflare.com'],
+			'frame-src': ['https://challenges.cloudflare.com'],
+			'connect-src': ['https://challenges.cloudflare.com'],
+		},
+	},
+	hcaptcha: {
+		label: 'hCaptcha',
+		tokenField: 'h-captcha-response',
+		csp: {
+			'script-src': ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+			'frame-src': ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+			'style-src': ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+			'connect-src': ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+		},
+	},
+	pow: { label: 'Proof-of-work', tokenField: 'pow-solution' },
+	/** Deterministic stand-in for tests — never configure it in production */
+	fake: { label: 'Fake CAPTCHA', tokenField: 'captcha-token' },
+};
+
+/**
+ * Tokens the fake provider understands: PASS verifies, ERROR behaves like
+ * an unreachable verification service, anything else fails.
+ */
+export const FAKE_CAPTCHA_TOKENS = {
+	PASS: 'fake-pass',
+	ERROR: 'fake-error',
+};
+
+/**
+ * `code` on /api/contact's CAPTCHA 400s. EXPIRED means the token was fine
+ * but too old or already used, so solving the widget again will work.
+ */
+export const CAPTCHA_ERRORS = {
+	REQUIRED: 'captcha_required',
+	EXPIRED: 'captcha_expired',
+	FAILED: 'captcha_failed',
+};
+
+/**
+ * @param {string} [name] - Configured provider name
+ * @returns {string} The body field carrying that provider's token
+ */
+export function captchaTokenField(name) {
+	return (CAPTCHA_PROVIDERS[name] || CAPTCHA_PROVIDERS[DEFAULT_CAPTCHA_PROVIDER]).tokenField;
+}
+
+/**
+ * Whether a hash starts with at least `bits` zero bits.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} bits
+ * @returns {boolean}
+ */
+export function hasLeadingZeroBits(bytes, bits) {
+	const fullBytes = Math.floor(bits / 8);
+	for (let i = 0; i < fullBytes; i++) {
+		if (bytes[i] !== 0) return false;
+	}
+	const rest = bits % 8;
+	return rest === 0 || (bytes[fullBytes] >> (8 - rest)) === 0;
+}
+
+/**
+ * SHA-256 of one proof-of-work attempt: `${challenge}:${nonce}`.
+ *
+ * @param {string} challenge - Signed challenge from /api/challenge
+ * @param {number} nonce
+ * @returns {Promise<Uint8Array>}
+ */
+export async function powHash(challenge, nonce) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${challenge}:${nonce}`));
+	return new Uint8Array(digest);
+}
+
+/**
+ * Find the first nonce whose hash has `difficulty` leading zero bits —
+ * about 2^difficulty hashes on average.
+ *
+ * @param {string} challenge
+ * @param {number} difficulty
+ * @param {object} [options]
+ * @param {function(): boolean} [options.shouldStop] - Checked between attempts
+ * @returns {Promise<string|null>} The solution token `${challenge}:${nonce}`, or null if stopped
+ */
+export async function solvePowChallenge(challenge, difficulty, { shouldStop = () => false } = {}) {
+	for (let nonce = 0; ; nonce++) {
+		if (shouldStop()) return null;
+		if (hasLeadingZeroBits(await powHash(challenge, nonce), difficulty)) {
+			return `${challenge}:${nonce}`;
+		}
+	}
+}
@@ -0,0 +1,26 @@
+/**
+ * Site-specific contact form fields, appended to CONTACT_SCHEMA after the
+ * built-in fields (and before `message`). Each entry uses the same rules
+ * as shared/validation.js plus these presentation hints for the form:
+ *
+ *   input:        'text' (default), 'email', 'url', 'tel', 'textarea' or 'select'
+ *   placeholder:  input placeholder; for selects, the label of the empty option
+ *   autoComplete: input autocomplete attribute
+ *   filterable:   true to allow ?<field>=<value> on GET /api/admin/submissions
+ *
+ * Values are validated by POST /api/contact, stored on the submission
+ * record and included in owner notifications. Names must not clash with
+ * the built-in fields.
+ *
+ * Example:
+ *   company: {
+ *     label: 'Company',
+ *     trim: true,
+ *     maxLength: 100,
+ *     placeholder: 'Where you work (optional)',
+ *     autoComplete: 'organization',
+ *     filterable: true,
+ *   },
+ */
+
+export const CONTACT_EXTRA_FIELDS = {};
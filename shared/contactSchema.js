@@ -0,0 +1,100 @@
+/**
+ * Contact form fields — the single source of truth for the form in
+ * src/pages/Contact.jsx and the POST /api/contact handler.
+ *
+ * Key order is render order. Besides the validation rules, fields carry
+ * presentation hints (input, placeholder, autoComplete, rows) and may be
+ * marked `filterable` for the admin submissions list. Extra fields come
+ * from shared/contactExtraFields.js.
+ */
+
+import { EMAIL_PATTERN } from './validation.js';
+import { CONTACT_EXTRA_FIELDS } from './contactExtraFields.js';
+
+/** Topics for the category select. Values are stored and used for notification routing. */
+export const CONTACT_CATEGORIES = [
+	{ value: 'work', label: 'Work inquiry' },
+	{ value: 'project', label: 'Project question' },
+	{ value: 'hello', label: 'Just saying hi' },
+];
+
+export const CONTACT_SCHEMA = {
+	name: {
+		label: 'Name',
+		trim: true,
+		required: true,
+		maxLength: 100,
+		placeholder: 'Your name',
+		autoComplete: 'name',
+	},
+	email: {
+		label: 'Email',
+		trim: true,
+		required: true,
+		maxLength: 254,
+		pattern: EMAIL_PATTERN,
+		messages: { pattern: 'Please enter a valid email address.' },
+		input: 'email',
+		placeholder: 'you@example.com',
+		autoComplete: 'email',
+	},
+	category: {
+		label: 'Category',
+		options: CONTACT_CATEGORIES,
+		messages: { options: 'Please choose one of the listed categories.' },
+		input: 'select',
+		placeholder: 'Choose a topic',
+		filterable: true,
+	},
+	subject: {
+		label: 'Subject',
+		trim: true,
+		maxLength: 150,
+		placeholder: 'What is it about?',
+	},
+	...CONTACT_EXTRA_FIELDS,
+	message: {
+		label: 'Message',
+		trim: true,
+		required: true,
+		maxLength: 5000,
+		input: 'textarea',
+		rows: 5,
+		placeholder: "What's on your mind?",
+	},
+};
+
+/** Fields every submission has; the rest are optional extras shown as labelled details. */
+const CORE_FIELDS = ['name', 'email', 'message'];
+
+/**
+ * Labelled values of a submission's optional fields (subject, category,
+ * extras) in schema order, for notifications. Select values are shown by
+ * their option label.
+ *
+ * @param {object} record - Submission record or validated values
+ * @returns {Array<{field: string, label: string, value: string}>} Only fields that have a value
+ */
+export function describeContactFields(record) {
+	return Object.entries(CONTACT_SCHEMA).flatMap(([field, rules]) => {
+		const value = record[field];
+		if (CORE_FIELDS.includes(field) || value === undefined || value === null || value === '') return [];
+		const option = rules.options?.find((o) => o.value === value);
+		return [{ field, label: rules.label, value: option ? option.label : String(value) }];
+	});
+}
+
+/**
+ * The schema fields present in a set of values, dropping empty optionals
+ * so stored records only carry what the visitor filled in.
+ *
+ * @param {object} values - From validateFields(CONTACT_SCHEMA, ...)
+ * @returns {object}
+ */
+export function pickContactFields(values) {
+	return Object.fromEntries(
+		Object.keys(CONTACT_SCHEMA)
+			.filter((field) => values[field] !== undefined)
+			.map((field) => [field, values[field]])
+	);
+}
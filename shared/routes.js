@@ -0,0 +1,21 @@
+/**
+ * The app's route path patterns, shared by the router (src/App.jsx) and
+ * the API, which only counts page views (functions/_lib/analytics.js) and
+ * files error reports (functions/_lib/clientErrors.js) under these.
+ */
+
+import { STATUS_PAGE_PATH } from './statusLinks.js';
+
+export const ROUTES = {
+	home: '/',
+	about: '/about',
+	projects: '/projects',
+	contact: '/contact',
+	contactStatus: `${STATUS_PAGE_PATH}/:token`,
+	aboutYou: '/about-you',
+	/** Anything else (the 404 page) */
+	notFound: '*',
+};
+
+/** Every pattern in ROUTES. */
+export const ROUTE_PATHS = Object.values(ROUTES);
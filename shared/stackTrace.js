@@ -0,0 +1,31 @@
+/**
+ * Script locations in browser stack traces, shared by the client error
+ * endpoint (grouping reports, functions/_lib/clientErrors.js) and the
+ * symbolication CLI (scripts/symbolicate.js).
+ *
+ * Chrome writes frames as `at fn (https://host/assets/index-abc.js:1:2345)`,
+ * Firefox and Safari as `fn@https://host/assets/index-abc.js:1:2345`.
+ */
+
+/** `{origin}/{file}.js{?query}:{line}:{column}`; the origin and query are optional. */
+const LOCATION_PATTERN = /(?:[a-z][a-z0-9+.-]*:\/\/[^/\s()]+)?\/([^\s()?#:@]+\.m?js)(?:[?#][^\s():]*)?:(\d+):(\d+)/i;
+
+/**
+ * Find the script location in one line of a stack trace.
+ *
+ * @param {string} text - One line of a stack trace
+ * @returns {{file: string, line: number, column: number, index: number, length: number}|null}
+ *   `file` relative to the site root (e.g. `assets/index-abc.js`), 1-based
+ *   `line` and `column`, and where the whole location sits in `text`
+ */
+export function parseStackLocation(text) {
+	const match = LOCATION_PATTERN.exec(text);
+	if (!match) return null;
+	return {
+		file: match[1],
+		line: Number(match[2]),
+		column: Number(match[3]),
+		index: match.index,
+		length: match[0].length,
+	};
+}
@@ -0,0 +1,18 @@
+/**
+ * "View / delete my message" links, shared by the status page
+ * (src/pages/ContactStatus.jsx) and the API (functions/_lib/statusTokens.js).
+ */
+
+/** Page a status token opens: `${STATUS_PAGE_PATH}/{token}`. */
+export const STATUS_PAGE_PATH = '/contact/status';
+
+/**
+ * What visitors see of a submission's triage status. Admin statuses map
+ * onto these, so `spam` reads as `received` and notes are never shown.
+ */
+export const VISITOR_STATUSES = {
+	received: 'Received — not read yet',
+	read: 'Read',
+	replied: 'Replied',
+	closed: 'Closed',
+};
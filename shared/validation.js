@@ -0,0 +1,127 @@
+/**
+ * Declarative field validation shared by the React pages (src/) and the
+ * Pages Functions (functions/), so client and server apply the same rules.
+ *
+ * A schema maps field names to rules:
+ *   {
+ *     label: 'Email',            // used in default messages
+ *     type: 'string',            // 'string' (default), 'number' or 'boolean'
+ *     trim: true,                // strings only
+ *     required: true,
+ *     minLength: 2, maxLength: 254,
+ *     pattern: /^[^\s@]+@.../,
+ *     options: [{ value: 'work', label: 'Work inquiry' }],  // allowed values
+ *     validate: (value, values) => 'message' | null,  // custom check, runs last
+ *     messages: { required, type, minLength, maxLength, pattern, options },  // overrides
+ *   }
+ *
+ * Each field reports only its first failing rule, in the order above.
+ * Other keys (input, placeholder, ...) are presentation hints for the
+ * form and are ignored here.
+ */
+
+/** Loose email check: something@something.tld, no spaces. */
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Default message for a failed rule.
+ *
+ * @param {string} rule
+ * @param {object} field - Field schema
+ * @returns {string}
+ */
+function defaultMessage(rule, field) {
+	switch (rule) {
+		case 'required':
+			return `${field.label} is required.`;
+		case 'type':
+			return `${field.label} must be a ${field.type || 'string'}.`;
+		case 'minLength':
+			return `${field.label} must be at least ${field.minLength} characters.`;
+		case 'maxLength':
+			return `${field.label} exceeds ${field.maxLength} characters.`;
+		case 'options':
+			return `${field.label} must be one of the listed options.`;
+		default:
+			return `${field.label} is invalid.`;
+	}
+}
+
+/**
+ * @param {string} rule
+ * @param {object} field - Field schema
+ * @returns {string}
+ */
+function messageFor(rule, field) {
+	return field.messages?.[rule] || defaultMessage(rule, field);
+}
+
+/**
+ * Validate a single value against its field schema.
+ *
+ * @param {*} raw - Input value
+ * @param {object} field - Field schema
+ * @returns {{value: *, error: string|null}} value is trimmed when the rules ask for it
+ */
+function validateField(raw, field) {
+	const type = field.type || 'string';
+	let value = raw;
+	if (type === 'string' && field.trim && typeof value === 'string') value = value.trim();
+
+	const empty = value === undefined || value === null || value === '';
+	if (empty) {
+		return { value: undefined, error: field.required ? messageFor('required', field) : null };
+	}
+
+	if (type === 'number' ? !Number.isFinite(value) : typeof value !== type) {
+		return { value, error: messageFor('type', field) };
+	}
+
+	if (type === 'string') {
+		if (field.minLength !== undefined && value.length < field.minLength) {
+			return { value, error: messageFor('minLength', field) };
+		}
+		if (field.maxLength !== undefined && value.length > field.maxLength) {
+			return { value, error: messageFor('maxLength', field) };
+		}
+		if (field.pattern && !field.pattern.test(value)) {
+			return { value, error: messageFor('pattern', field) };
+		}
+	}
+
+	if (field.options && !field.options.some((option) => option.value === value)) {
+		return { value, error: messageFor('options', field) };
+	}
+
+	return { value, error: null };
+}
+
+/**
+ * Validate input against a schema.
+ *
+ * @param {Record<string, object>} schema
+ * @param {object} [input] - Raw input, e.g. a parsed JSON body or Object.fromEntries(formData)
+ * @returns {{valid: boolean, values: object, errors: Record<string, string>}}
+ *   `values` holds only schema fields, normalized (trimmed); `errors` maps
+ *   each invalid field to one message
+ */
+export function validateFields(schema, input) {
+	const source = input && typeof input === 'object' ? input : {};
+	const values = {};
+	const errors = {};
+
+	for (const [name, field] of Object.entries(schema)) {
+		const { value, error } = validateField(source[name], field);
+		values[name] = value;
+		if (error) errors[name] = error;
+	}
+
+	// Custom checks see every normalized value, so they can compare fields
+	for (const [name, field] of Object.entries(schema)) {
+		if (errors[name] || !field.validate || values[name] === undefined) continue;
+		const error = field.validate(values[name], values);
+		if (error) errors[name] = error;
+	}
+
+	return { valid: Object.keys(errors).length === 0, values, errors };
+}
@@ -1,11 +1,15 @@
-import { lazy, Suspense } from 'react';
-import { createBrowserRouter, RouterProvider, useRouteError, Link } from 'react-router';
+import { lazy, Suspense, useEffect } from 'react';
+import { createBrowserRouter, isRouteErrorResponse, RouterProvider, useRouteError, Link } from 'react-router';
 import Layout from './components/Layout';
+import { routePattern, trackPageViews } from './utils/analytics';
+import { reportClientError, reportUncaughtErrors } from './utils/errorReporting';
+import { ROUTES } from '../shared/routes';
 
 const Home = lazy(() => import('./pages/Home'));
 const About = lazy(() => import('./pages/About'));
 const Projects = lazy(() => import('./pages/Projects'));
 const Contact = lazy(() => import('./pages/Contact'));
+const ContactStatus = lazy(() => import('./pages/ContactStatus'));
 const AboutYou = lazy(() => import('./pages/AboutYou'));
 const NotFound = lazy(() => import('./pages/NotFound'));
 
@@ -18,10 +22,25 @@ function PageLoader() {
 	);
 }
 
+/**
+ * Report what an error boundary caught. Not-found and other error
+ * responses are routing outcomes, not bugs.
+ *
+ * @param {*} error - From useRouteError()
+ * @param {string} source - Which boundary caught it
+ */
+function useReportRouteError(error, source) {
+	useEffect(() => {
+		if (isRouteErrorResponse(error)) return;
+		reportClientError(error, { source, path: routePattern(router.state) });
+	}, [error, source]);
+}
+
 /** Catches errors thrown by child routes (renders inside Layout). */
 function RouteErrorBoundary() {
 	const error = useRouteError();
 	const is404 = error?.status === 404;
+	useReportRouteError(error, 'route');
 	return (
 		<div className="section-container min-h-[80vh] flex flex-col items-center justify-center text-center">
 			<h1 className="text-[8rem] md:text-[10rem] font-bold leading-none text-white glitch-text">
@@ -43,6 +62,7 @@ function RouteErrorBoundary() {
 /** Root-level fallback when even Layout fails to render. */
 function RootErrorBoundary() {
 	const error = useRouteError();
+	useReportRouteError(error, 'root');
 	return (
 		<div className="min-h-screen bg-surface flex flex-col items-center justify-center text-center px-4">
 			<h1 className="text-6xl font-bold text-white mb-4">Oops</h1>
@@ -64,17 +84,23 @@ const router = createBrowserRouter([
 		element: <Layout />,
 		errorElement: <RootErrorBoundary />,
 		children: [
-			{ path: '/', element: <Suspense fallback={<PageLoader />}><Home /></Suspense>, errorElement: <RouteErrorBoundary /> },
-			{ path: '/about', element: <Suspense fallback={<PageLoader />}><About /></Suspense>, errorElement: <RouteErrorBoundary /> },
-			{ path: '/projects', element: <Suspense fallback={<PageLoader />}><Projects /></Suspense>, errorElement: <RouteErrorBoundary /> },
-			{ path: '/contact', element: <Suspense fallback={<PageLoader />}><Contact /></Suspense>, errorElement: <RouteErrorBoundary /> },
-			{ path: '/about-you', element: <Suspense fallback={<PageLoader />}><AboutYou /></Suspense>, errorElement: <RouteErrorBoundary /> },
-			{ path: '*', element: <Suspense fallback={<PageLoader />}><NotFound /></Suspense> },
+			{ path: ROUTES.home, element: <Suspense fallback={<PageLoader />}><Home /></Suspense>, errorElement: <RouteErrorBoundary /> },
+			{ path: ROUTES.about, element: <Suspense fallback={<PageLoader />}><About /></Suspense>, errorElement: <RouteErrorBoundary /> },
+			{ path: ROUTES.projects, element: <Suspense fallback={<PageLoader />}><Projects /></Suspense>, errorElement: <RouteErrorBoundary /> },
+			{ path: ROUTES.contact, element: <Suspense fallback={<PageLoader />}><Contact /></Suspense>, errorElement: <RouteErrorBoundary /> },
+			{ path: ROUTES.contactStatus, element: <Suspense fallback={<PageLoader />}><ContactStatus /></Suspense>, errorElement: <RouteErrorBoundary /> },
+			{ path: ROUTES.aboutYou, element: <Suspense fallback={<PageLoader />}><AboutYou /></Suspense>, errorElement: <RouteErrorBoundary /> },
+			{ path: ROUTES.notFound, element: <Suspense fallback={<PageLoader />}><NotFound /></Suspense> },
 		],
 	},
 ]);
 
 function App() {
+	// Page-view beacon on every navigation (skipped under Do Not Track)
+	useEffect(() => trackPageViews(router), []);
+	// Errors no boundary sees, e.g. in event handlers and async code
+	useEffect(() => reportUncaughtErrors(() => routePattern(router.state)), []);
+
 	return <RouterProvider router={router} />;
 }
 
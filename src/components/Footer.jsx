@@ -1,21 +1,24 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { AnimatePresence, motion } from 'motion/react';
+import { BUILD_INFO } from '../utils/buildInfo';
+import { shortCommit } from '../../shared/buildInfo';
 
-/** Date of the last bugfix deployment — update this when deploying fixes. */
-const LAST_BUGFIX_DEPLOY = new Date('2026-02-21');
 const CHAR_DELAY_MS = 55;
 const HOLD_DURATION_MS = 5000;
 
 /**
- * Typewriter reveal of "days since last bugfix was deployed: X".
- * Triggered by clicking the copyright year.
+ * Typewriter reveal of "days since last bugfix was deployed: X", counted
+ * from this build's time (0 for unstamped builds).
+ * Triggered by clicking the copyright year; hovering the line shows the
+ * build's short commit SHA.
  */
 function YearEasterEgg() {
 	const [revealed, setRevealed] = useState(false);
 	const [charCount, setCharCount] = useState(0);
 	const intervalRef = useRef(null);
 
-	const days = Math.floor((Date.now() - LAST_BUGFIX_DEPLOY.getTime()) / 86_400_000);
+	const deployedAt = BUILD_INFO.builtAt ? Date.parse(BUILD_INFO.builtAt) : Date.now();
+	const days = Math.floor((Date.now() - deployedAt) / 86_400_000);
 	const message = `days since last bugfix was deployed: ${days}`;
 
 	useEffect(() => {
@@ -31,7 +34,7 @@ function YearEasterEgg() {
 
 	return (
 		<div className="flex flex-col items-center gap-1">
-			<span className="font-mono text-xs text-neutral-600">
+			<span className="group font-mono text-xs text-neutral-600">
 				Twistan &copy;{' '}
 				<button
 					onClick={() => { if (!revealed) setRevealed(true); }}
@@ -42,6 +45,14 @@ function YearEasterEgg() {
 				>
 					{new Date().getFullYear()}
 				</button>
+				{BUILD_INFO.commit && (
+					<span
+						className="ml-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+						title={`${BUILD_INFO.commit} · built ${BUILD_INFO.builtAt}`}
+					>
+						{shortCommit(BUILD_INFO.commit)}
+					</span>
+				)}
 			</span>
 			{revealed && (
 				<span className="font-mono text-xs text-terminal">
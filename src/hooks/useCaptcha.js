@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { getCaptchaProvider, loadScript } from '../utils/captcha';
+
+/**
+ * Renders the configured CAPTCHA provider's widget into a container.
+ * Loads the provider's script if it has one and polls for it (up to 10s)
+ * before rendering explicitly; removes the widget on unmount.
+ * @returns {{containerRef: object, reset: function(): void, provider: object}}
+ */
+export function useCaptcha() {
+	const provider = getCaptchaProvider();
+	const containerRef = useRef(null);
+	const handleRef = useRef(null);
+
+	useEffect(() => {
+		const initWidget = () => {
+			if (provider.isReady() && containerRef.current && !handleRef.current) {
+				try {
+					handleRef.current = provider.render(containerRef.current);
+				} catch (error) {
+					console.error(`${provider.label} initialization error:`, error);
+				}
+			}
+		};
+
+		let checkInterval;
+
+		if (provider.isReady()) {
+			initWidget();
+		} else {
+			if (provider.scriptUrl) loadScript(provider.scriptUrl);
+			let attempts = 0;
+			checkInterval = setInterval(() => {
+				attempts++;
+				if (provider.isReady()) {
+					initWidget();
+					clearInterval(checkInterval);
+				} else if (attempts >= 100) {
+					console.error(`${provider.label} script failed to load after 10s`);
+					clearInterval(checkInterval);
+				}
+			}, 100);
+		}
+
+		return () => {
+			clearInterval(checkInterval);
+			if (handleRef.current) {
+				provider.remove(handleRef.current);
+			}
+			handleRef.current = null;
+		};
+	}, [provider]);
+
+	/** Clear the solved state so the next submission gets a fresh token. */
+	const reset = useCallback(() => {
+		if (handleRef.current) provider.reset(handleRef.current);
+	}, [provider]);
+
+	return { containerRef, reset, provider };
+}
@@ -0,0 +1,51 @@
+import { useEffect, useState } from 'react';
+
+/** Refresh well inside the server's 2-hour limit so an open tab never sends a stale token */
+const REFRESH_MS = 30 * 60 * 1000;
+/** First retry delay after a failed request; doubles up to REFRESH_MS */
+const RETRY_MS = 5 * 1000;
+
+/**
+ * Fetches a signed render token for the contact form from /api/form-token
+ * on mount and keeps it fresh. The server uses it to reject forms sent
+ * inhumanly fast or long after they were shown; refreshes send the current
+ * token so the server keeps timing from the first render.
+ * @returns {string} Current token, or '' until the first request succeeds
+ */
+export function useFormToken() {
+	const [token, setToken] = useState('');
+
+	useEffect(() => {
+		let cancelled = false;
+		let timer;
+		let retryMs = RETRY_MS;
+		let current = '';
+
+		const load = async () => {
+			try {
+				const url = current ? `/api/form-token?token=${encodeURIComponent(current)}` : '/api/form-token';
+				const res = await fetch(url, { cache: 'no-store' });
+				const data = await res.json().catch(() => ({}));
+				if (!res.ok || !data.token) throw new Error(data.error || `Server error (${res.status})`);
+				if (cancelled) return;
+				current = data.token;
+				setToken(data.token);
+				retryMs = RETRY_MS;
+				timer = setTimeout(load, REFRESH_MS);
+			} catch (error) {
+				if (cancelled) return;
+				console.error('Form token request failed:', error);
+				timer = setTimeout(load, retryMs);
+				retryMs = Math.min(retryMs * 2, REFRESH_MS);
+			}
+		};
+
+		load();
+		return () => {
+			cancelled = true;
+			clearTimeout(timer);
+		};
+	}, []);
+
+	return token;
+}
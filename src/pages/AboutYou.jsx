@@ -34,7 +34,9 @@ import { spawnRipple } from '../utils/ripple';
  * - Audio/canvas/WebGL fingerprints
  *
  * Privacy: All data is client-side only, not stored or transmitted except
- * to external IP geolocation APIs. Includes prominent privacy disclosure.
+ * to external IP geolocation APIs. Includes prominent privacy disclosure,
+ * which also covers the site-wide page-view counts (src/utils/analytics.js)
+ * and crash reports (src/utils/errorReporting.js).
  */
 
 const categories = [
@@ -192,6 +194,14 @@ function AboutYou() {
 							<strong>No data is stored or transmitted</strong> to any server except the external
 							IP geolocation services mentioned above. All information remains in your browser.
 						</p>
+						<p className="text-neutral-400">
+							Separately, this site counts page views: which page, which site linked here, and the
+							day — no IP address, fingerprint or cookie. Nothing is counted when Do Not Track is on.
+						</p>
+						<p className="text-neutral-400">
+							If a page crashes, the error message, its stack trace, the page and the site version are
+							sent so it can be fixed — nothing about you or your device.
+						</p>
 					</div>
 				</div>
 			</AnimatedSection>
@@ -1,142 +1,264 @@
 import { useActionState, useEffect, useRef } from 'react';
 import { usePageTitle } from '../hooks/usePageTitle';
+import { useFormToken } from '../hooks/useFormToken';
+import { useCaptcha } from '../hooks/useCaptcha';
+import { Link } from 'react-router';
 import { motion } from 'motion/react';
 import AnimatedSection from '../components/AnimatedSection';
 import ExplodingText from '../components/ExplodingText';
 import { spawnRipple } from '../utils/ripple';
+import { getCaptchaProvider } from '../utils/captcha';
+import { validateFields } from '../../shared/validation';
+import { CONTACT_SCHEMA, pickContactFields } from '../../shared/contactSchema';
+import { ATTACHMENT_HINT, ATTACHMENT_RULES, checkAttachment } from '../../shared/attachments';
+import { FORM_TOKEN_FIELD, HONEYPOT_FIELD } from '../../shared/botTraps';
+import { API_ERRORS } from '../../shared/apiErrors';
+import { STATUS_PAGE_PATH } from '../../shared/statusLinks';
 
-const TURNSTILE_SITE_KEY = import.meta.env.VITE_TURNSTILE_SITE_KEY;
-const MAX_LENGTHS = { name: 100, email: 254, message: 5000 };
+/** Blank value for every schema field (form reset target after a successful send). */
+const EMPTY_VALUES = Object.fromEntries(Object.keys(CONTACT_SCHEMA).map((field) => [field, '']));
 
 /**
- * Validates email format using RFC-compliant regex.
- * @param {string} email
- * @returns {boolean}
+ * Upload one attachment: ask the API for a signed upload URL, then PUT
+ * the file to it.
+ *
+ * @param {File} file
+ * @param {string} formToken - The form's render token; the API only signs URLs for a loaded form
+ * @returns {Promise<{key: string, name: string}>} Key to send with the submission
  */
-function isValidEmail(email) {
-	return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+async function uploadAttachment(file, formToken) {
+	const res = await fetch('/api/attachments', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ name: file.name, type: file.type, size: file.size, [FORM_TOKEN_FIELD]: formToken }),
+	});
+	const data = await res.json().catch(() => ({}));
+	if (!res.ok) throw new Error(data.error || `Upload failed (${res.status})`);
+
+	const upload = await fetch(data.uploadUrl, {
+		method: 'PUT',
+		headers: { 'Content-Type': file.type },
+		body: file,
+	});
+	if (!upload.ok) {
+		const uploadError = await upload.json().catch(() => ({}));
+		throw new Error(uploadError.error || `Upload failed (${upload.status})`);
+	}
+	return { key: data.key, name: file.name };
 }
 
 /**
  * Form action for contact submission.
- * Validates fields, checks CAPTCHA, submits to API.
+ * Uploads any new attachments, validates fields against the shared
+ * CONTACT_SCHEMA, checks CAPTCHA, submits to API. Optional fields left
+ * empty are not sent. Field problems (client-side or from the server's
+ * `errors` map) come back in `fieldErrors`; `error` is for everything else.
+ *
+ * React resets uncontrolled forms after every action, so failed states
+ * echo the submitted `values` back as the inputs' default values. File
+ * inputs can't be refilled, so attachments are uploaded first and failed
+ * states carry them in `attachments`; the form lists them as checked
+ * `keepAttachment` boxes and unchecking one drops it.
+ *
+ * An Idempotency-Key is generated on the first attempt of each form fill
+ * and carried in the error state, so retries of the same fields after a
+ * failure or network blip reuse it and the server replays instead of
+ * storing twice. Editing a field or the attachments, or a successful
+ * send, starts a new key.
+ *
+ * The render token from useFormToken and the hidden honeypot field are
+ * sent as they are; the server decides what they mean.
+ *
  * @param {object} prevState - Previous form state
  * @param {FormData} formData - Submitted form data
- * @returns {Promise<{status: string, error: string}>}
+ * @returns {Promise<{status: string, error: string, fieldErrors: object, values: object, attachments?: object[], idempotencyKey?: string, draft?: string}>}
  */
 async function submitContact(prevState, formData) {
-	const name = formData.get('name')?.trim() ?? '';
-	const email = formData.get('email')?.trim() ?? '';
-	const message = formData.get('message')?.trim() ?? '';
+	const { valid, values, errors } = validateFields(CONTACT_SCHEMA, Object.fromEntries(formData));
+	const fields = pickContactFields(values);
+
+	const kept = formData.getAll('keepAttachment');
+	let attachments = (prevState.attachments || []).filter((file) => kept.includes(file.key));
+	const files = formData.getAll('attachments').filter((file) => typeof file === 'object' && file.size > 0);
+
+	const draftOf = () => JSON.stringify({ ...fields, attachments: attachments.map((file) => file.key) });
+	const keyFor = (draft) => (prevState.draft === draft && prevState.idempotencyKey) || crypto.randomUUID();
+
+	const failure = (error, fieldErrors = {}, idempotencyKey = keyFor(draftOf())) => ({
+		status: 'error',
+		error,
+		fieldErrors,
+		values: { ...EMPTY_VALUES, ...fields },
+		attachments,
+		idempotencyKey,
+		draft: draftOf(),
+	});
+
+	/* Attachments — checked and uploaded before anything else can fail */
+	const fileError = attachments.length + files.length > ATTACHMENT_RULES.MAX_FILES
+		? `Attach at most ${ATTACHMENT_RULES.MAX_FILES} files.`
+		: files.map(checkAttachment).find(Boolean);
+	if (fileError) {
+		return failure('', { ...errors, attachments: fileError });
+	}
+	const formToken = formData.get(FORM_TOKEN_FIELD);
+	if (files.length > 0 && !formToken) {
+		return failure('The form is still loading. Please try again in a moment.');
+	}
+	for (const file of files) {
+		try {
+			attachments = [...attachments, await uploadAttachment(file, formToken)];
+		} catch (err) {
+			return failure('', { ...errors, attachments: `${file.name}: ${err.message}` });
+		}
+	}
 
 	/* Client-side validation */
-	if (!name || !email || !message) {
-		return { status: 'error', error: 'All fields are required.' };
+	if (!valid) {
+		return failure('', errors);
 	}
-	if (!isValidEmail(email)) {
-		return { status: 'error', error: 'Please enter a valid email address.' };
+
+	const { tokenField } = getCaptchaProvider();
+	const captchaToken = formData.get(tokenField);
+	if (!captchaToken) {
+		return failure('Please complete the CAPTCHA verification.');
 	}
 
-	const turnstileToken = formData.get('cf-turnstile-response');
-	if (!turnstileToken) {
-		return { status: 'error', error: 'Please complete the CAPTCHA verification.' };
+	if (!formToken) {
+		return failure('The form is still loading. Please try again in a moment.');
 	}
 
+	const idempotencyKey = keyFor(draftOf());
 	try {
+		const body = { ...fields, [tokenField]: captchaToken, [FORM_TOKEN_FIELD]: formToken };
+		const honeypot = formData.get(HONEYPOT_FIELD);
+		if (honeypot) body[HONEYPOT_FIELD] = honeypot;
+		if (attachments.length > 0) body.attachments = attachments.map((file) => file.key);
+
 		const res = await fetch('/api/contact', {
 			method: 'POST',
-			headers: { 'Content-Type': 'application/json' },
-			body: JSON.stringify({ name, email, message, 'cf-turnstile-response': turnstileToken }),
+			headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+			body: JSON.stringify(body),
 		});
 
 		if (!res.ok) {
 			const data = await res.json().catch(() => ({}));
-			throw new Error(data.error || `Server error (${res.status})`);
+			if (data.errors) return failure('', data.errors, idempotencyKey);
+			if (data.code === API_ERRORS.CAPTCHA_EXPIRED) {
+				return failure('The CAPTCHA expired before your message was sent. Please complete it again and resend.', {}, idempotencyKey);
+			}
+			const message = data.error || `Server error (${res.status})`;
+			// Give the visitor something to quote that matches the server logs
+			throw new Error(res.status >= 500 && data.requestId ? `${message} (reference ${data.requestId})` : message);
 		}
 
-		return { status: 'success', error: '' };
+		const data = await res.json().catch(() => ({}));
+		return { status: 'success', error: '', fieldErrors: {}, values: EMPTY_VALUES, statusToken: data.statusToken };
 	} catch (err) {
-		return { status: 'error', error: err.message || 'Something went wrong. Please try again.' };
+		return failure(err.message || 'Something went wrong. Please try again.', {}, idempotencyKey);
 	}
 }
 
 /**
- * Contact form component with Cloudflare Turnstile CAPTCHA integration.
+ * Contact form component with a pluggable CAPTCHA widget (see useCaptcha;
+ * Cloudflare Turnstile by default).
  *
  * Uses React 19 useActionState for form state management.
- * Uncontrolled inputs with FormData-based submission.
+ * Uncontrolled inputs, rendered from CONTACT_SCHEMA, with FormData-based submission.
  * Automatic form/widget reset on success, widget reset on error.
+ * Hidden bot traps: a honeypot field and the render token (see useFormToken).
  */
 function Contact() {
 	usePageTitle('Contact');
-	const [state, formAction, isPending] = useActionState(submitContact, { status: 'idle', error: '' });
+	const formToken = useFormToken();
+	const [state, formAction, isPending] = useActionState(submitContact, {
+		status: 'idle',
+		error: '',
+		fieldErrors: {},
+		values: EMPTY_VALUES,
+	});
 	const formRef = useRef(null);
-	const turnstileRef = useRef(null);
-	const widgetIdRef = useRef(null);
+	const captcha = useCaptcha();
+	const resetCaptcha = captcha.reset;
 
-	/* Reset form + turnstile on success, reset turnstile on error */
+	/* Reset form + CAPTCHA on success, reset CAPTCHA on error */
 	useEffect(() => {
 		if (state.status === 'success') {
 			formRef.current?.reset();
-			if (window.turnstile && widgetIdRef.current) {
-				window.turnstile.reset(widgetIdRef.current);
-			}
 		}
-		if (state.status === 'error' && window.turnstile && widgetIdRef.current) {
-			window.turnstile.reset(widgetIdRef.current);
+		if (state.status === 'success' || state.status === 'error') {
+			resetCaptcha();
 		}
-	}, [state]);
+		/* Move focus to the first field that needs fixing */
+		formRef.current?.querySelector('[aria-invalid="true"]')?.focus();
+	}, [state, resetCaptcha]);
+
+	const inputBase =
+		'w-full bg-surface-100 border rounded-lg px-4 py-3 text-sm text-neutral-200 ' +
+		'placeholder:text-neutral-600 focus:outline-none focus:ring-2 transition-all duration-200';
 
 	/**
-	 * Initialize Turnstile widget after script loads.
-	 * Uses explicit rendering for reliability over automatic mode.
-	 * Polls for window.turnstile availability if script not yet loaded.
+	 * Props shared by every schema-driven input: limits, current value,
+	 * and invalid styling/ARIA wiring to its error message.
+	 * @param {string} field - CONTACT_SCHEMA key (also the input id/name)
+	 * @param {string} [extraClass] - Additional classes for this input
 	 */
-	useEffect(() => {
-		const initTurnstile = () => {
-			if (window.turnstile && turnstileRef.current && !widgetIdRef.current) {
-				try {
-					widgetIdRef.current = window.turnstile.render(turnstileRef.current, {
-						sitekey: TURNSTILE_SITE_KEY,
-						theme: 'dark',
-					});
-				} catch (error) {
-					console.error('Turnstile initialization error:', error);
-				}
-			}
+	const fieldProps = (field, extraClass = '') => {
+		const invalid = Boolean(state.fieldErrors[field]);
+		return {
+			id: field,
+			name: field,
+			maxLength: CONTACT_SCHEMA[field].maxLength,
+			defaultValue: state.values[field],
+			'aria-invalid': invalid,
+			'aria-describedby': invalid ? `${field}-error` : undefined,
+			className: `${inputBase} ${invalid
+				? 'border-red-400/70 focus:ring-red-400/30 focus:border-red-400'
+				: 'border-surface-300 focus:ring-accent/40 focus:border-accent'} ${extraClass}`.trim(),
 		};
+	};
 
-		let checkInterval;
-
-		if (window.turnstile) {
-			initTurnstile();
-		} else {
-			let attempts = 0;
-			checkInterval = setInterval(() => {
-				attempts++;
-				if (window.turnstile) {
-					initTurnstile();
-					clearInterval(checkInterval);
-				} else if (attempts >= 100) {
-					console.error('Turnstile script failed to load after 10s');
-					clearInterval(checkInterval);
-				}
-			}, 100);
-		}
-
-		return () => {
-			clearInterval(checkInterval);
-			if (window.turnstile && widgetIdRef.current) {
-				window.turnstile.remove(widgetIdRef.current);
-			}
-			widgetIdRef.current = null;
-		};
-	}, []);
+	/** Inline error message for a field, referenced by aria-describedby. */
+	const fieldError = (field) => state.fieldErrors[field] && (
+		<p id={`${field}-error`} className="mt-1.5 text-xs text-red-400">{state.fieldErrors[field]}</p>
+	);
 
-	const inputBase =
-		'w-full bg-surface-100 border border-surface-300 rounded-lg px-4 py-3 text-sm text-neutral-200 ' +
-		'placeholder:text-neutral-600 focus:outline-none focus:ring-2 focus:ring-accent/40 focus:border-accent ' +
-		'transition-all duration-200';
+	/**
+	 * Input, textarea or select for a field, picked by its schema `input` hint.
+	 * @param {string} field - CONTACT_SCHEMA key
+	 * @param {object} rules - The field's schema entry
+	 */
+	const fieldControl = (field, rules) => {
+		if (rules.input === 'textarea') {
+			return (
+				<textarea
+					{...fieldProps(field, 'resize-none')}
+					rows={rules.rows || 5}
+					placeholder={rules.placeholder}
+					required={rules.required}
+				/>
+			);
+		}
+		if (rules.input === 'select') {
+			return (
+				<select {...fieldProps(field)} required={rules.required}>
+					<option value="">{rules.placeholder || `Choose ${rules.label.toLowerCase()}`}</option>
+					{rules.options.map((option) => (
+						<option key={option.value} value={option.value}>{option.label}</option>
+					))}
+				</select>
+			);
+		}
+		return (
+			<input
+				{...fieldProps(field)}
+				type={rules.input || 'text'}
+				placeholder={rules.placeholder}
+				autoComplete={rules.autoComplete}
+				required={rules.required}
+			/>
+		);
+	};
 
 	return (
 		<div className="section-container py-24">
@@ -156,54 +278,57 @@ function Contact() {
 					className="max-w-lg flex flex-col gap-5"
 					noValidate
 				>
-					<div>
-						<label htmlFor="name" className="block text-xs font-medium text-neutral-500 mb-1.5">
-							Name
-						</label>
-						<input
-							id="name"
-							name="name"
-							type="text"
-							placeholder="Your name"
-							maxLength={MAX_LENGTHS.name}
-							autoComplete="name"
-							className={inputBase}
-							required
-						/>
-					</div>
+					{Object.entries(CONTACT_SCHEMA).map(([field, rules]) => (
+						<div key={field}>
+							<label htmlFor={field} className="block text-xs font-medium text-neutral-500 mb-1.5">
+								{rules.label}
+								{!rules.required && <span className="text-neutral-600"> (optional)</span>}
+							</label>
+							{fieldControl(field, rules)}
+							{fieldError(field)}
+						</div>
+					))}
 
 					<div>
-						<label htmlFor="email" className="block text-xs font-medium text-neutral-500 mb-1.5">
-							Email
+						<label htmlFor="attachments" className="block text-xs font-medium text-neutral-500 mb-1.5">
+							Attachments
+							<span className="text-neutral-600"> (optional)</span>
 						</label>
+						{state.attachments?.length > 0 && (
+							<ul className="mb-2 flex flex-col gap-1">
+								{state.attachments.map((file) => (
+									<li key={file.key}>
+										<label className="flex items-center gap-2 text-xs text-neutral-400">
+											<input type="checkbox" name="keepAttachment" value={file.key} defaultChecked />
+											{file.name}
+										</label>
+									</li>
+								))}
+							</ul>
+						)}
 						<input
-							id="email"
-							name="email"
-							type="email"
-							placeholder="you@example.com"
-							maxLength={MAX_LENGTHS.email}
-							autoComplete="email"
-							className={inputBase}
-							required
+							id="attachments"
+							name="attachments"
+							type="file"
+							multiple
+							accept={Object.keys(ATTACHMENT_RULES.TYPES).join(',')}
+							aria-invalid={Boolean(state.fieldErrors.attachments)}
+							aria-describedby={state.fieldErrors.attachments ? 'attachments-error' : 'attachments-hint'}
+							className="block w-full text-xs text-neutral-400 file:mr-3 file:rounded-lg file:border-0
+							           file:bg-surface-200 file:px-3 file:py-2 file:text-neutral-200 file:cursor-pointer"
 						/>
+						<p id="attachments-hint" className="mt-1.5 text-xs text-neutral-600">{ATTACHMENT_HINT}</p>
+						{fieldError('attachments')}
 					</div>
 
-					<div>
-						<label htmlFor="message" className="block text-xs font-medium text-neutral-500 mb-1.5">
-							Message
-						</label>
-						<textarea
-							id="message"
-							name="message"
-							rows={5}
-							placeholder="What's on your mind?"
-							maxLength={MAX_LENGTHS.message}
-							className={`${inputBase} resize-none`}
-							required
-						/>
+					{/* Honeypot — off-screen rather than display:none, which some bots skip */}
+					<div aria-hidden="true" className="absolute -left-[9999px] w-px h-px overflow-hidden">
+						<label htmlFor={HONEYPOT_FIELD}>Website</label>
+						<input id={HONEYPOT_FIELD} name={HONEYPOT_FIELD} type="text" tabIndex={-1} autoComplete="off" />
 					</div>
+					<input type="hidden" name={FORM_TOKEN_FIELD} value={formToken} />
 
-					<div ref={turnstileRef} id="turnstile-widget"></div>
+					<div ref={captcha.containerRef} id="captcha-widget"></div>
 
 					<motion.button
 						type="submit"
@@ -222,6 +347,18 @@ function Contact() {
 					{state.status === 'success' && (
 						<p className="text-sm text-green-400" role="status">
 							Message sent. I&rsquo;ll get back to you soon.
+							{state.statusToken && (
+								<>
+									{' '}
+									<Link
+										to={`${STATUS_PAGE_PATH}/${state.statusToken}`}
+										className="underline underline-offset-4 hover:text-green-300"
+									>
+										Check on or delete your message
+									</Link>
+									{' '}&mdash; bookmark it, the link is the only way back.
+								</>
+							)}
 						</p>
 					)}
 					{state.status === 'error' && state.error && (
@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router';
+import { usePageTitle } from '../hooks/usePageTitle';
+import AnimatedSection from '../components/AnimatedSection';
+import { CONTACT_SCHEMA } from '../../shared/contactSchema';
+
+/**
+ * Status page for a sent message, opened from the link the contact form
+ * (and the auto-reply) gives its sender. Shows what was sent and where it
+ * stands, and lets the sender delete it — the token in the URL is the only
+ * credential (see functions/api/contact/[token].js).
+ */
+function ContactStatus() {
+	usePageTitle('Your Message');
+	const { token } = useParams();
+	const [state, setState] = useState({ status: 'loading' });
+
+	useEffect(() => {
+		const controller = new AbortController();
+		fetch(`/api/contact/${encodeURIComponent(token)}`, { signal: controller.signal })
+			.then(async (res) => {
+				const data = await res.json().catch(() => ({}));
+				if (res.status === 404) return setState({ status: 'not-found' });
+				if (!res.ok) throw new Error(data.error || `Server error (${res.status})`);
+				setState({ status: 'ready', submission: data.submission });
+			})
+			.catch((err) => {
+				if (err.name !== 'AbortError') setState({ status: 'error', error: err.message });
+			});
+		return () => controller.abort();
+	}, [token]);
+
+	/** Delete the message after confirmation. */
+	const withdraw = async () => {
+		if (!window.confirm('Delete this message? This can’t be undone.')) return;
+		setState((prev) => ({ ...prev, deleting: true, error: '' }));
+		try {
+			const res = await fetch(`/api/contact/${encodeURIComponent(token)}`, { method: 'DELETE' });
+			const data = await res.json().catch(() => ({}));
+			// 404: already gone, e.g. deleted from another tab
+			if (!res.ok && res.status !== 404) throw new Error(data.error || `Server error (${res.status})`);
+			setState({ status: 'deleted' });
+		} catch (err) {
+			setState((prev) => ({ ...prev, deleting: false, error: err.message || 'Something went wrong. Please try again.' }));
+		}
+	};
+
+	const { submission } = state;
+
+	return (
+		<div className="section-container py-24">
+			<AnimatedSection>
+				<h1 className="heading-xl mb-3">Your Message</h1>
+			</AnimatedSection>
+
+			<AnimatedSection delay={0.1}>
+				<div className="max-w-lg">
+					{state.status === 'loading' && (
+						<p className="text-body" role="status">Loading…</p>
+					)}
+
+					{state.status === 'not-found' && (
+						<p className="text-body mb-8">
+							This message wasn&rsquo;t found. It may have been deleted, or the link is incomplete.
+						</p>
+					)}
+
+					{state.status === 'deleted' && (
+						<p className="text-sm text-green-400 mb-8" role="status">
+							Your message and any attachments have been deleted.
+						</p>
+					)}
+
+					{state.status === 'error' && !submission && (
+						<p className="text-sm text-red-400 mb-8" role="alert">{state.error}</p>
+					)}
+
+					{submission && (
+						<div className="flex flex-col gap-5">
+							<p className="text-body">
+								Sent {new Date(submission.submittedAt).toLocaleString()} &middot;{' '}
+								<span className="text-neutral-200">{submission.statusLabel}</span>
+							</p>
+
+							{submission.anonymized ? (
+								<p className="text-sm text-neutral-400">
+									The contents of this message have been removed under the site&rsquo;s data retention policy.
+								</p>
+							) : (
+								<dl className="card flex flex-col gap-4 p-5">
+									{Object.entries(CONTACT_SCHEMA)
+										.filter(([field]) => submission[field])
+										.map(([field, rules]) => (
+											<div key={field}>
+												<dt className="text-xs font-medium text-neutral-500 mb-1">{rules.label}</dt>
+												<dd className="text-sm text-neutral-200 whitespace-pre-wrap break-words">{submission[field]}</dd>
+											</div>
+										))}
+									{submission.attachments?.length > 0 && (
+										<div>
+											<dt className="text-xs font-medium text-neutral-500 mb-1">Attachments</dt>
+											<dd className="text-sm text-neutral-200">{submission.attachments.join(', ')}</dd>
+										</div>
+									)}
+								</dl>
+							)}
+
+							<button
+								type="button"
+								onClick={withdraw}
+								disabled={state.deleting}
+								className="self-start text-sm text-red-400 hover:text-red-300 underline underline-offset-4 cursor-pointer
+								           disabled:opacity-50 disabled:cursor-not-allowed"
+							>
+								{state.deleting ? 'Deleting…' : 'Delete my message'}
+							</button>
+							{state.error && (
+								<p className="text-sm text-red-400" role="alert">{state.error}</p>
+							)}
+						</div>
+					)}
+
+					{state.status !== 'loading' && (
+						<Link
+							to="/contact"
+							className="inline-block mt-8 text-sm text-neutral-400 hover:text-white underline underline-offset-4 transition-colors duration-200"
+						>
+							Back to contact
+						</Link>
+					)}
+				</div>
+			</AnimatedSection>
+		</div>
+	);
+}
+
+export default ContactStatus;
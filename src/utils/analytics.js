@@ -0,0 +1,59 @@
+/**
+ * First-party page-view beacon.
+ *
+ * Sends `{ path, referrer }` to /api/collect on every navigation, where
+ * `path` is the matched route's pattern (`/contact/status/:token`, so
+ * tokens never leave the page) and `referrer` where the visitor came from
+ * (only its host is kept). Nothing else is sent — no cookies, IDs or fingerprint — and
+ * nothing at all when the browser's Do Not Track setting is on.
+ */
+
+const COLLECT_URL = '/api/collect';
+
+/**
+ * @returns {boolean} Whether Do Not Track is on (the same check /about-you shows)
+ */
+export function doNotTrack() {
+	return navigator.doNotTrack === '1' || window.doNotTrack === '1';
+}
+
+/**
+ * @param {object} state - React Router state
+ * @returns {string} The deepest matched route's path pattern, `*` when nothing else matched
+ */
+export function routePattern(state) {
+	const path = state.matches.at(-1)?.route.path;
+	return path ?? state.location.pathname;
+}
+
+/**
+ * Send one page view. Fire-and-forget: the beacon outlives navigation and
+ * its response is never read.
+ *
+ * @param {string} path - Route path pattern
+ * @param {string} referrer - URL the visitor came from, or '' for direct visits
+ */
+export function sendPageView(path, referrer) {
+	if (doNotTrack() || typeof navigator.sendBeacon !== 'function') return;
+	navigator.sendBeacon(COLLECT_URL, JSON.stringify({ path, referrer }));
+}
+
+/**
+ * Count the current page and every later navigation of a data router.
+ * The landing page reports document.referrer; in-app navigations report
+ * this site's origin.
+ *
+ * @param {object} router - From createBrowserRouter()
+ * @returns {function(): void} Stops tracking
+ */
+export function trackPageViews(router) {
+	let lastLocation = router.state.location;
+	sendPageView(routePattern(router.state), document.referrer);
+
+	return router.subscribe((state) => {
+		// Loading states fire too; count only arrivals at a new location
+		if (state.location === lastLocation || state.navigation.state !== 'idle') return;
+		lastLocation = state.location;
+		sendPageView(routePattern(state), window.location.origin);
+	});
+}
@@ -0,0 +1,11 @@
+/**
+ * This build's metadata (see shared/buildInfo.js), from the
+ * `__BUILD_INFO__` constant vite.config.js defines. Unstamped builds —
+ * tests, for one — get UNKNOWN_BUILD.
+ */
+
+/* global __BUILD_INFO__ */
+
+import { UNKNOWN_BUILD } from '../../shared/buildInfo';
+
+export const BUILD_INFO = typeof __BUILD_INFO__ === 'undefined' ? UNKNOWN_BUILD : __BUILD_INFO__;
@@ -0,0 +1,140 @@
+/**
+ * Client-side CAPTCHA providers for the contact form.
+ *
+ * A provider is `{ name, label, tokenField, scriptUrl?, isReady(),
+ * render(container), reset(handle), remove(handle) }`. `render` puts the
+ * widget in `container`, where it keeps a form field named `tokenField`
+ * filled in, and returns a handle for `reset`/`remove`. Third-party
+ * scripts are loaded only when their provider is in use.
+ *
+ * Chosen by VITE_CAPTCHA_PROVIDER (`turnstile` by default, `hcaptcha`,
+ * `pow` or `fake`); the API's CAPTCHA_PROVIDER must match.
+ */
+
+import {
+	CAPTCHA_PROVIDERS,
+	DEFAULT_CAPTCHA_PROVIDER,
+	FAKE_CAPTCHA_TOKENS,
+	solvePowChallenge,
+} from '../../shared/captcha';
+
+/**
+ * Append a script tag once per URL.
+ * @param {string} src
+ */
+export function loadScript(src) {
+	if (document.querySelector(`script[src="${src}"]`)) return;
+	const script = document.createElement('script');
+	script.src = src;
+	script.async = true;
+	script.defer = true;
+	document.head.appendChild(script);
+}
+
+/** Hidden input carrying a provider's token inside its container. */
+function tokenInput(container, name, value = '') {
+	const input = document.createElement('input');
+	input.type = 'hidden';
+	input.name = name;
+	input.value = value;
+	container.appendChild(input);
+	return input;
+}
+
+const turnstile = {
+	name: 'turnstile',
+	...CAPTCHA_PROVIDERS.turnstile,
+	scriptUrl: 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit',
+	isReady: () => Boolean(window.turnstile),
+	render: (container) => window.turnstile.render(container, {
+		sitekey: import.meta.env.VITE_TURNSTILE_SITE_KEY,
+		action: turnstile.action,
+		theme: 'dark',
+	}),
+	reset: (widgetId) => window.turnstile?.reset(widgetId),
+	remove: (widgetId) => window.turnstile?.remove(widgetId),
+};
+
+const hcaptcha = {
+	name: 'hcaptcha',
+	...CAPTCHA_PROVIDERS.hcaptcha,
+	scriptUrl: 'https://js.hcaptcha.com/1/api.js?render=explicit',
+	isReady: () => Boolean(window.hcaptcha),
+	render: (container) => window.hcaptcha.render(container, {
+		sitekey: import.meta.env.VITE_HCAPTCHA_SITE_KEY,
+		theme: 'dark',
+	}),
+	reset: (widgetId) => window.hcaptcha?.reset(widgetId),
+	remove: (widgetId) => window.hcaptcha?.remove(widgetId),
+};
+
+/**
+ * Fetch a challenge from /api/challenge and solve it in the background.
+ * Starting again (reset) abandons the previous run; a solved challenge is
+ * replaced 30 seconds before it expires.
+ * @param {object} widget - Handle from pow.render
+ */
+async function solvePow(widget) {
+	const run = ++widget.run;
+	const stale = () => widget.run !== run;
+	clearTimeout(widget.timer);
+	widget.input.value = '';
+	widget.status.textContent = 'Checking your browser…';
+
+	try {
+		const res = await fetch('/api/challenge', { cache: 'no-store' });
+		const data = await res.json().catch(() => ({}));
+		if (!res.ok || !data.challenge) throw new Error(data.error || `Server error (${res.status})`);
+
+		const solution = await solvePowChallenge(data.challenge, data.difficulty, { shouldStop: stale });
+		if (!solution || stale()) return;
+		widget.input.value = solution;
+		widget.status.textContent = 'Verified — no puzzle needed.';
+		widget.timer = setTimeout(() => solvePow(widget), Math.max(new Date(data.expiresAt) - Date.now() - 30_000, 0));
+	} catch (error) {
+		if (stale()) return;
+		console.error('Proof-of-work challenge failed:', error);
+		widget.status.textContent = 'Verification failed. Please reload the page.';
+	}
+}
+
+const pow = {
+	name: 'pow',
+	...CAPTCHA_PROVIDERS.pow,
+	isReady: () => true,
+	render(container) {
+		const status = document.createElement('p');
+		status.className = 'text-xs text-neutral-500';
+		status.setAttribute('role', 'status');
+		container.appendChild(status);
+		const widget = { input: tokenInput(container, pow.tokenField), status, run: 0, timer: null };
+		solvePow(widget);
+		return widget;
+	},
+	reset: (widget) => solvePow(widget),
+	remove(widget) {
+		widget.run++;
+		clearTimeout(widget.timer);
+		widget.input.remove();
+		widget.status.remove();
+	},
+};
+
+const fake = {
+	name: 'fake',
+	...CAPTCHA_PROVIDERS.fake,
+	isReady: () => true,
+	render: (container) => tokenInput(container, fake.tokenField, FAKE_CAPTCHA_TOKENS.PASS),
+	reset: () => {},
+	remove: (input) => input.remove(),
+};
+
+const PROVIDERS = { turnstile, hcaptcha, pow, fake };
+
+/**
+ * @param {string} [name] - Provider name; defaults to VITE_CAPTCHA_PROVIDER
+ * @returns {object} The provider, falling back to Turnstile for unknown names
+ */
+export function getCaptchaProvider(name = import.meta.env.VITE_CAPTCHA_PROVIDER) {
+	return PROVIDERS[name] || PROVIDERS[DEFAULT_CAPTCHA_PROVIDER];
+}
@@ -0,0 +1,72 @@
+/**
+ * Browser error reports.
+ *
+ * Sends `{ message, stack, source, path, commit }` to /api/client-errors
+ * when a route's error boundary catches something, or an error or promise
+ * rejection goes unhandled. `path` is the route pattern (as for page views,
+ * so tokens never leave the page) and `commit` the build, so the minified
+ * stack can be symbolicated against the right source maps. Each distinct
+ * error is sent once per page load, and at most
+ * ERROR_REPORTING.MAX_REPORTS_PER_PAGE in all.
+ */
+
+import { BUILD_INFO } from './buildInfo';
+
+const REPORT_URL = '/api/client-errors';
+
+export const ERROR_REPORTING = {
+	MAX_REPORTS_PER_PAGE: 10,
+	/** The API cuts longer stacks anyway; no point sending them. */
+	MAX_STACK_LENGTH: 8000,
+};
+
+const reported = new Set();
+
+/**
+ * Send one error report. Fire-and-forget: never throws, and its response
+ * is never read.
+ *
+ * @param {*} error - What was thrown or rejected
+ * @param {object} options
+ * @param {string} options.source - route, root, error or unhandledrejection
+ * @param {string} [options.path] - Route path pattern
+ */
+export function reportClientError(error, { source, path }) {
+	const message = String(error?.message ?? error ?? 'Unknown error');
+	const stack = typeof error?.stack === 'string' ? error.stack.slice(0, ERROR_REPORTING.MAX_STACK_LENGTH) : '';
+	const signature = `${message}\n${stack}`;
+	if (reported.has(signature) || reported.size >= ERROR_REPORTING.MAX_REPORTS_PER_PAGE) return;
+	reported.add(signature);
+
+	const body = JSON.stringify({ message, stack, source, path, commit: BUILD_INFO.commit });
+	try {
+		if (typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(REPORT_URL, body)) return;
+		fetch(REPORT_URL, { method: 'POST', body, keepalive: true }).catch(() => {});
+	} catch {
+		// Reporting must never become the next error
+	}
+}
+
+/**
+ * Report errors and promise rejections nothing else handled.
+ *
+ * @param {function(): string} getPath - Current route path pattern
+ * @returns {function(): void} Stops reporting
+ */
+export function reportUncaughtErrors(getPath) {
+	const onError = (event) => {
+		// Cross-origin scripts report only "Script error." — nothing to act on
+		if (!event.error && event.message === 'Script error.') return;
+		reportClientError(event.error ?? event.message, { source: 'error', path: getPath() });
+	};
+	const onRejection = (event) => {
+		reportClientError(event.reason, { source: 'unhandledrejection', path: getPath() });
+	};
+
+	window.addEventListener('error', onError);
+	window.addEventListener('unhandledrejection', onRejection);
+	return () => {
+		window.removeEventListener('error', onError);
+		window.removeEventListener('unhandledrejection', onRejection);
+	};
+}
@@ -4,15 +4,20 @@
  * Uses useActionState with FormData-based uncontrolled inputs.
  */
 
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { render, screen, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { createMemoryRouter, RouterProvider } from 'react-router';
 import Contact from '../src/pages/Contact';
+import { hasLeadingZeroBits, powHash } from '../shared/captcha';
 
 // Mock fetch
 global.fetch = vi.fn();
 
+// Render token from /api/form-token (tests/useFormToken.test.jsx covers the hook)
+const { useFormToken } = vi.hoisted(() => ({ useFormToken: vi.fn(() => 'mock-form-token') }));
+vi.mock('../src/hooks/useFormToken', () => ({ useFormToken }));
+
 /** Render Contact within a router context. */
 function renderContact() {
 	const router = createMemoryRouter(
@@ -76,7 +81,7 @@ describe('Contact Turnstile Initialization', () => {
 
 		renderContact();
 
-		expect(renderSpy).toHaveBeenCalled();
+		expect(renderSpy).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'contact' }));
 
 		window.turnstile = originalTurnstile;
 	});
@@ -146,8 +151,59 @@ describe('Contact Form', () => {
 		await user.click(screen.getByRole('button', { name: /send message/i }));
 
 		await waitFor(() => {
-			expect(screen.getByText(/all fields are required/i)).toBeInTheDocument();
+			expect(screen.getByText('Name is required.')).toBeInTheDocument();
+		});
+		expect(screen.getByText('Email is required.')).toBeInTheDocument();
+		expect(screen.getByText('Message is required.')).toBeInTheDocument();
+		for (const label of [/name/i, /email/i, /message/i]) {
+			expect(screen.getByLabelText(label)).toHaveAttribute('aria-invalid', 'true');
+		}
+		expect(global.fetch).not.toHaveBeenCalled();
+	});
+
+	it('highlights only the invalid field and keeps what was typed', async () => {
+		const user = userEvent.setup();
+		renderContact();
+
+		await fillForm(user, { email: 'invalid-email' });
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		const emailInput = screen.getByLabelText(/email/i);
+		await waitFor(() => {
+			expect(emailInput).toHaveAttribute('aria-invalid', 'true');
 		});
+		expect(emailInput).toHaveAttribute('aria-describedby', 'email-error');
+		expect(document.getElementById('email-error')).toHaveTextContent(/valid email address/i);
+		expect(emailInput).toHaveFocus();
+		expect(screen.getByLabelText(/name/i)).toHaveAttribute('aria-invalid', 'false');
+		expect(screen.getByLabelText(/name/i)).toHaveValue('Test User');
+		expect(screen.getByLabelText(/message/i)).toHaveValue('Test message');
+		expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+	});
+
+	it('shows server-side field errors inline', async () => {
+		global.fetch.mockResolvedValueOnce({
+			ok: false,
+			status: 400,
+			json: async () => ({
+				success: false,
+				error: 'Message exceeds 5000 characters.',
+				errors: { message: 'Message exceeds 5000 characters.' },
+			}),
+		});
+
+		const user = userEvent.setup();
+		renderContact();
+
+		await fillForm(user);
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		await waitFor(() => {
+			expect(screen.getByLabelText(/message/i)).toHaveAttribute('aria-invalid', 'true');
+		});
+		expect(screen.getByText('Message exceeds 5000 characters.')).toBeInTheDocument();
 	});
 
 	it('validates email format', async () => {
@@ -197,11 +253,57 @@ describe('Contact Form', () => {
 			'/api/contact',
 			expect.objectContaining({
 				method: 'POST',
-				headers: { 'Content-Type': 'application/json' },
+				headers: { 'Content-Type': 'application/json', 'Idempotency-Key': expect.any(String) },
 			})
 		);
 	});
 
+	it('links to the status page when the response carries a status token', async () => {
+		const token = 'a'.repeat(43);
+		global.fetch.mockResolvedValueOnce({
+			ok: true,
+			json: async () => ({ success: true, message: 'Message received.', statusToken: token }),
+		});
+
+		const user = userEvent.setup();
+		renderContact();
+
+		await fillForm(user);
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		expect(await screen.findByRole('link', { name: /check on or delete your message/i }))
+			.toHaveAttribute('href', `/contact/status/${token}`);
+	});
+
+	it('sends the chosen category and omits empty optional fields', async () => {
+		global.fetch.mockResolvedValueOnce({
+			ok: true,
+			json: async () => ({ success: true, message: 'Message received.' }),
+		});
+
+		const user = userEvent.setup();
+		renderContact();
+
+		expect(screen.getByLabelText(/subject/i)).not.toBeRequired();
+		await fillForm(user);
+		await user.selectOptions(screen.getByLabelText(/category/i), 'Work inquiry');
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		await waitFor(() => {
+			expect(screen.getByText(/message sent/i)).toBeInTheDocument();
+		});
+		expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+			name: 'Test User',
+			email: 'test@example.com',
+			category: 'work',
+			message: 'Test message',
+			'cf-turnstile-response': 'mock-captcha-token',
+			formToken: 'mock-form-token',
+		});
+	});
+
 	it('handles API errors gracefully', async () => {
 		global.fetch.mockResolvedValueOnce({
 			ok: false,
@@ -221,6 +323,56 @@ describe('Contact Form', () => {
 		});
 	});
 
+	it('shows the request ID of a server error so it can be reported', async () => {
+		global.fetch.mockResolvedValueOnce({
+			ok: false,
+			status: 500,
+			json: async () => ({ success: false, code: 'internal_error', error: 'Internal server error.', requestId: 'req-1234' }),
+		});
+
+		const user = userEvent.setup();
+		renderContact();
+
+		await fillForm(user);
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		await waitFor(() => {
+			expect(screen.getByRole('alert')).toHaveTextContent('Internal server error. (reference req-1234)');
+		});
+	});
+
+	it('tells an expired CAPTCHA apart from a failed one', async () => {
+		global.fetch
+			.mockResolvedValueOnce({
+				ok: false,
+				status: 400,
+				json: async () => ({ code: 'captcha_expired', error: 'CAPTCHA expired. Please complete it again.' }),
+			})
+			.mockResolvedValueOnce({
+				ok: false,
+				status: 400,
+				json: async () => ({ code: 'captcha_failed', error: 'CAPTCHA verification failed. Please try again.' }),
+			});
+
+		const user = userEvent.setup();
+		renderContact();
+
+		await fillForm(user);
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		expect(await screen.findByRole('alert')).toHaveTextContent(/expired before your message was sent/i);
+		expect(screen.getByLabelText(/message/i)).toHaveValue('Test message');
+
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		await waitFor(() => {
+			expect(screen.getByRole('alert')).toHaveTextContent('CAPTCHA verification failed. Please try again.');
+		});
+	});
+
 	it('handles network error with non-JSON response', async () => {
 		global.fetch.mockResolvedValueOnce({
 			ok: false,
@@ -275,4 +427,271 @@ describe('Contact Form', () => {
 
 		resetSpy.mockRestore();
 	});
+
+	it('reuses the Idempotency-Key when retrying the same message after a failure', async () => {
+		global.fetch
+			.mockRejectedValueOnce(new Error('Network failure'))
+			.mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+
+		const user = userEvent.setup();
+		renderContact();
+
+		await fillForm(user);
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+		await waitFor(() => {
+			expect(screen.getByText(/network failure/i)).toBeInTheDocument();
+		});
+
+		// Fields keep their values after a failure; just solve the CAPTCHA again
+		expect(screen.getByLabelText(/message/i)).toHaveValue('Test message');
+		injectCaptchaToken('second-token');
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+		await waitFor(() => {
+			expect(screen.getByText(/message sent/i)).toBeInTheDocument();
+		});
+
+		const [first, second] = global.fetch.mock.calls.map(([, init]) => init.headers['Idempotency-Key']);
+		expect(first).toBeTruthy();
+		expect(second).toBe(first);
+	});
+
+	it('uses a new Idempotency-Key once the message is edited', async () => {
+		global.fetch.mockResolvedValue({
+			ok: false,
+			status: 500,
+			json: async () => ({ error: 'Server error' }),
+		});
+
+		const user = userEvent.setup();
+		renderContact();
+
+		await fillForm(user);
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+		await waitFor(() => {
+			expect(global.fetch).toHaveBeenCalledTimes(1);
+		});
+
+		await user.type(screen.getByLabelText(/message/i), ' (edited)');
+		injectCaptchaToken('second-token');
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+		await waitFor(() => {
+			expect(global.fetch).toHaveBeenCalledTimes(2);
+		});
+
+		const [first, second] = global.fetch.mock.calls.map(([, init]) => init.headers['Idempotency-Key']);
+		expect(second).not.toBe(first);
+		global.fetch.mockReset();
+	});
+});
+
+describe('Contact Form Bot Traps', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('renders an off-screen honeypot and sends it when something fills it in', async () => {
+		global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+		const user = userEvent.setup();
+		renderContact();
+
+		const honeypot = screen.getByLabelText('Website');
+		expect(honeypot).toHaveAttribute('tabindex', '-1');
+		expect(honeypot.closest('[aria-hidden="true"]')).toBeInTheDocument();
+
+		await fillForm(user);
+		await user.type(honeypot, 'https://spam.example');
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		await waitFor(() => {
+			expect(screen.getByText(/message sent/i)).toBeInTheDocument();
+		});
+		expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({
+			website: 'https://spam.example',
+			formToken: 'mock-form-token',
+		});
+	});
+
+	it('waits for the render token before sending', async () => {
+		useFormToken.mockReturnValue('');
+		const user = userEvent.setup();
+		renderContact();
+
+		await fillForm(user);
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		await waitFor(() => {
+			expect(screen.getByRole('alert')).toHaveTextContent(/still loading/i);
+		});
+		expect(global.fetch).not.toHaveBeenCalled();
+		useFormToken.mockReturnValue('mock-form-token');
+	});
+});
+
+describe('Contact Form CAPTCHA Providers', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		global.fetch.mockReset();
+		// Earlier tests may have injected the Turnstile script
+		document.head.querySelectorAll('script').forEach((script) => script.remove());
+	});
+
+	afterEach(() => {
+		vi.unstubAllEnvs();
+	});
+
+	it('sends the fake provider token under its own field', async () => {
+		vi.stubEnv('VITE_CAPTCHA_PROVIDER', 'fake');
+		global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+		const user = userEvent.setup();
+		renderContact();
+
+		await fillForm(user);
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		await waitFor(() => {
+			expect(screen.getByText(/message sent/i)).toBeInTheDocument();
+		});
+		const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+		expect(body['captcha-token']).toBe('fake-pass');
+		expect(body).not.toHaveProperty('cf-turnstile-response');
+	});
+
+	it('solves a proof-of-work challenge without a third-party script', async () => {
+		vi.stubEnv('VITE_CAPTCHA_PROVIDER', 'pow');
+		const expiresAt = new Date(Date.now() + 600_000).toISOString();
+		global.fetch
+			.mockResolvedValueOnce({ ok: true, json: async () => ({ success: true, challenge: 'test-challenge', difficulty: 4, expiresAt }) })
+			.mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+		const user = userEvent.setup();
+		renderContact();
+
+		await waitFor(() => {
+			expect(screen.getByRole('status')).toHaveTextContent(/verified/i);
+		});
+		expect(document.querySelector('script[src*="turnstile"]')).toBeNull();
+		await fillForm(user);
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		await waitFor(() => {
+			expect(screen.getByText(/message sent/i)).toBeInTheDocument();
+		});
+		// The widget fetches a fresh challenge after each send
+		expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['/api/challenge', '/api/contact', '/api/challenge']);
+		const solution = JSON.parse(global.fetch.mock.calls[1][1].body)['pow-solution'];
+		expect(solution).toMatch(/^test-challenge:\d+$/);
+		expect(hasLeadingZeroBits(await powHash('test-challenge', Number(solution.split(':')[1])), 4)).toBe(true);
+	});
+});
+
+describe('Contact Form Attachments', () => {
+	const SCREENSHOT = new File(['png!'], 'screenshot.png', { type: 'image/png' });
+
+	/** Queue the upload URL + PUT responses for one file. */
+	function mockUpload(key = 'pending/3f2c9e4a-1b7d-4c8e-9a0f-6d5e4c3b2a10') {
+		global.fetch
+			.mockResolvedValueOnce({
+				ok: true,
+				json: async () => ({ success: true, key, uploadUrl: `https://twistan.com/api/attachments/${key.slice(8)}?signature=abc` }),
+			})
+			.mockResolvedValueOnce({ ok: true, json: async () => ({ success: true, key }) });
+	}
+
+	/**
+	 * jsdom builds FormData from its internal file list, which user-event's
+	 * upload() doesn't touch; read file inputs' `files` instead.
+	 */
+	class FileInputFormData extends FormData {
+		constructor(form, submitter) {
+			super(form, submitter);
+			for (const input of form?.querySelectorAll('input[type="file"]') ?? []) {
+				this.delete(input.name);
+				for (const file of input.files) this.append(input.name, file);
+			}
+		}
+	}
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		global.fetch.mockReset();
+		vi.stubGlobal('FormData', FileInputFormData);
+	});
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('uploads the file to a signed URL and sends its key with the message', async () => {
+		mockUpload();
+		global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+
+		const user = userEvent.setup();
+		renderContact();
+
+		await fillForm(user);
+		await user.upload(screen.getByLabelText(/attachments/i), SCREENSHOT);
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		await waitFor(() => {
+			expect(screen.getByText(/message sent/i)).toBeInTheDocument();
+		});
+		const [issue, put, contact] = global.fetch.mock.calls;
+		expect(issue[0]).toBe('/api/attachments');
+		expect(JSON.parse(issue[1].body)).toEqual({ name: 'screenshot.png', type: 'image/png', size: 4, formToken: 'mock-form-token' });
+		expect(put[0]).toContain('/api/attachments/3f2c9e4a');
+		expect(put[1]).toMatchObject({ method: 'PUT', headers: { 'Content-Type': 'image/png' }, body: SCREENSHOT });
+		expect(JSON.parse(contact[1].body).attachments).toEqual(['pending/3f2c9e4a-1b7d-4c8e-9a0f-6d5e4c3b2a10']);
+	});
+
+	it('rejects files the rules do not accept without uploading', async () => {
+		const user = userEvent.setup({ applyAccept: false });
+		renderContact();
+
+		await fillForm(user);
+		await user.upload(screen.getByLabelText(/attachments/i), new File(['MZ'], 'setup.exe', { type: 'application/x-msdownload' }));
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+
+		await waitFor(() => {
+			expect(screen.getByText(/setup\.exe is not an accepted file type/i)).toBeInTheDocument();
+		});
+		expect(screen.getByLabelText(/attachments/i)).toHaveAttribute('aria-invalid', 'true');
+		expect(global.fetch).not.toHaveBeenCalled();
+	});
+
+	it('keeps uploaded files across a failed send without uploading them again', async () => {
+		mockUpload();
+		global.fetch
+			.mockRejectedValueOnce(new Error('Network failure'))
+			.mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+
+		const user = userEvent.setup();
+		renderContact();
+
+		await fillForm(user);
+		await user.upload(screen.getByLabelText(/attachments/i), SCREENSHOT);
+		injectCaptchaToken();
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+		await waitFor(() => {
+			expect(screen.getByText(/network failure/i)).toBeInTheDocument();
+		});
+
+		expect(screen.getByRole('checkbox', { name: 'screenshot.png' })).toBeChecked();
+		// A real form reset empties the file input; user-event's files survive it
+		await user.upload(screen.getByLabelText(/attachments/i), []);
+		injectCaptchaToken('second-token');
+		await user.click(screen.getByRole('button', { name: /send message/i }));
+		await waitFor(() => {
+			expect(screen.getByText(/message sent/i)).toBeInTheDocument();
+		});
+
+		expect(global.fetch).toHaveBeenCalledTimes(4);
+		const [first, second] = global.fetch.mock.calls.slice(2).map(([, init]) => init);
+		expect(JSON.parse(second.body).attachments).toEqual(JSON.parse(first.body).attachments);
+		expect(second.headers['Idempotency-Key']).toBe(first.headers['Idempotency-Key']);
+	});
 });
@@ -0,0 +1,107 @@
+/**
+ * Contact status page tests.
+ * Tests loading a submission by its token, unknown tokens, anonymized
+ * submissions and deleting with confirmation.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { createMemoryRouter, RouterProvider } from 'react-router';
+import ContactStatus from '../src/pages/ContactStatus';
+
+const TOKEN = 'x'.repeat(43);
+
+const SUBMISSION = {
+	submittedAt: '2026-02-14T15:30:00.000Z',
+	status: 'read',
+	statusLabel: 'Read',
+	name: 'Ann Example',
+	email: 'ann@example.com',
+	message: 'Hello there',
+	attachments: ['plan.pdf'],
+};
+
+/** Render the page for TOKEN within a router context. */
+function renderStatus() {
+	const router = createMemoryRouter(
+		[{ path: '/contact/status/:token', element: <ContactStatus /> }],
+		{ initialEntries: [`/contact/status/${TOKEN}`] }
+	);
+	return render(<RouterProvider router={router} />);
+}
+
+/** Fake fetch response. */
+const respond = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+describe('Contact Status Page', () => {
+	beforeEach(() => {
+		global.fetch = vi.fn();
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('shows the message and its status', async () => {
+		global.fetch.mockResolvedValueOnce(respond(200, { success: true, submission: SUBMISSION }));
+		renderStatus();
+
+		expect(await screen.findByText('Hello there')).toBeInTheDocument();
+		expect(screen.getByText('Read')).toBeInTheDocument();
+		expect(screen.getByText('ann@example.com')).toBeInTheDocument();
+		expect(screen.getByText('plan.pdf')).toBeInTheDocument();
+		expect(global.fetch).toHaveBeenCalledWith(`/api/contact/${TOKEN}`, expect.any(Object));
+	});
+
+	it('says so when the token opens nothing', async () => {
+		global.fetch.mockResolvedValueOnce(respond(404, { success: false, error: 'Message not found.' }));
+		renderStatus();
+
+		expect(await screen.findByText(/wasn.t found/i)).toBeInTheDocument();
+		expect(screen.queryByRole('button', { name: /delete/i })).not.toBeInTheDocument();
+	});
+
+	it('shows only the status of an anonymized message', async () => {
+		global.fetch.mockResolvedValueOnce(respond(200, {
+			success: true,
+			submission: { submittedAt: SUBMISSION.submittedAt, status: 'closed', statusLabel: 'Closed', anonymized: true },
+		}));
+		renderStatus();
+
+		expect(await screen.findByText(/data retention policy/i)).toBeInTheDocument();
+		expect(screen.getByText('Closed')).toBeInTheDocument();
+	});
+
+	it('deletes the message only after confirmation', async () => {
+		global.fetch
+			.mockResolvedValueOnce(respond(200, { success: true, submission: SUBMISSION }))
+			.mockResolvedValueOnce(respond(200, { success: true, message: 'Your message has been deleted.' }));
+		const confirm = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+		const user = userEvent.setup();
+		renderStatus();
+
+		await user.click(await screen.findByRole('button', { name: /delete my message/i }));
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+
+		await user.click(screen.getByRole('button', { name: /delete my message/i }));
+		expect(await screen.findByText(/have been deleted/i)).toBeInTheDocument();
+		expect(confirm).toHaveBeenCalledTimes(2);
+		expect(global.fetch).toHaveBeenLastCalledWith(`/api/contact/${TOKEN}`, { method: 'DELETE' });
+		expect(screen.queryByText('Hello there')).not.toBeInTheDocument();
+	});
+
+	it('keeps the message on screen when deleting fails', async () => {
+		global.fetch
+			.mockResolvedValueOnce(respond(200, { success: true, submission: SUBMISSION }))
+			.mockResolvedValueOnce(respond(503, { success: false, error: 'Server configuration error.' }));
+		vi.spyOn(window, 'confirm').mockReturnValue(true);
+		const user = userEvent.setup();
+		renderStatus();
+
+		await user.click(await screen.findByRole('button', { name: /delete my message/i }));
+
+		expect(await screen.findByRole('alert')).toHaveTextContent('Server configuration error.');
+		expect(screen.getByText('Hello there')).toBeInTheDocument();
+	});
+});
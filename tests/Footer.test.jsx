@@ -1,13 +1,16 @@
 /**
  * Footer component tests.
- * Tests rendering, GitHub link, YearEasterEgg typewriter, and
- * FooterGitHub hacker-mode hold interaction.
+ * Tests rendering, GitHub link, YearEasterEgg typewriter, the build
+ * stamp, and FooterGitHub hacker-mode hold interaction.
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { render, screen, fireEvent, act } from '@testing-library/react';
 import Footer from '../src/components/Footer';
 
+const BUILD_INFO = vi.hoisted(() => ({ version: null, commit: null, builtAt: null }));
+vi.mock('../src/utils/buildInfo', () => ({ BUILD_INFO }));
+
 describe('Footer - static rendering', () => {
 	it('renders copyright with current year', () => {
 		render(<Footer />);
@@ -77,6 +80,44 @@ describe('Footer - YearEasterEgg', () => {
 	});
 });
 
+describe('Footer - build stamp', () => {
+	beforeEach(() => { vi.useFakeTimers({ now: new Date('2026-10-18T12:00:00.000Z') }); });
+	afterEach(() => {
+		Object.assign(BUILD_INFO, { version: null, commit: null, builtAt: null });
+		vi.clearAllTimers();
+		vi.useRealTimers();
+	});
+
+	it('shows the short commit SHA on hover, with the full SHA and build time as its title', () => {
+		Object.assign(BUILD_INFO, { version: '1.2.0', commit: 'c0ffee0123456789abcdef0123456789abcdef01', builtAt: '2026-10-15T09:00:00.000Z' });
+		render(<Footer />);
+
+		const sha = screen.getByText('c0ffee0');
+		expect(sha).toHaveClass('opacity-0', 'group-hover:opacity-100');
+		expect(sha).toHaveAttribute('title', 'c0ffee0123456789abcdef0123456789abcdef01 · built 2026-10-15T09:00:00.000Z');
+	});
+
+	it('counts the easter egg days from the build time', () => {
+		Object.assign(BUILD_INFO, { commit: 'c0ffee0123456789abcdef0123456789abcdef01', builtAt: '2026-10-15T09:00:00.000Z' });
+		render(<Footer />);
+
+		fireEvent.click(screen.getByRole('button', { name: /click for a secret/i }));
+		act(() => { vi.advanceTimersByTime(5000); });
+
+		expect(screen.getByText('days since last bugfix was deployed: 3')).toBeInTheDocument();
+	});
+
+	it('shows no SHA and zero days for an unstamped build', () => {
+		render(<Footer />);
+
+		fireEvent.click(screen.getByRole('button', { name: /click for a secret/i }));
+		act(() => { vi.advanceTimersByTime(5000); });
+
+		expect(screen.queryByTitle(/built/)).not.toBeInTheDocument();
+		expect(screen.getByText('days since last bugfix was deployed: 0')).toBeInTheDocument();
+	});
+});
+
 describe('Footer - FooterGitHub hacker mode', () => {
 	beforeEach(() => { vi.useFakeTimers(); });
 	afterEach(() => {
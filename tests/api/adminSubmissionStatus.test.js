@@ -0,0 +1,135 @@
+/**
+ * Admin submission status API tests.
+ * Tests PATCH /api/admin/submissions/:key triage transitions and history.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+
+const TOKEN = 'admin-test-token';
+const KEY = 'contact_2026-02-10T10:00:00.000Z_aaa';
+const LEGACY_KEY = 'contact_2026-01-01T09:00:00.000Z_old';
+
+const seedKV = () => createMockKV({
+	[KEY]: JSON.stringify({
+		name: 'Test User',
+		email: 'test@example.com',
+		message: 'Hello',
+		submittedAt: '2026-02-10T10:00:00.000Z',
+		status: 'new',
+		statusHistory: [{ status: 'new', changedAt: '2026-02-10T10:00:00.000Z' }],
+	}),
+	// Written before statuses existed
+	[LEGACY_KEY]: JSON.stringify({
+		name: 'Old',
+		email: 'old@example.com',
+		message: 'Hi',
+		submittedAt: '2026-01-01T09:00:00.000Z',
+	}),
+});
+
+/**
+ * Create a mock Pages Function context for PATCH /api/admin/submissions/:key.
+ * @param {object} opts
+ * @param {string} [opts.key] - Route param (URL-encoded as it arrives from the router)
+ * @param {object} [opts.body] - JSON body
+ */
+function createPatchContext({ key = encodeURIComponent(KEY), body = { status: 'read' } } = {}) {
+	return {
+		request: {
+			text: vi.fn().mockResolvedValue(JSON.stringify(body)),
+			headers: {
+				get: vi.fn((header) => {
+					if (header === 'CF-Connecting-IP') return '127.0.0.1';
+					if (header === 'Origin') return 'https://twistan.com';
+					if (header === 'Authorization') return `Bearer ${TOKEN}`;
+					return null;
+				}),
+			},
+		},
+		params: { key },
+		env: {
+			CONTACT_SUBMISSIONS: seedKV(),
+			ADMIN_API_TOKEN: TOKEN,
+		},
+	};
+}
+
+describe('Admin Submission Status API', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('moves a submission to a new status and records history', async () => {
+		const { onRequestPatch } = await import('../../functions/api/admin/submissions/[key].js');
+		const context = createPatchContext({ body: { status: 'replied', note: 'Answered by email' } });
+
+		const response = await onRequestPatch(context);
+		const data = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(data.submission.status).toBe('replied');
+		const stored = JSON.parse(context.env.CONTACT_SUBMISSIONS.store.get(KEY));
+		expect(stored.status).toBe('replied');
+		expect(stored.statusHistory).toHaveLength(2);
+		expect(stored.statusHistory[1]).toMatchObject({ status: 'replied', note: 'Answered by email' });
+		expect(stored.statusHistory[1].changedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+	});
+
+	it('does not rewrite the record when the status is unchanged', async () => {
+		const { onRequestPatch } = await import('../../functions/api/admin/submissions/[key].js');
+		const context = createPatchContext({ body: { status: 'new' } });
+
+		const response = await onRequestPatch(context);
+
+		expect(response.status).toBe(200);
+		expect(context.env.CONTACT_SUBMISSIONS.put.mock.calls.some(([k]) => k === KEY)).toBe(false);
+	});
+
+	it('upgrades legacy records without a status', async () => {
+		const { onRequestPatch } = await import('../../functions/api/admin/submissions/[key].js');
+		const context = createPatchContext({ key: encodeURIComponent(LEGACY_KEY), body: { status: 'archived' } });
+
+		await onRequestPatch(context);
+
+		const stored = JSON.parse(context.env.CONTACT_SUBMISSIONS.store.get(LEGACY_KEY));
+		expect(stored.statusHistory.map((h) => h.status)).toEqual(['new', 'archived']);
+	});
+
+	it('rejects unknown statuses', async () => {
+		const { onRequestPatch } = await import('../../functions/api/admin/submissions/[key].js');
+		const response = await onRequestPatch(createPatchContext({ body: { status: 'deleted' } }));
+		const data = await response.json();
+
+		expect(response.status).toBe(400);
+		expect(data.error).toContain('status must be one of');
+	});
+
+	it('rejects malformed keys and oversized notes', async () => {
+		const { onRequestPatch } = await import('../../functions/api/admin/submissions/[key].js');
+
+		expect((await onRequestPatch(createPatchContext({ key: 'ratelimit_1.2.3.4_0' }))).status).toBe(400);
+		expect((await onRequestPatch(createPatchContext({ key: '%E0%A4%A' }))).status).toBe(400);
+		expect((await onRequestPatch(createPatchContext({ body: { status: 'read', note: 'x'.repeat(501) } }))).status).toBe(400);
+	});
+
+	it('returns 404 for missing submissions', async () => {
+		const { onRequestPatch } = await import('../../functions/api/admin/submissions/[key].js');
+		const response = await onRequestPatch(createPatchContext({
+			key: encodeURIComponent('contact_2026-03-01T00:00:00.000Z_missing'),
+		}));
+
+		expect(response.status).toBe(404);
+	});
+
+	it('requires admin auth', async () => {
+		const { onRequestPatch } = await import('../../functions/api/admin/submissions/[key].js');
+		const context = createPatchContext();
+		context.env.ADMIN_API_TOKEN = 'different-token';
+
+		const response = await onRequestPatch(context);
+
+		expect(response.status).toBe(401);
+		expect(context.env.CONTACT_SUBMISSIONS.store.get(KEY)).toContain('"status":"new"');
+	});
+});
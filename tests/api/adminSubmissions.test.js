@@ -0,0 +1,203 @@
+/**
+ * Admin submissions API tests.
+ * Tests bearer auth, rate limiting, pagination, and date-range filtering.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+
+const TOKEN = 'admin-test-token';
+
+const record = (submittedAt, name = 'Test User') => JSON.stringify({
+	name,
+	email: 'test@example.com',
+	message: 'Hello',
+	submittedAt,
+});
+
+/** Three submissions on consecutive days plus an unrelated rate-limit key. */
+const seedKV = () => createMockKV({
+	'contact_2026-02-10T10:00:00.000Z_aaa': record('2026-02-10T10:00:00.000Z', 'First'),
+	'contact_2026-02-11T10:00:00.000Z_bbb': record('2026-02-11T10:00:00.000Z', 'Second'),
+	'contact_2026-02-12T10:00:00.000Z_ccc': record('2026-02-12T10:00:00.000Z', 'Third'),
+	'ratelimit_127.0.0.1_1708012800000': '2',
+});
+
+/**
+ * Create a mock Pages Function context for GET /api/admin/submissions.
+ * @param {object} opts
+ * @param {string} [opts.query] - Query string without leading "?"
+ * @param {string|null} [opts.auth] - Authorization header value
+ * @param {object} [opts.env] - Env overrides
+ */
+function createAdminContext({ query = '', auth = `Bearer ${TOKEN}`, env = {} } = {}) {
+	return {
+		request: {
+			url: `https://twistan.com/api/admin/submissions${query ? `?${query}` : ''}`,
+			headers: {
+				get: vi.fn((header) => {
+					if (header === 'CF-Connecting-IP') return '127.0.0.1';
+					if (header === 'Origin') return 'https://twistan.com';
+					if (header === 'Authorization') return auth;
+					return null;
+				}),
+			},
+		},
+		env: {
+			CONTACT_SUBMISSIONS: seedKV(),
+			ADMIN_API_TOKEN: TOKEN,
+			...env,
+		},
+	};
+}
+
+describe('Admin Submissions API - Auth', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('fails closed when ADMIN_API_TOKEN is missing', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const response = await onRequestGet(createAdminContext({ env: { ADMIN_API_TOKEN: undefined } }));
+
+		expect(response.status).toBe(503);
+	});
+
+	it('rejects requests without a bearer token', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const response = await onRequestGet(createAdminContext({ auth: null }));
+
+		expect(response.status).toBe(401);
+		expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+	});
+
+	it('rejects the wrong token', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const response = await onRequestGet(createAdminContext({ auth: 'Bearer nope' }));
+
+		expect(response.status).toBe(401);
+	});
+
+	it('returns 429 once the admin rate limit is exhausted', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const context = createAdminContext();
+		context.env.CONTACT_SUBMISSIONS.get.mockImplementation(async (key) =>
+			key.startsWith('ratelimit_admin_') ? '120' : null
+		);
+
+		const response = await onRequestGet(context);
+
+		expect(response.status).toBe(429);
+		expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+		expect(Number(response.headers.get('Retry-After'))).toBeLessThanOrEqual(3600);
+	});
+});
+
+describe('Admin Submissions API - Listing', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('returns all submissions with their keys', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const response = await onRequestGet(createAdminContext());
+		const data = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(data.success).toBe(true);
+		expect(data.submissions.map((s) => s.name)).toEqual(['First', 'Second', 'Third']);
+		expect(data.submissions[0].key).toBe('contact_2026-02-10T10:00:00.000Z_aaa');
+		expect(data.listComplete).toBe(true);
+		expect(data.cursor).toBeNull();
+	});
+
+	it('paginates with cursor', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+
+		const first = await (await onRequestGet(createAdminContext({ query: 'limit=2' }))).json();
+		expect(first.submissions).toHaveLength(2);
+		expect(first.cursor).toBeTruthy();
+
+		const second = await (await onRequestGet(
+			createAdminContext({ query: `limit=2&cursor=${first.cursor}` })
+		)).json();
+		expect(second.submissions.map((s) => s.name)).toEqual(['Third']);
+		expect(second.listComplete).toBe(true);
+	});
+
+	it('filters by since/until using the key timestamp', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const context = createAdminContext({ query: 'since=2026-02-11&until=2026-02-11T23:59:59Z' });
+
+		const data = await (await onRequestGet(context)).json();
+
+		expect(data.submissions.map((s) => s.name)).toEqual(['Second']);
+		expect(data.listComplete).toBe(true);
+		// Only the in-range record is fetched
+		const fetched = context.env.CONTACT_SUBMISSIONS.get.mock.calls
+			.map(([key]) => key)
+			.filter((key) => key.startsWith('contact_'));
+		expect(fetched).toEqual(['contact_2026-02-11T10:00:00.000Z_bbb']);
+	});
+
+	it('rejects invalid dates and limits', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+
+		expect((await onRequestGet(createAdminContext({ query: 'since=yesterday' }))).status).toBe(400);
+		expect((await onRequestGet(createAdminContext({ query: 'limit=0' }))).status).toBe(400);
+		expect((await onRequestGet(createAdminContext({ query: 'limit=5000' }))).status).toBe(400);
+	});
+
+	it('sets no-store cache header and CORS headers', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const response = await onRequestGet(createAdminContext());
+
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://twistan.com');
+	});
+
+	it('allows Authorization in preflight', async () => {
+		const { onRequestOptions } = await import('../../functions/api/admin/submissions/index.js');
+		const response = await onRequestOptions(createAdminContext());
+
+		expect(response.status).toBe(204);
+		expect(response.headers.get('Access-Control-Allow-Methods')).toContain('GET');
+		expect(response.headers.get('Access-Control-Allow-Headers')).toContain('Authorization');
+	});
+});
+
+describe('Admin Submissions API - Status', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('defaults legacy records to the new status', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const data = await (await onRequestGet(createAdminContext())).json();
+
+		expect(data.submissions.every((s) => s.status === 'new')).toBe(true);
+		expect(data.submissions[0].statusHistory).toEqual([
+			{ status: 'new', changedAt: '2026-02-10T10:00:00.000Z' },
+		]);
+	});
+
+	it('filters by status', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const context = createAdminContext({ query: 'status=spam' });
+		context.env.CONTACT_SUBMISSIONS.store.set(
+			'contact_2026-02-11T10:00:00.000Z_bbb',
+			JSON.stringify({ ...JSON.parse(record('2026-02-11T10:00:00.000Z', 'Second')), status: 'spam', statusHistory: [] })
+		);
+
+		const data = await (await onRequestGet(context)).json();
+
+		expect(data.submissions.map((s) => s.name)).toEqual(['Second']);
+	});
+
+	it('rejects unknown status filters', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const response = await onRequestGet(createAdminContext({ query: 'status=bogus' }));
+
+		expect(response.status).toBe(400);
+	});
+});
@@ -0,0 +1,183 @@
+/**
+ * Page-view analytics tests.
+ * Tests the /api/collect beacon (what is counted, what is never stored,
+ * Do Not Track) and the /api/admin/stats time series.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { PAGE_VIEWS, recordPageView } from '../../functions/_lib/analytics.js';
+
+const TOKEN = 'admin-test-token';
+const IP = '203.0.113.9';
+const IP_HASH_KEY = 'ip-hash-test-key';
+const USER_AGENT = 'Mozilla/5.0 (Test)';
+
+/** POST /api/collect the way sendBeacon does (text/plain). */
+async function collect(env, body, headers = {}) {
+	const { onRequestPost } = await import('../../functions/api/collect.js');
+	return onRequestPost({
+		request: new Request('https://twistan.com/api/collect', {
+			method: 'POST',
+			headers: { 'Content-Type': 'text/plain;charset=UTF-8', 'CF-Connecting-IP': IP, 'User-Agent': USER_AGENT, ...headers },
+			body: typeof body === 'string' ? body : JSON.stringify(body),
+		}),
+		env: { IP_HASH_KEY, ...env },
+	});
+}
+
+/** Page-view counters in KV, without the rate limit keys. */
+function pageViews(kv) {
+	return Object.fromEntries([...kv.store].filter(([key]) => key.startsWith(PAGE_VIEWS.PREFIX)));
+}
+
+/** GET /api/admin/stats and return the response. */
+async function stats(env, query = '', auth = `Bearer ${TOKEN}`) {
+	const { onRequestGet } = await import('../../functions/api/admin/stats.js');
+	return onRequestGet({
+		request: new Request(`https://twistan.com/api/admin/stats${query}`, {
+			headers: { 'CF-Connecting-IP': '127.0.0.1', ...(auth && { Authorization: auth }) },
+		}),
+		env: { ADMIN_API_TOKEN: TOKEN, ...env },
+	});
+}
+
+describe('Analytics - Collect', () => {
+	beforeEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('counts views per day, path and referrer host, storing nothing about the visitor', async () => {
+		const kv = createMockKV();
+		vi.useFakeTimers({ now: new Date('2026-10-18T09:00:00.000Z'), toFake: ['Date'] });
+
+		const response = await collect({ CONTACT_SUBMISSIONS: kv }, { path: '/projects', referrer: 'https://News.ycombinator.com/item?id=1' });
+		await collect({ CONTACT_SUBMISSIONS: kv }, { path: '/projects', referrer: 'https://news.ycombinator.com/' });
+		await collect({ CONTACT_SUBMISSIONS: kv }, { path: '/', referrer: '' });
+
+		expect(response.status).toBe(204);
+		expect(pageViews(kv)).toEqual({
+			'pageviews_2026-10-18_news.ycombinator.com_/projects': '2',
+			'pageviews_2026-10-18_-_/': '1',
+		});
+		expect(kv.meta.get('pageviews_2026-10-18_news.ycombinator.com_/projects').metadata).toEqual({ count: 2 });
+		expect(kv.put).toHaveBeenCalledWith(expect.any(String), '1', expect.objectContaining({ expirationTtl: 400 * 86400 }));
+		const stored = JSON.stringify([...kv.store, ...kv.meta]);
+		expect(stored).not.toContain(IP);
+		expect(stored).not.toContain('Mozilla');
+		expect(stored).not.toContain('item?id');
+	});
+
+	it('accepts but does not count requests with DNT: 1', async () => {
+		const kv = createMockKV();
+
+		const response = await collect({ CONTACT_SUBMISSIONS: kv }, { path: '/' }, { DNT: '1' });
+
+		expect(response.status).toBe(204);
+		expect(kv.put).not.toHaveBeenCalled();
+	});
+
+	it('rejects anything but a route path and treats odd referrers as direct', async () => {
+		const kv = createMockKV();
+
+		for (const path of [undefined, 'https://evil.test/', '/a b', '/contact/status/Vh3cSecretToken', '/wp-login.php', '/<script>']) {
+			const response = await collect({ CONTACT_SUBMISSIONS: kv }, { path });
+			expect(response.status).toBe(400);
+			expect((await response.json()).code).toBe('validation_failed');
+		}
+		await collect({ CONTACT_SUBMISSIONS: kv }, { path: '/contact/status/:token', referrer: 'not a url' });
+		await collect({ CONTACT_SUBMISSIONS: kv }, { path: '*', referrer: 'https://under_score.test/' });
+
+		expect(Object.keys(pageViews(kv)).map((k) => k.slice(21))).toEqual(['-_/contact/status/:token', '-_*']);
+	});
+
+	it('limits beacons per IP, keyed by an HMAC of the IP', async () => {
+		const kv = createMockKV();
+
+		for (let i = 0; i < PAGE_VIEWS.RATE_LIMIT.MAX_REQUESTS; i++) {
+			expect((await collect({ CONTACT_SUBMISSIONS: kv }, { path: '/' })).status).toBe(204);
+		}
+		const limited = await collect({ CONTACT_SUBMISSIONS: kv }, { path: '/' });
+		const other = await collect({ CONTACT_SUBMISSIONS: kv }, { path: '/' }, { 'CF-Connecting-IP': '198.51.100.1' });
+
+		expect(limited.status).toBe(429);
+		expect(limited.headers.get('Retry-After')).toMatch(/^\d+$/);
+		expect(other.status).toBe(204);
+		expect(Object.values(pageViews(kv))).toEqual([String(PAGE_VIEWS.RATE_LIMIT.MAX_REQUESTS + 1)]);
+		expect([...kv.store.keys()].join()).not.toContain(IP);
+
+		// Not the plain SHA-256 anyone could compute for every IPv4 address
+		const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(IP));
+		const plainHash = [...new Uint8Array(digest).slice(0, 16)].map((b) => b.toString(16).padStart(2, '0')).join('');
+		expect([...kv.store.keys()].filter((key) => key.startsWith('ratelimit_pageview_'))).not.toHaveLength(0);
+		expect([...kv.store.keys()].join()).not.toContain(plainHash);
+	});
+
+	it('refuses oversized beacons and fails closed without KV or IP_HASH_KEY', async () => {
+		const kv = createMockKV();
+
+		expect((await collect({ CONTACT_SUBMISSIONS: kv }, { path: '/', referrer: `https://x.test/${'a'.repeat(3000)}` })).status).toBe(413);
+		expect((await collect({}, { path: '/' })).status).toBe(503);
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		expect((await collect({ CONTACT_SUBMISSIONS: kv, IP_HASH_KEY: undefined }, { path: '/' })).status).toBe(503);
+		expect(kv.put).not.toHaveBeenCalled();
+	});
+});
+
+describe('Analytics - Admin Stats', () => {
+	beforeEach(() => {
+		vi.useRealTimers();
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+	});
+
+	it('requires the admin token', async () => {
+		expect((await stats({ CONTACT_SUBMISSIONS: createMockKV() }, '', null)).status).toBe(401);
+		expect((await stats({ CONTACT_SUBMISSIONS: createMockKV(), ADMIN_API_TOKEN: undefined })).status).toBe(503);
+	});
+
+	it('returns a gap-free daily series with per-path and per-referrer counts', async () => {
+		const kv = createMockKV();
+		const view = (path, referrer = '-') => ({ path, referrer });
+		await recordPageView(kv, view('/'), new Date('2026-10-09T23:59:00.000Z'));
+		await recordPageView(kv, view('/'), new Date('2026-10-10T08:00:00.000Z'));
+		await recordPageView(kv, view('/projects', 'github.com'), new Date('2026-10-10T09:00:00.000Z'));
+		await recordPageView(kv, view('/projects', 'github.com'), new Date('2026-10-12T09:00:00.000Z'));
+		await recordPageView(kv, view('/about'), new Date('2026-10-13T00:00:00.000Z'));
+		kv.get.mockClear();
+
+		const response = await stats({ CONTACT_SUBMISSIONS: kv }, '?since=2026-10-10&until=2026-10-12');
+		const data = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		expect(data).toEqual({
+			success: true,
+			since: '2026-10-10',
+			until: '2026-10-12',
+			days: [
+				{ date: '2026-10-10', views: 2, paths: { '/': 1, '/projects': 1 }, referrers: { '-': 1, 'github.com': 1 } },
+				{ date: '2026-10-11', views: 0, paths: {}, referrers: {} },
+				{ date: '2026-10-12', views: 1, paths: { '/projects': 1 }, referrers: { 'github.com': 1 } },
+			],
+			totals: { views: 3, paths: { '/': 1, '/projects': 2 }, referrers: { '-': 1, 'github.com': 2 } },
+		});
+		expect(kv.list).toHaveBeenCalledWith(expect.objectContaining({ prefix: 'pageviews_2026-10-1' }));
+		expect(kv.get.mock.calls.filter(([key]) => key.startsWith('pageviews_'))).toEqual([]);
+	});
+
+	it('defaults to the last 30 days and validates the range', async () => {
+		vi.useFakeTimers({ now: new Date('2026-10-18T12:00:00.000Z'), toFake: ['Date'] });
+		const env = { CONTACT_SUBMISSIONS: createMockKV() };
+
+		const data = await (await stats(env)).json();
+
+		expect(data.since).toBe('2026-09-19');
+		expect(data.until).toBe('2026-10-18');
+		expect(data.days).toHaveLength(30);
+		for (const query of ['?since=yesterday', '?since=2026-02-30', '?since=2026-10-12&until=2026-10-10', '?since=2024-01-01&until=2026-01-01']) {
+			const response = await stats(env, query);
+			expect(response.status).toBe(400);
+			expect((await response.json()).code).toBe('validation_failed');
+		}
+	});
+});
@@ -0,0 +1,170 @@
+/**
+ * Shared API layer tests.
+ * Tests route() preflight and dispatch, request IDs, the ApiError envelope,
+ * unexpected-error handling, the per-request log line and readJson()'s size
+ * and shape checks.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { API, ApiError, json, readJson, route } from '../../functions/_lib/api.js';
+import { API_ERRORS } from '../../shared/apiErrors.js';
+import { capturedLogs } from '../../functions/_lib/log.js';
+
+/** A context for a request from an allow-listed origin. */
+function context(init = {}) {
+	return {
+		request: new Request('https://twistan.com/api/example', {
+			method: 'POST',
+			...init,
+			headers: { Origin: 'http://localhost:5173', ...init.headers },
+		}),
+		env: { LOG_SINK: 'capture' },
+	};
+}
+
+describe('API - route()', () => {
+	beforeEach(() => {
+		vi.restoreAllMocks();
+		capturedLogs.length = 0;
+	});
+
+	it('answers preflight with the methods the route defines', async () => {
+		const api = route({ GET: async () => json({}), DELETE: async () => json({}) }, {
+			name: 'Example',
+			allowHeaders: 'Content-Type, Idempotency-Key',
+		});
+
+		const response = await api.onRequestOptions(context({ method: 'OPTIONS' }));
+
+		expect(Object.keys(api).sort()).toEqual(['onRequestDelete', 'onRequestGet', 'onRequestOptions']);
+		expect(response.status).toBe(204);
+		expect(response.headers.get('Access-Control-Allow-Methods')).toBe('GET, DELETE, OPTIONS');
+		expect(response.headers.get('Access-Control-Allow-Headers')).toBe('Content-Type, Idempotency-Key');
+	});
+
+	it('adds CORS, route headers and a request ID without overriding the handler', async () => {
+		const handler = vi.fn(async () => json({ success: true }, { headers: { 'Cache-Control': 'max-age=60' } }));
+		const api = route({ POST: handler }, { name: 'Example', headers: { 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' } });
+
+		const response = await api.onRequestPost(context());
+		const requestId = response.headers.get(API.REQUEST_ID_HEADER);
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ success: true });
+		expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+		expect(handler).toHaveBeenCalledWith(expect.anything(), { requestId, log: expect.any(Object) });
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('http://localhost:5173');
+		expect(response.headers.get('Cache-Control')).toBe('max-age=60');
+		expect(response.headers.get('Referrer-Policy')).toBe('no-referrer');
+	});
+
+	it('turns a thrown ApiError into the error envelope', async () => {
+		const api = route({
+			POST: async () => {
+				throw new ApiError(429, API_ERRORS.RATE_LIMITED, 'Slow down.', {
+					details: { retryAfter: 30 },
+					headers: { 'Retry-After': '30' },
+				});
+			},
+		}, { name: 'Example', headers: { 'Cache-Control': 'no-store' } });
+
+		const response = await api.onRequestPost(context());
+		const data = await response.json();
+
+		expect(response.status).toBe(429);
+		expect(data).toEqual({
+			success: false,
+			code: 'rate_limited',
+			error: 'Slow down.',
+			requestId: response.headers.get(API.REQUEST_ID_HEADER),
+			retryAfter: 30,
+		});
+		expect(response.headers.get('Retry-After')).toBe('30');
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		expect(response.headers.get('Content-Type')).toBe('application/json');
+	});
+
+	it('logs unexpected errors with the request ID and answers 500', async () => {
+		const failure = new Error('KV exploded');
+		const api = route({ POST: async () => { throw failure; } }, { name: 'Example' });
+
+		const response = await api.onRequestPost(context());
+		const data = await response.json();
+
+		expect(response.status).toBe(500);
+		expect(data).toEqual({ success: false, code: 'internal_error', error: 'Internal server error.', requestId: data.requestId });
+		expect(capturedLogs[0]).toMatchObject({
+			level: 'error',
+			msg: 'Example error',
+			requestId: data.requestId,
+			route: 'Example',
+			error: { name: 'Error', message: 'KV exploded' },
+		});
+		expect(JSON.stringify(data)).not.toContain('KV exploded');
+	});
+
+	it('ends every request with a log line carrying its outcome and latency', async () => {
+		const api = route({
+			POST: async (_context, { log }) => {
+				log.debug('hidden below the default level');
+				log.warn('Bot trap tripped', { trap: 'honeypot', email: 'ann@example.com' });
+				throw new ApiError(400, API_ERRORS.VALIDATION_FAILED, 'Bad input.');
+			},
+		}, { name: 'Example' });
+
+		const response = await api.onRequestPost(context());
+		const requestId = response.headers.get(API.REQUEST_ID_HEADER);
+
+		expect(capturedLogs).toEqual([
+			expect.objectContaining({ level: 'warn', msg: 'Bot trap tripped', requestId, route: 'Example', trap: 'honeypot', emailHash: expect.any(String) }),
+			{
+				time: expect.any(String),
+				level: 'info',
+				msg: 'request',
+				requestId,
+				route: 'Example',
+				method: 'POST',
+				path: '/api/example',
+				status: 400,
+				code: 'validation_failed',
+				latencyMs: expect.any(Number),
+			},
+		]);
+		expect(JSON.stringify(capturedLogs)).not.toContain('ann@example.com');
+	});
+});
+
+describe('API - readJson()', () => {
+	it('parses a JSON object body', async () => {
+		const { request } = context({ body: JSON.stringify({ name: 'Ann' }) });
+
+		expect(await readJson(request)).toEqual({ name: 'Ann' });
+	});
+
+	it('refuses bodies that are not a JSON object', async () => {
+		for (const body of ['{not json', '[1, 2]', 'null', '"text"', '']) {
+			const { request } = context({ body });
+			await expect(readJson(request)).rejects.toMatchObject({ status: 400, code: 'invalid_json' });
+		}
+	});
+
+	it('refuses oversized bodies by Content-Length before reading them', async () => {
+		const request = {
+			headers: new Headers({ 'Content-Length': String(API.MAX_BODY_BYTES + 1) }),
+			text: vi.fn(),
+		};
+
+		await expect(readJson(request)).rejects.toMatchObject({ status: 413, code: 'payload_too_large' });
+		expect(request.text).not.toHaveBeenCalled();
+	});
+
+	it('refuses oversized bodies by their actual size', async () => {
+		const request = {
+			headers: new Headers(),
+			text: async () => JSON.stringify({ message: 'é'.repeat(600) }),
+		};
+
+		await expect(readJson(request, { maxBytes: 1000 })).rejects.toMatchObject({ status: 413, code: 'payload_too_large' });
+		await expect(readJson(request, { maxBytes: 2000 })).resolves.toEqual({ message: 'é'.repeat(600) });
+	});
+});
@@ -0,0 +1,291 @@
+/**
+ * Contact attachment tests.
+ * Tests signed upload URL issuing, the upload endpoint's signature/type/
+ * size checks, and how /api/contact checks, claims and records uploads —
+ * after CAPTCHA and before rate limiting.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { createMockR2 } from './mockR2.js';
+import { ATTACHMENT_UPLOAD, sanitizeFileName, verifyUploadUrl } from '../../functions/_lib/attachments.js';
+import { formatSubmissionEmail } from '../../functions/_lib/notify.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+
+const FORM_TOKEN = await formToken();
+
+const SECRET = 'attachment-test-secret';
+const PNG = { name: 'screenshot.png', type: 'image/png', size: 4 };
+const PNG_BYTES = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+
+global.fetch = vi.fn();
+
+/** Env with the bucket, signing secret and KV the endpoints need. */
+function createEnv(overrides = {}) {
+	return {
+		CONTACT_ATTACHMENTS: createMockR2(),
+		ATTACHMENT_SIGNING_SECRET: SECRET,
+		CONTACT_SUBMISSIONS: createMockKV(),
+		SKIP_CAPTCHA: 'true',
+		FORM_TOKEN_SECRET,
+		...overrides,
+	};
+}
+
+/** POST /api/attachments with a JSON body. */
+async function requestUpload(env, file = PNG, ip = '198.51.100.7') {
+	const { onRequestPost } = await import('../../functions/api/attachments/index.js');
+	return onRequestPost({
+		request: new Request('https://twistan.com/api/attachments', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip },
+			body: JSON.stringify({ ...file, formToken: FORM_TOKEN }),
+		}),
+		env,
+	});
+}
+
+/** PUT a body to an issued upload URL. */
+async function upload(env, uploadUrl, body = PNG_BYTES, contentType = PNG.type) {
+	const { onRequestPut } = await import('../../functions/api/attachments/[id].js');
+	const url = new URL(uploadUrl);
+	return onRequestPut({
+		request: new Request(url, { method: 'PUT', headers: { 'Content-Type': contentType }, body }),
+		params: { id: url.pathname.split('/').pop() },
+		env,
+	});
+}
+
+/** Issue a URL and upload PNG_BYTES to it; returns the pending key. */
+async function uploadPng(env) {
+	const { key, uploadUrl } = await (await requestUpload(env)).json();
+	expect((await upload(env, uploadUrl)).status).toBe(200);
+	return key;
+}
+
+/** POST /api/contact with attachment keys. */
+async function submit(env, attachments) {
+	const { onRequestPost } = await import('../../functions/api/contact.js');
+	return onRequestPost({
+		request: {
+			text: vi.fn().mockResolvedValue(JSON.stringify({
+				name: 'Test User',
+				email: 'test@example.com',
+				message: `Here is the screenshot ${Math.random()}`,
+				attachments,
+				'cf-turnstile-response': 'token',
+				formToken: FORM_TOKEN,
+			})),
+			headers: { get: vi.fn((h) => (h === 'CF-Connecting-IP' ? '198.51.100.7' : null)) },
+		},
+		env,
+	});
+}
+
+/** Stored contact record, if any. */
+function storedRecord(kv) {
+	const key = [...kv.store.keys()].find((k) => k.startsWith('contact_'));
+	return key ? { key, ...JSON.parse(kv.store.get(key)) } : null;
+}
+
+describe('Attachments - Upload URLs', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('fails closed without the bucket binding or signing secret', async () => {
+		expect((await requestUpload(createEnv({ CONTACT_ATTACHMENTS: undefined }))).status).toBe(503);
+		expect((await requestUpload(createEnv({ ATTACHMENT_SIGNING_SECRET: undefined }))).status).toBe(503);
+	});
+
+	it('refuses requests without a valid render token', async () => {
+		const { onRequestPost } = await import('../../functions/api/attachments/index.js');
+		const post = (body) => onRequestPost({
+			request: new Request('https://twistan.com/api/attachments', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '198.51.100.7' },
+				body: JSON.stringify(body),
+			}),
+			env: createEnv(),
+		});
+		const stale = await formToken(3 * 60 * 60);
+
+		const missing = await post(PNG);
+		const forged = await post({ ...PNG, formToken: `${Date.now() - 60000}.forged` });
+		const expired = await post({ ...PNG, formToken: stale });
+
+		expect(missing.status).toBe(403);
+		expect((await missing.json()).code).toBe('forbidden');
+		expect(forged.status).toBe(403);
+		expect(expired.status).toBe(400);
+		expect((await expired.json()).code).toBe('form_expired');
+	});
+
+	it('rejects disallowed types, oversized files and missing names', async () => {
+		const env = createEnv();
+
+		for (const file of [
+			{ ...PNG, type: 'application/x-msdownload', name: 'setup.exe' },
+			{ ...PNG, size: 5 * 1024 * 1024 + 1 },
+			{ ...PNG, size: 0 },
+			{ ...PNG, name: '' },
+		]) {
+			const response = await requestUpload(env, file);
+			expect(response.status).toBe(400);
+			expect((await response.json()).success).toBe(false);
+		}
+	});
+
+	it('issues a short-lived signed URL for a pending key', async () => {
+		const response = await requestUpload(createEnv());
+		const data = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(data.key).toMatch(/^pending\/[0-9a-f-]{36}$/);
+		expect(data.uploadUrl).toMatch(/^https:\/\/twistan\.com\/api\/attachments\/[0-9a-f-]{36}\?/);
+		expect(new URL(data.uploadUrl).searchParams.get('name')).toBe('screenshot.png');
+		const ttl = (new Date(data.expiresAt).getTime() - Date.now()) / 1000;
+		expect(ttl).toBeGreaterThan(ATTACHMENT_UPLOAD.TTL_SECONDS - 5);
+		expect(ttl).toBeLessThanOrEqual(ATTACHMENT_UPLOAD.TTL_SECONDS);
+	});
+
+	it('rate limits upload URLs per IP without touching the contact quota', async () => {
+		const env = createEnv();
+
+		for (let i = 0; i < ATTACHMENT_UPLOAD.RATE_LIMIT.MAX_REQUESTS; i++) {
+			expect((await requestUpload(env)).status).toBe(200);
+		}
+		const blocked = await requestUpload(env);
+
+		expect(blocked.status).toBe(429);
+		expect(blocked.headers.get('Retry-After')).toBeTruthy();
+		expect((await requestUpload(env, PNG, '198.51.100.8')).status).toBe(200);
+		expect([...env.CONTACT_SUBMISSIONS.store.keys()].every((k) => k.includes('attachment_'))).toBe(true);
+	});
+
+	it('strips directories and control characters from file names', () => {
+		expect(sanitizeFileName('C:\\Users\\me\\bad"name\u0007.png')).toBe('badname.png');
+		expect(sanitizeFileName('../../')).toBe('attachment');
+		expect(sanitizeFileName('report\u0085\u007f.pdf')).toBe('report.pdf');
+	});
+});
+
+describe('Attachments - Upload', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('stores the file under its pending key with type and name', async () => {
+		const env = createEnv();
+
+		const key = await uploadPng(env);
+
+		const stored = env.CONTACT_ATTACHMENTS.store.get(key);
+		expect(stored.bytes).toEqual(PNG_BYTES);
+		expect(stored.httpMetadata).toEqual({ contentType: 'image/png' });
+		expect(stored.customMetadata.name).toBe('screenshot.png');
+	});
+
+	it('refuses tampered and expired URLs', async () => {
+		const env = createEnv();
+		const { uploadUrl } = await (await requestUpload(env)).json();
+		const tampered = new URL(uploadUrl);
+		tampered.searchParams.set('size', String(5 * 1024 * 1024));
+		const url = new URL(uploadUrl);
+		const id = url.pathname.split('/').pop();
+		const later = Date.now() + (ATTACHMENT_UPLOAD.TTL_SECONDS + 1) * 1000;
+
+		expect((await upload(env, tampered.href)).status).toBe(403);
+		expect(await verifyUploadUrl(SECRET, id, url.searchParams)).not.toBeNull();
+		expect(await verifyUploadUrl(SECRET, id, url.searchParams, later)).toBeNull();
+		expect(await verifyUploadUrl('other-secret', id, url.searchParams)).toBeNull();
+	});
+
+	it('checks Content-Type and size, and accepts each URL once', async () => {
+		const env = createEnv();
+		const { uploadUrl } = await (await requestUpload(env)).json();
+
+		expect((await upload(env, uploadUrl, PNG_BYTES, 'text/html')).status).toBe(400);
+		expect((await upload(env, uploadUrl, new Uint8Array(5))).status).toBe(413);
+		expect((await upload(env, uploadUrl, new Uint8Array(3))).status).toBe(400);
+		expect((await upload(env, uploadUrl)).status).toBe(200);
+		expect((await upload(env, uploadUrl)).status).toBe(409);
+	});
+});
+
+describe('Attachments - Contact Submission', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		global.fetch.mockReset();
+	});
+
+	it('moves uploads under the submission and lists them on the record', async () => {
+		const env = createEnv();
+		const pendingKey = await uploadPng(env);
+
+		const response = await submit(env, [pendingKey]);
+		const record = storedRecord(env.CONTACT_SUBMISSIONS);
+
+		expect(response.status).toBe(200);
+		expect(record.attachments).toEqual([{
+			key: `attachments/${record.key}/${pendingKey.slice('pending/'.length)}`,
+			name: 'screenshot.png',
+			type: 'image/png',
+			size: 4,
+		}]);
+		expect(env.CONTACT_ATTACHMENTS.store.has(pendingKey)).toBe(false);
+		expect(env.CONTACT_ATTACHMENTS.store.get(record.attachments[0].key).bytes).toEqual(PNG_BYTES);
+	});
+
+	it('rejects missing uploads before rate limiting or storing anything', async () => {
+		const env = createEnv();
+
+		const response = await submit(env, ['pending/3f2c9e4a-1b7d-4c8e-9a0f-6d5e4c3b2a10']);
+		const data = await response.json();
+
+		expect(response.status).toBe(400);
+		expect(data.errors.attachments).toContain('not found');
+		expect([...env.CONTACT_SUBMISSIONS.store.keys()]).toEqual([]);
+	});
+
+	it('rejects malformed attachment lists as a field error', async () => {
+		const env = createEnv();
+		const id = (n) => `pending/3f2c9e4a-1b7d-4c8e-9a0f-6d5e4c3b2a1${n}`;
+
+		for (const attachments of ['pending/x', ['attachments/anything'], [id(0), id(0)], [id(1), id(2), id(3), id(4)]]) {
+			const response = await submit(env, attachments);
+			expect(response.status).toBe(400);
+			expect((await response.json()).errors).toHaveProperty('attachments');
+		}
+		expect(env.CONTACT_ATTACHMENTS.head).not.toHaveBeenCalled();
+	});
+
+	it('checks CAPTCHA before looking at the bucket', async () => {
+		const env = createEnv({ SKIP_CAPTCHA: undefined, TURNSTILE_SECRET_KEY: 'secret' });
+		global.fetch.mockResolvedValueOnce({ json: async () => ({ success: false, 'error-codes': ['invalid-input-response'] }) });
+
+		const response = await submit(env, ['pending/3f2c9e4a-1b7d-4c8e-9a0f-6d5e4c3b2a10']);
+
+		expect(response.status).toBe(400);
+		expect((await response.json()).error).toContain('CAPTCHA');
+		expect(env.CONTACT_ATTACHMENTS.head).not.toHaveBeenCalled();
+	});
+
+	it('fails closed when attachments arrive without a bucket binding', async () => {
+		const response = await submit(createEnv({ CONTACT_ATTACHMENTS: undefined }), ['pending/3f2c9e4a-1b7d-4c8e-9a0f-6d5e4c3b2a10']);
+
+		expect(response.status).toBe(503);
+	});
+
+	it('names the attachments in the owner email', () => {
+		const email = formatSubmissionEmail('contact_key', {
+			name: 'Test User',
+			email: 'test@example.com',
+			message: 'See attached',
+			submittedAt: '2026-02-14T15:30:00.000Z',
+			attachments: [{ key: 'attachments/contact_key/1', name: 'log.txt', type: 'text/plain', size: 10 }],
+		}, { NOTIFY_EMAIL_FROM: 'contact@twistan.com', NOTIFY_EMAIL_TO: 'owner@twistan.com' });
+
+		expect(email.text).toContain('Files:     log.txt');
+	});
+});
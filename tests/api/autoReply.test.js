@@ -0,0 +1,185 @@
+/**
+ * Sender auto-reply tests.
+ * Tests the opt-in flag, template rendering, the per-recipient rate limit,
+ * and delivery from /api/contact through the capture mail transport.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import {
+	MAIL_CAPTURE_LIMIT,
+	capturedMail,
+	createCaptureTransport,
+	createMailTransport,
+} from '../../functions/_lib/mail.js';
+import {
+	AUTO_REPLY_SUBJECT,
+	formatAutoReplyEmail,
+	renderTemplate,
+	sendAutoReply,
+} from '../../functions/_lib/autoReply.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+
+const FORM_TOKEN = await formToken();
+
+const RECORD = {
+	name: 'Test User',
+	email: 'visitor@example.com',
+	message: 'Hello there\nSecond line',
+	submittedAt: '2026-02-14T15:30:00.000Z',
+	status: 'new',
+};
+const ENV = {
+	FORM_TOKEN_SECRET,
+	AUTO_REPLY_ENABLED: 'true',
+	NOTIFY_EMAIL_FROM: 'contact@twistan.com',
+	NOTIFY_EMAIL_TO: 'owner@twistan.com',
+};
+
+global.fetch = vi.fn();
+
+describe('Auto-Reply - Templates', () => {
+	it('fills placeholders without interpreting replacement patterns', () => {
+		expect(renderTemplate('{{a}} {{b}} {{missing}}', { a: '$&', b: 'x' })).toBe('$& x {{missing}}');
+	});
+
+	it('quotes the message in the text version and escapes the HTML version', () => {
+		const email = formatAutoReplyEmail({ ...RECORD, name: '<img src=x onerror=alert(1)>' }, ENV);
+
+		expect(email.to).toBe('visitor@example.com');
+		expect(email.subject).toBe(AUTO_REPLY_SUBJECT);
+		expect(email.text).toContain('> Hello there\n> Second line');
+		expect(email.text).toContain(RECORD.submittedAt);
+		expect(email.html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+		expect(email.html).not.toContain('<img');
+		expect(email.html).toContain('Hello there\nSecond line');
+		expect(`${email.text}${email.html}`).not.toMatch(/\{\{\w+\}\}/);
+	});
+
+	it('sends from AUTO_REPLY_FROM when set, with replies going to the owner', () => {
+		const email = formatAutoReplyEmail(RECORD, { ...ENV, AUTO_REPLY_FROM: 'no-reply@twistan.com' });
+
+		expect(email.from.email).toBe('no-reply@twistan.com');
+		expect(email.replyTo).toBe('owner@twistan.com');
+	});
+});
+
+describe('Auto-Reply - Sending', () => {
+	it('is off unless AUTO_REPLY_ENABLED is exactly true', async () => {
+		const transport = createCaptureTransport([]);
+
+		expect(await sendAutoReply({ ...ENV, AUTO_REPLY_ENABLED: undefined }, RECORD, transport)).toBeNull();
+		expect(await sendAutoReply({ ...ENV, AUTO_REPLY_ENABLED: 'yes' }, RECORD, transport)).toBeNull();
+		expect(await sendAutoReply({ AUTO_REPLY_ENABLED: 'true' }, RECORD, transport)).toBeNull();
+		expect(transport.messages).toHaveLength(0);
+	});
+
+	it('rate limits per recipient without storing the address', async () => {
+		const env = { ...ENV, CONTACT_SUBMISSIONS: createMockKV() };
+		const transport = createCaptureTransport([]);
+
+		const results = [];
+		for (const email of ['visitor@example.com', 'Visitor@Example.com', 'visitor@example.com', 'visitor@example.com']) {
+			results.push(await sendAutoReply(env, { ...RECORD, email }, transport));
+		}
+		const other = await sendAutoReply(env, { ...RECORD, email: 'someone@example.com' }, transport);
+
+		expect(results.map((r) => r.status)).toEqual(['sent', 'sent', 'sent', 'skipped']);
+		expect(results[3].reason).toBe('rate_limited');
+		expect(other.status).toBe('sent');
+		expect(transport.messages).toHaveLength(4);
+		const keys = [...env.CONTACT_SUBMISSIONS.store.keys()].filter((k) => k.includes('autoreply_'));
+		expect(keys).toHaveLength(2);
+		expect(keys.join(' ')).not.toContain('example.com');
+	});
+
+	it('reports transport failures without throwing', async () => {
+		const result = await sendAutoReply(ENV, RECORD, {
+			name: 'fake',
+			send: vi.fn().mockRejectedValue(new Error('SMTP down')),
+		});
+
+		expect(result).toMatchObject({ channel: 'autoReply', transport: 'fake', status: 'failed', error: 'SMTP down' });
+	});
+});
+
+describe('Auto-Reply - Contact Endpoint', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		capturedMail.length = 0;
+	});
+
+	/** Submit through /api/contact with the capture transport and return the stored record. */
+	async function submit(env, fields = {}) {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		await onRequestPost({
+			request: {
+				text: vi.fn().mockResolvedValue(JSON.stringify({
+					name: RECORD.name,
+					email: RECORD.email,
+					message: 'I have a question about your projects.',
+					...fields,
+					'cf-turnstile-response': 'token',
+					formToken: FORM_TOKEN,
+				})),
+				headers: { get: vi.fn((h) => (h === 'CF-Connecting-IP' ? '192.0.2.10' : null)) },
+			},
+			env,
+		});
+		const key = [...env.CONTACT_SUBMISSIONS.store.keys()].find((k) => k.startsWith('contact_'));
+		const record = JSON.parse(env.CONTACT_SUBMISSIONS.store.get(key));
+		env.CONTACT_SUBMISSIONS.store.delete(key);
+		return record;
+	}
+
+	it('selects the capture transport from MAIL_TRANSPORT only under the test runner, capped', async () => {
+		expect(createMailTransport({ MAIL_TRANSPORT: 'capture' }).messages).toBe(capturedMail);
+
+		vi.stubEnv('MODE', 'production');
+		const log = { error: vi.fn() };
+		expect(createMailTransport({ MAIL_TRANSPORT: 'capture' }, log)).toBeNull();
+		expect(log.error).toHaveBeenCalledOnce();
+		vi.unstubAllEnvs();
+
+		const transport = createCaptureTransport([]);
+		for (let i = 0; i <= MAIL_CAPTURE_LIMIT; i++) await transport.send({ subject: `message ${i}` });
+		expect(transport.messages).toHaveLength(MAIL_CAPTURE_LIMIT);
+		expect(transport.messages[0].subject).toBe('message 1');
+	});
+
+	it('emails the owner and the sender and records both deliveries', async () => {
+		const env = { ...ENV, SKIP_CAPTCHA: 'true', MAIL_TRANSPORT: 'capture', CONTACT_SUBMISSIONS: createMockKV() };
+
+		const record = await submit(env);
+
+		expect(capturedMail.map((m) => m.to)).toEqual(['owner@twistan.com', 'visitor@example.com']);
+		expect(capturedMail[1].text).toContain('> I have a question about your projects.');
+		expect(record.notifications).toEqual([
+			expect.objectContaining({ channel: 'email', status: 'sent' }),
+			expect.objectContaining({ channel: 'autoReply', transport: 'capture', status: 'sent' }),
+		]);
+	});
+
+	it('does not auto-reply when the flag is off', async () => {
+		const env = { ...ENV, AUTO_REPLY_ENABLED: undefined, SKIP_CAPTCHA: 'true', MAIL_TRANSPORT: 'capture', CONTACT_SUBMISSIONS: createMockKV() };
+
+		await submit(env);
+
+		expect(capturedMail.map((m) => m.to)).toEqual(['owner@twistan.com']);
+	});
+
+	it('does not auto-reply to submissions scored as spam', async () => {
+		const env = {
+			...ENV,
+			SKIP_CAPTCHA: 'true',
+			MAIL_TRANSPORT: 'capture',
+			CONTACT_SUBMISSIONS: createMockKV(),
+			SPAM_BLOCKLIST: JSON.stringify({ domains: ['example.com'] }),
+		};
+
+		const record = await submit(env);
+
+		expect(record.status).toBe('spam');
+		expect(capturedMail).toHaveLength(0);
+	});
+});
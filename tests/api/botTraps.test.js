@@ -0,0 +1,197 @@
+/**
+ * Bot trap tests.
+ * Tests the render token endpoint and its timing checks, the honeypot,
+ * how /api/contact silently drops tripped submissions (before CAPTCHA, and
+ * with SKIP_CAPTCHA on), and the KV metric counters.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+import { FORM_TIMING, checkFormToken, createFormToken, renewFormToken } from '../../functions/_lib/botTraps.js';
+import { METRICS_TTL_DAYS, incrementMetric, metricKey } from '../../functions/_lib/metrics.js';
+
+global.fetch = vi.fn();
+
+const FIELDS = {
+	name: 'Test User',
+	email: 'test@example.com',
+	message: 'Hello there',
+	'cf-turnstile-response': 'token',
+};
+
+/** POST /api/contact with extra body fields. */
+async function submit(env, extra) {
+	const { onRequestPost } = await import('../../functions/api/contact.js');
+	return onRequestPost({
+		request: {
+			text: vi.fn().mockResolvedValue(JSON.stringify({ ...FIELDS, ...extra })),
+			headers: { get: vi.fn((h) => (h === 'CF-Connecting-IP' ? '198.51.100.7' : null)) },
+		},
+		env,
+	});
+}
+
+/** KV keys of stored submissions. */
+function storedKeys(kv) {
+	return [...kv.store.keys()].filter((k) => k.startsWith('contact_'));
+}
+
+describe('Bot Traps - Form Token', () => {
+	it('issues tokens from GET /api/form-token, unsigned without a secret', async () => {
+		const { onRequestGet } = await import('../../functions/api/form-token.js');
+		const request = new Request('https://twistan.com/api/form-token');
+
+		const missing = await onRequestGet({ request, env: {} });
+		const response = await onRequestGet({ request, env: { FORM_TOKEN_SECRET } });
+		const { token } = await response.json();
+
+		expect(await missing.json()).toEqual({ success: true, token: 'unsigned' });
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		expect(await checkFormToken(FORM_TOKEN_SECRET, token, Date.now() + 5000)).toBeNull();
+	});
+
+	it('rejects forms sent too fast or too long after rendering', async () => {
+		const issuedAt = Date.UTC(2026, 1, 14, 15, 30);
+		const token = await createFormToken(FORM_TOKEN_SECRET, issuedAt);
+		const at = (seconds) => checkFormToken(FORM_TOKEN_SECRET, token, issuedAt + seconds * 1000);
+
+		expect(await at(0)).toBe('too_fast');
+		expect(await at(FORM_TIMING.MIN_SECONDS - 1)).toBe('too_fast');
+		expect(await at(-60)).toBe('too_fast');
+		expect(await at(FORM_TIMING.MIN_SECONDS)).toBeNull();
+		expect(await at(FORM_TIMING.MAX_SECONDS)).toBeNull();
+		expect(await at(FORM_TIMING.MAX_SECONDS + 1)).toBe('expired');
+	});
+
+	it('keeps timing from the first render across refreshes', async () => {
+		const { onRequestGet } = await import('../../functions/api/form-token.js');
+		const renderedAt = Date.now() - 30 * 60 * 1000;
+		const first = await createFormToken(FORM_TOKEN_SECRET, renderedAt);
+		const refresh = (token) => onRequestGet({
+			request: new Request(`https://twistan.com/api/form-token?token=${encodeURIComponent(token)}`),
+			env: { FORM_TOKEN_SECRET },
+		}).then((response) => response.json()).then((data) => data.token);
+
+		const renewed = await refresh(first);
+		expect(renewed.split('.')[0]).toBe(String(renderedAt));
+		expect(await checkFormToken(FORM_TOKEN_SECRET, renewed)).toBeNull();
+		expect(await checkFormToken(FORM_TOKEN_SECRET, renewed, renderedAt + (FORM_TIMING.MAX_SECONDS + 60) * 1000)).toBeNull();
+
+		// Forged, foreign and stale tokens restart the clock
+		const stale = await createFormToken(FORM_TOKEN_SECRET, Date.now() - (FORM_TIMING.MAX_SECONDS + 60) * 1000);
+		for (const previous of ['garbage', await createFormToken('another-secret', renderedAt), stale]) {
+			expect(await checkFormToken(FORM_TOKEN_SECRET, await refresh(previous))).toBe('too_fast');
+		}
+		const early = renderedAt - 1000;
+		expect(await checkFormToken(FORM_TOKEN_SECRET, await renewFormToken(FORM_TOKEN_SECRET, first, early), early)).toBe('too_fast');
+	});
+
+	it('rejects missing, malformed and forged tokens', async () => {
+		const [issuedAt] = (await formToken()).split('.');
+		const forged = await createFormToken('another-secret', Number(issuedAt));
+
+		expect(await checkFormToken(FORM_TOKEN_SECRET, undefined)).toBe('missing_token');
+		expect(await checkFormToken(FORM_TOKEN_SECRET, '')).toBe('missing_token');
+		expect(await checkFormToken(FORM_TOKEN_SECRET, 'not-a-token')).toBe('invalid_token');
+		expect(await checkFormToken(FORM_TOKEN_SECRET, `${issuedAt}.`)).toBe('invalid_token');
+		expect(await checkFormToken(FORM_TOKEN_SECRET, forged)).toBe('invalid_token');
+		expect(await checkFormToken(FORM_TOKEN_SECRET, forged.replace(/^\d+/, String(Number(issuedAt) - 60_000)))).toBe('invalid_token');
+	});
+});
+
+describe('Bot Traps - Contact Endpoint', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		global.fetch.mockReset();
+	});
+
+	it('drops a filled honeypot with a normal success response, before CAPTCHA', async () => {
+		const kv = createMockKV();
+		const env = { FORM_TOKEN_SECRET, TURNSTILE_SECRET_KEY: 'secret', CONTACT_SUBMISSIONS: kv };
+
+		const response = await submit(env, { formToken: await formToken(), website: 'https://spam.example' });
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ success: true, message: 'Message received.', statusToken: expect.stringMatching(/^[\w-]{43}$/) });
+		expect(global.fetch).not.toHaveBeenCalled();
+		expect(storedKeys(kv)).toEqual([]);
+		expect(kv.store.get(metricKey('bot_trap_honeypot'))).toBe('1');
+	});
+
+	it('still applies with SKIP_CAPTCHA, counting each trap separately', async () => {
+		const kv = createMockKV();
+		const env = { FORM_TOKEN_SECRET, SKIP_CAPTCHA: 'true', CONTACT_SUBMISSIONS: kv };
+
+		for (const extra of [
+			{},
+			{ formToken: 'garbage' },
+			{ formToken: await formToken(1) },
+			{ formToken: await formToken(1) },
+		]) {
+			const response = await submit(env, extra);
+			expect(await response.json()).toEqual({ success: true, message: 'Message received.', statusToken: expect.stringMatching(/^[\w-]{43}$/) });
+		}
+
+		expect(storedKeys(kv)).toEqual([]);
+		expect(kv.store.get(metricKey('bot_trap_missing_token'))).toBe('1');
+		expect(kv.store.get(metricKey('bot_trap_invalid_token'))).toBe('1');
+		expect(kv.store.get(metricKey('bot_trap_too_fast'))).toBe('2');
+	});
+
+	it('asks for a reload when the form has expired', async () => {
+		const kv = createMockKV();
+		const env = { FORM_TOKEN_SECRET, SKIP_CAPTCHA: 'true', CONTACT_SUBMISSIONS: kv };
+
+		const response = await submit(env, { formToken: await formToken(FORM_TIMING.MAX_SECONDS + 60) });
+		const data = await response.json();
+
+		expect(response.status).toBe(400);
+		expect(data.error).toContain('reload');
+		expect(kv.store.get(metricKey('bot_trap_expired'))).toBe('1');
+	});
+
+	it('accepts an empty honeypot and a valid token', async () => {
+		const kv = createMockKV();
+		const env = { FORM_TOKEN_SECRET, SKIP_CAPTCHA: 'true', CONTACT_SUBMISSIONS: kv };
+
+		const response = await submit(env, { formToken: await formToken(), website: '  ' });
+
+		expect(response.status).toBe(200);
+		expect(storedKeys(kv)).toHaveLength(1);
+		expect([...kv.store.keys()].some((k) => k.startsWith('metrics_'))).toBe(false);
+	});
+
+	it('keeps only the honeypot without FORM_TOKEN_SECRET', async () => {
+		const kv = createMockKV();
+		const env = { SKIP_CAPTCHA: 'true', CONTACT_SUBMISSIONS: kv };
+
+		const trapped = await submit(env, { formToken: 'unsigned', website: 'https://spam.example' });
+		const sent = await submit(env, { formToken: 'unsigned' });
+
+		expect(trapped.status).toBe(200);
+		expect(sent.status).toBe(200);
+		expect(storedKeys(kv)).toHaveLength(1);
+		expect(kv.store.get(metricKey('bot_trap_honeypot'))).toBe('1');
+	});
+});
+
+describe('Bot Traps - Metrics', () => {
+	it('counts per UTC day with a TTL and never throws', async () => {
+		const kv = createMockKV();
+		const day = new Date('2026-02-14T23:59:59.000Z');
+		const next = new Date('2026-02-15T00:00:00.000Z');
+
+		await incrementMetric(kv, 'bot_trap_honeypot', day);
+		await incrementMetric(kv, 'bot_trap_honeypot', day);
+		await incrementMetric(kv, 'bot_trap_honeypot', next);
+		await incrementMetric(undefined, 'bot_trap_honeypot', day);
+		kv.get.mockRejectedValueOnce(new Error('KV down'));
+		await expect(incrementMetric(kv, 'bot_trap_honeypot', day)).resolves.toBeUndefined();
+
+		expect(kv.store.get('metrics_bot_trap_honeypot_2026-02-14')).toBe('2');
+		expect(kv.store.get('metrics_bot_trap_honeypot_2026-02-15')).toBe('1');
+		expect(kv.put).toHaveBeenCalledWith(expect.any(String), expect.any(String), { expirationTtl: METRICS_TTL_DAYS * 86400 });
+	});
+});
@@ -0,0 +1,225 @@
+/**
+ * CAPTCHA provider tests.
+ * Tests provider selection from CAPTCHA_PROVIDER, the hCaptcha request
+ * format, the self-hosted proof-of-work issuer and verifier, and
+ * /api/contact running on the deterministic fake provider, and that the
+ * shipped Content-Security-Policy lets each provider's widget load.
+ * Turnstile's own test-key matrix lives in turnstile.test.js.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+import {
+	POW_CHALLENGE,
+	createCaptchaProvider,
+	createPowChallenge,
+	createPowProvider,
+	fakeCaptchaChecks,
+	loadPowDifficulty,
+} from '../../functions/_lib/captcha.js';
+import {
+	CAPTCHA_PROVIDERS,
+	FAKE_CAPTCHA_TOKENS,
+	hasLeadingZeroBits,
+	powHash,
+	solvePowChallenge,
+} from '../../shared/captcha.js';
+import { getCaptchaProvider } from '../../src/utils/captcha.js';
+import headersFile from '../../public/_headers?raw';
+
+const FORM_TOKEN = await formToken();
+const POW_SECRET = 'pow-test-secret';
+
+global.fetch = vi.fn();
+
+/** POST /api/contact with extra body fields. */
+async function submit(env, extra, message = 'Hello there') {
+	const { onRequestPost } = await import('../../functions/api/contact.js');
+	return onRequestPost({
+		request: {
+			text: vi.fn().mockResolvedValue(JSON.stringify({
+				name: 'Test User',
+				email: 'test@example.com',
+				message,
+				formToken: FORM_TOKEN,
+				...extra,
+			})),
+			headers: { get: vi.fn((h) => (h === 'CF-Connecting-IP' ? '198.51.100.7' : null)) },
+		},
+		env: { FORM_TOKEN_SECRET, CONTACT_SUBMISSIONS: createMockKV(), ...env },
+	});
+}
+
+describe('CAPTCHA - Provider Selection', () => {
+	it('defaults to Turnstile and picks providers by CAPTCHA_PROVIDER', () => {
+		expect(createCaptchaProvider({ TURNSTILE_SECRET_KEY: 'secret' }).name).toBe('turnstile');
+		expect(createCaptchaProvider({ CAPTCHA_PROVIDER: 'hcaptcha', HCAPTCHA_SECRET_KEY: 'secret' }).name).toBe('hcaptcha');
+		expect(createCaptchaProvider({ CAPTCHA_PROVIDER: 'pow', POW_SECRET }).name).toBe('pow');
+		expect(createCaptchaProvider({ CAPTCHA_PROVIDER: 'fake', SKIP_CAPTCHA: 'true' }).tokenField).toBe('captcha-token');
+	});
+
+	it('treats missing secrets and unknown providers as not configured', () => {
+		expect(createCaptchaProvider({})).toBeNull();
+		expect(createCaptchaProvider({ CAPTCHA_PROVIDER: 'hcaptcha', TURNSTILE_SECRET_KEY: 'secret' })).toBeNull();
+		expect(createCaptchaProvider({ CAPTCHA_PROVIDER: 'pow' })).toBeNull();
+		expect(createCaptchaProvider({ CAPTCHA_PROVIDER: 'recaptcha', TURNSTILE_SECRET_KEY: 'secret' })).toBeNull();
+		expect(createCaptchaProvider({ CAPTCHA_PROVIDER: 'fake' })).toBeNull();
+	});
+});
+
+describe('CAPTCHA - hCaptcha', () => {
+	beforeEach(() => {
+		global.fetch.mockReset();
+	});
+
+	it('posts a form-encoded siteverify request with the site key', async () => {
+		global.fetch.mockResolvedValueOnce({ json: async () => ({ success: false, 'error-codes': ['invalid-input-response'] }) });
+		const provider = createCaptchaProvider({
+			CAPTCHA_PROVIDER: 'hcaptcha',
+			HCAPTCHA_SECRET_KEY: 'hc-secret',
+			HCAPTCHA_SITE_KEY: 'hc-site',
+		});
+
+		const result = await provider.verify('hc-token', { remoteip: '198.51.100.7' });
+
+		const [url, init] = global.fetch.mock.calls[0];
+		expect(url).toBe('https://api.hcaptcha.com/siteverify');
+		expect(init.headers['Content-Type']).toBe('application/x-www-form-urlencoded');
+		expect(Object.fromEntries(new URLSearchParams(init.body))).toEqual({
+			secret: 'hc-secret',
+			response: 'hc-token',
+			remoteip: '198.51.100.7',
+			sitekey: 'hc-site',
+		});
+		expect(result).toEqual({ success: false, errorCodes: ['invalid-input-response'] });
+	});
+});
+
+describe('CAPTCHA - Proof of Work', () => {
+	it('issues signed challenges from GET /api/challenge at the configured difficulty', async () => {
+		const { onRequestGet } = await import('../../functions/api/challenge.js');
+		const request = new Request('https://twistan.com/api/challenge');
+
+		const missing = await onRequestGet({ request, env: {} });
+		const response = await onRequestGet({ request, env: { POW_SECRET, POW_DIFFICULTY: '12' } });
+		const data = await response.json();
+
+		expect(missing.status).toBe(503);
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		expect(data.difficulty).toBe(12);
+		expect(data.challenge.split('.')).toHaveLength(4);
+		expect(loadPowDifficulty({})).toBe(POW_CHALLENGE.DEFAULT_DIFFICULTY);
+		expect(loadPowDifficulty({ POW_DIFFICULTY: '99' })).toBe(POW_CHALLENGE.MAX_DIFFICULTY);
+		expect(loadPowDifficulty({ POW_DIFFICULTY: '0' })).toBe(1);
+	});
+
+	it('accepts a solved challenge once', async () => {
+		const kv = createMockKV();
+		const provider = createPowProvider({ secret: POW_SECRET, kv });
+		const { challenge, difficulty } = await createPowChallenge(POW_SECRET, 8);
+
+		const solution = await solvePowChallenge(challenge, difficulty);
+
+		expect(hasLeadingZeroBits(new Uint8Array([0x00, 0x0f]), 12)).toBe(true);
+		expect(hasLeadingZeroBits(new Uint8Array([0x00, 0x10]), 12)).toBe(false);
+		expect(await provider.verify(solution)).toEqual({ success: true, errorCodes: [] });
+		expect(await provider.verify(solution)).toEqual({ success: false, errorCodes: ['timeout-or-duplicate'] });
+		expect(kv.put).toHaveBeenCalledWith(expect.stringMatching(/^pow_/), '1', { expirationTtl: expect.any(Number) });
+	});
+
+	it('rejects unsolved, tampered, foreign and expired challenges', async () => {
+		const now = Date.now();
+		const provider = createPowProvider({ secret: POW_SECRET, kv: createMockKV() });
+		const expired = createPowProvider({ secret: POW_SECRET, now: () => now + (POW_CHALLENGE.TTL_SECONDS + 1) * 1000 });
+		const { challenge } = await createPowChallenge(POW_SECRET, 8, now);
+		const solution = await solvePowChallenge(challenge, 8);
+		const [id, expires, , signature] = challenge.split('.');
+		const foreign = (await createPowChallenge('other-secret', 8, now)).challenge;
+		let miss = 0;
+		while (hasLeadingZeroBits(await powHash(challenge, miss), 8)) miss++;
+
+		expect((await provider.verify(`${challenge}:${miss}`)).success).toBe(false);
+		expect((await provider.verify(`${id}.${expires}.1.${signature}:0`)).errorCodes).toEqual(['invalid-input-response']);
+		expect((await provider.verify(`${foreign}:0`)).errorCodes).toEqual(['invalid-input-response']);
+		expect((await provider.verify('garbage')).errorCodes).toEqual(['invalid-input-response']);
+		expect((await expired.verify(solution)).errorCodes).toEqual(['timeout-or-duplicate']);
+	});
+
+	it('protects /api/contact end to end', async () => {
+		const { onRequestGet } = await import('../../functions/api/challenge.js');
+		const kv = createMockKV();
+		const env = { CAPTCHA_PROVIDER: 'pow', POW_SECRET, POW_DIFFICULTY: '8', CONTACT_SUBMISSIONS: kv };
+		const { challenge, difficulty } = await (await onRequestGet({ request: new Request('https://twistan.com/api/challenge'), env })).json();
+		const solution = await solvePowChallenge(challenge, difficulty);
+
+		const first = await submit(env, { 'pow-solution': solution }, 'First message');
+		const replayed = await submit(env, { 'pow-solution': solution }, 'Second message');
+
+		expect(first.status).toBe(200);
+		expect(replayed.status).toBe(400);
+		expect([...kv.store.keys()].filter((k) => k.startsWith('contact_'))).toHaveLength(1);
+	});
+});
+
+describe('CAPTCHA - Fake Provider', () => {
+	beforeEach(() => {
+		global.fetch.mockReset();
+	});
+
+	it('passes, fails and errors deterministically without network calls', async () => {
+		const env = { CAPTCHA_PROVIDER: 'fake', SKIP_CAPTCHA: 'true' };
+
+		const passed = await submit(env, { 'captcha-token': FAKE_CAPTCHA_TOKENS.PASS });
+		const failed = await submit(env, { 'captcha-token': 'anything-else' });
+		const unavailable = await submit(env, { 'captcha-token': FAKE_CAPTCHA_TOKENS.ERROR });
+
+		expect(passed.status).toBe(200);
+		expect(failed.status).toBe(400);
+		expect(unavailable.status).toBe(503);
+		expect(fakeCaptchaChecks.map((check) => check.token)).toEqual(['fake-pass', 'anything-else', 'fake-error']);
+		expect(fakeCaptchaChecks[0].remoteip).toBe('198.51.100.7');
+		expect(global.fetch).not.toHaveBeenCalled();
+	});
+
+	it("reads the provider's own token field", async () => {
+		const response = await submit({ CAPTCHA_PROVIDER: 'fake', SKIP_CAPTCHA: 'true' }, { 'cf-turnstile-response': FAKE_CAPTCHA_TOKENS.PASS });
+
+		expect(response.status).toBe(400);
+		expect((await response.json()).error).toContain('complete the CAPTCHA');
+		expect(fakeCaptchaChecks).toEqual([]);
+	});
+});
+
+describe('CAPTCHA - Content Security Policy', () => {
+	/** Directive → sources of the CSP public/_headers applies to every page. */
+	function shippedCsp() {
+		const [, policy] = headersFile.match(/^\s*Content-Security-Policy:\s*(.+)$/m);
+		return Object.fromEntries(policy.split(';').map((directive) => {
+			const [name, ...sources] = directive.trim().split(/\s+/);
+			return [name, sources];
+		}));
+	}
+
+	/** Whether a CSP source such as `https://*.hcaptcha.com` matches a URL. */
+	function sourceMatches(source, url) {
+		const { protocol, hostname } = new URL(url);
+		const [scheme, host] = source.split('://');
+		if (`${scheme}:` !== protocol) return false;
+		return host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host;
+	}
+
+	it('allows every provider\'s widget hosts, so any CAPTCHA_PROVIDER loads', async () => {
+		const csp = shippedCsp();
+
+		for (const [name, { csp: needed = {} }] of Object.entries(CAPTCHA_PROVIDERS)) {
+			for (const [directive, sources] of Object.entries(needed)) {
+				expect(csp[directive], `${name} ${directive}`).toEqual(expect.arrayContaining(sources));
+			}
+			const { scriptUrl } = getCaptchaProvider(name);
+			if (scriptUrl) {
+				expect(csp['script-src'].some((source) => sourceMatches(source, scriptUrl)), `${name} script`).toBe(true);
+			}
+		}
+	});
+});
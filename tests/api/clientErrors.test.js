@@ -0,0 +1,190 @@
+/**
+ * Client error report tests.
+ * Tests /api/client-errors: what's stored and cut to size, grouping by
+ * stack fingerprint, the dedup window, sampling and the size cap.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { capturedLogs } from '../../functions/_lib/log.js';
+import { CLIENT_ERRORS, fingerprintClientError, loadSampleRate } from '../../functions/_lib/clientErrors.js';
+
+const STACK = [
+	'TypeError: Cannot read properties of undefined (reading \'map\')',
+	'    at Ge (https://twistan.com/assets/Projects-abc123.js:1:7630)',
+	'    at Ri (https://twistan.com/assets/index-def456.js:40:1022)',
+].join('\n');
+
+const REPORT = {
+	message: 'Cannot read properties of undefined (reading \'map\')',
+	stack: STACK,
+	source: 'route',
+	path: '/projects',
+	commit: '9f2c4e1a7b3d5f60718293a4b5c6d7e8f9012345',
+};
+
+/** POST /api/client-errors the way sendBeacon does (text/plain). */
+async function report(env, body, ip = '203.0.113.9') {
+	const { onRequestPost } = await import('../../functions/api/client-errors.js');
+	return onRequestPost({
+		request: new Request('https://twistan.com/api/client-errors', {
+			method: 'POST',
+			headers: { 'Content-Type': 'text/plain;charset=UTF-8', 'CF-Connecting-IP': ip },
+			body: typeof body === 'string' ? body : JSON.stringify(body),
+		}),
+		env: { LOG_SINK: 'capture', IP_HASH_KEY: 'ip-hash-test-key', ...env },
+	});
+}
+
+/** The stored records, by key, without the rate limit keys. */
+function stored(kv) {
+	return Object.fromEntries([...kv.store]
+		.filter(([key]) => key.startsWith(CLIENT_ERRORS.PREFIX))
+		.map(([key, value]) => [key, JSON.parse(value)]));
+}
+
+/** KV writes of client error records. */
+function recordPuts(kv) {
+	return kv.put.mock.calls.filter(([key]) => key.startsWith(CLIENT_ERRORS.PREFIX));
+}
+
+describe('Client Errors - Reports', () => {
+	beforeEach(() => {
+		vi.useFakeTimers({ now: new Date('2026-10-18T09:00:00.000Z'), toFake: ['Date'] });
+		capturedLogs.length = 0;
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('stores one record per fingerprint with the report, counts and a TTL, and logs it', async () => {
+		const kv = createMockKV();
+
+		const response = await report({ CONTACT_SUBMISSIONS: kv }, REPORT);
+
+		const fingerprint = await fingerprintClientError(REPORT);
+		expect(response.status).toBe(204);
+		expect(stored(kv)).toEqual({
+			[`clienterror_${fingerprint}`]: {
+				fingerprint,
+				...REPORT,
+				count: 1,
+				firstSeen: '2026-10-18T09:00:00.000Z',
+				lastSeen: '2026-10-18T09:00:00.000Z',
+			},
+		});
+		expect(recordPuts(kv)).toEqual([[expect.any(String), expect.any(String), { expirationTtl: 30 * 86400 }]]);
+		expect(capturedLogs[0]).toMatchObject({ level: 'warn', msg: 'Client error', fingerprint, source: 'route', path: '/projects' });
+	});
+
+	it('cuts long fields and drops paths and commits that are not route patterns or SHAs', async () => {
+		const kv = createMockKV();
+
+		await report({ CONTACT_SUBMISSIONS: kv }, {
+			message: `  ${'m'.repeat(600)}`,
+			stack: 's'.repeat(9000),
+			source: 'somewhere',
+			path: '/contact/status/Vh3cSecretToken?x=1',
+			commit: 'not-a-sha',
+		});
+
+		const [record] = Object.values(stored(kv));
+		expect(record.message).toHaveLength(CLIENT_ERRORS.MAX_MESSAGE_LENGTH);
+		expect(record.stack).toHaveLength(CLIENT_ERRORS.MAX_STACK_LENGTH);
+		expect(record).toMatchObject({ source: 'error', path: null, commit: null });
+		expect(JSON.stringify(record)).not.toContain('Vh3cSecretToken');
+	});
+
+	it('groups the same crash across hosts, query strings and numbers in the message', async () => {
+		const same = await fingerprintClientError({
+			message: REPORT.message,
+			stack: STACK.replaceAll('https://twistan.com', 'https://preview.app.pages.dev').replace('.js:1:', '.js?v=2:1:'),
+		});
+		const indexed = [
+			await fingerprintClientError({ message: 'Index 3 out of range', stack: '' }),
+			await fingerprintClientError({ message: 'Index 12 out of range', stack: '' }),
+		];
+		const elsewhere = await fingerprintClientError({ message: REPORT.message, stack: STACK.replace('1:7630', '1:9000') });
+
+		expect(same).toBe(await fingerprintClientError(REPORT));
+		expect(same).toMatch(/^[0-9a-f]{16}$/);
+		expect(indexed[0]).toBe(indexed[1]);
+		expect(elsewhere).not.toBe(same);
+	});
+
+	it('writes a group at most once per dedup window', async () => {
+		const kv = createMockKV();
+		const env = { CONTACT_SUBMISSIONS: kv };
+
+		await report(env, REPORT);
+		vi.setSystemTime(new Date('2026-10-18T09:30:00.000Z'));
+		await report(env, { ...REPORT, path: '/' });
+		expect(recordPuts(kv)).toHaveLength(1);
+		expect(capturedLogs.filter((entry) => entry.msg === 'Client error')).toHaveLength(1);
+
+		vi.setSystemTime(new Date('2026-10-18T10:30:00.000Z'));
+		await report(env, { ...REPORT, path: '/' });
+
+		expect(Object.values(stored(kv))[0]).toMatchObject({
+			path: '/',
+			count: 2,
+			firstSeen: '2026-10-18T09:00:00.000Z',
+			lastSeen: '2026-10-18T10:30:00.000Z',
+		});
+	});
+
+	it('keeps only CLIENT_ERROR_SAMPLE_RATE of reports', async () => {
+		const kv = createMockKV();
+		const random = vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+		expect((await report({ CONTACT_SUBMISSIONS: kv, CLIENT_ERROR_SAMPLE_RATE: '0.25' }, REPORT)).status).toBe(204);
+		expect(recordPuts(kv)).toHaveLength(0);
+		random.mockReturnValue(0.2);
+		await report({ CONTACT_SUBMISSIONS: kv, CLIENT_ERROR_SAMPLE_RATE: '0.25' }, REPORT);
+		expect(recordPuts(kv)).toHaveLength(1);
+
+		expect(loadSampleRate({})).toBe(1);
+		expect(loadSampleRate({ CLIENT_ERROR_SAMPLE_RATE: '0' })).toBe(0);
+		expect(loadSampleRate({ CLIENT_ERROR_SAMPLE_RATE: '2' })).toBe(1);
+		expect(loadSampleRate({ CLIENT_ERROR_SAMPLE_RATE: 'half' })).toBe(1);
+	});
+
+	it('limits recorded reports per IP, keyed by an HMAC of the IP', async () => {
+		const kv = createMockKV();
+		const env = { CONTACT_SUBMISSIONS: kv };
+
+		for (let i = 0; i < CLIENT_ERRORS.RATE_LIMIT.MAX_REQUESTS; i++) {
+			expect((await report(env, { ...REPORT, message: `failure ${i}` })).status).toBe(204);
+		}
+		const limited = await report(env, REPORT);
+		const other = await report(env, REPORT, '198.51.100.1');
+
+		expect(limited.status).toBe(429);
+		expect(limited.headers.get('Retry-After')).toMatch(/^\d+$/);
+		expect(other.status).toBe(204);
+		expect([...kv.store.keys()].join()).not.toContain('203.0.113.9');
+
+		// Not the plain SHA-256 anyone could compute for every IPv4 address
+		const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode('203.0.113.9'));
+		const plainHash = [...new Uint8Array(digest).slice(0, 16)].map((b) => b.toString(16).padStart(2, '0')).join('');
+		expect([...kv.store.keys()].filter((key) => key.startsWith('ratelimit_clienterror_'))).not.toHaveLength(0);
+		expect([...kv.store.keys()].join()).not.toContain(plainHash);
+	});
+
+	it('rejects reports without a message or over 16 KB, and fails closed without KV or IP_HASH_KEY', async () => {
+		const kv = createMockKV();
+
+		for (const body of [{}, { message: '   ' }, { message: 42 }]) {
+			const response = await report({ CONTACT_SUBMISSIONS: kv }, body);
+			expect(response.status).toBe(400);
+			expect((await response.json()).code).toBe('validation_failed');
+		}
+		const oversized = await report({ CONTACT_SUBMISSIONS: kv }, { ...REPORT, stack: 'x'.repeat(CLIENT_ERRORS.MAX_BODY_BYTES) });
+		expect(oversized.status).toBe(413);
+		expect((await report({}, REPORT)).status).toBe(503);
+		expect((await report({ CONTACT_SUBMISSIONS: kv, IP_HASH_KEY: undefined }, REPORT)).status).toBe(503);
+		expect(recordPuts(kv)).toHaveLength(0);
+	});
+});
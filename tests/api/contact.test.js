@@ -4,6 +4,11 @@
  */
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+import { turnstileSuccess } from './siteverify.js';
+import { capturedLogs } from '../../functions/_lib/log.js';
+
+const FORM_TOKEN = await formToken();
 
 /**
  * Create a mock Cloudflare Pages Function context.
@@ -12,12 +17,13 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
  */
 const createMockContext = (overrides = {}) => ({
 	request: {
-		json: vi.fn().mockResolvedValue({
+		text: vi.fn().mockResolvedValue(JSON.stringify({
 			name: 'Test User',
 			email: 'test@example.com',
 			message: 'Test message',
 			'cf-turnstile-response': 'mock-token',
-		}),
+			formToken: FORM_TOKEN,
+		})),
 		headers: {
 			get: vi.fn((header) => {
 				if (header === 'CF-Connecting-IP') return '127.0.0.1';
@@ -33,25 +39,37 @@ const createMockContext = (overrides = {}) => ({
 			put: vi.fn().mockResolvedValue(undefined),
 		},
 		TURNSTILE_SECRET_KEY: 'mock-secret-key',
+		FORM_TOKEN_SECRET,
 		...overrides.env,
 	},
 });
 
+/**
+ * Make KV report `count` previous requests in every rate limit bucket,
+ * leaving other keys (dedup, spam hashes) empty.
+ */
+function mockRateLimitCount(context, count) {
+	context.env.CONTACT_SUBMISSIONS.get.mockImplementation(
+		async (key) => (key.startsWith('ratelimit_') ? count : null)
+	);
+}
+
 // Mock global fetch for Turnstile verification
 global.fetch = vi.fn();
 
-// Mock crypto.randomUUID
+// Mock crypto.randomUUID (subtle/getRandomValues live on the prototype, so copy them explicitly)
+const realCrypto = global.crypto;
 vi.stubGlobal('crypto', {
-	...global.crypto,
+	...realCrypto,
+	subtle: realCrypto.subtle,
+	getRandomValues: (array) => realCrypto.getRandomValues(array),
 	randomUUID: () => 'mock-uuid-1234',
 });
 
 describe('Contact API - Rate Limiting', () => {
 	beforeEach(() => {
 		vi.clearAllMocks();
-		global.fetch.mockResolvedValue({
-			json: async () => ({ success: true }),
-		});
+		global.fetch.mockResolvedValue(turnstileSuccess());
 	});
 
 	it('allows requests within rate limit', async () => {
@@ -59,7 +77,7 @@ describe('Contact API - Rate Limiting', () => {
 		const context = createMockContext();
 
 		// Mock KV to show 2 previous requests (under limit of 5)
-		context.env.CONTACT_SUBMISSIONS.get.mockResolvedValue('2');
+		mockRateLimitCount(context, '2');
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
@@ -73,7 +91,7 @@ describe('Contact API - Rate Limiting', () => {
 		const context = createMockContext();
 
 		// Mock KV to show 5 previous requests (at limit)
-		context.env.CONTACT_SUBMISSIONS.get.mockResolvedValue('5');
+		mockRateLimitCount(context, '5');
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
@@ -86,7 +104,7 @@ describe('Contact API - Rate Limiting', () => {
 	it('includes rate limit headers in response', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.env.CONTACT_SUBMISSIONS.get.mockResolvedValue('2');
+		mockRateLimitCount(context, '2');
 
 		const response = await onRequestPost(context);
 		const headers = Object.fromEntries(response.headers.entries());
@@ -99,20 +117,19 @@ describe('Contact API - Rate Limiting', () => {
 describe('Contact API - CAPTCHA Verification', () => {
 	beforeEach(() => {
 		vi.clearAllMocks();
-		global.fetch.mockResolvedValue({
-			json: async () => ({ success: true }),
-		});
+		global.fetch.mockResolvedValue(turnstileSuccess());
 	});
 
 	it('rejects requests without CAPTCHA token', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.request.json.mockResolvedValue({
+		context.request.text.mockResolvedValue(JSON.stringify({
 			name: 'Test User',
 			email: 'test@example.com',
 			message: 'Test message',
+			formToken: FORM_TOKEN,
 			// No CAPTCHA token
-		});
+		}));
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
@@ -124,7 +141,7 @@ describe('Contact API - CAPTCHA Verification', () => {
 	it('verifies CAPTCHA token with Cloudflare API', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.env.CONTACT_SUBMISSIONS.get.mockResolvedValue('0');
+		mockRateLimitCount(context, '0');
 
 		await onRequestPost(context);
 
@@ -171,7 +188,7 @@ describe('Contact API - CAPTCHA Verification', () => {
 		const context = createMockContext({
 			env: { TURNSTILE_SECRET_KEY: undefined, SKIP_CAPTCHA: 'true' },
 		});
-		context.env.CONTACT_SUBMISSIONS.get.mockResolvedValue('0');
+		mockRateLimitCount(context, '0');
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
@@ -186,20 +203,19 @@ describe('Contact API - CAPTCHA Verification', () => {
 describe('Contact API - Input Validation', () => {
 	beforeEach(() => {
 		vi.clearAllMocks();
-		global.fetch.mockResolvedValue({
-			json: async () => ({ success: true }),
-		});
+		global.fetch.mockResolvedValue(turnstileSuccess());
 	});
 
 	it('validates required fields', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.request.json.mockResolvedValue({
+		context.request.text.mockResolvedValue(JSON.stringify({
 			name: '',
 			email: 'test@example.com',
 			message: 'Test',
 			'cf-turnstile-response': 'token',
-		});
+			formToken: FORM_TOKEN,
+		}));
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
@@ -208,15 +224,38 @@ describe('Contact API - Input Validation', () => {
 		expect(data.error).toContain('required');
 	});
 
+	it('returns a per-field error map', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const context = createMockContext();
+		context.request.text.mockResolvedValue(JSON.stringify({
+			name: '  ',
+			email: 'invalid-email',
+			message: 'Valid message',
+			'cf-turnstile-response': 'token',
+			formToken: FORM_TOKEN,
+		}));
+
+		const response = await onRequestPost(context);
+		const data = await response.json();
+
+		expect(response.status).toBe(400);
+		expect(data.errors).toEqual({
+			name: 'Name is required.',
+			email: 'Please enter a valid email address.',
+		});
+		expect(data.error).toBe('Name is required.');
+	});
+
 	it('validates email format', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.request.json.mockResolvedValue({
+		context.request.text.mockResolvedValue(JSON.stringify({
 			name: 'Test',
 			email: 'invalid-email',
 			message: 'Test',
 			'cf-turnstile-response': 'token',
-		});
+			formToken: FORM_TOKEN,
+		}));
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
@@ -228,12 +267,13 @@ describe('Contact API - Input Validation', () => {
 	it('validates field types', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.request.json.mockResolvedValue({
+		context.request.text.mockResolvedValue(JSON.stringify({
 			name: 123, // Should be string
 			email: 'test@example.com',
 			message: 'Test',
 			'cf-turnstile-response': 'token',
-		});
+			formToken: FORM_TOKEN,
+		}));
 
 		const response = await onRequestPost(context);
 
@@ -243,12 +283,13 @@ describe('Contact API - Input Validation', () => {
 	it('rejects fields exceeding max length', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.request.json.mockResolvedValue({
-			name: 'A'.repeat(101), // MAX_LENGTHS.name = 100
+		context.request.text.mockResolvedValue(JSON.stringify({
+			name: 'A'.repeat(101), // CONTACT_SCHEMA.name.maxLength = 100
 			email: 'test@example.com',
 			message: 'Test',
 			'cf-turnstile-response': 'token',
-		});
+			formToken: FORM_TOKEN,
+		}));
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
@@ -260,12 +301,13 @@ describe('Contact API - Input Validation', () => {
 	it('rejects messages exceeding max length', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.request.json.mockResolvedValue({
+		context.request.text.mockResolvedValue(JSON.stringify({
 			name: 'Test',
 			email: 'test@example.com',
-			message: 'A'.repeat(5001), // MAX_LENGTHS.message = 5000
+			message: 'A'.repeat(5001), // CONTACT_SCHEMA.message.maxLength = 5000
 			'cf-turnstile-response': 'token',
-		});
+			formToken: FORM_TOKEN,
+		}));
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
@@ -278,15 +320,13 @@ describe('Contact API - Input Validation', () => {
 describe('Contact API - KV Storage', () => {
 	beforeEach(() => {
 		vi.clearAllMocks();
-		global.fetch.mockResolvedValue({
-			json: async () => ({ success: true }),
-		});
+		global.fetch.mockResolvedValue(turnstileSuccess());
 	});
 
 	it('stores valid submissions in KV', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.env.CONTACT_SUBMISSIONS.get.mockResolvedValue('0');
+		mockRateLimitCount(context, '0');
 
 		await onRequestPost(context);
 
@@ -294,18 +334,38 @@ describe('Contact API - KV Storage', () => {
 			expect.stringMatching(/^contact_\d{4}-\d{2}-\d{2}T.+_mock-uuid-1234$/),
 			expect.stringContaining('"name":"Test User"')
 		);
+		// Retention is opt-in: no RETENTION_DAYS, no expiration
+		const [, , options] = context.env.CONTACT_SUBMISSIONS.put.mock.calls.find(([key]) => key.startsWith('contact_'));
+		expect(options).toBeUndefined();
+	});
+
+	it('expires stored submissions after the retention period', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const context = createMockContext();
+		mockRateLimitCount(context, '0');
+		context.env.RETENTION_DAYS = '30';
+
+		await onRequestPost(context);
+
+		const [key, , options] = context.env.CONTACT_SUBMISSIONS.put.mock.calls
+			.find(([name]) => name.startsWith('contact_'));
+		const submittedAt = Date.parse(key.split('_')[1]);
+		// RETENTION_DAYS plus the grace period the retention job purges within
+		expect(options.expiration * 1000 - submittedAt).toBeGreaterThanOrEqual(32 * 24 * 60 * 60 * 1000);
+		expect(options.expiration * 1000 - submittedAt).toBeLessThan(32 * 24 * 60 * 60 * 1000 + 1000);
 	});
 
 	it('trims whitespace from fields before storage', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.env.CONTACT_SUBMISSIONS.get.mockResolvedValue('0');
-		context.request.json.mockResolvedValue({
+		mockRateLimitCount(context, '0');
+		context.request.text.mockResolvedValue(JSON.stringify({
 			name: '  Test User  ',
 			email: '  test@example.com  ',
 			message: '  Test message  ',
 			'cf-turnstile-response': 'token',
-		});
+			formToken: FORM_TOKEN,
+		}));
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
@@ -321,7 +381,7 @@ describe('Contact API - KV Storage', () => {
 	it('includes timestamp in stored data', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.env.CONTACT_SUBMISSIONS.get.mockResolvedValue('0');
+		mockRateLimitCount(context, '0');
 
 		await onRequestPost(context);
 
@@ -335,40 +395,84 @@ describe('Contact API - KV Storage', () => {
 
 		expect(storedData.submittedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
 	});
+
+	it('stores new submissions in the new status with history', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const context = createMockContext();
+		mockRateLimitCount(context, '0');
+
+		await onRequestPost(context);
+
+		const putCalls = context.env.CONTACT_SUBMISSIONS.put.mock.calls;
+		const [, value] = putCalls.find(call => call[0].startsWith('contact_'));
+		const storedData = JSON.parse(value);
+
+		expect(storedData.status).toBe('new');
+		expect(storedData.statusHistory).toEqual([
+			{ status: 'new', changedAt: storedData.submittedAt },
+		]);
+	});
 });
 
 describe('Contact API - Error Handling', () => {
 	beforeEach(() => {
 		vi.clearAllMocks();
-		global.fetch.mockResolvedValue({
-			json: async () => ({ success: true }),
-		});
+		global.fetch.mockResolvedValue(turnstileSuccess());
+	});
+
+	it('rejects a body that is not a JSON object with 400 before any side effects', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const context = createMockContext();
+		context.request.text.mockResolvedValue('{"name": "Test User",');
+
+		const response = await onRequestPost(context);
+		const data = await response.json();
+
+		expect(response.status).toBe(400);
+		expect(data).toMatchObject({ success: false, code: 'invalid_json', requestId: response.headers.get('X-Request-Id') });
+		expect(context.env.CONTACT_SUBMISSIONS.put).not.toHaveBeenCalled();
 	});
 
-	it('returns 500 when request.json() throws', async () => {
+	it('returns 500 with a request id when storage fails unexpectedly', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.request.json.mockRejectedValue(new Error('Invalid JSON'));
+		mockRateLimitCount(context, '0');
+		context.env.CONTACT_SUBMISSIONS.put.mockImplementation(async (key) => {
+			if (key.startsWith('contact_')) throw new Error('KV unavailable');
+		});
+		context.env.LOG_SINK = 'capture';
+		capturedLogs.length = 0;
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
 
 		expect(response.status).toBe(500);
-		expect(data.error).toContain('Internal server error');
+		expect(data).toEqual({ success: false, code: 'internal_error', error: 'Internal server error.', requestId: 'mock-uuid-1234' });
+		expect(capturedLogs).toContainEqual(expect.objectContaining({
+			level: 'error',
+			msg: 'Contact form error',
+			requestId: 'mock-uuid-1234',
+			error: expect.objectContaining({ message: 'KV unavailable' }),
+		}));
+		expect(capturedLogs.at(-1)).toMatchObject({ msg: 'request', status: 500, code: 'internal_error' });
 	});
 
-	it('logs submission to console when KV binding is missing', async () => {
+	it('warns without dumping the submission when KV binding is missing', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.env.CONTACT_SUBMISSIONS.get.mockResolvedValue('0');
+		mockRateLimitCount(context, '0');
 		// Remove KV binding
 		delete context.env.CONTACT_SUBMISSIONS;
+		context.env.LOG_SINK = 'capture';
+		capturedLogs.length = 0;
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
 
 		expect(response.status).toBe(200);
 		expect(data.success).toBe(true);
+		expect(capturedLogs).toContainEqual(expect.objectContaining({ level: 'warn', msg: 'CONTACT_SUBMISSIONS not bound — submission not stored' }));
+		expect(JSON.stringify(capturedLogs)).not.toContain('Test message');
 	});
 });
 
@@ -400,10 +504,8 @@ describe('Contact API - CORS', () => {
 	it('reflects allowed origins in CORS headers', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createMockContext();
-		context.env.CONTACT_SUBMISSIONS.get.mockResolvedValue('0');
-		global.fetch.mockResolvedValue({
-			json: async () => ({ success: true }),
-		});
+		mockRateLimitCount(context, '0');
+		global.fetch.mockResolvedValue(turnstileSuccess());
 
 		const response = await onRequestPost(context);
 		const headers = Object.fromEntries(response.headers.entries());
@@ -422,10 +524,8 @@ describe('Contact API - CORS', () => {
 			if (h === 'Origin') return 'https://evil.com';
 			return null;
 		});
-		context.env.CONTACT_SUBMISSIONS.get.mockResolvedValue('0');
-		global.fetch.mockResolvedValue({
-			json: async () => ({ success: true }),
-		});
+		mockRateLimitCount(context, '0');
+		global.fetch.mockResolvedValue(turnstileSuccess());
 
 		const response = await onRequestPost(context);
 		const headers = Object.fromEntries(response.headers.entries());
@@ -433,6 +533,18 @@ describe('Contact API - CORS', () => {
 		expect(headers['access-control-allow-origin']).toBe('https://twistan.com');
 	});
 
+	it('refuses look-alike domains ending in twistan.com', async () => {
+		const { onRequestOptions } = await import('../../functions/api/contact.js');
+		const preflight = (origin) => onRequestOptions({
+			request: { headers: { get: vi.fn((h) => h === 'Origin' ? origin : null) } },
+		});
+
+		for (const origin of ['https://eviltwistan.com', 'https://twistan.com.evil.example']) {
+			expect((await preflight(origin)).headers.get('Access-Control-Allow-Origin')).toBe('https://twistan.com');
+		}
+		expect((await preflight('https://www.twistan.com')).headers.get('Access-Control-Allow-Origin')).toBe('https://www.twistan.com');
+	});
+
 	it('allows localhost origins', async () => {
 		const { onRequestOptions } = await import('../../functions/api/contact.js');
 
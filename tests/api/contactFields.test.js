@@ -0,0 +1,231 @@
+/**
+ * Optional contact field tests.
+ * Tests subject, category and config-declared extra fields through
+ * /api/contact, category-based notification routing, and filtering the
+ * admin submissions list by field.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { capturedMail } from '../../functions/_lib/mail.js';
+import { formatSubmissionEmail } from '../../functions/_lib/notify.js';
+import { resolveNotifyRoute } from '../../functions/_lib/routing.js';
+import { createLogger, createMemorySink } from '../../functions/_lib/log.js';
+import { CONTACT_SCHEMA, describeContactFields } from '../../shared/contactSchema.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+
+const FORM_TOKEN = await formToken();
+
+vi.mock('../../shared/contactExtraFields.js', () => ({
+	CONTACT_EXTRA_FIELDS: {
+		company: { label: 'Company', trim: true, maxLength: 20, filterable: true },
+	},
+}));
+
+const FIELDS = {
+	name: 'Test User',
+	email: 'test@example.com',
+	message: 'I would like to talk about a project.',
+};
+const MAIL_ENV = {
+	MAIL_TRANSPORT: 'capture',
+	NOTIFY_EMAIL_FROM: 'contact@twistan.com',
+	NOTIFY_EMAIL_TO: 'owner@twistan.com',
+};
+const WEBHOOKS = JSON.stringify([
+	{ url: 'https://hooks.example.com/work', format: 'json', name: 'work-hook' },
+	{ url: 'https://hooks.example.com/all', format: 'json', name: 'all-hook' },
+	{ url: 'https://hooks.example.com/unnamed', format: 'json' },
+]);
+
+global.fetch = vi.fn();
+
+/**
+ * POST the fields to /api/contact.
+ *
+ * @param {object} env
+ * @param {object} [fields] - Overrides merged into FIELDS
+ * @returns {Promise<{response: Response, record: object|undefined}>} record is the stored submission
+ */
+async function submit(env, fields = {}) {
+	const { onRequestPost } = await import('../../functions/api/contact.js');
+	const response = await onRequestPost({
+		request: {
+			text: vi.fn().mockResolvedValue(JSON.stringify({ ...FIELDS, ...fields, 'cf-turnstile-response': 'token', formToken: FORM_TOKEN })),
+			headers: { get: vi.fn((h) => (h === 'CF-Connecting-IP' ? '192.0.2.20' : null)) },
+		},
+		env: { SKIP_CAPTCHA: 'true', FORM_TOKEN_SECRET, ...env },
+	});
+	const kv = env.CONTACT_SUBMISSIONS;
+	const key = kv && [...kv.store.keys()].find((k) => k.startsWith('contact_'));
+	return { response, record: key && JSON.parse(kv.store.get(key)) };
+}
+
+describe('Contact Fields - Schema', () => {
+	it('appends configured extra fields before the message', () => {
+		expect(Object.keys(CONTACT_SCHEMA)).toEqual(['name', 'email', 'category', 'subject', 'company', 'message']);
+	});
+
+	it('describes optional fields with option labels, skipping empty ones', () => {
+		expect(describeContactFields({ ...FIELDS, category: 'work', company: 'Acme', subject: '' })).toEqual([
+			{ field: 'category', label: 'Category', value: 'Work inquiry' },
+			{ field: 'company', label: 'Company', value: 'Acme' },
+		]);
+	});
+});
+
+describe('Contact Fields - Endpoint', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('stores subject, category and extra fields, trimmed, and omits empty ones', async () => {
+		const env = { CONTACT_SUBMISSIONS: createMockKV() };
+
+		const { response, record } = await submit(env, { subject: '  Hiring  ', category: 'work', company: '', extra: 'ignored' });
+
+		expect(response.status).toBe(200);
+		expect(record).toMatchObject({ subject: 'Hiring', category: 'work' });
+		expect(record).not.toHaveProperty('company');
+		expect(record).not.toHaveProperty('extra');
+	});
+
+	it('rejects an unknown category and an over-long extra field per field', async () => {
+		const env = { CONTACT_SUBMISSIONS: createMockKV() };
+
+		const { response, record } = await submit(env, { category: 'sales', company: 'x'.repeat(21) });
+		const data = await response.json();
+
+		expect(response.status).toBe(400);
+		expect(data.errors).toEqual({
+			category: 'Please choose one of the listed categories.',
+			company: 'Company exceeds 20 characters.',
+		});
+		expect(record).toBeUndefined();
+	});
+
+	it('treats a changed subject as a different message for the same Idempotency-Key', async () => {
+		const { fingerprintSubmission } = await import('../../functions/_lib/idempotency.js');
+
+		expect(await fingerprintSubmission({ ...FIELDS, subject: 'A' }))
+			.not.toBe(await fingerprintSubmission({ ...FIELDS, subject: 'B' }));
+		expect(await fingerprintSubmission({ ...FIELDS, subject: undefined }))
+			.toBe(await fingerprintSubmission(FIELDS));
+	});
+
+	it('lists the optional fields in the owner email and its subject line', () => {
+		const email = formatSubmissionEmail('contact_key', {
+			...FIELDS,
+			subject: 'Hiring',
+			category: 'work',
+			submittedAt: '2026-02-14T15:30:00.000Z',
+		}, MAIL_ENV);
+
+		expect(email.subject).toBe('New contact submission from Test User: Hiring');
+		expect(email.text).toContain('Subject:   Hiring');
+		expect(email.text).toContain('Category:  Work inquiry');
+	});
+});
+
+describe('Contact Fields - Notification Routing', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		capturedMail.length = 0;
+		global.fetch.mockResolvedValue({ ok: true, status: 200 });
+	});
+
+	const ROUTES = JSON.stringify({
+		work: { email: 'jobs@twistan.com', webhooks: ['work-hook', 'all-hook'] },
+		hello: { email: null },
+		default: { webhooks: ['all-hook'] },
+	});
+
+	it('resolves a category to its route, then "default", then everything', () => {
+		const env = { ...MAIL_ENV, NOTIFY_ROUTES: ROUTES };
+
+		expect(resolveNotifyRoute(env, 'work')).toEqual({ email: 'jobs@twistan.com', webhooks: ['work-hook', 'all-hook'] });
+		expect(resolveNotifyRoute(env, 'hello')).toEqual({ email: null, webhooks: null });
+		expect(resolveNotifyRoute(env, undefined)).toEqual({ email: 'owner@twistan.com', webhooks: ['all-hook'] });
+		expect(resolveNotifyRoute(MAIL_ENV, 'work')).toEqual({ email: 'owner@twistan.com', webhooks: null });
+	});
+
+	it('ignores invalid NOTIFY_ROUTES so the owner is still notified', async () => {
+		const sink = createMemorySink([]);
+		const log = createLogger({ sinks: [sink] });
+
+		for (const NOTIFY_ROUTES of ['{oops', '[]', '{"work":{"email":42}}']) {
+			expect(resolveNotifyRoute({ ...MAIL_ENV, NOTIFY_ROUTES }, 'work', log)).toEqual({ email: 'owner@twistan.com', webhooks: null });
+		}
+		await log.flush();
+		expect(sink.entries.map((entry) => entry.level)).toEqual(['error', 'error', 'error']);
+	});
+
+	it('sends a work inquiry to its own recipient and named webhooks', async () => {
+		const env = { ...MAIL_ENV, NOTIFY_ROUTES: ROUTES, WEBHOOKS, WEBHOOK_SECRET: 'secret', CONTACT_SUBMISSIONS: createMockKV() };
+
+		const { record } = await submit(env, { category: 'work' });
+
+		expect(capturedMail.map((m) => m.to)).toEqual(['jobs@twistan.com']);
+		expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+			'https://hooks.example.com/work',
+			'https://hooks.example.com/all',
+		]);
+		expect(JSON.parse(global.fetch.mock.calls[0][1].body).data.submission.category).toBe('work');
+		expect(record.notifications.map((n) => n.channel)).toEqual(['email', 'webhook', 'webhook']);
+	});
+
+	it('falls back to the default route and can turn the email off', async () => {
+		const env = { ...MAIL_ENV, NOTIFY_ROUTES: ROUTES, WEBHOOKS, WEBHOOK_SECRET: 'secret', CONTACT_SUBMISSIONS: createMockKV() };
+
+		await submit(env);
+		expect(capturedMail.map((m) => m.to)).toEqual(['owner@twistan.com']);
+		expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['https://hooks.example.com/all']);
+
+		capturedMail.length = 0;
+		global.fetch.mockClear();
+		await submit({ ...env, CONTACT_SUBMISSIONS: createMockKV() }, { category: 'hello' });
+		expect(capturedMail).toHaveLength(0);
+		expect(global.fetch).toHaveBeenCalledTimes(3);
+	});
+});
+
+describe('Contact Fields - Admin Filter', () => {
+	const TOKEN = 'admin-test-token';
+	const seed = (key, fields) => [key, JSON.stringify({ ...FIELDS, ...fields, submittedAt: key.slice(8, 32) })];
+
+	/** GET /api/admin/submissions with a query string. */
+	async function list(query) {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		return onRequestGet({
+			request: {
+				url: `https://twistan.com/api/admin/submissions?${query}`,
+				headers: { get: vi.fn((h) => (h === 'Authorization' ? `Bearer ${TOKEN}` : null)) },
+			},
+			env: {
+				ADMIN_API_TOKEN: TOKEN,
+				CONTACT_SUBMISSIONS: createMockKV(Object.fromEntries([
+					seed('contact_2026-02-10T10:00:00.000Z_aaa', { name: 'First', category: 'work', company: 'Acme' }),
+					seed('contact_2026-02-11T10:00:00.000Z_bbb', { name: 'Second', category: 'hello' }),
+					seed('contact_2026-02-12T10:00:00.000Z_ccc', { name: 'Third', category: 'work' }),
+				])),
+			},
+		});
+	}
+
+	it('filters by category and by filterable extra fields', async () => {
+		const byCategory = await (await list('category=work')).json();
+		const byCompany = await (await list('category=work&company=Acme')).json();
+
+		expect(byCategory.submissions.map((s) => s.name)).toEqual(['First', 'Third']);
+		expect(byCompany.submissions.map((s) => s.name)).toEqual(['First']);
+	});
+
+	it('rejects a category that is not an option and ignores non-filterable fields', async () => {
+		const invalid = await list('category=sales');
+		const unfiltered = await (await list('subject=Hiring')).json();
+
+		expect(invalid.status).toBe(400);
+		expect((await invalid.json()).error).toBe('category must be one of: work, project, hello.');
+		expect(unfiltered.submissions).toHaveLength(3);
+	});
+});
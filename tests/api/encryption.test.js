@@ -0,0 +1,218 @@
+/**
+ * Submission encryption tests.
+ * Tests key loading, the envelope format and its tamper checks, key
+ * rotation, and transparent encryption/decryption in the contact, admin
+ * and retention paths.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { createMockR2 } from './mockR2.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+import { turnstileSuccess } from './siteverify.js';
+import {
+	decryptRecord,
+	encryptRecord,
+	isEncryptedRecord,
+	loadKeyring,
+	rewrapRecord,
+} from '../../functions/_lib/encryption.js';
+import { getSubmission, putSubmission } from '../../functions/_lib/submissions.js';
+import { runRetention } from '../../functions/_lib/retention.js';
+
+const KEY_2025 = btoa(String.fromCharCode(...new Uint8Array(32).fill(1)));
+const KEY_2026 = btoa(String.fromCharCode(...new Uint8Array(32).fill(2)));
+const ADMIN_TOKEN = 'admin-test-token';
+
+const SUBMISSION_KEY = 'contact_2026-02-14T15:30:00.000Z_abc';
+const RECORD = {
+	name: 'Ann Example',
+	email: 'ann@example.com',
+	message: 'Secret plans',
+	submittedAt: '2026-02-14T15:30:00.000Z',
+	status: 'new',
+	statusHistory: [{ status: 'new', changedAt: '2026-02-14T15:30:00.000Z' }],
+};
+
+const keyEnv = (keys, currentId) => ({
+	SUBMISSION_ENCRYPTION_KEYS: JSON.stringify(keys),
+	...(currentId && { SUBMISSION_ENCRYPTION_KEY_ID: currentId }),
+});
+
+/** Context for the admin endpoints, authorized. */
+function adminContext(env, { url = 'https://twistan.com/api/admin/submissions', body, key } = {}) {
+	return {
+		request: {
+			url,
+			headers: {
+				get: (header) => ({
+					'CF-Connecting-IP': '127.0.0.1',
+					Origin: 'https://twistan.com',
+					Authorization: `Bearer ${ADMIN_TOKEN}`,
+				})[header] ?? null,
+			},
+			text: async () => JSON.stringify(body),
+		},
+		params: { key },
+		env: { ADMIN_API_TOKEN: ADMIN_TOKEN, ...env },
+	};
+}
+
+describe('Encryption - Keys', () => {
+	it('loads keys, picks the current one and rejects bad configuration', async () => {
+		const single = await loadKeyring(keyEnv({ 2026: KEY_2026 }));
+		const rotated = await loadKeyring(keyEnv({ 2025: KEY_2025, 2026: KEY_2026 }, '2026'));
+
+		expect(await loadKeyring({})).toBeNull();
+		expect(single.currentId).toBe('2026');
+		expect([...rotated.keys.keys()]).toEqual(['2025', '2026']);
+		await expect(loadKeyring({ SUBMISSION_ENCRYPTION_KEYS: 'nope' })).rejects.toThrow('not valid JSON');
+		await expect(loadKeyring(keyEnv({ 2026: 'c2hvcnQ=' }))).rejects.toThrow('must be 32 bytes');
+		await expect(loadKeyring(keyEnv({ 'bad id!': KEY_2026 }))).rejects.toThrow('Invalid encryption key id');
+		await expect(loadKeyring(keyEnv({ 2025: KEY_2025, 2026: KEY_2026 }))).rejects.toThrow('must name the current key');
+		await expect(loadKeyring(keyEnv({ 2026: KEY_2026 }, '2027'))).rejects.toThrow('is not in SUBMISSION_ENCRYPTION_KEYS');
+	});
+});
+
+describe('Encryption - Envelope', () => {
+	it('round-trips a record without storing any of it in the clear', async () => {
+		const keyring = await loadKeyring(keyEnv({ 2026: KEY_2026 }));
+
+		const envelope = await encryptRecord(keyring, SUBMISSION_KEY, RECORD);
+		const again = await encryptRecord(keyring, SUBMISSION_KEY, RECORD);
+
+		expect(isEncryptedRecord(envelope)).toBe(true);
+		expect(envelope.enc).toMatchObject({ v: 1, kid: '2026' });
+		expect(JSON.stringify(envelope)).not.toMatch(/Ann|ann@example|Secret|2026-02-14/);
+		expect(again.enc.key).not.toBe(envelope.enc.key);
+		expect(again.enc.data).not.toBe(envelope.enc.data);
+		expect(await decryptRecord(keyring, SUBMISSION_KEY, envelope)).toEqual(RECORD);
+	});
+
+	it('refuses tampered data, records moved to another key and unknown key ids', async () => {
+		const keyring = await loadKeyring(keyEnv({ 2026: KEY_2026 }));
+		const other = await loadKeyring(keyEnv({ 2025: KEY_2025 }));
+		const envelope = await encryptRecord(keyring, SUBMISSION_KEY, RECORD);
+		const flipped = atob(envelope.enc.data);
+		const tampered = { enc: { ...envelope.enc, data: btoa(`${flipped.slice(0, -1)}${String.fromCharCode(flipped.charCodeAt(flipped.length - 1) ^ 1)}`) } };
+
+		await expect(decryptRecord(keyring, SUBMISSION_KEY, tampered)).rejects.toThrow();
+		await expect(decryptRecord(keyring, 'contact_2026-02-15T00:00:00.000Z_xyz', envelope)).rejects.toThrow();
+		await expect(decryptRecord(keyring, SUBMISSION_KEY, { enc: { ...envelope.enc, kid: '2025' } })).rejects.toThrow('"2025", which is not configured');
+		await expect(decryptRecord(other, SUBMISSION_KEY, envelope)).rejects.toThrow('"2026", which is not configured');
+		await expect(decryptRecord(null, SUBMISSION_KEY, envelope)).rejects.toThrow('not configured');
+	});
+
+	it('keeps old records readable after rotation and re-wraps them to the new key', async () => {
+		const before = await loadKeyring(keyEnv({ 2025: KEY_2025 }));
+		const after = await loadKeyring(keyEnv({ 2025: KEY_2025, 2026: KEY_2026 }, '2026'));
+		const newOnly = await loadKeyring(keyEnv({ 2026: KEY_2026 }));
+		const kv = createMockKV();
+
+		await putSubmission(kv, SUBMISSION_KEY, RECORD, { keyring: before });
+		const stored = JSON.parse(kv.store.get(SUBMISSION_KEY));
+		const rewrapped = await rewrapRecord(after, stored);
+
+		expect(await getSubmission(kv, SUBMISSION_KEY, { keyring: after })).toEqual(RECORD);
+		await expect(getSubmission(kv, SUBMISSION_KEY, { keyring: newOnly })).rejects.toThrow('"2025"');
+		expect(rewrapped.enc.kid).toBe('2026');
+		expect(rewrapped.enc.data).toBe(stored.enc.data);
+		expect(await decryptRecord(newOnly, SUBMISSION_KEY, rewrapped)).toEqual(RECORD);
+	});
+});
+
+describe('Encryption - Storage Paths', () => {
+	beforeEach(() => {
+		vi.restoreAllMocks();
+		global.fetch = vi.fn().mockResolvedValue(turnstileSuccess());
+	});
+
+	it('stores contact submissions encrypted and fails closed on malformed keys', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const kv = createMockKV();
+		const context = (env) => ({
+			request: {
+				text: async () => JSON.stringify({
+					name: 'Ann Example',
+					email: 'ann@example.com',
+					message: 'Secret plans',
+					'cf-turnstile-response': 'token',
+					formToken: FORM_TOKEN,
+				}),
+				headers: { get: (header) => ({ 'CF-Connecting-IP': '127.0.0.1', Origin: 'https://twistan.com' })[header] ?? null },
+			},
+			env: { CONTACT_SUBMISSIONS: kv, TURNSTILE_SECRET_KEY: 'secret', FORM_TOKEN_SECRET, ...env },
+		});
+		const FORM_TOKEN = await formToken();
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		const stored = await onRequestPost(context(keyEnv({ 2026: KEY_2026 })));
+		const misconfigured = await onRequestPost(context({ SUBMISSION_ENCRYPTION_KEYS: '{"2026":"short"}' }));
+
+		const [key, value] = [...kv.store].find(([name]) => name.startsWith('contact_'));
+		expect(stored.status).toBe(200);
+		expect(value).not.toContain('ann@example.com');
+		expect(JSON.parse(value).enc.kid).toBe('2026');
+		expect((await getSubmission(kv, key, { keyring: await loadKeyring(keyEnv({ 2026: KEY_2026 })) })).email).toBe('ann@example.com');
+		expect(misconfigured.status).toBe(503);
+		expect([...kv.store.keys()].filter((name) => name.startsWith('contact_'))).toHaveLength(1);
+	});
+
+	it('decrypts for the admin list and keeps status changes encrypted', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const { onRequestPatch } = await import('../../functions/api/admin/submissions/[key].js');
+		const env = { ...keyEnv({ 2025: KEY_2025, 2026: KEY_2026 }, '2026'), CONTACT_SUBMISSIONS: createMockKV() };
+		const plain = 'contact_2026-02-13T00:00:00.000Z_plain';
+		await putSubmission(env.CONTACT_SUBMISSIONS, SUBMISSION_KEY, RECORD, { keyring: await loadKeyring(keyEnv({ 2025: KEY_2025 })) });
+		await putSubmission(env.CONTACT_SUBMISSIONS, plain, { ...RECORD, submittedAt: '2026-02-13T00:00:00.000Z' });
+
+		const list = await (await onRequestGet(adminContext(env))).json();
+		const patched = await onRequestPatch(adminContext(env, { body: { status: 'read' }, key: encodeURIComponent(SUBMISSION_KEY) }));
+
+		expect(list.submissions.map((s) => [s.key, s.email])).toEqual([
+			[plain, 'ann@example.com'],
+			[SUBMISSION_KEY, 'ann@example.com'],
+		]);
+		expect(patched.status).toBe(200);
+		expect(JSON.parse(env.CONTACT_SUBMISSIONS.store.get(SUBMISSION_KEY)).enc.kid).toBe('2026');
+
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		const misconfigured = await onRequestGet(adminContext({ ...env, SUBMISSION_ENCRYPTION_KEY_ID: '2027' }));
+		expect(misconfigured.status).toBe(503);
+	});
+
+	it('lists records whose key was removed as undecryptable instead of failing the page', async () => {
+		const { onRequestGet } = await import('../../functions/api/admin/submissions/index.js');
+		const env = { ...keyEnv({ 2026: KEY_2026 }), CONTACT_SUBMISSIONS: createMockKV() };
+		const current = 'contact_2026-02-15T00:00:00.000Z_current';
+		await putSubmission(env.CONTACT_SUBMISSIONS, SUBMISSION_KEY, RECORD, { keyring: await loadKeyring(keyEnv({ 2025: KEY_2025 })) });
+		await putSubmission(env.CONTACT_SUBMISSIONS, current, { ...RECORD, submittedAt: '2026-02-15T00:00:00.000Z' }, {
+			keyring: await loadKeyring(keyEnv({ 2026: KEY_2026 })),
+		});
+
+		const response = await onRequestGet(adminContext(env, { url: 'https://twistan.com/api/admin/submissions?status=read' }));
+		const body = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(body.submissions).toEqual([]);
+		expect(body.undecryptable).toEqual([{ key: SUBMISSION_KEY, kid: '2025' }]);
+
+		const all = await (await onRequestGet(adminContext(env))).json();
+		expect(all.submissions.map((s) => s.key)).toEqual([current]);
+	});
+
+	it('lets the retention job find attachments on encrypted records', async () => {
+		const keyring = await loadKeyring(keyEnv({ 2026: KEY_2026 }));
+		const kv = createMockKV();
+		const bucket = createMockR2({ [`attachments/${SUBMISSION_KEY}/1`]: { body: 'x' } });
+		await putSubmission(kv, SUBMISSION_KEY, { ...RECORD, attachments: [{ key: `attachments/${SUBMISSION_KEY}/1` }] }, { keyring });
+
+		const audit = await runRetention(
+			{ CONTACT_SUBMISSIONS: kv, CONTACT_ATTACHMENTS: bucket, RETENTION_DAYS: '30', ...keyEnv({ 2026: KEY_2026 }) },
+			{ now: Date.parse('2026-06-01T00:00:00.000Z') }
+		);
+
+		expect(audit).toMatchObject({ deleted: [SUBMISSION_KEY], attachmentsDeleted: 1, failed: [] });
+		expect(bucket.store.size).toBe(0);
+	});
+});
@@ -0,0 +1,20 @@
+/**
+ * Render-token helpers for tests that POST to /api/contact, which drops
+ * submissions without a valid token (see functions/_lib/botTraps.js).
+ */
+
+import { createFormToken } from '../../functions/_lib/botTraps.js';
+
+/** FORM_TOKEN_SECRET for test envs. */
+export const FORM_TOKEN_SECRET = 'form-token-test-secret';
+
+/**
+ * A token for a form rendered `ageSeconds` ago. Reads Date.now() when
+ * called, so it follows fake timers.
+ *
+ * @param {number} [ageSeconds]
+ * @returns {Promise<string>}
+ */
+export function formToken(ageSeconds = 60) {
+	return createFormToken(FORM_TOKEN_SECRET, Date.now() - ageSeconds * 1000);
+}
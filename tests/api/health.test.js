@@ -1,14 +1,39 @@
 /**
  * Health check API endpoint tests.
+ * Tests the shallow liveness response and the deep dependency checks.
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { createMockAssets } from './mockAssets.js';
+
+const BUILD = { version: '1.2.0', commit: 'c0ffee0123456789abcdef0123456789abcdef01', builtAt: '2026-10-01T12:00:00.000Z' };
+
+const context = (query = '', env = {}) => ({ request: new Request(`https://twistan.com/api/health${query}`), env });
+
+/** Env with every deep-check dependency healthy. */
+function healthyEnv(overrides = {}) {
+	return {
+		CONTACT_SUBMISSIONS: createMockKV(),
+		TURNSTILE_SECRET_KEY: 'secret',
+		FORM_TOKEN_SECRET: 'secret',
+		MAIL_TRANSPORT: 'capture',
+		...overrides,
+	};
+}
+
+/** GET /api/health?deep=1 and return the response with its parsed body. */
+async function deepHealth(env) {
+	const { onRequestGet } = await import('../../functions/api/health.js');
+	const response = await onRequestGet(context('?deep=1', env));
+	return { response, data: await response.json() };
+}
 
 describe('Health API', () => {
 	it('returns 200 with status ok', async () => {
 		const { onRequestGet } = await import('../../functions/api/health.js');
 
-		const response = await onRequestGet();
+		const response = await onRequestGet(context());
 		const data = await response.json();
 
 		expect(response.status).toBe(200);
@@ -18,7 +43,7 @@ describe('Health API', () => {
 	it('returns JSON content type', async () => {
 		const { onRequestGet } = await import('../../functions/api/health.js');
 
-		const response = await onRequestGet();
+		const response = await onRequestGet(context());
 		const headers = Object.fromEntries(response.headers.entries());
 
 		expect(headers['content-type']).toBe('application/json');
@@ -28,7 +53,7 @@ describe('Health API', () => {
 		const { onRequestGet } = await import('../../functions/api/health.js');
 
 		const before = new Date().toISOString();
-		const response = await onRequestGet();
+		const response = await onRequestGet(context());
 		const data = await response.json();
 		const after = new Date().toISOString();
 
@@ -37,3 +62,125 @@ describe('Health API', () => {
 		expect(data.timestamp <= after).toBe(true);
 	});
 });
+
+describe('Health API - Deep Checks', () => {
+	beforeEach(() => {
+		vi.restoreAllMocks();
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		global.fetch = vi.fn();
+	});
+
+	it('reports ok with each check and the deployed build, leaving no canary behind', async () => {
+		const env = healthyEnv({ ASSETS: createMockAssets({ 'build.json': JSON.stringify(BUILD) }) });
+
+		const { response, data } = await deepHealth(env);
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		expect(data).toMatchObject({
+			status: 'ok',
+			build: BUILD,
+			checks: {
+				kv: { status: 'ok', latencyMs: expect.any(Number) },
+				captcha: { status: 'ok', provider: 'turnstile' },
+				formTiming: { status: 'ok' },
+				mail: { status: 'ok', transport: 'capture' },
+			},
+		});
+		expect(env.CONTACT_SUBMISSIONS.put).toHaveBeenCalledWith(
+			expect.stringMatching(/^health_canary_/),
+			expect.any(String),
+			{ expirationTtl: 60 }
+		);
+		expect(env.CONTACT_SUBMISSIONS.store.size).toBe(0);
+	});
+
+	it('is down with 503 when KV is unbound or its round trip fails', async () => {
+		const failing = createMockKV();
+		failing.put.mockRejectedValueOnce(new Error('KV unavailable'));
+
+		const unbound = await deepHealth(healthyEnv({ CONTACT_SUBMISSIONS: undefined }));
+		const broken = await deepHealth(healthyEnv({ CONTACT_SUBMISSIONS: failing }));
+
+		expect(unbound.response.status).toBe(503);
+		expect(unbound.data.status).toBe('down');
+		expect(unbound.data.checks.kv).toEqual({ status: 'fail', error: 'CONTACT_SUBMISSIONS not bound' });
+		expect(broken.response.status).toBe(503);
+		expect(broken.data.checks.kv).toEqual({ status: 'fail', error: 'Round trip failed' });
+		expect(JSON.stringify(broken.data)).not.toContain('KV unavailable');
+	});
+
+	it('is down without the CAPTCHA secret unless SKIP_CAPTCHA is set', async () => {
+		const missing = await deepHealth(healthyEnv({ TURNSTILE_SECRET_KEY: undefined }));
+		const skipped = await deepHealth(healthyEnv({ TURNSTILE_SECRET_KEY: undefined, SKIP_CAPTCHA: 'true' }));
+
+		expect(missing.response.status).toBe(503);
+		expect(missing.data.checks.captcha).toEqual({ status: 'fail', provider: 'turnstile', error: 'Secret not configured' });
+		expect(skipped.response.status).toBe(200);
+		expect(skipped.data.checks.captcha).toMatchObject({ status: 'skipped', provider: 'turnstile' });
+	});
+
+	it('is degraded without FORM_TOKEN_SECRET, since the form timing check is off', async () => {
+		const { response, data } = await deepHealth(healthyEnv({ FORM_TOKEN_SECRET: undefined }));
+
+		expect(response.status).toBe(200);
+		expect(data.status).toBe('degraded');
+		expect(data.checks.formTiming).toEqual({ status: 'fail', error: 'FORM_TOKEN_SECRET not configured' });
+	});
+
+	it('is degraded when the mail API is unreachable, and skips mail when disabled', async () => {
+		global.fetch
+			.mockResolvedValueOnce(new Response(null, { status: 405 }))
+			.mockResolvedValueOnce(new Response(null, { status: 502 }))
+			.mockRejectedValueOnce(new TypeError('fetch failed'));
+		const env = healthyEnv({ MAIL_TRANSPORT: 'http', MAIL_API_URL: 'https://mail.test/send' });
+
+		const reachable = await deepHealth(env);
+		const erroring = await deepHealth(env);
+		const offline = await deepHealth(env);
+		const disabled = await deepHealth(healthyEnv({ MAIL_TRANSPORT: undefined }));
+
+		expect(global.fetch).toHaveBeenCalledWith('https://mail.test/send', expect.objectContaining({ method: 'HEAD' }));
+		expect(reachable.data.status).toBe('ok');
+		expect(erroring.response.status).toBe(200);
+		expect(erroring.data.status).toBe('degraded');
+		expect(erroring.data.checks.mail).toEqual({ status: 'fail', transport: 'http', error: 'Unreachable' });
+		expect(offline.data.status).toBe('degraded');
+		expect(disabled.data).toMatchObject({ status: 'ok', checks: { mail: { status: 'skipped' } } });
+	});
+
+	it('reuses a deep result from the Cache API for 60 seconds', async () => {
+		const entries = new Map();
+		const cache = {
+			match: vi.fn(async (key) => entries.get(key)?.clone()),
+			put: vi.fn(async (key, response) => { entries.set(key, response); }),
+		};
+		vi.stubGlobal('caches', { default: cache });
+		const env = healthyEnv({ TURNSTILE_SECRET_KEY: undefined });
+
+		try {
+			const first = await deepHealth(env);
+			const second = await deepHealth(healthyEnv());
+
+			expect(cache.put).toHaveBeenCalledTimes(1);
+			expect([...entries.keys()]).toEqual(['https://twistan.com/api/health?deep=1']);
+			expect(entries.get('https://twistan.com/api/health?deep=1').headers.get('Cache-Control')).toBe('max-age=60');
+			expect(second.response.status).toBe(503);
+			expect(second.response.headers.get('Cache-Control')).toBe('no-store');
+			expect(second.data).toEqual(first.data);
+			expect(env.CONTACT_SUBMISSIONS.put).toHaveBeenCalledTimes(1);
+		} finally {
+			vi.unstubAllGlobals();
+		}
+	});
+
+	it('touches no dependency without deep=1', async () => {
+		const { onRequestGet } = await import('../../functions/api/health.js');
+		const env = healthyEnv();
+
+		const data = await (await onRequestGet(context('?deep=0', env))).json();
+
+		expect(data).toEqual({ status: 'ok', timestamp: expect.any(String), build: { version: null, commit: null, builtAt: null } });
+		expect(env.CONTACT_SUBMISSIONS.put).not.toHaveBeenCalled();
+	});
+});
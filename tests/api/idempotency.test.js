@@ -0,0 +1,221 @@
+/**
+ * Duplicate-submission tests.
+ * Tests Idempotency-Key replay, key validation, content-hash dedup, and
+ * that only successful responses are saved.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { getIdempotencyKey, loadDedupWindowMinutes } from '../../functions/_lib/idempotency.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+import { turnstileSuccess } from './siteverify.js';
+
+const FORM_TOKEN = await formToken();
+
+const FIELDS = {
+	name: 'Test User',
+	email: 'test@example.com',
+	message: 'Hello, I would like to talk about a project.',
+};
+
+global.fetch = vi.fn();
+
+/**
+ * Create a /api/contact context sharing the given env.
+ *
+ * @param {object} env
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - Idempotency-Key header value
+ * @param {object} [options.fields] - Form field overrides
+ */
+function createContext(env, { idempotencyKey, fields = {} } = {}) {
+	return {
+		request: {
+			text: vi.fn().mockResolvedValue(JSON.stringify({ ...FIELDS, ...fields, 'cf-turnstile-response': 'token', formToken: FORM_TOKEN })),
+			headers: {
+				get: vi.fn((header) => {
+					if (header === 'CF-Connecting-IP') return '203.0.113.5';
+					if (header === 'Idempotency-Key') return idempotencyKey ?? null;
+					return null;
+				}),
+			},
+		},
+		env,
+	};
+}
+
+/** Stored contact submissions in the mock KV. */
+function storedSubmissions(kv) {
+	return [...kv.store.keys()].filter((key) => key.startsWith('contact_'));
+}
+
+describe('Idempotency - Key Header', () => {
+	it('accepts printable keys and rejects malformed ones', () => {
+		const request = (value) => ({ headers: { get: () => value } });
+
+		expect(getIdempotencyKey(request(null))).toEqual({ key: null, valid: true });
+		expect(getIdempotencyKey(request('3f2c9e4a-1b7d-4c8e-9a0f-6d5e4c3b2a10'))).toEqual({
+			key: '3f2c9e4a-1b7d-4c8e-9a0f-6d5e4c3b2a10',
+			valid: true,
+		});
+		expect(getIdempotencyKey(request('has space')).valid).toBe(false);
+		expect(getIdempotencyKey(request('')).valid).toBe(false);
+		expect(getIdempotencyKey(request('x'.repeat(256))).valid).toBe(false);
+	});
+
+	it('returns 400 for a malformed key before any side effects', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const env = { SKIP_CAPTCHA: 'true', FORM_TOKEN_SECRET, CONTACT_SUBMISSIONS: createMockKV() };
+
+		const response = await onRequestPost(createContext(env, { idempotencyKey: 'not valid' }));
+		const data = await response.json();
+
+		expect(response.status).toBe(400);
+		expect(data.error).toContain('Idempotency-Key');
+		expect(env.CONTACT_SUBMISSIONS.put).not.toHaveBeenCalled();
+	});
+
+	it('allows the header in CORS preflight', async () => {
+		const { onRequestOptions } = await import('../../functions/api/contact.js');
+		const response = await onRequestOptions({ request: { headers: { get: () => 'http://localhost:5173' } } });
+
+		expect(response.headers.get('Access-Control-Allow-Headers')).toBe('Content-Type, Idempotency-Key');
+	});
+});
+
+describe('Idempotency - Replay', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		// Unused one-off siteverify results must not leak into the next test
+		global.fetch.mockReset();
+	});
+
+	it('replays the original response for a repeated key and stores once', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const env = { SKIP_CAPTCHA: 'true', FORM_TOKEN_SECRET, CONTACT_SUBMISSIONS: createMockKV() };
+
+		const first = await onRequestPost(createContext(env, { idempotencyKey: 'key-1' }));
+		const second = await onRequestPost(createContext(env, { idempotencyKey: 'key-1' }));
+
+		const original = await first.json();
+		expect(second.status).toBe(200);
+		expect(original.statusToken).toEqual(expect.any(String));
+		// Same body, status token included, so a retry keeps the status link
+		expect(await second.json()).toEqual(original);
+		expect(second.headers.get('Idempotent-Replayed')).toBe('true');
+		expect(second.headers.get('X-RateLimit-Remaining')).toBe(first.headers.get('X-RateLimit-Remaining'));
+		expect(first.headers.get('Idempotent-Replayed')).toBeNull();
+		expect(storedSubmissions(env.CONTACT_SUBMISSIONS)).toHaveLength(1);
+		expect(env.CONTACT_SUBMISSIONS.put).toHaveBeenCalledWith('idempotency_key-1', expect.any(String), {
+			expirationTtl: 86400,
+		});
+	});
+
+	it('replays before CAPTCHA so a retry with a spent token still succeeds', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const env = { TURNSTILE_SECRET_KEY: 'secret', FORM_TOKEN_SECRET, CONTACT_SUBMISSIONS: createMockKV() };
+		global.fetch
+			.mockResolvedValueOnce(turnstileSuccess())
+			.mockResolvedValueOnce({ json: async () => ({ success: false, 'error-codes': ['timeout-or-duplicate'] }) });
+
+		await onRequestPost(createContext(env, { idempotencyKey: 'key-2' }));
+		const retry = await onRequestPost(createContext(env, { idempotencyKey: 'key-2' }));
+
+		expect(retry.status).toBe(200);
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+	});
+
+	it('refuses a key reused for a different message', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const env = { SKIP_CAPTCHA: 'true', FORM_TOKEN_SECRET, CONTACT_SUBMISSIONS: createMockKV() };
+
+		await onRequestPost(createContext(env, { idempotencyKey: 'key-3' }));
+		const reused = await onRequestPost(createContext(env, {
+			idempotencyKey: 'key-3',
+			fields: { message: 'Something else entirely.' },
+		}));
+
+		expect(reused.status).toBe(422);
+		expect((await reused.json()).error).toContain('different message');
+		expect(storedSubmissions(env.CONTACT_SUBMISSIONS)).toHaveLength(1);
+	});
+
+	it('does not save failed attempts, so the same key can be retried', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const env = { TURNSTILE_SECRET_KEY: 'secret', FORM_TOKEN_SECRET, CONTACT_SUBMISSIONS: createMockKV() };
+		global.fetch
+			.mockResolvedValueOnce({ json: async () => ({ success: false, 'error-codes': ['invalid-input-response'] }) })
+			.mockResolvedValueOnce(turnstileSuccess());
+
+		const failed = await onRequestPost(createContext(env, { idempotencyKey: 'key-4' }));
+		const retry = await onRequestPost(createContext(env, { idempotencyKey: 'key-4' }));
+
+		expect(failed.status).toBe(400);
+		expect(retry.status).toBe(200);
+		expect(retry.headers.get('Idempotent-Replayed')).toBeNull();
+		expect(storedSubmissions(env.CONTACT_SUBMISSIONS)).toHaveLength(1);
+	});
+});
+
+describe('Idempotency - Content Dedup', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('replays for the same email and message without a key', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const env = { SKIP_CAPTCHA: 'true', FORM_TOKEN_SECRET, CONTACT_SUBMISSIONS: createMockKV() };
+
+		await onRequestPost(createContext(env));
+		const duplicate = await onRequestPost(createContext(env, {
+			fields: { email: 'TEST@example.com', message: `  ${FIELDS.message.toUpperCase()}  ` },
+		}));
+
+		expect(duplicate.status).toBe(200);
+		expect(duplicate.headers.get('Idempotent-Replayed')).toBe('true');
+		expect(storedSubmissions(env.CONTACT_SUBMISSIONS)).toHaveLength(1);
+	});
+
+	it('catches a double submit that sends a fresh key each time', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const env = { SKIP_CAPTCHA: 'true', FORM_TOKEN_SECRET, CONTACT_SUBMISSIONS: createMockKV() };
+
+		await onRequestPost(createContext(env, { idempotencyKey: 'key-a' }));
+		const second = await onRequestPost(createContext(env, { idempotencyKey: 'key-b' }));
+
+		expect(second.headers.get('Idempotent-Replayed')).toBe('true');
+		expect(storedSubmissions(env.CONTACT_SUBMISSIONS)).toHaveLength(1);
+	});
+
+	it('stores the same message from a different sender', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const env = { SKIP_CAPTCHA: 'true', FORM_TOKEN_SECRET, CONTACT_SUBMISSIONS: createMockKV() };
+
+		await onRequestPost(createContext(env));
+		await onRequestPost(createContext(env, { fields: { email: 'other@example.com' } }));
+
+		expect(storedSubmissions(env.CONTACT_SUBMISSIONS)).toHaveLength(2);
+	});
+
+	it('expires dedup entries after DEDUP_WINDOW_MINUTES', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const env = { SKIP_CAPTCHA: 'true', FORM_TOKEN_SECRET, CONTACT_SUBMISSIONS: createMockKV(), DEDUP_WINDOW_MINUTES: '5' };
+
+		await onRequestPost(createContext(env));
+		const dedupCall = env.CONTACT_SUBMISSIONS.put.mock.calls.find(([key]) => key.startsWith('dedup_'));
+		expect(dedupCall[2]).toEqual({ expirationTtl: 300 });
+
+		// Simulate KV expiring the entry
+		env.CONTACT_SUBMISSIONS.store.delete(dedupCall[0]);
+		await onRequestPost(createContext(env));
+
+		expect(storedSubmissions(env.CONTACT_SUBMISSIONS)).toHaveLength(2);
+	});
+
+	it('falls back to the default window for invalid values', () => {
+		expect(loadDedupWindowMinutes({})).toBe(10);
+		expect(loadDedupWindowMinutes({ DEDUP_WINDOW_MINUTES: '0.5' })).toBe(10);
+		expect(loadDedupWindowMinutes({ DEDUP_WINDOW_MINUTES: 'soon' })).toBe(10);
+		expect(loadDedupWindowMinutes({ DEDUP_WINDOW_MINUTES: '30' })).toBe(30);
+	});
+});
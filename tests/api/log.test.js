@@ -0,0 +1,171 @@
+/**
+ * Structured logging tests.
+ * Tests redaction, level filtering, entry order, the console and memory
+ * sinks (and the memory sink's cap), sink selection from env and batched
+ * forwarding to a log drain.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+	capturedLogs,
+	createConsoleSink,
+	createHttpSink,
+	createLogSinks,
+	createLogger,
+	createMemorySink,
+	LOG_CAPTURE_LIMIT,
+	redact,
+} from '../../functions/_lib/log.js';
+import { hashEmail, hashIP } from '../../functions/_lib/rateLimit.js';
+
+const IP_HASH_KEY = 'ip-hash-test-key';
+
+describe('Log - Redaction', () => {
+	it('hashes email and IP, hides personal and secret fields and flattens errors', async () => {
+		const error = new TypeError('boom');
+
+		const safe = await redact({
+			email: 'Ann@Example.com',
+			ip: '198.51.100.7',
+			name: 'Ann',
+			message: 'Hello',
+			Authorization: 'Bearer abc',
+			token: 'status-token',
+			error,
+			status: 400,
+			skipped: undefined,
+		}, { ipHashKey: IP_HASH_KEY });
+
+		expect(safe).toEqual({
+			emailHash: await hashEmail('Ann@Example.com'),
+			ipHash: await hashIP('198.51.100.7', IP_HASH_KEY),
+			name: '[redacted]',
+			message: '[redacted]',
+			Authorization: '[redacted]',
+			token: '[redacted]',
+			error: { name: 'TypeError', message: 'boom', stack: error.stack },
+			status: 400,
+		});
+		expect(JSON.stringify(safe)).not.toMatch(/Ann|198\.51|Hello|abc|status-token/);
+	});
+
+	it('hashes IPs with IP_HASH_KEY so they can\'t be recomputed from the IP alone', async () => {
+		const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode('198.51.100.7'));
+		const plainHash = [...new Uint8Array(digest).slice(0, 16)].map((b) => b.toString(16).padStart(2, '0')).join('');
+		const sink = createMemorySink([]);
+		const log = createLogger({ env: { IP_HASH_KEY }, sinks: [sink] });
+
+		log.warn('Bot trap tripped', { ip: '198.51.100.7' });
+		await log.flush();
+		const { ipHash } = sink.entries[0];
+
+		expect(ipHash).toMatch(/^[0-9a-f]{32}$/);
+		expect(ipHash).not.toBe(plainHash);
+		expect(ipHash).not.toBe(await hashIP('198.51.100.7', 'another-key'));
+		expect(await redact({ ip: '198.51.100.7' })).toEqual({ ip: '[redacted]' });
+	});
+});
+
+describe('Log - Logger', () => {
+	it('writes entries in call order with bound fields, dropping quieter levels', async () => {
+		const sink = createMemorySink([]);
+		const log = createLogger({ sinks: [sink], level: 'warn', fields: { requestId: 'req-1', route: 'Example' } });
+
+		log.info('ignored');
+		log.warn('first', { email: 'ann@example.com' });
+		log.child({ step: 'captcha' }).error('second');
+		await log.flush();
+
+		expect(sink.entries).toEqual([
+			{ time: expect.any(String), level: 'warn', msg: 'first', requestId: 'req-1', route: 'Example', emailHash: expect.any(String) },
+			{ time: expect.any(String), level: 'error', msg: 'second', requestId: 'req-1', route: 'Example', step: 'captcha' },
+		]);
+	});
+
+	it('picks sinks and level from env', async () => {
+		capturedLogs.length = 0;
+		const consoleLog = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+		const log = createLogger({ env: { LOG_SINK: 'capture', LOG_LEVEL: 'debug' } });
+		log.debug('captured');
+		await log.flush();
+
+		expect(capturedLogs).toEqual([expect.objectContaining({ level: 'debug', msg: 'captured' })]);
+		expect(consoleLog).not.toHaveBeenCalled();
+		expect(createLogSinks({}).length).toBe(1);
+		expect(createLogSinks({ LOG_DRAIN_URL: 'https://logs.test/ingest' }).length).toBe(2);
+		consoleLog.mockRestore();
+	});
+
+	it('ignores LOG_SINK=capture outside the test runner and caps memory sinks', async () => {
+		vi.stubEnv('MODE', 'production');
+		const consoleLog = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+		const log = createLogger({ env: { LOG_SINK: 'capture' } });
+		log.info('printed');
+		await log.flush();
+
+		expect(capturedLogs).toEqual([]);
+		expect(consoleLog).toHaveBeenCalledOnce();
+		consoleLog.mockRestore();
+		vi.unstubAllEnvs();
+
+		const sink = createMemorySink([]);
+		for (let i = 0; i <= LOG_CAPTURE_LIMIT; i++) sink.write({ msg: `entry ${i}` });
+		expect(sink.entries).toHaveLength(LOG_CAPTURE_LIMIT);
+		expect(sink.entries[0].msg).toBe('entry 1');
+	});
+
+	it('writes one JSON line per entry through the console method for its level', () => {
+		const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const entry = { time: '2026-10-18T09:00:00.000Z', level: 'warn', msg: 'Dropped', trap: 'honeypot' };
+
+		createConsoleSink().write(entry);
+
+		expect(consoleWarn).toHaveBeenCalledWith(JSON.stringify(entry));
+		consoleWarn.mockRestore();
+	});
+});
+
+describe('Log - HTTP Drain', () => {
+	let fetchMock;
+
+	beforeEach(() => {
+		fetchMock = vi.fn(async () => new Response(null, { status: 202 }));
+		vi.stubGlobal('fetch', fetchMock);
+	});
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('sends nothing until flushed, then POSTs NDJSON in batches', async () => {
+		const sink = createHttpSink({ url: 'https://logs.test/ingest', token: 'drain-token', batchSize: 2 });
+		for (const msg of ['a', 'b', 'c']) sink.write({ level: 'info', msg });
+
+		expect(fetchMock).not.toHaveBeenCalled();
+		await sink.flush();
+		await sink.flush();
+
+		expect(fetchMock).toHaveBeenCalledTimes(2);
+		const [url, init] = fetchMock.mock.calls[0];
+		expect(url).toBe('https://logs.test/ingest');
+		expect(init.method).toBe('POST');
+		expect(init.headers).toEqual({ 'Content-Type': 'application/x-ndjson', Authorization: 'Bearer drain-token' });
+		expect(init.body).toBe('{"level":"info","msg":"a"}\n{"level":"info","msg":"b"}');
+		expect(fetchMock.mock.calls[1][1].body).toBe('{"level":"info","msg":"c"}');
+	});
+
+	it('drops a failed batch without throwing', async () => {
+		fetchMock.mockResolvedValueOnce(new Response(null, { status: 500 }));
+		const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const sink = createHttpSink({ url: 'https://logs.test/ingest' });
+		sink.write({ level: 'error', msg: 'lost' });
+
+		await expect(sink.flush()).resolves.toBeUndefined();
+
+		expect(fetchMock.mock.calls[0][1].headers.Authorization).toBeUndefined();
+		expect(consoleError).toHaveBeenCalledWith('Dropped 1 log entries:', 'Log drain responded 500');
+		consoleError.mockRestore();
+	});
+});
@@ -0,0 +1,19 @@
+/**
+ * In-memory stand-in for the Pages static assets binding (env.ASSETS).
+ * fetch() serves the given files by path and 404s everything else.
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * @param {Record<string, string>} [files] - Path without the leading slash → body
+ * @returns {{fetch: Function}} ASSETS-like binding
+ */
+export function createMockAssets(files = {}) {
+	return {
+		fetch: vi.fn(async (input) => {
+			const path = new URL(input instanceof Request ? input.url : input).pathname.slice(1);
+			return path in files ? new Response(files[path]) : new Response('Not found', { status: 404 });
+		}),
+	};
+}
@@ -0,0 +1,54 @@
+/**
+ * In-memory stand-in for a Cloudflare KV namespace binding.
+ * Implements the subset of the API the Pages Functions use
+ * (get/put/delete/list with prefix + cursor pagination) and wraps
+ * each method in vi.fn() so tests can assert on calls. put()'s
+ * `metadata` and `expiration` are kept in `meta` and returned by list().
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * @param {Record<string, string>} [initial] - Seed key/value pairs
+ * @returns {object} KV-like binding with `store` and `meta` Maps for inspection
+ */
+export function createMockKV(initial = {}) {
+	const store = new Map(Object.entries(initial));
+	const meta = new Map();
+
+	return {
+		store,
+		meta,
+		get: vi.fn(async (key, options) => {
+			const value = store.has(key) ? store.get(key) : null;
+			const type = typeof options === 'string' ? options : options?.type;
+			return value !== null && type === 'json' ? JSON.parse(value) : value;
+		}),
+		put: vi.fn(async (key, value, { metadata, expiration } = {}) => {
+			store.set(key, value);
+			meta.set(key, { metadata, expiration });
+		}),
+		delete: vi.fn(async (key) => {
+			store.delete(key);
+			meta.delete(key);
+		}),
+		list: vi.fn(async ({ prefix = '', cursor, limit = 1000 } = {}) => {
+			const names = [...store.keys()].filter((k) => k.startsWith(prefix)).sort();
+			const start = cursor ? Number(cursor) : 0;
+			const slice = names.slice(start, start + limit);
+			const listComplete = start + limit >= names.length;
+			return {
+				keys: slice.map((name) => {
+					const { metadata, expiration } = meta.get(name) || {};
+					return {
+						name,
+						...(metadata !== undefined && { metadata }),
+						...(expiration !== undefined && { expiration }),
+					};
+				}),
+				list_complete: listComplete,
+				cursor: listComplete ? undefined : String(start + limit),
+			};
+		}),
+	};
+}
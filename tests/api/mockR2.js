@@ -0,0 +1,66 @@
+/**
+ * In-memory stand-in for a Cloudflare R2 bucket binding.
+ * Implements the subset of the API the Pages Functions use
+ * (head/get/put/delete) and wraps each method in vi.fn() so tests can
+ * assert on calls. Bodies are stored as Uint8Array.
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * @param {string|ArrayBuffer|ArrayBufferView} value
+ * @returns {Uint8Array}
+ */
+function toBytes(value) {
+	if (typeof value === 'string') return new TextEncoder().encode(value);
+	if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+	return new Uint8Array(value.slice(0));
+}
+
+/**
+ * R2Object-like metadata for a stored entry.
+ * @param {string} key
+ * @param {object} entry
+ */
+function objectInfo(key, entry) {
+	return {
+		key,
+		size: entry.bytes.byteLength,
+		uploaded: entry.uploaded,
+		httpMetadata: { ...entry.httpMetadata },
+		customMetadata: { ...entry.customMetadata },
+	};
+}
+
+/**
+ * @param {Record<string, {body: string|ArrayBuffer, httpMetadata?: object, customMetadata?: object}>} [initial] - Seed objects
+ * @returns {object} R2-like binding with a `store` Map for inspection
+ */
+export function createMockR2(initial = {}) {
+	const store = new Map(Object.entries(initial).map(([key, { body, httpMetadata = {}, customMetadata = {} }]) => [
+		key,
+		{ bytes: toBytes(body), httpMetadata, customMetadata, uploaded: new Date() },
+	]));
+
+	return {
+		store,
+		head: vi.fn(async (key) => (store.has(key) ? objectInfo(key, store.get(key)) : null)),
+		get: vi.fn(async (key) => {
+			if (!store.has(key)) return null;
+			const entry = store.get(key);
+			return {
+				...objectInfo(key, entry),
+				arrayBuffer: async () => entry.bytes.slice().buffer,
+				text: async () => new TextDecoder().decode(entry.bytes),
+			};
+		}),
+		put: vi.fn(async (key, value, { httpMetadata = {}, customMetadata = {} } = {}) => {
+			const entry = { bytes: toBytes(value), httpMetadata, customMetadata, uploaded: new Date() };
+			store.set(key, entry);
+			return objectInfo(key, entry);
+		}),
+		delete: vi.fn(async (keys) => {
+			for (const key of [].concat(keys)) store.delete(key);
+		}),
+	};
+}
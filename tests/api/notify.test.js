@@ -0,0 +1,224 @@
+/**
+ * Submission notification tests.
+ * Tests mail transports, email formatting, and best-effort delivery from /api/contact.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { createHttpTransport, createConsoleTransport, createMailTransport } from '../../functions/_lib/mail.js';
+import { createLogger, createMemorySink } from '../../functions/_lib/log.js';
+import { formatSubmissionEmail, notifySubmission } from '../../functions/_lib/notify.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+import { turnstileSuccess } from './siteverify.js';
+
+const FORM_TOKEN = await formToken();
+
+const KEY = 'contact_2026-02-14T15:30:00.000Z_abc';
+const RECORD = {
+	name: 'Test User',
+	email: 'test@example.com',
+	message: 'Hello there',
+	submittedAt: '2026-02-14T15:30:00.000Z',
+	status: 'new',
+	statusHistory: [{ status: 'new', changedAt: '2026-02-14T15:30:00.000Z' }],
+};
+const MAIL_ENV = {
+	NOTIFY_EMAIL_TO: 'owner@twistan.com',
+	NOTIFY_EMAIL_FROM: 'contact@twistan.com',
+};
+
+global.fetch = vi.fn();
+
+describe('Mail Transports', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('selects the transport from MAIL_TRANSPORT', () => {
+		expect(createMailTransport({ MAIL_TRANSPORT: 'http' }).name).toBe('http');
+		expect(createMailTransport({ MAIL_TRANSPORT: 'console' }).name).toBe('console');
+		expect(createMailTransport({})).toBeNull();
+	});
+
+	it('posts a MailChannels-style payload with API key', async () => {
+		global.fetch.mockResolvedValue({ ok: true, status: 202 });
+		const transport = createHttpTransport({ url: 'https://mail.test/send', apiKey: 'k' });
+
+		await transport.send({
+			from: { email: 'from@twistan.com', name: 'Form' },
+			to: 'owner@twistan.com',
+			replyTo: { email: 'visitor@example.com' },
+			subject: 'Hi',
+			text: 'Body',
+		});
+
+		const [url, init] = global.fetch.mock.calls[0];
+		const payload = JSON.parse(init.body);
+		expect(url).toBe('https://mail.test/send');
+		expect(init.headers['X-Api-Key']).toBe('k');
+		expect(payload.personalizations[0].to).toEqual([{ email: 'owner@twistan.com' }]);
+		expect(payload.reply_to).toEqual({ email: 'visitor@example.com' });
+		expect(payload.content).toEqual([{ type: 'text/plain', value: 'Body' }]);
+	});
+
+	it('throws when the mail API rejects the message', async () => {
+		global.fetch.mockResolvedValue({ ok: false, status: 401, text: async () => 'bad key' });
+		const transport = createHttpTransport();
+
+		await expect(transport.send({ from: 'a@b.c', to: 'd@e.f', subject: 's', text: 't' }))
+			.rejects.toThrow('Mail API responded 401: bad key');
+	});
+
+	it('console transport logs instead of sending', async () => {
+		const sink = createMemorySink([]);
+		const log = createLogger({ sinks: [sink] });
+
+		await createConsoleTransport(log).send({ subject: 'Hi' });
+		await log.flush();
+
+		expect(sink.entries).toEqual([expect.objectContaining({ level: 'info', outbound: { subject: 'Hi' } })]);
+		expect(global.fetch).not.toHaveBeenCalled();
+	});
+});
+
+describe('Submission Notification', () => {
+	it('formats the email with reply-to set to the sender', () => {
+		const email = formatSubmissionEmail(KEY, { ...RECORD, name: 'Evil\r\nBcc: x@y.z' }, MAIL_ENV);
+
+		expect(email.to).toBe('owner@twistan.com');
+		expect(email.replyTo.email).toBe('test@example.com');
+		expect(email.subject).not.toMatch(/[\r\n]/);
+		expect(email.text).toContain('Hello there');
+		expect(email.text).toContain(KEY);
+	});
+
+	it('returns null when notifications are not configured', async () => {
+		const send = vi.fn();
+
+		expect(await notifySubmission({}, KEY, RECORD, { name: 'fake', send })).toBeNull();
+		expect(send).not.toHaveBeenCalled();
+	});
+
+	it('reports sent and failed deliveries without throwing', async () => {
+		const ok = await notifySubmission(MAIL_ENV, KEY, RECORD, { name: 'fake', send: vi.fn() });
+		const failed = await notifySubmission(MAIL_ENV, KEY, RECORD, {
+			name: 'fake',
+			send: vi.fn().mockRejectedValue(new Error('SMTP down')),
+		});
+
+		expect(ok).toMatchObject({ channel: 'email', transport: 'fake', status: 'sent' });
+		expect(failed).toMatchObject({ status: 'failed', error: 'SMTP down' });
+	});
+});
+
+describe('Contact API - Notification Delivery', () => {
+	/**
+	 * Context with a stateful KV and the http mail transport enabled.
+	 * Turnstile siteverify succeeds; the mail API responds with `mailResponse`.
+	 */
+	function createNotifyContext(mailResponse, extra = {}) {
+		global.fetch.mockImplementation(async (url) => (
+			String(url).includes('turnstile')
+				? turnstileSuccess()
+				: mailResponse
+		));
+		return {
+			request: {
+				text: vi.fn().mockResolvedValue(JSON.stringify({
+					name: 'Test User',
+					email: 'test@example.com',
+					message: 'Test message',
+					'cf-turnstile-response': 'token',
+					formToken: FORM_TOKEN,
+				})),
+				headers: { get: vi.fn((h) => (h === 'CF-Connecting-IP' ? '127.0.0.1' : null)) },
+			},
+			env: {
+				CONTACT_SUBMISSIONS: createMockKV(),
+				TURNSTILE_SECRET_KEY: 'secret',
+				FORM_TOKEN_SECRET,
+				MAIL_TRANSPORT: 'http',
+				MAIL_API_URL: 'https://mail.test/send',
+				...MAIL_ENV,
+			},
+			...extra,
+		};
+	}
+
+	const storedSubmission = (kv) => {
+		const key = [...kv.store.keys()].find((k) => k.startsWith('contact_'));
+		return JSON.parse(kv.store.get(key));
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('records a successful delivery on the submission', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const context = createNotifyContext({ ok: true, status: 202 });
+
+		const response = await onRequestPost(context);
+
+		expect(response.status).toBe(200);
+		expect(global.fetch).toHaveBeenCalledWith('https://mail.test/send', expect.anything());
+		expect(storedSubmission(context.env.CONTACT_SUBMISSIONS).notifications).toEqual([
+			expect.objectContaining({ channel: 'email', transport: 'http', status: 'sent' }),
+		]);
+	});
+
+	it('still succeeds for the visitor when delivery fails', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const context = createNotifyContext({ ok: false, status: 500, text: async () => 'boom' });
+
+		const response = await onRequestPost(context);
+		const data = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(data.success).toBe(true);
+		const [notification] = storedSubmission(context.env.CONTACT_SUBMISSIONS).notifications;
+		expect(notification.status).toBe('failed');
+		expect(notification.error).toContain('500');
+	});
+
+	it('records results on the record as it is after delivery, and never recreates a withdrawn one', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		/** Run `change(kv, key)` while the owner email is being sent. */
+		const duringDelivery = (context, change) => {
+			const respond = global.fetch.getMockImplementation();
+			global.fetch.mockImplementation(async (url, init) => {
+				const kv = context.env.CONTACT_SUBMISSIONS;
+				if (String(url).includes('mail.test')) change(kv, [...kv.store.keys()].find((k) => k.startsWith('contact_')));
+				return respond(url, init);
+			});
+		};
+
+		const triaged = createNotifyContext({ ok: true, status: 202 });
+		duringDelivery(triaged, (kv, key) => kv.store.set(key, JSON.stringify({ ...JSON.parse(kv.store.get(key)), status: 'read' })));
+		await onRequestPost(triaged);
+
+		const withdrawn = createNotifyContext({ ok: true, status: 202 });
+		duringDelivery(withdrawn, (kv, key) => kv.store.delete(key));
+		await onRequestPost(withdrawn);
+
+		expect(storedSubmission(triaged.env.CONTACT_SUBMISSIONS)).toMatchObject({
+			status: 'read',
+			notifications: [expect.objectContaining({ channel: 'email', status: 'sent' })],
+		});
+		expect([...withdrawn.env.CONTACT_SUBMISSIONS.store.keys()].filter((k) => k.startsWith('contact_'))).toEqual([]);
+	});
+
+	it('hands delivery to waitUntil when available', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const waitUntil = vi.fn();
+		const context = createNotifyContext({ ok: true, status: 202 }, { waitUntil });
+
+		const response = await onRequestPost(context);
+		expect(response.status).toBe(200);
+		// Delivery, then the request's log flush
+		expect(waitUntil).toHaveBeenCalledTimes(2);
+
+		await Promise.all(waitUntil.mock.calls.map(([task]) => task));
+		expect(storedSubmission(context.env.CONTACT_SUBMISSIONS).notifications[0].status).toBe('sent');
+	});
+});
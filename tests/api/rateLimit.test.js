@@ -0,0 +1,445 @@
+/**
+ * Rate limiting tests.
+ * Tests the sliding-window Durable Object, backend selection with KV
+ * fallback, multi-tier policies (per-IP, per-email, per-subnet, global),
+ * and X-RateLimit-* headers.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { RateLimiter, slidingWindow } from '../../workers/rate-limiter/index.js';
+import {
+	checkKVRateLimit,
+	checkRateLimit,
+	checkRateLimitPolicies,
+	getSubnet,
+	loadRateLimitPolicies,
+	rateLimitHeaders,
+} from '../../functions/_lib/rateLimit.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+
+const FORM_TOKEN = await formToken();
+
+const HOUR = 3600 * 1000;
+const LIMIT = { MAX_REQUESTS: 3, WINDOW_HOURS: 1 };
+
+/** Durable Object storage stand-in. */
+function createMockStorage() {
+	const data = new Map();
+	return {
+		data,
+		alarm: null,
+		get: vi.fn(async (key) => data.get(key)),
+		put: vi.fn(async (key, value) => { data.set(key, value); }),
+		deleteAll: vi.fn(async () => { data.clear(); }),
+		setAlarm: vi.fn(async function (time) { this.alarm = time; }),
+	};
+}
+
+/**
+ * Durable Object namespace stand-in: one RateLimiter instance per name,
+ * reached through stub.fetch like the real binding.
+ */
+function createMockNamespace() {
+	const instances = new Map();
+	return {
+		instances,
+		idFromName: vi.fn((name) => name),
+		get: vi.fn((id) => {
+			if (!instances.has(id)) instances.set(id, new RateLimiter({ storage: createMockStorage() }));
+			const instance = instances.get(id);
+			return { fetch: (url, init) => instance.fetch(new Request(url, init)) };
+		}),
+	};
+}
+
+describe('Rate Limit - Sliding Window', () => {
+	it('allows up to the limit within the window', () => {
+		let hits = [];
+		const results = [0, 1000, 2000, 3000].map((now) => {
+			const result = slidingWindow(hits, now, 3, HOUR);
+			hits = result.hits;
+			return result;
+		});
+
+		expect(results.map((r) => r.allowed)).toEqual([true, true, true, false]);
+		expect(results.map((r) => r.remaining)).toEqual([2, 1, 0, 0]);
+	});
+
+	it('frees a slot when the oldest hit leaves the window', () => {
+		const hits = [0, 1000, 2000];
+
+		const blocked = slidingWindow(hits, HOUR - 1, 3, HOUR);
+		const allowed = slidingWindow(hits, HOUR + 1, 3, HOUR);
+
+		expect(blocked).toMatchObject({ allowed: false, resetAt: HOUR });
+		expect(allowed).toMatchObject({ allowed: true, remaining: 0, hits: [1000, 2000, HOUR + 1] });
+	});
+});
+
+describe('Rate Limit - RateLimiter Durable Object', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('persists hits, sets a cleanup alarm, and reports reset time', async () => {
+		vi.useFakeTimers();
+		vi.setSystemTime(new Date('2026-02-14T15:30:00.000Z'));
+		const storage = createMockStorage();
+		const limiter = new RateLimiter({ storage });
+		const check = () => limiter.fetch(new Request('https://rate-limiter/check', {
+			method: 'POST',
+			body: JSON.stringify({ limit: 2, windowMs: HOUR }),
+		}));
+
+		const first = await (await check()).json();
+		vi.advanceTimersByTime(60_000);
+		const second = await (await check()).json();
+		const third = await (await check()).json();
+
+		const start = Date.parse('2026-02-14T15:30:00.000Z');
+		expect(first).toEqual({ allowed: true, remaining: 1, resetAt: start + HOUR });
+		expect(second).toEqual({ allowed: true, remaining: 0, resetAt: start + HOUR });
+		expect(third).toEqual({ allowed: false, remaining: 0, resetAt: start + HOUR });
+		expect(storage.data.get('hits')).toHaveLength(2);
+		expect(storage.alarm).toBe(start + 60_000 + HOUR);
+
+		await limiter.alarm();
+		expect(storage.data.size).toBe(0);
+	});
+
+	it('refunds the newest hit on POST /refund', async () => {
+		const limiter = new RateLimiter({ storage: createMockStorage() });
+		const post = (path, body) => limiter.fetch(new Request(`https://rate-limiter${path}`, {
+			method: 'POST',
+			body: JSON.stringify(body),
+		}));
+
+		await post('/check', { limit: 2, windowMs: HOUR });
+		await post('/check', { limit: 2, windowMs: HOUR });
+		const refund = await (await post('/refund', { windowMs: HOUR })).json();
+		const after = await (await post('/check', { limit: 2, windowMs: HOUR, consume: false })).json();
+
+		expect(refund).toEqual({ refunded: true });
+		expect(after).toMatchObject({ allowed: true, remaining: 1 });
+		expect((await post('/refund', { windowMs: 1.5 })).status).toBe(400);
+	});
+
+	it('rejects malformed requests', async () => {
+		const limiter = new RateLimiter({ storage: createMockStorage() });
+
+		const wrongPath = await limiter.fetch(new Request('https://rate-limiter/other', { method: 'POST', body: '{}' }));
+		const badBody = await limiter.fetch(new Request('https://rate-limiter/check', {
+			method: 'POST',
+			body: JSON.stringify({ limit: 0, windowMs: HOUR }),
+		}));
+
+		expect(wrongPath.status).toBe(404);
+		expect(badBody.status).toBe(400);
+	});
+});
+
+describe('Rate Limit - Backend Selection', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('uses the Durable Object when RATE_LIMIT_BACKEND=durable-object', async () => {
+		const env = {
+			RATE_LIMIT_BACKEND: 'durable-object',
+			RATE_LIMITER: createMockNamespace(),
+			CONTACT_SUBMISSIONS: createMockKV(),
+		};
+
+		const results = [];
+		for (let i = 0; i < 4; i++) results.push(await checkRateLimit(env, '1.2.3.4', LIMIT));
+
+		expect(results.map((r) => r.allowed)).toEqual([true, true, true, false]);
+		expect(results[0]).toMatchObject({ limit: 3, remaining: 2 });
+		expect(env.RATE_LIMITER.idFromName).toHaveBeenCalledWith('1.2.3.4');
+		expect(env.CONTACT_SUBMISSIONS.get).not.toHaveBeenCalled();
+	});
+
+	it('isolates identifiers in separate objects', async () => {
+		const env = { RATE_LIMIT_BACKEND: 'durable-object', RATE_LIMITER: createMockNamespace() };
+
+		await checkRateLimit(env, '1.1.1.1', LIMIT);
+		const other = await checkRateLimit(env, '2.2.2.2', LIMIT);
+
+		expect(other.remaining).toBe(2);
+		expect(env.RATE_LIMITER.instances.size).toBe(2);
+	});
+
+	it('uses KV when the flag is not set, even if the binding exists', async () => {
+		const env = { RATE_LIMITER: createMockNamespace(), CONTACT_SUBMISSIONS: createMockKV() };
+
+		await checkRateLimit(env, '1.2.3.4', LIMIT);
+
+		expect(env.RATE_LIMITER.get).not.toHaveBeenCalled();
+		expect(env.CONTACT_SUBMISSIONS.put).toHaveBeenCalledWith(
+			expect.stringMatching(/^ratelimit_1\.2\.3\.4_\d+$/),
+			'1',
+			{ expirationTtl: expect.any(Number) }
+		);
+	});
+
+	it('falls back to KV when the Durable Object errors', async () => {
+		const env = {
+			RATE_LIMIT_BACKEND: 'durable-object',
+			RATE_LIMITER: {
+				idFromName: () => 'id',
+				get: () => ({ fetch: vi.fn().mockRejectedValue(new Error('DO unavailable')) }),
+			},
+			CONTACT_SUBMISSIONS: createMockKV(),
+		};
+
+		const result = await checkRateLimit(env, '1.2.3.4', LIMIT);
+
+		expect(result.allowed).toBe(true);
+		expect(env.CONTACT_SUBMISSIONS.put).toHaveBeenCalled();
+	});
+
+	it('aligns KV windows to UTC boundaries and expires keys at reset', async () => {
+		vi.useFakeTimers();
+		vi.setSystemTime(new Date('2026-02-14T15:30:00.000Z'));
+		const kv = createMockKV();
+
+		const hourly = await checkKVRateLimit(kv, '1.2.3.4', LIMIT);
+		const daily = await checkKVRateLimit(kv, 'global', { MAX_REQUESTS: 100, WINDOW_HOURS: 24 });
+
+		expect(hourly.resetAt).toBe(Date.parse('2026-02-14T16:00:00.000Z'));
+		expect(daily.resetAt).toBe(Date.parse('2026-02-15T00:00:00.000Z'));
+		expect(kv.put).toHaveBeenCalledWith(
+			`ratelimit_1.2.3.4_${Date.parse('2026-02-14T15:00:00.000Z')}`,
+			'1',
+			{ expirationTtl: 1800 }
+		);
+		vi.useRealTimers();
+	});
+});
+
+describe('Rate Limit - Policies', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('loads defaults and applies env overrides', () => {
+		const defaults = loadRateLimitPolicies({});
+		const overridden = loadRateLimitPolicies({
+			RATE_LIMIT_POLICIES: JSON.stringify({
+				email: { maxRequests: 2, windowHours: 24 },
+				subnet: null,
+				global: { maxRequests: 0 },
+			}),
+		});
+
+		expect(defaults.map((p) => p.name)).toEqual(['ip', 'email', 'subnet', 'global']);
+		expect(overridden).toEqual([
+			{ name: 'ip', limit: { MAX_REQUESTS: 5, WINDOW_HOURS: 1 } },
+			{ name: 'email', limit: { MAX_REQUESTS: 2, WINDOW_HOURS: 24 } },
+			// Invalid override keeps the default
+			{ name: 'global', limit: { MAX_REQUESTS: 100, WINDOW_HOURS: 24 } },
+		]);
+		expect(loadRateLimitPolicies({ RATE_LIMIT_POLICIES: '{oops' })).toHaveLength(4);
+		expect(loadRateLimitPolicies({ RATE_LIMIT_POLICIES: '{"ip": {"windowHours": 1e400}}' })[0].limit.WINDOW_HOURS).toBe(1);
+	});
+
+	it('derives /24 and /64 network prefixes', () => {
+		expect(getSubnet('203.0.113.77')).toBe('203.0.113.0/24');
+		expect(getSubnet('::ffff:203.0.113.77')).toBe('203.0.113.0/24');
+		expect(getSubnet('2001:db8:abcd:12:1:2:3:4')).toBe('2001:db8:abcd:12::/64');
+		expect(getSubnet('2001:db8::1')).toBe('2001:db8:0:0::/64');
+		expect(getSubnet('2001:0db8:0000:0012::')).toBe('2001:db8:0:12::/64');
+		expect(getSubnet('unknown')).toBeNull();
+		expect(getSubnet('1::2::3')).toBeNull();
+	});
+
+	it('trips the per-email policy across different IPs without storing the address', async () => {
+		const env = { CONTACT_SUBMISSIONS: createMockKV() };
+
+		const results = [];
+		for (const ip of ['1.1.1.1', '2.2.2.2', '3.3.3.3', '4.4.4.4']) {
+			results.push(await checkRateLimitPolicies(env, { ip, email: 'Same@Example.com ' }));
+		}
+
+		expect(results.map((r) => r.allowed)).toEqual([true, true, true, false]);
+		expect(results[3].policy).toBe('email');
+		const keys = [...env.CONTACT_SUBMISSIONS.store.keys()].join(' ');
+		expect(keys).toMatch(/ratelimit_email_[0-9a-f]{32}_/);
+		expect(keys).not.toContain('example.com');
+	});
+
+	it('trips the subnet policy for neighbouring addresses', async () => {
+		const env = {
+			CONTACT_SUBMISSIONS: createMockKV(),
+			RATE_LIMIT_POLICIES: JSON.stringify({ subnet: { maxRequests: 2, windowHours: 1 } }),
+		};
+
+		await checkRateLimitPolicies(env, { ip: '198.51.100.1', email: 'a@example.com' });
+		await checkRateLimitPolicies(env, { ip: '198.51.100.2', email: 'b@example.com' });
+		const third = await checkRateLimitPolicies(env, { ip: '198.51.100.3', email: 'c@example.com' });
+		const elsewhere = await checkRateLimitPolicies(env, { ip: '198.51.101.3', email: 'd@example.com' });
+
+		expect(third).toMatchObject({ allowed: false, policy: 'subnet' });
+		expect(elsewhere.allowed).toBe(true);
+	});
+
+	it('reports the global daily cap with Retry-After until UTC midnight', async () => {
+		vi.useFakeTimers();
+		vi.setSystemTime(new Date('2026-02-14T22:00:00.000Z'));
+		const env = {
+			CONTACT_SUBMISSIONS: createMockKV(),
+			RATE_LIMIT_POLICIES: JSON.stringify({ global: { maxRequests: 1, windowHours: 24 } }),
+		};
+
+		await checkRateLimitPolicies(env, { ip: '1.1.1.1', email: 'a@example.com' });
+		const blocked = await checkRateLimitPolicies(env, { ip: '2.2.2.2', email: 'b@example.com' });
+
+		expect(blocked).toMatchObject({ allowed: false, policy: 'global', retryAfter: 2 * 3600 });
+	});
+
+	it('does not consume other policies when one blocks', async () => {
+		const env = {
+			CONTACT_SUBMISSIONS: createMockKV(),
+			RATE_LIMIT_POLICIES: JSON.stringify({ email: { maxRequests: 1, windowHours: 1 } }),
+		};
+
+		await checkRateLimitPolicies(env, { ip: '1.1.1.1', email: 'a@example.com' });
+		await checkRateLimitPolicies(env, { ip: '1.1.1.1', email: 'a@example.com' });
+		const otherEmail = await checkRateLimitPolicies(env, { ip: '1.1.1.1', email: 'b@example.com' });
+
+		// Blocked attempt didn't count against the IP: 5 - 2 successful = 3 left
+		expect(otherEmail.allowed).toBe(true);
+		expect(otherEmail.result.remaining).toBe(3);
+	});
+
+	it('refunds the other policies when one fills up between peek and consume', async () => {
+		const kv = createMockKV();
+		const env = {
+			CONTACT_SUBMISSIONS: kv,
+			RATE_LIMIT_POLICIES: JSON.stringify({ email: { maxRequests: 1, windowHours: 1 } }),
+		};
+		// A concurrent request takes the email's only slot right after the peek
+		const read = kv.get.getMockImplementation();
+		let emailReads = 0;
+		kv.get.mockImplementation(async (key) => {
+			if (key.startsWith('ratelimit_email_') && emailReads++ === 1) kv.store.set(key, '1');
+			return read(key);
+		});
+
+		const raced = await checkRateLimitPolicies(env, { ip: '1.1.1.1', email: 'a@example.com' });
+
+		expect(raced).toMatchObject({ allowed: false, policy: 'email' });
+		const others = [...kv.store.entries()].filter(([key]) => !key.startsWith('ratelimit_email_'));
+		expect(others.map(([key]) => key.split('_')[1])).toEqual(['1.1.1.1', 'subnet', 'global']);
+		expect(others.every(([, count]) => count === '0')).toBe(true);
+	});
+
+	it('sends the Durable Object whole-millisecond windows for fractional hours', async () => {
+		const env = {
+			RATE_LIMIT_BACKEND: 'durable-object',
+			RATE_LIMITER: createMockNamespace(),
+			RATE_LIMIT_POLICIES: JSON.stringify({ ip: { maxRequests: 1, windowHours: 1 / 7 } }),
+		};
+
+		await checkRateLimitPolicies(env, { ip: '1.1.1.1' });
+		const second = await checkRateLimitPolicies(env, { ip: '1.1.1.1' });
+
+		expect(second).toMatchObject({ allowed: false, policy: 'ip' });
+		expect(second.retryAfter).toBe(Math.ceil(HOUR / 7 / 1000));
+	});
+
+	it('works with the Durable Object backend', async () => {
+		const env = {
+			RATE_LIMIT_BACKEND: 'durable-object',
+			RATE_LIMITER: createMockNamespace(),
+			RATE_LIMIT_POLICIES: JSON.stringify({ ip: { maxRequests: 1, windowHours: 1 } }),
+		};
+
+		const first = await checkRateLimitPolicies(env, { ip: '1.1.1.1', email: 'a@example.com' });
+		const second = await checkRateLimitPolicies(env, { ip: '1.1.1.1', email: 'b@example.com' });
+
+		expect(first.allowed).toBe(true);
+		expect(second).toMatchObject({ allowed: false, policy: 'ip' });
+		expect(second.retryAfter).toBeGreaterThan(3590);
+		expect([...env.RATE_LIMITER.instances.keys()]).toEqual(
+			expect.arrayContaining(['1.1.1.1', 'subnet_1.1.1.0/24', 'global'])
+		);
+	});
+});
+
+describe('Rate Limit - Headers', () => {
+	it('formats limit, remaining and reset (unix seconds)', () => {
+		expect(rateLimitHeaders({ limit: 5, remaining: 2, resetAt: 1_771_084_800_500 })).toEqual({
+			'X-RateLimit-Limit': '5',
+			'X-RateLimit-Remaining': '2',
+			'X-RateLimit-Reset': '1771084801',
+		});
+	});
+
+	it('sends true remaining count and reset from /api/contact', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const env = {
+			SKIP_CAPTCHA: 'true',
+			FORM_TOKEN_SECRET,
+			RATE_LIMIT_BACKEND: 'durable-object',
+			RATE_LIMITER: createMockNamespace(),
+		};
+		const context = (message) => ({
+			request: {
+				text: vi.fn().mockResolvedValue(JSON.stringify({
+					name: 'Test User',
+					email: 'test@example.com',
+					message,
+					'cf-turnstile-response': 'token',
+					formToken: FORM_TOKEN,
+				})),
+				headers: { get: vi.fn((h) => (h === 'CF-Connecting-IP' ? '9.9.9.9' : null)) },
+			},
+			env,
+		});
+
+		const first = await onRequestPost(context('First message'));
+		const second = await onRequestPost(context('Second message'));
+
+		expect(first.headers.get('X-RateLimit-Remaining')).toBe('4');
+		expect(second.headers.get('X-RateLimit-Remaining')).toBe('3');
+		expect(Number(second.headers.get('X-RateLimit-Reset')) * 1000).toBeGreaterThan(Date.now());
+	});
+
+	it('names the tripped policy in 429 responses from /api/contact', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const env = {
+			SKIP_CAPTCHA: 'true',
+			FORM_TOKEN_SECRET,
+			CONTACT_SUBMISSIONS: createMockKV(),
+			RATE_LIMIT_POLICIES: JSON.stringify({ email: { maxRequests: 1, windowHours: 1 } }),
+		};
+		const submit = (ip, message) => onRequestPost({
+			request: {
+				text: vi.fn().mockResolvedValue(JSON.stringify({
+					name: 'Test User',
+					email: 'test@example.com',
+					message,
+					'cf-turnstile-response': 'token',
+					formToken: FORM_TOKEN,
+				})),
+				headers: { get: vi.fn((h) => (h === 'CF-Connecting-IP' ? ip : null)) },
+			},
+			env,
+		});
+
+		const first = await submit('8.8.8.8', 'First message');
+		const second = await submit('9.9.9.9', 'Second message');
+		const data = await second.json();
+
+		expect(first.status).toBe(200);
+		expect(second.status).toBe(429);
+		expect(data).toMatchObject({ success: false, policy: 'email' });
+		expect(data.error).toContain('per-email');
+		expect(second.headers.get('X-RateLimit-Policy')).toBe('email');
+		expect(Number(second.headers.get('Retry-After'))).toBe(data.retryAfter);
+		expect(data.retryAfter).toBeGreaterThan(0);
+		expect(data.retryAfter).toBeLessThanOrEqual(3600);
+	});
+});
@@ -0,0 +1,225 @@
+/**
+ * Data retention tests.
+ * Tests the policy settings, expiration on write, the scheduled purge and
+ * anonymize runs (with a fixed clock), their audit entries, and the
+ * retention Worker's cron handler.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { createMockR2 } from './mockR2.js';
+import {
+	AUDIT_PREFIX,
+	anonymizeSubmission,
+	loadRetentionPolicy,
+	runRetention,
+} from '../../functions/_lib/retention.js';
+import { putSubmission } from '../../functions/_lib/submissions.js';
+import retentionWorker from '../../workers/retention/index.js';
+
+const NOW = Date.parse('2026-06-01T00:00:00.000Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const OLD_KEY = 'contact_2026-01-10T09:00:00.000Z_old';
+const OLDER_KEY = 'contact_2026-01-02T09:00:00.000Z_older';
+const RECENT_KEY = 'contact_2026-05-20T09:00:00.000Z_recent';
+
+/** A full record as contact.js stores it. */
+function record(key, extra = {}) {
+	const submittedAt = key.split('_')[1];
+	return {
+		name: 'Ann Example',
+		email: 'ann@example.com',
+		message: 'Call me on 555-0100',
+		category: 'work',
+		submittedAt,
+		status: 'read',
+		statusHistory: [
+			{ status: 'new', changedAt: submittedAt },
+			{ status: 'read', changedAt: submittedAt, note: 'Ann from ACME' },
+		],
+		spam: { score: 1, threshold: 5, signals: ['link'] },
+		notifications: [{ channel: 'email', ok: true }],
+		...extra,
+	};
+}
+
+function setup(env = {}) {
+	const kv = createMockKV({
+		[OLDER_KEY]: JSON.stringify(record(OLDER_KEY, {
+			attachments: [{ key: `attachments/${OLDER_KEY}/file-1`, name: 'cv.pdf', type: 'application/pdf', size: 3 }],
+		})),
+		[OLD_KEY]: JSON.stringify(record(OLD_KEY)),
+		[RECENT_KEY]: JSON.stringify(record(RECENT_KEY)),
+		ratelimit_127_0_0_1: '1',
+	});
+	const bucket = createMockR2({
+		[`attachments/${OLDER_KEY}/file-1`]: { body: 'pdf' },
+		[`attachments/${RECENT_KEY}/file-2`]: { body: 'png' },
+	});
+	return { kv, bucket, env: { CONTACT_SUBMISSIONS: kv, CONTACT_ATTACHMENTS: bucket, RETENTION_DAYS: '90', ...env } };
+}
+
+/** The audit entries written so far, parsed. */
+function auditEntries(kv) {
+	return [...kv.store].filter(([key]) => key.startsWith(AUDIT_PREFIX)).map(([, value]) => JSON.parse(value));
+}
+
+describe('Retention - Policy', () => {
+	it('keeps everything unless RETENTION_DAYS is set and anonymizes for unknown actions', () => {
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		expect(loadRetentionPolicy({})).toEqual({ days: 0, action: 'delete' });
+		expect(loadRetentionPolicy({ RETENTION_DAYS: '30', RETENTION_ACTION: 'anonymize' })).toEqual({ days: 30, action: 'anonymize' });
+		expect(loadRetentionPolicy({ RETENTION_DAYS: '0' }).days).toBe(0);
+		expect(loadRetentionPolicy({ RETENTION_DAYS: 'soon' }).days).toBe(0);
+		expect(loadRetentionPolicy({ RETENTION_DAYS: '30', RETENTION_ACTION: 'shred' })).toEqual({ days: 30, action: 'anonymize' });
+	});
+
+	it('expires records relative to when they were submitted, not when they were rewritten', async () => {
+		const kv = createMockKV();
+		const retention = { days: 90, action: 'delete' };
+
+		await putSubmission(kv, OLD_KEY, record(OLD_KEY), { retention, now: NOW - 100 * DAY });
+		const first = kv.meta.get(OLD_KEY).expiration;
+		await putSubmission(kv, OLD_KEY, record(OLD_KEY, { status: 'replied' }), { retention, now: NOW - 95 * DAY });
+
+		// Two days' grace after the cutoff, so the daily job gets there first
+		expect(first * 1000).toBe(Date.parse('2026-01-10T09:00:00.000Z') + 92 * DAY);
+		expect(kv.meta.get(OLD_KEY).expiration).toBe(first);
+
+		// Already past the policy: KV's one-minute minimum
+		await putSubmission(kv, OLD_KEY, record(OLD_KEY), { retention, now: NOW });
+		expect(kv.meta.get(OLD_KEY).expiration).toBe((NOW + 60 * 1000) / 1000);
+
+		// Anonymize and "keep forever" policies don't expire records
+		await putSubmission(kv, RECENT_KEY, record(RECENT_KEY), { retention: { days: 90, action: 'anonymize' }, now: NOW });
+		await putSubmission(kv, RECENT_KEY, record(RECENT_KEY), { retention: { days: 0, action: 'delete' }, now: NOW });
+		expect(kv.put).toHaveBeenLastCalledWith(RECENT_KEY, expect.any(String));
+	});
+});
+
+describe('Retention - Scheduled Purge', () => {
+	beforeEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('deletes submissions and attachments older than the policy and audits the run', async () => {
+		const { kv, bucket, env } = setup();
+
+		const audit = await runRetention(env, { now: NOW });
+
+		expect(kv.store.has(OLDER_KEY)).toBe(false);
+		expect(kv.store.has(OLD_KEY)).toBe(false);
+		expect(kv.store.has(RECENT_KEY)).toBe(true);
+		expect(kv.store.has('ratelimit_127_0_0_1')).toBe(true);
+		expect([...bucket.store.keys()]).toEqual([`attachments/${RECENT_KEY}/file-2`]);
+		expect(audit).toEqual({
+			ranAt: '2026-06-01T00:00:00.000Z',
+			action: 'delete',
+			days: 90,
+			cutoff: '2026-03-03T00:00:00.000Z',
+			deleted: [OLDER_KEY, OLD_KEY],
+			anonymized: [],
+			failed: [],
+			attachmentsDeleted: 1,
+			complete: true,
+		});
+		expect(auditEntries(kv)).toEqual([audit]);
+		expect(kv.put).toHaveBeenCalledWith(`${AUDIT_PREFIX}2026-06-01T00:00:00.000Z`, expect.any(String), {
+			expirationTtl: 400 * 24 * 60 * 60,
+		});
+	});
+
+	it('purges and audits a record with attachments before its KV expiration', async () => {
+		const { kv, bucket, env } = setup();
+		const submittedAt = Date.parse('2026-01-10T09:00:00.000Z');
+		await putSubmission(kv, OLD_KEY, record(OLD_KEY, {
+			attachments: [{ key: `attachments/${OLD_KEY}/file-3`, name: 'brief.pdf', type: 'application/pdf', size: 3 }],
+		}), { retention: loadRetentionPolicy(env), now: submittedAt });
+		await bucket.put(`attachments/${OLD_KEY}/file-3`, 'pdf');
+
+		// The last run before KV drops the record, one daily run having been missed
+		const now = submittedAt + 92 * DAY - 60 * 1000;
+		expect(kv.meta.get(OLD_KEY).expiration * 1000).toBeGreaterThan(now);
+		const audit = await runRetention(env, { now });
+
+		expect(kv.store.has(OLD_KEY)).toBe(false);
+		expect(bucket.store.has(`attachments/${OLD_KEY}/file-3`)).toBe(false);
+		expect(audit.deleted).toContain(OLD_KEY);
+		expect(auditEntries(kv)).toEqual([audit]);
+	});
+
+	it('anonymizes instead when configured, once per record', async () => {
+		const { kv, bucket, env } = setup({ RETENTION_ACTION: 'anonymize' });
+
+		const first = await runRetention(env, { now: NOW });
+		const second = await runRetention(env, { now: NOW + DAY });
+
+		const stored = JSON.parse(kv.store.get(OLDER_KEY));
+		expect(stored).toEqual({
+			submittedAt: '2026-01-02T09:00:00.000Z',
+			status: 'read',
+			statusHistory: [
+				{ status: 'new', changedAt: '2026-01-02T09:00:00.000Z' },
+				{ status: 'read', changedAt: '2026-01-02T09:00:00.000Z' },
+			],
+			anonymizedAt: '2026-06-01T00:00:00.000Z',
+			category: 'work',
+			spam: { score: 1, threshold: 5 },
+			attachmentCount: 1,
+		});
+		expect(kv.store.get(OLD_KEY)).not.toContain('ann@example.com');
+		expect(kv.meta.get(OLD_KEY).metadata).toEqual({ anonymized: true });
+		expect(bucket.store.has(`attachments/${OLDER_KEY}/file-1`)).toBe(false);
+		expect(first.anonymized).toEqual([OLDER_KEY, OLD_KEY]);
+		expect(second.anonymized).toEqual([]);
+		expect(auditEntries(kv)).toHaveLength(2);
+	});
+
+	it('caps each run, records failures and keeps going', async () => {
+		const { kv, env } = setup();
+		kv.delete.mockImplementationOnce(async () => {
+			throw new Error('KV unavailable');
+		});
+
+		const capped = await runRetention(env, { now: NOW, limit: 1 });
+		const rest = await runRetention(env, { now: NOW + 1000 });
+
+		expect(capped).toMatchObject({ failed: [{ key: OLDER_KEY, error: 'KV unavailable' }], deleted: [], complete: false });
+		expect(rest).toMatchObject({ deleted: [OLDER_KEY, OLD_KEY], failed: [], complete: true });
+		expect(auditEntries(kv)).toHaveLength(2);
+	});
+
+	it('does nothing when retention is off or unset and requires the KV binding', async () => {
+		const { kv, env } = setup({ RETENTION_DAYS: '0' });
+
+		expect(await runRetention(env, { now: NOW })).toBeNull();
+		expect(await runRetention({ ...env, RETENTION_DAYS: undefined }, { now: NOW })).toBeNull();
+		expect(kv.delete).not.toHaveBeenCalled();
+		expect(kv.put).not.toHaveBeenCalled();
+		await expect(runRetention({}, { now: NOW })).rejects.toThrow('CONTACT_SUBMISSIONS binding not configured');
+	});
+
+	it('runs from the Worker cron at the scheduled time', async () => {
+		const { kv, env } = setup();
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		const waitUntil = vi.fn();
+
+		await retentionWorker.scheduled({ scheduledTime: NOW, cron: '30 3 * * *' }, env, { waitUntil });
+		await waitUntil.mock.calls[0][0];
+
+		expect(kv.store.has(OLD_KEY)).toBe(false);
+		expect(auditEntries(kv)[0].ranAt).toBe('2026-06-01T00:00:00.000Z');
+		expect(console.log).toHaveBeenCalledWith('Retention: delete 2 submission(s) older than 2026-03-03T00:00:00.000Z');
+	});
+});
+
+describe('Retention - Anonymizing', () => {
+	it('keeps only dates, triage state, category and spam score', () => {
+		const anonymized = anonymizeSubmission(record(OLD_KEY), '2026-06-01T00:00:00.000Z');
+
+		expect(Object.keys(anonymized).sort()).toEqual(['anonymizedAt', 'category', 'spam', 'status', 'statusHistory', 'submittedAt']);
+		expect(JSON.stringify(anonymized)).not.toMatch(/Ann|555|link|email/);
+	});
+});
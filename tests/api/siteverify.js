@@ -0,0 +1,27 @@
+/**
+ * Turnstile siteverify fixtures for tests that mock fetch. A passing
+ * result must carry an allowed hostname, the form's action and a fresh
+ * challenge_ts (see createTurnstileProvider).
+ */
+
+import { CAPTCHA_PROVIDERS } from '../../shared/captcha.js';
+
+/**
+ * A mocked siteverify response that passes. `challenge_ts` is read from
+ * Date.now() when the body is parsed, so it follows fake timers.
+ *
+ * @param {object} [overrides] - Fields to replace in the result
+ * @returns {{json: function(): Promise<object>}}
+ */
+export function turnstileSuccess(overrides = {}) {
+	return {
+		json: async () => ({
+			success: true,
+			'error-codes': [],
+			challenge_ts: new Date().toISOString(),
+			hostname: 'twistan.com',
+			action: CAPTCHA_PROVIDERS.turnstile.action,
+			...overrides,
+		}),
+	};
+}
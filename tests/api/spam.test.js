@@ -0,0 +1,200 @@
+/**
+ * Spam scoring tests.
+ * Tests the individual signals, env configuration, duplicate detection,
+ * and how /api/contact stores and notifies scored submissions.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import {
+	extractLinkHosts,
+	hashMessage,
+	loadSpamConfig,
+	scoreContent,
+	scoreSubmission,
+} from '../../functions/_lib/spam.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+
+const FORM_TOKEN = await formToken();
+
+const NO_BLOCKLIST = { threshold: 5, terms: [], domains: [] };
+const CLEAN = {
+	name: 'Test User',
+	email: 'test@example.com',
+	message: 'Loved the project write-up, see https://github.com/example/repo for my fork.',
+};
+
+/** Rule names that fired for the given fields. */
+function rules(fields, config = NO_BLOCKLIST) {
+	return scoreContent({ ...CLEAN, ...fields }, config).map((signal) => signal.rule);
+}
+
+describe('Spam - Signals', () => {
+	it('scores a normal message with one link as clean', () => {
+		expect(scoreContent(CLEAN, NO_BLOCKLIST)).toEqual([]);
+	});
+
+	it('extracts link hosts with and without a scheme', () => {
+		expect(extractLinkHosts('a https://WWW.Example.com/x b www.foo.org c bar.net/path d node.js')).toEqual([
+			'example.com', 'foo.org', 'bar.net',
+		]);
+	});
+
+	it('counts links beyond the first, capped', () => {
+		const message = Array.from({ length: 10 }, (_, i) => `https://site${i}.example/page`).join(' ');
+		const [signal] = scoreContent({ ...CLEAN, message }, NO_BLOCKLIST);
+
+		expect(signal).toEqual({ rule: 'links', score: 5, detail: '10 links' });
+	});
+
+	it('flags URL shorteners including subdomains', () => {
+		const signals = scoreContent({ ...CLEAN, message: 'Deal: https://bit.ly/abc' }, NO_BLOCKLIST);
+		expect(signals).toEqual([{ rule: 'shortener', score: 3, detail: 'bit.ly' }]);
+		expect(rules({ message: 'see http://go.tinyurl.com/x' })).toEqual(['shortener']);
+	});
+
+	it('matches blocklisted terms and domains in links and the sender address', () => {
+		const config = { threshold: 5, terms: ['casino', 'crypto bonus'], domains: ['spam.example'] };
+
+		expect(rules({ message: 'Best CASINO odds' }, config)).toEqual(['blockedTerm']);
+		expect(rules({ message: 'visit https://cdn.spam.example/x' }, config)).toEqual(['blockedDomain']);
+		expect(rules({ email: 'bot@spam.example' }, config)).toEqual(['blockedDomain']);
+		expect(rules({ email: 'bot@notspam.example' }, config)).toEqual([]);
+	});
+
+	it('flags long runs of a repeated character', () => {
+		expect(rules({ message: 'Amazing!!!!!!!!!!!!' })).toEqual(['repeatedChars']);
+		expect(rules({ message: 'Thanks!!!' })).toEqual([]);
+	});
+
+	it('flags names that mix Latin with Cyrillic or Greek lookalikes', () => {
+		// "Pаypal" with a Cyrillic а (U+0430)
+		expect(rules({ name: 'Pаypal Support' })).toEqual(['mixedScript']);
+		expect(rules({ name: 'Иван Petrov' })).toEqual([]);
+		expect(rules({ name: 'Zoë Ångström' })).toEqual([]);
+	});
+});
+
+describe('Spam - Configuration', () => {
+	it('reads threshold and blocklist from env', () => {
+		const config = loadSpamConfig({
+			SPAM_THRESHOLD: '8',
+			SPAM_BLOCKLIST: JSON.stringify({ terms: [' SEO ', 42], domains: ['Spam.Example'] }),
+		});
+
+		expect(config).toEqual({ threshold: 8, terms: ['seo'], domains: ['spam.example'] });
+	});
+
+	it('falls back to defaults for invalid values', () => {
+		expect(loadSpamConfig({ SPAM_THRESHOLD: 'high', SPAM_BLOCKLIST: '{oops' })).toEqual(NO_BLOCKLIST);
+		expect(loadSpamConfig({})).toEqual(NO_BLOCKLIST);
+	});
+});
+
+describe('Spam - Duplicates', () => {
+	it('hashes messages ignoring case and whitespace', async () => {
+		expect(await hashMessage('Buy  NOW\n please')).toBe(await hashMessage('buy now please'));
+		expect(await hashMessage('buy now')).not.toBe(await hashMessage('buy later'));
+	});
+
+	it('scores repeats of a recent message and expires the hash', async () => {
+		const env = { CONTACT_SUBMISSIONS: createMockKV() };
+
+		const first = await scoreSubmission(env, CLEAN);
+		const second = await scoreSubmission(env, { ...CLEAN, name: 'Someone Else' });
+
+		expect(first).toMatchObject({ score: 0, isSpam: false, signals: [] });
+		expect(second).toMatchObject({ score: 3, threshold: 5, isSpam: false });
+		expect(second.signals[0]).toMatchObject({ rule: 'duplicate', detail: expect.stringContaining('1 time') });
+		expect(env.CONTACT_SUBMISSIONS.put).toHaveBeenLastCalledWith(
+			expect.stringMatching(/^spamhash_[0-9a-f]{64}$/),
+			'2',
+			{ expirationTtl: 86400 }
+		);
+	});
+});
+
+describe('Spam - Contact Endpoint', () => {
+	global.fetch = vi.fn();
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	/** Submit through /api/contact and return the stored record. */
+	async function submit(env, fields) {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const response = await onRequestPost({
+			request: {
+				text: vi.fn().mockResolvedValue(JSON.stringify({ ...CLEAN, ...fields, 'cf-turnstile-response': 'token', formToken: FORM_TOKEN })),
+				headers: { get: vi.fn((h) => (h === 'CF-Connecting-IP' ? '10.0.0.1' : null)) },
+			},
+			env,
+		});
+		const [key, value] = [...env.CONTACT_SUBMISSIONS.store].find(([k]) => k.startsWith('contact_'));
+		env.CONTACT_SUBMISSIONS.store.delete(key);
+		return { response, record: JSON.parse(value) };
+	}
+
+	it('stores spam with a score breakdown, returns success, and skips notifications', async () => {
+		global.fetch.mockResolvedValue({ ok: true, status: 202 });
+		const env = {
+			SKIP_CAPTCHA: 'true',
+			FORM_TOKEN_SECRET,
+			CONTACT_SUBMISSIONS: createMockKV(),
+			MAIL_TRANSPORT: 'http',
+			NOTIFY_EMAIL_TO: 'owner@twistan.com',
+			NOTIFY_EMAIL_FROM: 'contact@twistan.com',
+			SPAM_BLOCKLIST: JSON.stringify({ terms: ['backlinks'] }),
+		};
+
+		const { response, record } = await submit(env, {
+			message: 'Cheap backlinks!!!!!!!!!! https://bit.ly/a https://tinyurl.com/b',
+		});
+		const data = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(data).toEqual({ success: true, message: 'Message received.', statusToken: expect.any(String) });
+		expect(record.status).toBe('spam');
+		expect(record.statusHistory).toEqual([{ status: 'spam', changedAt: record.submittedAt }]);
+		expect(record.spam.score).toBe(12);
+		expect(record.spam.signals.map((s) => s.rule)).toEqual(['links', 'shortener', 'blockedTerm', 'repeatedChars']);
+		expect(record.notifications).toBeUndefined();
+		expect(global.fetch).not.toHaveBeenCalled();
+	});
+
+	it('stores clean messages as new with their score and notifies', async () => {
+		global.fetch.mockResolvedValue({ ok: true, status: 202 });
+		const env = {
+			SKIP_CAPTCHA: 'true',
+			FORM_TOKEN_SECRET,
+			CONTACT_SUBMISSIONS: createMockKV(),
+			MAIL_TRANSPORT: 'http',
+			NOTIFY_EMAIL_TO: 'owner@twistan.com',
+			NOTIFY_EMAIL_FROM: 'contact@twistan.com',
+		};
+
+		const { record } = await submit(env, {});
+
+		expect(record.status).toBe('new');
+		expect(record.spam).toEqual({ score: 0, threshold: 5, signals: [] });
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+	});
+
+	it('flags a repeated message only when another signal fires too', async () => {
+		const env = { SKIP_CAPTCHA: 'true', FORM_TOKEN_SECRET, CONTACT_SUBMISSIONS: createMockKV() };
+		const shortened = { message: 'Details here: https://bit.ly/a' };
+
+		const first = await submit(env, {});
+		const second = await submit(env, { name: 'Another Name', email: 'another@example.com' });
+		const linked = await submit(env, shortened);
+		const repeated = await submit(env, { ...shortened, name: 'Another Name', email: 'another@example.com' });
+
+		expect(first.record.status).toBe('new');
+		expect(second.record.status).toBe('new');
+		expect(second.record.spam.signals).toEqual([expect.objectContaining({ rule: 'duplicate' })]);
+		expect(linked.record.status).toBe('new');
+		expect(repeated.record.status).toBe('spam');
+		expect(repeated.record.spam.signals.map((signal) => signal.rule)).toEqual(['shortener', 'duplicate']);
+	});
+});
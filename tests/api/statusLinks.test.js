@@ -0,0 +1,236 @@
+/**
+ * Submission status link tests.
+ * Tests token creation and hashed storage, what the sender is shown, the
+ * status and withdrawal endpoints, and that tokens reach only the sender —
+ * Idempotency-Key retries, never dedup replays or other stored data.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import { createMockR2 } from './mockR2.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+import { capturedMail } from '../../functions/_lib/mail.js';
+import { putSubmission } from '../../functions/_lib/submissions.js';
+import {
+	STATUS_TOKEN_PREFIX,
+	createStatusToken,
+	findStatusToken,
+	isStatusToken,
+	saveStatusToken,
+	visitorView,
+} from '../../functions/_lib/statusTokens.js';
+
+const FORM_TOKEN = await formToken();
+
+const SUBMISSION_KEY = 'contact_2026-02-14T15:30:00.000Z_abc';
+const RECORD = {
+	name: 'Ann Example',
+	email: 'ann@example.com',
+	message: 'Hello there',
+	submittedAt: '2026-02-14T15:30:00.000Z',
+	status: 'spam',
+	statusHistory: [{ status: 'spam', changedAt: '2026-02-14T15:30:00.000Z', note: 'obvious spam' }],
+	spam: { score: 9, threshold: 5, signals: [] },
+	notifications: [{ channel: 'email', status: 'sent' }],
+};
+
+global.fetch = vi.fn();
+
+/** Submit through /api/contact and return the parsed response. */
+async function submit(env, headers = {}) {
+	const { onRequestPost } = await import('../../functions/api/contact.js');
+	const response = await onRequestPost({
+		request: {
+			text: vi.fn().mockResolvedValue(JSON.stringify({
+				name: RECORD.name,
+				email: RECORD.email,
+				message: 'I have a question about your projects.',
+				'cf-turnstile-response': 'token',
+				formToken: FORM_TOKEN,
+			})),
+			headers: { get: vi.fn((h) => ({ 'CF-Connecting-IP': '192.0.2.10', ...headers })[h] ?? null) },
+		},
+		env,
+	});
+	return response.json();
+}
+
+/** Context for GET/DELETE /api/contact/:token. */
+function statusContext(env, token) {
+	return {
+		request: { headers: { get: (h) => (h === 'Origin' ? 'https://twistan.com' : null) } },
+		params: { token },
+		env,
+	};
+}
+
+/** Store RECORD with a status token and return the token. */
+async function storeWithToken(kv, record = RECORD) {
+	const token = createStatusToken();
+	await putSubmission(kv, SUBMISSION_KEY, record);
+	await saveStatusToken(kv, token, SUBMISSION_KEY);
+	return token;
+}
+
+describe('Status Links - Tokens', () => {
+	it('creates unguessable tokens and stores only their hash', async () => {
+		const kv = createMockKV();
+		const token = createStatusToken();
+
+		await saveStatusToken(kv, token, SUBMISSION_KEY, { expiration: 1800000000 });
+
+		const [[key, value]] = [...kv.store];
+		expect(isStatusToken(token)).toBe(true);
+		expect(createStatusToken()).not.toBe(token);
+		expect(key).toMatch(new RegExp(`^${STATUS_TOKEN_PREFIX}[0-9a-f]{64}$`));
+		expect(key).not.toContain(token);
+		expect(value).toBe(SUBMISSION_KEY);
+		expect(kv.put).toHaveBeenCalledWith(key, SUBMISSION_KEY, { expiration: 1800000000 });
+		expect(await findStatusToken(kv, token)).toBe(SUBMISSION_KEY);
+		expect(await findStatusToken(kv, createStatusToken())).toBeNull();
+		expect(await findStatusToken(kv, '../contact_x')).toBeNull();
+	});
+
+	it('shows the sender their message and a coarse status, not triage details', () => {
+		const view = visitorView({ ...RECORD, attachments: [{ key: 'attachments/x/1', name: 'plan.pdf' }] });
+		const anonymized = visitorView({ submittedAt: RECORD.submittedAt, status: 'archived', anonymizedAt: '2027-02-14T00:00:00.000Z' });
+
+		expect(view).toEqual({
+			submittedAt: RECORD.submittedAt,
+			status: 'received',
+			statusLabel: 'Received — not read yet',
+			name: 'Ann Example',
+			email: 'ann@example.com',
+			message: 'Hello there',
+			attachments: ['plan.pdf'],
+		});
+		expect(anonymized).toEqual({ submittedAt: RECORD.submittedAt, status: 'closed', statusLabel: 'Closed', anonymized: true });
+	});
+});
+
+describe('Status Links - Contact Endpoint', () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		capturedMail.length = 0;
+	});
+
+	it('returns a token that opens the new submission, expiring with it', async () => {
+		const { onRequestGet } = await import('../../functions/api/contact/[token].js');
+		const env = { FORM_TOKEN_SECRET, SKIP_CAPTCHA: 'true', RETENTION_DAYS: '30', CONTACT_SUBMISSIONS: createMockKV() };
+
+		const { statusToken } = await submit(env);
+		const response = await onRequestGet(statusContext(env, statusToken));
+		const data = await response.json();
+
+		const tokenKey = [...env.CONTACT_SUBMISSIONS.store.keys()].find((k) => k.startsWith(STATUS_TOKEN_PREFIX));
+		const submissionKey = [...env.CONTACT_SUBMISSIONS.store.keys()].find((k) => k.startsWith('contact_'));
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		expect(data.submission).toMatchObject({ status: 'received', message: 'I have a question about your projects.' });
+		expect(env.CONTACT_SUBMISSIONS.meta.get(tokenKey)).toEqual(env.CONTACT_SUBMISSIONS.meta.get(submissionKey));
+		expect(env.CONTACT_SUBMISSIONS.meta.get(tokenKey).expiration).toEqual(expect.any(Number));
+	});
+
+	it('never replays the token for a duplicate submission', async () => {
+		const env = { FORM_TOKEN_SECRET, SKIP_CAPTCHA: 'true', CONTACT_SUBMISSIONS: createMockKV() };
+
+		const first = await submit(env);
+		const replay = await submit(env);
+
+		expect(isStatusToken(first.statusToken)).toBe(true);
+		expect(replay).toEqual({ success: true, message: 'Message received.' });
+		expect([...env.CONTACT_SUBMISSIONS.store.values()].join('')).not.toContain(first.statusToken);
+	});
+
+	it('returns the same token when the client retries with its Idempotency-Key', async () => {
+		const env = { FORM_TOKEN_SECRET, SKIP_CAPTCHA: 'true', CONTACT_SUBMISSIONS: createMockKV() };
+
+		const first = await submit(env, { 'Idempotency-Key': 'fill-1' });
+		const retry = await submit(env, { 'Idempotency-Key': 'fill-1' });
+		const otherKey = await submit(env, { 'Idempotency-Key': 'fill-2' });
+
+		expect(isStatusToken(first.statusToken)).toBe(true);
+		expect(retry).toEqual({ success: true, message: 'Message received.', statusToken: first.statusToken });
+		expect(otherKey).toEqual({ success: true, message: 'Message received.' });
+		const holding = [...env.CONTACT_SUBMISSIONS.store].filter(([, value]) => value.includes(first.statusToken));
+		expect(holding.map(([key]) => key)).toEqual(['idempotency_fill-1']);
+	});
+
+	it('links the auto-reply to the status page on SITE_URL, not the request Origin', async () => {
+		const env = {
+			FORM_TOKEN_SECRET,
+			SKIP_CAPTCHA: 'true',
+			AUTO_REPLY_ENABLED: 'true',
+			NOTIFY_EMAIL_FROM: 'contact@twistan.com',
+			MAIL_TRANSPORT: 'capture',
+			SITE_URL: 'https://preview.twistan.pages.dev',
+			CONTACT_SUBMISSIONS: createMockKV(),
+		};
+
+		const { statusToken } = await submit(env, { Origin: 'https://evil.pages.dev' });
+
+		const reply = capturedMail.find((m) => m.to === RECORD.email);
+		const url = `https://preview.twistan.pages.dev/contact/status/${statusToken}`;
+		expect(reply.text).toContain(url);
+		expect(reply.html).toContain(`href="${url}"`);
+		expect(reply.text).not.toContain('evil');
+	});
+});
+
+describe('Status Links - Status Endpoint', () => {
+	beforeEach(() => {
+		vi.restoreAllMocks();
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+	});
+
+	it('answers unknown and malformed tokens with 404 and fails closed without KV', async () => {
+		const { onRequestGet, onRequestDelete } = await import('../../functions/api/contact/[token].js');
+		const kv = createMockKV();
+		const token = await storeWithToken(kv);
+		kv.store.delete(SUBMISSION_KEY);
+
+		expect((await onRequestGet(statusContext({ CONTACT_SUBMISSIONS: kv }, createStatusToken()))).status).toBe(404);
+		expect((await onRequestGet(statusContext({ CONTACT_SUBMISSIONS: kv }, 'short'))).status).toBe(404);
+		expect((await onRequestGet(statusContext({ CONTACT_SUBMISSIONS: kv }, token))).status).toBe(404);
+		expect((await onRequestDelete(statusContext({ CONTACT_SUBMISSIONS: kv }, token))).status).toBe(404);
+		expect((await onRequestGet(statusContext({}, token))).status).toBe(503);
+	});
+
+	it('deletes the submission, its attachments and the token', async () => {
+		const { onRequestGet, onRequestDelete } = await import('../../functions/api/contact/[token].js');
+		const kv = createMockKV();
+		const bucket = createMockR2({
+			[`attachments/${SUBMISSION_KEY}/1`]: { body: 'x' },
+			'attachments/contact_other/1': { body: 'y' },
+		});
+		const token = await storeWithToken(kv, { ...RECORD, attachments: [{ key: `attachments/${SUBMISSION_KEY}/1`, name: 'plan.pdf' }] });
+
+		const response = await onRequestDelete(statusContext({ CONTACT_SUBMISSIONS: kv, CONTACT_ATTACHMENTS: bucket }, token));
+
+		expect(response.status).toBe(200);
+		expect([...kv.store.keys()]).toEqual([]);
+		expect([...bucket.store.keys()]).toEqual(['attachments/contact_other/1']);
+		expect((await onRequestGet(statusContext({ CONTACT_SUBMISSIONS: kv }, token))).status).toBe(404);
+	});
+
+	it('keeps a submission with attachments when the bucket is not bound', async () => {
+		const { onRequestDelete } = await import('../../functions/api/contact/[token].js');
+		const kv = createMockKV();
+		const token = await storeWithToken(kv, { ...RECORD, attachments: [{ key: `attachments/${SUBMISSION_KEY}/1`, name: 'plan.pdf' }] });
+
+		const response = await onRequestDelete(statusContext({ CONTACT_SUBMISSIONS: kv }, token));
+
+		expect(response.status).toBe(503);
+		expect(kv.store.has(SUBMISSION_KEY)).toBe(true);
+		expect(await findStatusToken(kv, token)).toBe(SUBMISSION_KEY);
+	});
+
+	it('allows GET and DELETE in CORS preflight', async () => {
+		const { onRequestOptions } = await import('../../functions/api/contact/[token].js');
+		const response = await onRequestOptions({ request: { headers: { get: () => 'http://localhost:5173' } } });
+
+		expect(response.status).toBe(204);
+		expect(response.headers.get('Access-Control-Allow-Methods')).toBe('GET, DELETE, OPTIONS');
+	});
+});
@@ -5,6 +5,8 @@
  *   - Always-block site key + always-fail secret key
  *   - Token-already-spent secret key
  *   - Mismatched key pairing (dummy token + real secret, real token + dummy secret)
+ * And the checks made on a successful siteverify result: hostname,
+ * action, challenge_ts age and single use.
  *
  * Dummy keys reference:
  *   Site keys:  1x00000000000000000000AA (pass), 2x00000000000000000000AB (block)
@@ -16,6 +18,12 @@
  */
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+import { turnstileSuccess } from './siteverify.js';
+import { createMockKV } from './mockKV.js';
+import { TURNSTILE_TOKEN, createTurnstileProvider, loadTurnstileMaxAge } from '../../functions/_lib/captcha.js';
+
+const FORM_TOKEN = await formToken();
 
 /** Dummy token produced by Cloudflare's test site keys */
 const DUMMY_TOKEN = 'XXXX.DUMMY.TOKEN.XXXX';
@@ -36,12 +44,13 @@ const TEST_SECRETS = {
 function createTurnstileContext({ secretKey, token = DUMMY_TOKEN } = {}) {
 	return {
 		request: {
-			json: vi.fn().mockResolvedValue({
+			text: vi.fn().mockResolvedValue(JSON.stringify({
 				name: 'Test User',
 				email: 'test@example.com',
 				message: 'Test message',
 				'cf-turnstile-response': token,
-			}),
+				formToken: FORM_TOKEN,
+			})),
 			headers: {
 				get: vi.fn((header) => {
 					if (header === 'CF-Connecting-IP') return '127.0.0.1';
@@ -52,10 +61,11 @@ function createTurnstileContext({ secretKey, token = DUMMY_TOKEN } = {}) {
 		},
 		env: {
 			CONTACT_SUBMISSIONS: {
-				get: vi.fn().mockResolvedValue('0'),
+				get: vi.fn().mockResolvedValue(null),
 				put: vi.fn().mockResolvedValue(undefined),
 			},
 			TURNSTILE_SECRET_KEY: secretKey,
+			FORM_TOKEN_SECRET,
 		},
 	};
 }
@@ -63,9 +73,12 @@ function createTurnstileContext({ secretKey, token = DUMMY_TOKEN } = {}) {
 // Mock global fetch for Turnstile siteverify calls
 global.fetch = vi.fn();
 
-// Mock crypto.randomUUID
+// Mock crypto.randomUUID (subtle/getRandomValues live on the prototype, so copy them explicitly)
+const realCrypto = global.crypto;
 vi.stubGlobal('crypto', {
-	...global.crypto,
+	...realCrypto,
+	subtle: realCrypto.subtle,
+	getRandomValues: (array) => realCrypto.getRandomValues(array),
 	randomUUID: () => 'mock-uuid-1234',
 });
 
@@ -73,9 +86,7 @@ describe('Turnstile - Always-Pass Secret Key', () => {
 	beforeEach(() => {
 		vi.clearAllMocks();
 		// Simulate Cloudflare siteverify returning success
-		global.fetch.mockResolvedValue({
-			json: async () => ({ success: true }),
-		});
+		global.fetch.mockResolvedValue(turnstileSuccess());
 	});
 
 	it('accepts dummy token with always-pass secret key', async () => {
@@ -140,6 +151,7 @@ describe('Turnstile - Always-Fail Secret Key', () => {
 
 		expect(response.status).toBe(400);
 		expect(data.success).toBe(false);
+		expect(data.code).toBe('captcha_failed');
 		expect(data.error).toContain('CAPTCHA verification failed');
 	});
 });
@@ -168,7 +180,8 @@ describe('Turnstile - Token-Already-Spent Secret Key', () => {
 
 		expect(response.status).toBe(400);
 		expect(data.success).toBe(false);
-		expect(data.error).toContain('CAPTCHA verification failed');
+		expect(data.code).toBe('captcha_expired');
+		expect(data.error).toContain('CAPTCHA expired');
 	});
 });
 
@@ -230,12 +243,13 @@ describe('Turnstile - Missing Token', () => {
 	it('rejects request when no turnstile token is provided', async () => {
 		const { onRequestPost } = await import('../../functions/api/contact.js');
 		const context = createTurnstileContext({ secretKey: TEST_SECRETS.ALWAYS_PASS });
-		context.request.json.mockResolvedValue({
+		context.request.text.mockResolvedValue(JSON.stringify({
 			name: 'Test User',
 			email: 'test@example.com',
 			message: 'Test message',
+			formToken: FORM_TOKEN,
 			// No cf-turnstile-response
-		});
+		}));
 
 		const response = await onRequestPost(context);
 		const data = await response.json();
@@ -300,3 +314,71 @@ describe('Turnstile - SKIP_CAPTCHA Dev Mode', () => {
 		expect(data.error).toContain('Server configuration error');
 	});
 });
+
+describe('Turnstile - Response Checks', () => {
+	const REAL_SECRET = 'real-production-secret-key';
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+	});
+
+	it('accepts only allowed hostnames and the contact action', async () => {
+		const provider = createTurnstileProvider({ secret: REAL_SECRET });
+		const dummy = createTurnstileProvider({ secret: TEST_SECRETS.ALWAYS_PASS });
+		const verifyWith = async (overrides, p = provider) => {
+			global.fetch.mockResolvedValueOnce(turnstileSuccess(overrides));
+			return (await p.verify('token')).errorCodes;
+		};
+
+		expect(await verifyWith({})).toEqual([]);
+		expect(await verifyWith({ hostname: 'preview.twistan.pages.dev' })).toEqual([]);
+		expect(await verifyWith({ hostname: 'localhost' })).toEqual([]);
+		expect(await verifyWith({ hostname: 'www.twistan.com' })).toEqual([]);
+		expect(await verifyWith({ hostname: 'evil.example' })).toEqual(['hostname-mismatch']);
+		expect(await verifyWith({ hostname: 'eviltwistan.com' })).toEqual(['hostname-mismatch']);
+		expect(await verifyWith({ hostname: 'twistan.com.evil.example' })).toEqual(['hostname-mismatch']);
+		expect(await verifyWith({ hostname: undefined })).toEqual(['hostname-mismatch']);
+		expect(await verifyWith({ action: 'login' })).toEqual(['action-mismatch']);
+		expect(await verifyWith({ action: '' })).toEqual(['action-mismatch']);
+		// Dummy keys always answer for example.com with no action
+		expect(await verifyWith({ hostname: 'example.com', action: '' }, dummy)).toEqual([]);
+	});
+
+	it('rejects tokens older than TURNSTILE_MAX_TOKEN_AGE_SECONDS as expired', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const context = createTurnstileContext({ secretKey: REAL_SECRET });
+		context.env.TURNSTILE_MAX_TOKEN_AGE_SECONDS = '60';
+		global.fetch.mockResolvedValue(turnstileSuccess({ challenge_ts: new Date(Date.now() - 90_000).toISOString() }));
+
+		const response = await onRequestPost(context);
+		const data = await response.json();
+
+		expect(response.status).toBe(400);
+		expect(data.code).toBe('captcha_expired');
+		expect(loadTurnstileMaxAge({})).toBe(TURNSTILE_TOKEN.MAX_AGE_SECONDS);
+		expect(loadTurnstileMaxAge({ TURNSTILE_MAX_TOKEN_AGE_SECONDS: '900' })).toBe(TURNSTILE_TOKEN.MAX_AGE_SECONDS);
+		expect(loadTurnstileMaxAge({ TURNSTILE_MAX_TOKEN_AGE_SECONDS: '0' })).toBe(1);
+	});
+
+	it('accepts each token once without asking siteverify again', async () => {
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const kv = createMockKV();
+		const submit = () => {
+			const context = createTurnstileContext({ secretKey: REAL_SECRET, token: 'real-token' });
+			context.env.CONTACT_SUBMISSIONS = kv;
+			return onRequestPost(context);
+		};
+		global.fetch.mockResolvedValue(turnstileSuccess());
+
+		const first = await submit();
+		const replayed = await submit();
+
+		expect(first.status).toBe(200);
+		expect(replayed.status).toBe(400);
+		expect((await replayed.json()).code).toBe('captcha_expired');
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+		const [usedKey] = [...kv.store.keys()].filter((k) => k.startsWith('turnstile_'));
+		expect(usedKey).toMatch(/^turnstile_[0-9a-f]{64}$/);
+		expect(kv.put).toHaveBeenCalledWith(usedKey, '1', { expirationTtl: expect.any(Number) });
+	});
+});
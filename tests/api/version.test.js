@@ -0,0 +1,58 @@
+/**
+ * Version API endpoint tests.
+ * Tests that /api/version reports the build.json stamped into dist/, and
+ * falls back to nulls when Functions run without a build.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockAssets } from './mockAssets.js';
+import { capturedLogs } from '../../functions/_lib/log.js';
+
+const BUILD = { version: '1.2.0', commit: 'c0ffee0123456789abcdef0123456789abcdef01', builtAt: '2026-10-01T12:00:00.000Z' };
+const UNKNOWN = { version: null, commit: null, builtAt: null };
+
+/** GET /api/version with the given env. */
+async function getVersion(env) {
+	const { onRequestGet } = await import('../../functions/api/version.js');
+	return onRequestGet({ request: new Request('https://twistan.com/api/version'), env });
+}
+
+describe('Version API', () => {
+	beforeEach(() => {
+		vi.restoreAllMocks();
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+	});
+
+	it('reports the deployed build from build.json, uncached', async () => {
+		const env = { ASSETS: createMockAssets({ 'build.json': JSON.stringify(BUILD) }) };
+
+		const response = await getVersion(env);
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Cache-Control')).toBe('no-store');
+		expect(await response.json()).toEqual({ success: true, ...BUILD });
+		expect(env.ASSETS.fetch.mock.calls[0][0].href).toBe('https://twistan.com/build.json');
+	});
+
+	it('reports nulls without the assets binding or build.json', async () => {
+		const unbound = await (await getVersion({})).json();
+		const missing = await (await getVersion({ ASSETS: createMockAssets() })).json();
+
+		expect(unbound).toEqual({ success: true, ...UNKNOWN });
+		expect(missing).toEqual({ success: true, ...UNKNOWN });
+	});
+
+	it('reports nulls and logs when build.json is unreadable', async () => {
+		capturedLogs.length = 0;
+		const response = await getVersion({ ASSETS: createMockAssets({ 'build.json': '{not json' }), LOG_SINK: 'capture' });
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ success: true, ...UNKNOWN });
+		expect(capturedLogs[0]).toMatchObject({
+			level: 'error',
+			msg: 'Could not read build info',
+			route: 'Version',
+			error: { name: 'SyntaxError' },
+		});
+	});
+});
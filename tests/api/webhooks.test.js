@@ -0,0 +1,251 @@
+/**
+ * Outbound webhook tests.
+ * Tests target parsing, payload formatters, HMAC signing, retries with KV
+ * tracking, and an end-to-end delivery to the local stub receiver.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createMockKV } from './mockKV.js';
+import {
+	WEBHOOK_RETRY,
+	createSubmissionEvent,
+	dispatchWebhooks,
+	formatters,
+	parseWebhookTargets,
+	signWebhook,
+	verifyWebhookSignature,
+} from '../../functions/_lib/webhooks.js';
+import { createWebhookReceiver } from '../../scripts/webhook-receiver.js';
+import { FORM_TOKEN_SECRET, formToken } from './formToken.js';
+
+const FORM_TOKEN = await formToken();
+
+const realFetch = globalThis.fetch;
+const noSleep = () => Promise.resolve();
+
+const RECORD = {
+	name: 'Test User',
+	email: 'test@example.com',
+	message: 'Hello there',
+	submittedAt: '2026-02-14T15:30:00.000Z',
+	status: 'new',
+};
+const KEY = 'contact_2026-02-14T15:30:00.000Z_abc';
+
+const env = (targets, extra = {}) => ({
+	WEBHOOKS: JSON.stringify(targets),
+	WEBHOOK_SECRET: 'shared-secret',
+	CONTACT_SUBMISSIONS: createMockKV(),
+	...extra,
+});
+
+describe('Webhooks - Target Parsing', () => {
+	it('parses targets and defaults format to json', () => {
+		const targets = parseWebhookTargets(env([
+			{ url: 'https://hooks.slack.com/x', format: 'slack' },
+			{ url: 'https://example.com/hook', secret: 'own' },
+		]));
+
+		expect(targets).toEqual([
+			{ url: 'https://hooks.slack.com/x', format: 'slack', secret: 'shared-secret' },
+			{ url: 'https://example.com/hook', format: 'json', secret: 'own' },
+		]);
+	});
+
+	it('skips invalid, insecure, unknown-format and unsigned targets', () => {
+		const targets = parseWebhookTargets(env([
+			{ url: 'not a url' },
+			{ url: 'http://example.com/hook' },
+			{ url: 'https://example.com/hook', format: 'teams' },
+		]));
+		const unsigned = parseWebhookTargets(env([{ url: 'https://example.com/hook' }], { WEBHOOK_SECRET: undefined }));
+
+		expect(targets).toEqual([]);
+		expect(unsigned).toEqual([]);
+	});
+
+	it('treats malformed WEBHOOKS as disabled', () => {
+		expect(parseWebhookTargets({ WEBHOOKS: '{nope' })).toEqual([]);
+		expect(parseWebhookTargets({ WEBHOOKS: '{}' })).toEqual([]);
+		expect(parseWebhookTargets({})).toEqual([]);
+	});
+});
+
+describe('Webhooks - Formatters', () => {
+	const event = { ...createSubmissionEvent(KEY, RECORD), createdAt: '2026-02-14T15:30:01.000Z' };
+
+	it('formats Discord embeds', () => {
+		const payload = JSON.parse(formatters.discord(event).body);
+
+		expect(payload.embeds[0].description).toBe('Hello there');
+		expect(payload.embeds[0].fields.map((f) => f.name)).toEqual(['Name', 'Email', 'Key']);
+	});
+
+	it('formats Slack blocks with fallback text', () => {
+		const payload = JSON.parse(formatters.slack(event).body);
+
+		expect(payload.text).toContain('Test User');
+		expect(payload.blocks[0].type).toBe('header');
+	});
+
+	it('formats ntfy as plain text with a header-safe title', () => {
+		const { body, headers } = formatters.ntfy({
+			...event,
+			data: { key: KEY, submission: { ...RECORD, name: 'Zoë\nX' } },
+		});
+
+		expect(body).toContain('Hello there');
+		expect(headers.Title).toBe('New contact submission from Zo X');
+	});
+
+	it('formats raw JSON as the event itself', () => {
+		const payload = JSON.parse(formatters.json(event).body);
+
+		expect(payload.type).toBe('submission.created');
+		expect(payload.data.key).toBe(KEY);
+	});
+});
+
+describe('Webhooks - Signing', () => {
+	it('verifies its own signatures and rejects tampering', async () => {
+		const now = Date.now();
+		const ts = Math.floor(now / 1000);
+		const signature = await signWebhook('s3cret', '{"a":1}', ts);
+
+		expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+		expect(await verifyWebhookSignature({ secret: 's3cret', body: '{"a":1}', timestamp: ts, signature, now })).toBe(true);
+		expect(await verifyWebhookSignature({ secret: 's3cret', body: '{"a":2}', timestamp: ts, signature, now })).toBe(false);
+		expect(await verifyWebhookSignature({ secret: 'other', body: '{"a":1}', timestamp: ts, signature, now })).toBe(false);
+	});
+
+	it('rejects stale timestamps', async () => {
+		const ts = Math.floor(Date.now() / 1000) - 3600;
+		const signature = await signWebhook('s3cret', 'x', ts);
+
+		expect(await verifyWebhookSignature({ secret: 's3cret', body: 'x', timestamp: ts, signature })).toBe(false);
+	});
+});
+
+describe('Webhooks - Delivery and Retries', () => {
+	beforeEach(() => {
+		global.fetch = vi.fn();
+	});
+
+	afterEach(() => {
+		global.fetch = realFetch;
+	});
+
+	it('signs each request and tracks delivery in KV', async () => {
+		global.fetch.mockResolvedValue({ ok: true, status: 200 });
+		const config = env([{ url: 'https://example.com/hook' }]);
+		const event = createSubmissionEvent(KEY, RECORD);
+
+		const [result] = await dispatchWebhooks(config, event, { sleep: noSleep });
+
+		const [, init] = global.fetch.mock.calls[0];
+		expect(init.headers['X-Webhook-Id']).toBe(event.id);
+		expect(init.signal).toBeInstanceOf(AbortSignal);
+		expect(await verifyWebhookSignature({
+			secret: 'shared-secret',
+			body: init.body,
+			timestamp: init.headers['X-Webhook-Timestamp'],
+			signature: init.headers['X-Webhook-Signature'],
+		})).toBe(true);
+		expect(result).toMatchObject({ channel: 'webhook', target: 'example.com', status: 'sent', attempts: 1 });
+
+		const tracked = JSON.parse(config.CONTACT_SUBMISSIONS.store.get(`webhook_${event.id}_0`));
+		expect(tracked.state).toBe('delivered');
+		expect(config.CONTACT_SUBMISSIONS.put).toHaveBeenCalledWith(
+			`webhook_${event.id}_0`,
+			expect.any(String),
+			{ expirationTtl: WEBHOOK_RETRY.RECORD_TTL_SECONDS }
+		);
+	});
+
+	it('retries 5xx and network errors with exponential backoff', async () => {
+		global.fetch
+			.mockResolvedValueOnce({ ok: false, status: 503 })
+			.mockRejectedValueOnce(new Error('ECONNRESET'))
+			.mockResolvedValueOnce({ ok: true, status: 200 });
+		const sleep = vi.fn(noSleep);
+		const config = env([{ url: 'https://example.com/hook' }]);
+		const event = createSubmissionEvent(KEY, RECORD);
+
+		const [result] = await dispatchWebhooks(config, event, { sleep });
+
+		expect(result).toMatchObject({ status: 'sent', attempts: 3 });
+		expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000]);
+		const tracked = JSON.parse(config.CONTACT_SUBMISSIONS.store.get(`webhook_${event.id}_0`));
+		expect(tracked.attempts).toEqual([
+			expect.objectContaining({ status: 503 }),
+			expect.objectContaining({ error: 'ECONNRESET' }),
+			expect.objectContaining({ status: 200 }),
+		]);
+		// Signature stays valid across retries because the event id is stable
+		const ids = global.fetch.mock.calls.map(([, init]) => init.headers['X-Webhook-Id']);
+		expect(new Set(ids).size).toBe(1);
+	});
+
+	it('gives up after max attempts and does not retry other 4xx', async () => {
+		global.fetch.mockResolvedValue({ ok: false, status: 500 });
+		const exhausted = await dispatchWebhooks(env([{ url: 'https://a.example/hook' }]), createSubmissionEvent(KEY, RECORD), { sleep: noSleep });
+
+		global.fetch.mockReset().mockResolvedValue({ ok: false, status: 404 });
+		const rejected = await dispatchWebhooks(env([{ url: 'https://b.example/hook' }]), createSubmissionEvent(KEY, RECORD), { sleep: noSleep });
+
+		expect(exhausted[0]).toMatchObject({ status: 'failed', attempts: WEBHOOK_RETRY.MAX_ATTEMPTS });
+		expect(rejected[0]).toMatchObject({ status: 'failed', attempts: 1 });
+	});
+});
+
+describe('Webhooks - End to End with Stub Receiver', () => {
+	let server;
+
+	afterEach(async () => {
+		global.fetch = realFetch;
+		await new Promise((resolve) => server.close(resolve));
+	});
+
+	it('delivers a signed submission.created event from /api/contact', async () => {
+		const deliveries = [];
+		server = createWebhookReceiver({ secret: 'e2e-secret', failFirst: 1, onDelivery: (d) => deliveries.push(d) });
+		await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+		const { port } = server.address();
+
+		const { onRequestPost } = await import('../../functions/api/contact.js');
+		const kv = createMockKV();
+		const waitUntil = vi.fn();
+		const response = await onRequestPost({
+			request: {
+				text: vi.fn().mockResolvedValue(JSON.stringify({
+					name: 'Test User',
+					email: 'test@example.com',
+					message: 'Webhook e2e',
+					'cf-turnstile-response': 'token',
+					formToken: FORM_TOKEN,
+				})),
+				headers: { get: vi.fn(() => null) },
+			},
+			env: {
+				CONTACT_SUBMISSIONS: kv,
+				SKIP_CAPTCHA: 'true',
+				FORM_TOKEN_SECRET,
+				WEBHOOKS: JSON.stringify([{ url: `http://127.0.0.1:${port}/hook`, format: 'json' }]),
+				WEBHOOK_SECRET: 'e2e-secret',
+			},
+			waitUntil,
+		});
+		expect(response.status).toBe(200);
+
+		// Real backoff: first attempt gets a simulated 503, the retry succeeds after 1s
+		await waitUntil.mock.calls[0][0];
+
+		expect(deliveries).toHaveLength(2);
+		expect(deliveries.every((d) => d.verified)).toBe(true);
+		expect(JSON.parse(deliveries[1].body).data.submission.message).toBe('Webhook e2e');
+
+		const key = [...kv.store.keys()].find((k) => k.startsWith('contact_'));
+		const [notification] = JSON.parse(kv.store.get(key)).notifications;
+		expect(notification).toMatchObject({ channel: 'webhook', status: 'sent', attempts: 2 });
+	});
+});
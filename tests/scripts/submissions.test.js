@@ -0,0 +1,265 @@
+/**
+ * Submission CLI tests.
+ * Tests the REST-backed KV binding, the export formats, list/stats output,
+ * date filters, delete's dry run, mandatory backup and leftover attachment
+ * commands, private export files, and the encryption migration.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createMockKV } from '../api/mockKV.js';
+import { parseAge, parseCommand, runCommand } from '../../scripts/submissions.js';
+import { formatSubmissions } from '../../scripts/lib/export-formats.js';
+import { createRestKV } from '../../scripts/lib/kv-store.js';
+import { loadKeyring } from '../../functions/_lib/encryption.js';
+import { putSubmission } from '../../functions/_lib/submissions.js';
+
+const OLD_KEY = 'contact_2026-01-05T10:00:00.000Z_aaa';
+const NEW_KEY = 'contact_2026-02-10T10:00:00.000Z_bbb';
+
+const SUBMISSIONS = {
+	[OLD_KEY]: {
+		name: 'Ann Example',
+		email: 'ann@example.com',
+		category: 'work',
+		message: 'Hello\nFrom the old days',
+		submittedAt: '2026-01-05T10:00:00.000Z',
+		status: 'read',
+		attachments: [{ key: `attachments/${OLD_KEY}/1`, name: 'log.txt', type: 'text/plain', size: 10 }],
+	},
+	[NEW_KEY]: {
+		name: 'Björn',
+		email: 'bjorn@example.com',
+		subject: '=HYPERLINK("x")',
+		message: 'Newer, "quoted"',
+		submittedAt: '2026-02-10T10:00:00.000Z',
+		status: 'spam',
+		spam: { score: 7, threshold: 5, signals: [] },
+	},
+};
+
+const OLD_ENCRYPTION_KEY = btoa(String.fromCharCode(...new Uint8Array(32).fill(1)));
+const NEW_ENCRYPTION_KEY = btoa(String.fromCharCode(...new Uint8Array(32).fill(2)));
+
+/** Seeded KV plus a runner that captures stdout. */
+function setup({ keyring } = {}) {
+	const kv = createMockKV(Object.fromEntries(
+		Object.entries(SUBMISSIONS).map(([key, record]) => [key, JSON.stringify(record)])
+	));
+	const run = async (...argv) => {
+		let stdout = '';
+		await runCommand(parseCommand(argv), {
+			kv,
+			keyring,
+			now: new Date('2026-02-14T12:00:00.000Z'),
+			stdout: (text) => { stdout += text; },
+			stderr: () => {},
+		});
+		return stdout;
+	};
+	return { kv, run };
+}
+
+describe('Submissions CLI - Cloudflare REST Backend', () => {
+	it('pages through keys and reads, writes and deletes values', async () => {
+		const fetch = vi.fn(async (url, init) => {
+			if (url.includes('/keys?')) {
+				const cursor = new URL(url).searchParams.get('cursor');
+				return Response.json({
+					success: true,
+					result: [{ name: cursor ? 'contact_b' : 'contact_a' }],
+					result_info: { cursor: cursor ? '' : 'page-2' },
+				});
+			}
+			if (url.endsWith('/values/missing')) return new Response('not found', { status: 404 });
+			if (init.method === 'GET') return new Response('{"name":"A"}');
+			return Response.json({ success: true });
+		});
+		const kv = createRestKV({ accountId: 'acc', namespaceId: 'ns', apiToken: 'tok', fetch });
+
+		const first = await kv.list({ prefix: 'contact_', limit: 5 });
+		const second = await kv.list({ prefix: 'contact_', cursor: first.cursor });
+		await kv.put('contact_a', 'value', { expirationTtl: 60 });
+		await kv.delete('contact_a');
+
+		expect(first).toEqual({ keys: [{ name: 'contact_a' }], list_complete: false, cursor: 'page-2' });
+		expect(second.list_complete).toBe(true);
+		expect(fetch.mock.calls[0][0]).toBe('https://api.cloudflare.com/client/v4/accounts/acc/storage/kv/namespaces/ns/keys?prefix=contact_&limit=10');
+		expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer tok');
+		expect(await kv.get('contact_a', 'json')).toEqual({ name: 'A' });
+		expect(await kv.get('missing')).toBeNull();
+		expect(fetch.mock.calls[2][0]).toMatch(/\/values\/contact_a\?expiration_ttl=60$/);
+		expect(fetch.mock.calls[2][1]).toMatchObject({ method: 'PUT', body: 'value' });
+		expect(fetch.mock.calls[3][1].method).toBe('DELETE');
+	});
+
+	it('surfaces API errors', async () => {
+		const fetch = vi.fn(async () => Response.json(
+			{ success: false, errors: [{ code: 10000, message: 'Authentication error' }] },
+			{ status: 403 }
+		));
+		const kv = createRestKV({ accountId: 'acc', namespaceId: 'ns', apiToken: 'bad', fetch });
+
+		await expect(kv.list()).rejects.toThrow('Cloudflare API GET /keys failed (403): Authentication error');
+	});
+});
+
+describe('Submissions CLI - Export Formats', () => {
+	const submissions = Object.entries(SUBMISSIONS).map(([key, record]) => ({ key, ...record }));
+
+	it('quotes CSV cells and neutralizes formulas', () => {
+		const [header, first, second] = formatSubmissions(submissions, 'csv').split('\r\n');
+
+		expect(header).toBe('key,submittedAt,status,name,email,category,subject,message,attachments,spamScore');
+		expect(first).toContain('"Hello\nFrom the old days",log.txt,');
+		expect(second).toContain(`'=HYPERLINK(""x"")`);
+		expect(second).toContain('"Newer, ""quoted""",,7');
+	});
+
+	it('writes mboxrd messages and a Markdown report', () => {
+		const mbox = formatSubmissions(submissions, 'mbox');
+		const md = formatSubmissions(submissions, 'md');
+
+		expect(mbox.startsWith('From ann@example.com Mon Jan 05 10:00:00 2026\nFrom: "Ann Example" <ann@example.com>\n')).toBe(true);
+		expect(mbox).toContain('\n\nHello\n>From the old days\n');
+		expect(mbox).toContain('From: =?UTF-8?B?QmrDtnJu?= <bjorn@example.com>');
+		expect(mbox).toContain(`Message-ID: <${NEW_KEY}@twistan.com>`);
+		expect(md).toContain('# Contact submissions (2)');
+		expect(md).toContain('- **Category:** work');
+		expect(md).toContain('- **Attachments:** log.txt');
+		expect(md).toContain('> Hello\n> From the old days');
+		expect(() => formatSubmissions(submissions, 'xml')).toThrow('Unknown format');
+	});
+});
+
+describe('Submissions CLI - Commands', () => {
+	it('lists and counts submissions, filtered by date, status and category', async () => {
+		const { run } = setup();
+
+		const all = await run('list');
+		const stats = await run('stats');
+
+		expect(all.split('\n')).toHaveLength(4);
+		expect(all).toContain(`${OLD_KEY}  read      work      Ann Example <ann@example.com>  Hello From the old days`);
+		expect(all).toContain('2 submission(s)');
+		expect(stats).toContain('By status:    read 1, spam 1');
+		expect(stats).toContain('By month:     2026-01 1, 2026-02 1');
+		expect(stats).toContain('Attachments:  1 file(s) on 1 submission(s)');
+		expect(await run('list', '--status', 'spam')).toContain('1 submission(s)');
+		expect(await run('list', '--category', 'work')).toContain(OLD_KEY);
+		expect(JSON.parse(await run('export', '--until', '2026-01-05')).map((s) => s.key)).toEqual([OLD_KEY]);
+		expect(JSON.parse(await run('export', '--since', '2026-02-10')).map((s) => s.key)).toEqual([NEW_KEY]);
+		await expect(run('export', '--since', 'last week')).rejects.toThrow('--since must be a date');
+		await expect(run('export', '--format', 'xml')).rejects.toThrow('--format must be one of');
+	});
+});
+
+describe('Submissions CLI - Delete', () => {
+	let dir;
+
+	beforeEach(async () => {
+		dir = await mkdtemp(join(tmpdir(), 'submissions-cli-'));
+	});
+
+	afterEach(async () => {
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	it('shows what would be deleted on a dry run and changes nothing', async () => {
+		const { kv, run } = setup();
+		const backup = join(dir, 'backup.json');
+
+		const output = await run('delete', '--older-than', '30d', '--dry-run', '--backup', backup);
+
+		expect(output).toContain('Would delete 1 submission(s):');
+		expect(output).toContain(OLD_KEY);
+		expect(kv.delete).not.toHaveBeenCalled();
+		await expect(readFile(backup)).rejects.toThrow();
+		expect(parseAge('2w')).toBe(14 * 24 * 60 * 60 * 1000);
+		expect(() => parseAge('30 days')).toThrow('--older-than must look like');
+	});
+
+	it('backs up before deleting only what matched', async () => {
+		const { kv, run } = setup();
+		const backup = join(dir, 'nested', 'backup.json');
+
+		const output = await run('delete', '--older-than', '30d', '--backup', backup);
+
+		const saved = JSON.parse(await readFile(backup, 'utf8'));
+		expect(saved).toEqual([{ key: OLD_KEY, ...SUBMISSIONS[OLD_KEY] }]);
+		expect(kv.delete).toHaveBeenCalledTimes(1);
+		expect(kv.store.has(OLD_KEY)).toBe(false);
+		expect(kv.store.has(NEW_KEY)).toBe(true);
+		expect(output).toContain('✅ Deleted 1 submission(s)');
+		expect(output).toContain('1 attachment(s) are still in R2');
+		expect(output).toContain(`npx wrangler r2 object delete twistan-contact-attachments/attachments/${OLD_KEY}/1 --remote`);
+	});
+
+	it('writes exports readable by the owner only and never over an existing file', async () => {
+		const { run } = setup();
+		const out = join(dir, 'export.csv');
+
+		await run('export', '--format', 'csv', '--out', out);
+
+		expect((await stat(out)).mode & 0o777).toBe(0o600);
+		await expect(run('export', '--out', out)).rejects.toThrow('EEXIST');
+		expect(await readFile(out, 'utf8')).toContain('key,submittedAt');
+	});
+
+	it('deletes nothing when the backup cannot be written or a key is unknown', async () => {
+		const { kv, run } = setup();
+		const existing = join(dir, 'taken.json');
+		await run('export', '--out', existing);
+
+		await expect(run('delete', '--key', NEW_KEY, '--backup', existing)).rejects.toThrow('EEXIST');
+		await expect(run('delete', '--key', NEW_KEY, '--key', 'contact_nope')).rejects.toThrow('No submission at contact_nope');
+		await expect(run('delete')).rejects.toThrow('needs --older-than');
+		await expect(run('delete', '--older-than', '1d', '--key', NEW_KEY)).rejects.toThrow('not both');
+		expect(kv.delete).not.toHaveBeenCalled();
+		expect(kv.store.size).toBe(2);
+	});
+});
+
+describe('Submissions CLI - Encryption', () => {
+	it('encrypts plaintext records and re-wraps old-key ones, keeping expirations and metadata', async () => {
+		const oldKeyring = await loadKeyring({ SUBMISSION_ENCRYPTION_KEYS: JSON.stringify({ old: OLD_ENCRYPTION_KEY }) });
+		const keyring = await loadKeyring({
+			SUBMISSION_ENCRYPTION_KEYS: JSON.stringify({ old: OLD_ENCRYPTION_KEY, new: NEW_ENCRYPTION_KEY }),
+			SUBMISSION_ENCRYPTION_KEY_ID: 'new',
+		});
+		const { kv, run } = setup({ keyring });
+		await putSubmission(kv, NEW_KEY, SUBMISSIONS[NEW_KEY], { keyring: oldKeyring, retention: { days: 365, action: 'delete' } });
+		const expiration = kv.meta.get(NEW_KEY).expiration;
+		const oldValue = kv.store.get(OLD_KEY);
+
+		const dryRun = await run('encrypt', '--dry-run');
+		expect(dryRun).toContain(`Would encrypt: ${OLD_KEY}`);
+		expect(dryRun).toContain(`Would re-wrap: ${NEW_KEY}`);
+		expect(kv.store.get(OLD_KEY)).toBe(oldValue);
+
+		const output = await run('encrypt');
+		const again = await run('encrypt');
+
+		expect(output).toContain('✅ Encrypted 1, re-wrapped 1, 0 already on key "new"');
+		expect(again).toContain('✅ Encrypted 0, re-wrapped 0, 2 already on key "new"');
+		expect(kv.store.get(OLD_KEY)).not.toContain('ann@example.com');
+		expect(JSON.parse(kv.store.get(NEW_KEY)).enc.kid).toBe('new');
+		expect(kv.meta.get(NEW_KEY).expiration).toBe(expiration);
+		expect(JSON.parse(await run('export')).map(({ key, ...record }) => [key, record])).toEqual(Object.entries(SUBMISSIONS));
+		await expect(setup().run('encrypt')).rejects.toThrow('encrypt needs SUBMISSION_ENCRYPTION_KEYS');
+	});
+
+	it('writes expirations and metadata through the REST API', async () => {
+		const fetch = vi.fn(async () => Response.json({ success: true }));
+		const kv = createRestKV({ accountId: 'acc', namespaceId: 'ns', apiToken: 'tok', fetch });
+
+		await kv.put('contact_a', '{"enc":{}}', { expiration: 1800000000, metadata: { anonymized: true } });
+
+		const [url, init] = fetch.mock.calls[0];
+		expect(url).toMatch(/\/values\/contact_a\?expiration=1800000000$/);
+		expect(init.body.get('value')).toBe('{"enc":{}}');
+		expect(init.body.get('metadata')).toBe('{"anonymized":true}');
+	});
+});
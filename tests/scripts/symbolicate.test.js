@@ -0,0 +1,90 @@
+/**
+ * Symbolication CLI tests.
+ * Tests source map decoding, rewriting minified frames to source
+ * positions, reading stored reports, and the build mismatch warning.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { decodeMappings, loadSourceMaps } from '../../scripts/lib/source-maps.js';
+import { parseInput, run, symbolicateStack } from '../../scripts/symbolicate.js';
+
+/**
+ * Map for assets/index-abc.js, as Vite writes it next to the bundle:
+ * line 1 column 1 → src/App.jsx 1:1, column 11 → 1:11, line 2 column 1 → 2:1,
+ * and line 2 column 21 → src/pages/Contact.jsx 148:69.
+ */
+const MAP = {
+	version: 3,
+	sources: ['../../src/App.jsx', '../../src/pages/Contact.jsx'],
+	mappings: 'AAAA,UAAU;AACV,oBCkJoE',
+};
+
+const COMMIT = '9f2c4e1a7b3d5f60718293a4b5c6d7e8f9012345';
+
+describe('Symbolicate - Source Maps', () => {
+	it('decodes mappings into absolute positions per generated line', () => {
+		expect(decodeMappings(MAP.mappings)).toEqual([
+			[[0, 0, 0, 0], [10, 0, 0, 10]],
+			[[0, 0, 1, 0], [20, 1, 147, 68]],
+		]);
+		expect(decodeMappings('A;;AAAA')).toEqual([[], [], [[0, 0, 0, 0]]]);
+	});
+});
+
+describe('Symbolicate - CLI', () => {
+	let dir;
+
+	beforeEach(async () => {
+		dir = await mkdtemp(join(tmpdir(), 'symbolicate-'));
+		await mkdir(join(dir, 'assets'));
+		await writeFile(join(dir, 'assets', 'index-abc.js.map'), JSON.stringify(MAP));
+		await writeFile(join(dir, 'build.json'), JSON.stringify({ version: '0.0.0', commit: COMMIT, builtAt: '2026-10-18T09:00:00.000Z' }));
+	});
+
+	afterEach(async () => {
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	it('rewrites frames the maps cover and leaves the rest', async () => {
+		const maps = await loadSourceMaps(dir);
+		const stack = [
+			'TypeError: boom',
+			'    at Ge (https://twistan.com/assets/index-abc.js?v=2:2:25)',
+			'Ri@https://twistan.com/assets/index-abc.js:1:15',
+			'    at https://twistan.com/assets/vendor-xyz.js:1:2',
+		].join('\n');
+
+		expect([...maps.keys()]).toEqual(['assets/index-abc.js']);
+		expect(symbolicateStack(stack, maps)).toEqual({
+			stack: [
+				'TypeError: boom',
+				'    at Ge (src/pages/Contact.jsx:148:69)',
+				'Ri@src/App.jsx:1:11',
+				'    at https://twistan.com/assets/vendor-xyz.js:1:2',
+			].join('\n'),
+			mapped: 2,
+			frames: 3,
+		});
+	});
+
+	it('reads stored reports and warns when the maps are from another build', async () => {
+		const output = [];
+		const warnings = [];
+		const stored = JSON.stringify({
+			message: 'boom',
+			stack: '    at Ge (https://twistan.com/assets/index-abc.js:2:21)',
+			commit: 'aaaaaaa',
+		});
+
+		expect(parseInput(stored)).toEqual({ stack: 'boom\n    at Ge (https://twistan.com/assets/index-abc.js:2:21)', commit: 'aaaaaaa' });
+		await run(['--maps', dir], { readStdin: async () => stored, print: (t) => output.push(t), warn: (t) => warnings.push(t) });
+
+		expect(output.join('')).toBe('boom\n    at Ge (src/pages/Contact.jsx:148:69)\n');
+		expect(warnings.join('')).toContain(`Report is from aaaaaaa, maps are from ${COMMIT}`);
+		await expect(run(['--maps', join(dir, 'missing')], { readStdin: async () => '', print() {}, warn() {} }))
+			.rejects.toThrow('run `npm run build` first');
+	});
+});
@@ -10,6 +10,9 @@
 import { afterEach, vi } from 'vitest';
 import { cleanup } from '@testing-library/react';
 import '@testing-library/jest-dom/vitest';
+import { fakeCaptchaChecks } from '../functions/_lib/captcha.js';
+import { capturedLogs } from '../functions/_lib/log.js';
+import { capturedMail } from '../functions/_lib/mail.js';
 
 // Suppress console and stderr noise unless DEBUG_TESTS is set
 if (!process.env.DEBUG_TESTS) {
@@ -29,6 +32,9 @@ if (!process.env.DEBUG_TESTS) {
 // Cleanup after each test
 afterEach(() => {
 	cleanup();
+	capturedLogs.length = 0;
+	fakeCaptchaChecks.length = 0;
+	capturedMail.length = 0;
 });
 
 // Mock window.matchMedia (used by Framer Motion and media queries)
@@ -0,0 +1,72 @@
+/**
+ * useFormToken hook tests.
+ * Tests the render token request on mount, the periodic refresh, and
+ * retrying with backoff when /api/form-token fails.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useFormToken } from '../src/hooks/useFormToken';
+
+global.fetch = vi.fn();
+
+/** A fetch response carrying a token. */
+const tokenResponse = (token) => ({ ok: true, json: async () => ({ success: true, token }) });
+
+describe('useFormToken', () => {
+	beforeEach(() => {
+		vi.useFakeTimers();
+		global.fetch.mockReset();
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('fetches a token on mount', async () => {
+		global.fetch.mockResolvedValueOnce(tokenResponse('token-1'));
+
+		const { result } = renderHook(() => useFormToken());
+		expect(result.current).toBe('');
+		await act(() => vi.advanceTimersByTimeAsync(0));
+
+		expect(result.current).toBe('token-1');
+		expect(global.fetch).toHaveBeenCalledWith('/api/form-token', { cache: 'no-store' });
+	});
+
+	it('refreshes the token every 30 minutes, passing the current one, and stops on unmount', async () => {
+		global.fetch
+			.mockResolvedValueOnce(tokenResponse('token-1'))
+			.mockResolvedValueOnce(tokenResponse('token-2'));
+
+		const { result, unmount } = renderHook(() => useFormToken());
+		await act(() => vi.advanceTimersByTimeAsync(29 * 60 * 1000));
+		expect(result.current).toBe('token-1');
+		await act(() => vi.advanceTimersByTimeAsync(60 * 1000));
+		expect(result.current).toBe('token-2');
+		expect(global.fetch).toHaveBeenLastCalledWith('/api/form-token?token=token-1', { cache: 'no-store' });
+
+		unmount();
+		await vi.advanceTimersByTimeAsync(60 * 60 * 1000);
+		expect(global.fetch).toHaveBeenCalledTimes(2);
+	});
+
+	it('retries failed requests with a growing delay', async () => {
+		const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+		global.fetch
+			.mockRejectedValueOnce(new Error('offline'))
+			.mockResolvedValueOnce({ ok: false, status: 503, json: async () => ({ error: 'Server configuration error.' }) })
+			.mockResolvedValueOnce(tokenResponse('token-1'));
+
+		const { result } = renderHook(() => useFormToken());
+		await act(() => vi.advanceTimersByTimeAsync(5000));
+		expect(global.fetch).toHaveBeenCalledTimes(2);
+		await act(() => vi.advanceTimersByTimeAsync(9999));
+		expect(global.fetch).toHaveBeenCalledTimes(2);
+		await act(() => vi.advanceTimersByTimeAsync(1));
+
+		expect(result.current).toBe('token-1');
+		expect(errorSpy).toHaveBeenCalledTimes(2);
+		errorSpy.mockRestore();
+	});
+});
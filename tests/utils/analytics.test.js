@@ -0,0 +1,69 @@
+/**
+ * Page-view beacon tests.
+ * Tests what trackPageViews() sends on landing and navigation, that only
+ * route patterns leave the page, and that Do Not Track sends nothing.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createMemoryRouter } from 'react-router';
+import { trackPageViews } from '../../src/utils/analytics';
+
+const ROUTES = [
+	{ path: '/', element: null },
+	{ path: '/projects', element: null },
+	{ path: '/contact/status/:token', element: null },
+	{ path: '*', element: null },
+];
+
+/** Parsed bodies of every beacon sent so far. */
+function beacons() {
+	return navigator.sendBeacon.mock.calls.map(([url, body]) => ({ url, ...JSON.parse(body) }));
+}
+
+describe('trackPageViews', () => {
+	beforeEach(() => {
+		navigator.sendBeacon = vi.fn(() => true);
+		vi.spyOn(document, 'referrer', 'get').mockReturnValue('https://news.ycombinator.com/item?id=1');
+	});
+
+	afterEach(() => {
+		delete navigator.sendBeacon;
+		delete navigator.doNotTrack;
+		vi.restoreAllMocks();
+	});
+
+	it('counts the landing page with its referrer and each navigation after it', async () => {
+		const router = createMemoryRouter(ROUTES, { initialEntries: ['/'] });
+
+		const stop = trackPageViews(router);
+		await router.navigate('/projects');
+		await router.navigate('/nowhere');
+		stop();
+		await router.navigate('/');
+
+		expect(beacons()).toEqual([
+			{ url: '/api/collect', path: '/', referrer: 'https://news.ycombinator.com/item?id=1' },
+			{ url: '/api/collect', path: '/projects', referrer: window.location.origin },
+			{ url: '/api/collect', path: '*', referrer: window.location.origin },
+		]);
+	});
+
+	it('sends route patterns, never the token in a status link', async () => {
+		const router = createMemoryRouter(ROUTES, { initialEntries: ['/contact/status/secret-token'] });
+
+		trackPageViews(router)();
+
+		expect(beacons()[0].path).toBe('/contact/status/:token');
+		expect(navigator.sendBeacon.mock.calls[0][1]).not.toContain('secret-token');
+	});
+
+	it('sends nothing under Do Not Track', async () => {
+		Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true });
+		const router = createMemoryRouter(ROUTES, { initialEntries: ['/'] });
+
+		const stop = trackPageViews(router);
+		await router.navigate('/projects');
+		stop();
+
+		expect(navigator.sendBeacon).not.toHaveBeenCalled();
+	});
+});
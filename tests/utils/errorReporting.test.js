@@ -0,0 +1,79 @@
+/**
+ * Browser error reporting tests.
+ * Tests what reportClientError() sends, once per error and up to the
+ * per-page cap, the fetch fallback, and the window error and unhandled
+ * rejection handlers.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+/** A fresh module, so each test starts with nothing reported. */
+async function load() {
+	vi.resetModules();
+	return import('../../src/utils/errorReporting');
+}
+
+/** Parsed bodies of every beacon sent so far. */
+function beacons() {
+	return navigator.sendBeacon.mock.calls.map(([url, body]) => ({ url, ...JSON.parse(body) }));
+}
+
+describe('Error reporting', () => {
+	beforeEach(() => {
+		navigator.sendBeacon = vi.fn(() => true);
+	});
+
+	afterEach(() => {
+		delete navigator.sendBeacon;
+		vi.unstubAllGlobals();
+		vi.restoreAllMocks();
+	});
+
+	it('sends the message, stack, source, route pattern and build once per distinct error', async () => {
+		const { ERROR_REPORTING, reportClientError } = await load();
+		const error = new TypeError('x is undefined');
+
+		reportClientError(error, { source: 'route', path: '/projects' });
+		reportClientError(error, { source: 'route', path: '/projects' });
+		for (let i = 0; i < 20; i++) reportClientError(new Error(`failure ${i}`), { source: 'root', path: '/' });
+
+		expect(beacons()[0]).toEqual({
+			url: '/api/client-errors',
+			message: 'x is undefined',
+			stack: error.stack,
+			source: 'route',
+			path: '/projects',
+			commit: null,
+		});
+		expect(beacons()).toHaveLength(ERROR_REPORTING.MAX_REPORTS_PER_PAGE);
+	});
+
+	it('falls back to fetch when the beacon is unavailable or refused', async () => {
+		const { reportClientError } = await load();
+		const fetchMock = vi.fn(async () => new Response(null, { status: 204 }));
+		vi.stubGlobal('fetch', fetchMock);
+		navigator.sendBeacon.mockReturnValue(false);
+
+		reportClientError('plain string thrown', { source: 'unhandledrejection', path: '/' });
+
+		expect(fetchMock).toHaveBeenCalledWith('/api/client-errors', expect.objectContaining({ method: 'POST', keepalive: true }));
+		expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toMatchObject({ message: 'plain string thrown', stack: '' });
+	});
+
+	it('reports uncaught errors and rejections until stopped, skipping opaque cross-origin errors', async () => {
+		const { reportUncaughtErrors } = await load();
+		const stop = reportUncaughtErrors(() => '/contact');
+
+		window.dispatchEvent(new ErrorEvent('error', { error: new Error('handler blew up'), message: 'handler blew up' }));
+		window.dispatchEvent(new ErrorEvent('error', { message: 'Script error.' }));
+		const rejection = new Event('unhandledrejection');
+		rejection.reason = new Error('fetch failed');
+		window.dispatchEvent(rejection);
+		stop();
+		window.dispatchEvent(new ErrorEvent('error', { message: 'after stop' }));
+
+		expect(beacons().map(({ message, source, path }) => ({ message, source, path }))).toEqual([
+			{ message: 'handler blew up', source: 'error', path: '/contact' },
+			{ message: 'fetch failed', source: 'unhandledrejection', path: '/contact' },
+		]);
+	});
+});
@@ -1,12 +1,15 @@
 /**
  * Validation utility tests.
- * Tests email validation and other utility functions.
+ * Tests the shared field schema engine (shared/validation.js), the contact
+ * schema, email validation and other utility functions.
  */
 
 import { describe, it, expect } from 'vitest';
+import { EMAIL_PATTERN, validateFields } from '../../shared/validation.js';
+import { CONTACT_SCHEMA } from '../../shared/contactSchema.js';
 
-// Email validation regex (same as used in Contact.jsx)
-const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Email pattern shared by Contact.jsx and functions/api/contact.js
+const EMAIL_REGEX = EMAIL_PATTERN;
 
 describe('Email Validation', () => {
 	it('accepts valid email addresses', () => {
@@ -39,6 +42,91 @@ describe('Email Validation', () => {
 	});
 });
 
+describe('Field Schema Validation', () => {
+	const SCHEMA = {
+		title: { label: 'Title', trim: true, required: true, minLength: 3, maxLength: 10 },
+		code: {
+			label: 'Code',
+			pattern: /^[A-Z]{3}$/,
+			messages: { pattern: 'Use three capital letters.' },
+		},
+		count: { label: 'Count', type: 'number' },
+		agree: { label: 'Agreement', type: 'boolean', validate: (value) => (value ? null : 'Please agree.') },
+		confirm: {
+			label: 'Confirmation',
+			validate: (value, values) => (value === values.code ? null : 'Must match the code.'),
+		},
+	};
+
+	it('returns trimmed values for schema fields only', () => {
+		const result = validateFields(SCHEMA, {
+			title: '  Hello  ',
+			code: 'ABC',
+			count: 2,
+			agree: true,
+			confirm: 'ABC',
+			extra: 'dropped',
+		});
+
+		expect(result).toEqual({
+			valid: true,
+			values: { title: 'Hello', code: 'ABC', count: 2, agree: true, confirm: 'ABC' },
+			errors: {},
+		});
+	});
+
+	it('reports one message per invalid field', () => {
+		const { valid, errors } = validateFields(SCHEMA, {
+			title: '   ',
+			code: 'abc',
+			count: '2',
+			agree: false,
+			confirm: 'XYZ',
+		});
+
+		expect(valid).toBe(false);
+		expect(errors).toEqual({
+			title: 'Title is required.',
+			code: 'Use three capital letters.',
+			count: 'Count must be a number.',
+			agree: 'Please agree.',
+			confirm: 'Must match the code.',
+		});
+	});
+
+	it('checks min and max length after trimming', () => {
+		expect(validateFields(SCHEMA, { title: ' ab ' }).errors.title).toBe('Title must be at least 3 characters.');
+		expect(validateFields(SCHEMA, { title: 'x'.repeat(11) }).errors.title).toBe('Title exceeds 10 characters.');
+	});
+
+	it('skips optional empty fields and treats non-object input as empty', () => {
+		expect(validateFields(SCHEMA, { title: 'Hello' })).toMatchObject({ valid: true, errors: {} });
+		expect(validateFields(SCHEMA, null).errors).toEqual({ title: 'Title is required.' });
+	});
+
+	it('accepts only listed option values', () => {
+		const schema = { size: { label: 'Size', options: [{ value: 's', label: 'Small' }, { value: 'l', label: 'Large' }] } };
+
+		expect(validateFields(schema, { size: 'l' }).valid).toBe(true);
+		expect(validateFields(schema, { size: '' }).valid).toBe(true);
+		expect(validateFields(schema, { size: 'Large' }).errors.size).toBe('Size must be one of the listed options.');
+	});
+
+	it('applies the contact schema limits and messages', () => {
+		const { errors } = validateFields(CONTACT_SCHEMA, {
+			name: 'A'.repeat(101),
+			email: 'not-an-email',
+			message: 42,
+		});
+
+		expect(errors).toEqual({
+			name: 'Name exceeds 100 characters.',
+			email: 'Please enter a valid email address.',
+			message: 'Message must be a string.',
+		});
+	});
+});
+
 describe('Rate Limiting Logic', () => {
 	it('creates correct hourly bucket timestamps', () => {
 		const now = new Date('2026-02-14T15:30:45.123Z');
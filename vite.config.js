@@ -1,16 +1,79 @@
+import { execSync } from 'node:child_process'
+import { copyFileSync, mkdirSync, readFileSync, renameSync, rmSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import process from 'node:process'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import basicSsl from "@vitejs/plugin-basic-ssl"
+import { BUILD_INFO_FILE } from './shared/buildInfo.js'
+
+/**
+ * The commit being built: git's HEAD, or what Pages' Git integration
+ * reports when the checkout has no history. null when neither is known.
+ */
+function gitCommit() {
+	try {
+		return execSync('git rev-parse HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim()
+	} catch {
+		return process.env.CF_PAGES_COMMIT_SHA || null
+	}
+}
+
+/**
+ * Stamp the build with its package version, commit and time: as the
+ * `__BUILD_INFO__` constant for the app, and as dist/build.json for
+ * Pages Functions (read through the ASSETS binding, see
+ * functions/_lib/buildInfo.js).
+ */
+function buildInfo() {
+	const info = {
+		version: JSON.parse(readFileSync('./package.json', 'utf8')).version,
+		commit: gitCommit(),
+		builtAt: new Date().toISOString(),
+	}
+	return {
+		name: 'build-info',
+		config: () => ({ define: { __BUILD_INFO__: JSON.stringify(info) } }),
+		generateBundle() {
+			this.emitFile({ type: 'asset', fileName: BUILD_INFO_FILE, source: JSON.stringify(info) })
+		},
+	}
+}
+
+/**
+ * Keep the build's source maps out of the deploy: Vite writes them next
+ * to the bundles without a sourceMappingURL (`sourcemap: 'hidden'`), and
+ * this moves them to sourcemaps/, with a copy of build.json saying which
+ * commit they belong to, for `npm run symbolicate`.
+ */
+function privateSourceMaps(mapsDir = 'sourcemaps') {
+	return {
+		name: 'private-source-maps',
+		apply: 'build',
+		writeBundle({ dir }, bundle) {
+			rmSync(mapsDir, { recursive: true, force: true })
+			mkdirSync(mapsDir, { recursive: true })
+			for (const fileName of Object.keys(bundle).filter((name) => name.endsWith('.map'))) {
+				mkdirSync(dirname(join(mapsDir, fileName)), { recursive: true })
+				renameSync(join(dir, fileName), join(mapsDir, fileName))
+			}
+			copyFileSync(join(dir, BUILD_INFO_FILE), join(mapsDir, BUILD_INFO_FILE))
+		},
+	}
+}
 
 // https://vitejs.dev/config/
 export default defineConfig(({ command }) => ({
 	plugins: [
 		react(),
 		tailwindcss(),
+		buildInfo(),
+		privateSourceMaps(),
 		...(command === 'serve' ? [basicSsl()] : []),
 	],
 	build: {
+		sourcemap: 'hidden',
 		rollupOptions: {
 			output: {
 				manualChunks: {
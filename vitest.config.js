@@ -1,8 +1,24 @@
+import { readFileSync } from 'node:fs';
 import { defineConfig } from 'vitest/config';
 import react from '@vitejs/plugin-react';
 
+/**
+ * Import .txt/.html files under functions/ as strings, matching Wrangler's
+ * default Text module rule for Pages Functions (e.g. email templates).
+ */
+function functionsTextModules() {
+	return {
+		name: 'functions-text-modules',
+		enforce: 'pre',
+		load(id) {
+			if (!/\/functions\/.+\.(txt|html)$/.test(id)) return null;
+			return `export default ${JSON.stringify(readFileSync(id, 'utf8'))};`;
+		},
+	};
+}
+
 export default defineConfig({
-	plugins: [react()],
+	plugins: [react(), functionsTextModules()],
 	test: {
 		globals: true,
 		environment: 'jsdom',
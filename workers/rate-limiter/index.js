@@ -0,0 +1,136 @@
+/**
+ * RateLimiter Durable Object — companion Worker for the Pages project.
+ *
+ * Pages Functions can bind to Durable Objects but can't define them, so
+ * the class lives in this separate Worker (deployed as
+ * `twistan-rate-limiter`) and is bound as RATE_LIMITER in wrangler.toml.
+ *
+ * One object instance per identifier (`idFromName(ip)`). A Durable Object
+ * processes its requests one at a time, so the read-modify-write of the
+ * hit log below can't interleave — no TOCTOU race, unlike KV.
+ *
+ * Protocol:
+ *   POST /check  { limit, windowMs, consume? }
+ *   → 200 { allowed, remaining, resetAt }   (resetAt in epoch ms)
+ * `consume: false` peeks without recording a hit.
+ *   POST /refund { windowMs }
+ *   → 200 { refunded }
+ * drops the newest hit still in the window — used when a request took a
+ * slot here but another policy then refused it.
+ */
+
+/**
+ * Sliding-window decision over a log of hit timestamps.
+ * Counts hits within the last `windowMs`; if under `limit`, records `now`
+ * (unless only peeking).
+ *
+ * @param {number[]} hits - Previous hit timestamps (epoch ms), oldest first
+ * @param {number} now - Current time (epoch ms)
+ * @param {number} limit - Max hits per window
+ * @param {number} windowMs - Window length
+ * @param {boolean} [consume] - Record this hit when allowed
+ * @returns {{allowed: boolean, remaining: number, resetAt: number, hits: number[]}}
+ *   `hits` is the pruned log to persist; `resetAt` is when the oldest
+ *   counted hit leaves the window (i.e. when a slot next frees up).
+ */
+export function slidingWindow(hits, now, limit, windowMs, consume = true) {
+	const recent = hits.filter((t) => t > now - windowMs);
+
+	if (recent.length >= limit) {
+		return { allowed: false, remaining: 0, resetAt: recent[0] + windowMs, hits: recent };
+	}
+
+	if (!consume) {
+		return {
+			allowed: true,
+			remaining: limit - recent.length,
+			resetAt: (recent[0] ?? now) + windowMs,
+			hits: recent,
+		};
+	}
+
+	recent.push(now);
+	return {
+		allowed: true,
+		remaining: limit - recent.length,
+		resetAt: recent[0] + windowMs,
+		hits: recent,
+	};
+}
+
+export class RateLimiter {
+	/**
+	 * @param {DurableObjectState} state
+	 */
+	constructor(state) {
+		this.state = state;
+	}
+
+	/**
+	 * @param {Request} request
+	 * @returns {Promise<Response>}
+	 */
+	async fetch(request) {
+		const url = new URL(request.url);
+		if (request.method !== 'POST' || !['/check', '/refund'].includes(url.pathname)) {
+			return new Response('Not found', { status: 404 });
+		}
+
+		const { limit, windowMs, consume = true } = await request.json();
+		if (url.pathname === '/refund') return this.refund(windowMs);
+
+		if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(windowMs) || windowMs < 1) {
+			return new Response('Invalid limit or windowMs', { status: 400 });
+		}
+
+		const now = Date.now();
+		const hits = (await this.state.storage.get('hits')) || [];
+		const result = slidingWindow(hits, now, limit, windowMs, consume !== false);
+
+		if (result.hits.length > 0) {
+			await this.state.storage.put('hits', result.hits);
+			// Clear storage once the newest hit has aged out
+			await this.state.storage.setAlarm(result.hits[result.hits.length - 1] + windowMs);
+		}
+
+		return Response.json({
+			allowed: result.allowed,
+			remaining: result.remaining,
+			resetAt: result.resetAt,
+		});
+	}
+
+	/**
+	 * Drop the newest hit still in the window (see POST /refund).
+	 *
+	 * @param {number} windowMs
+	 * @returns {Promise<Response>}
+	 */
+	async refund(windowMs) {
+		if (!Number.isInteger(windowMs) || windowMs < 1) {
+			return new Response('Invalid windowMs', { status: 400 });
+		}
+
+		const hits = ((await this.state.storage.get('hits')) || []).filter((t) => t > Date.now() - windowMs);
+		const refunded = hits.length > 0;
+		if (refunded) {
+			hits.pop();
+			await this.state.storage.put('hits', hits);
+		}
+		return Response.json({ refunded });
+	}
+
+	/**
+	 * Alarm fires after the window passes with no newer hits — drop state
+	 * so idle identifiers don't accumulate storage.
+	 */
+	async alarm() {
+		await this.state.storage.deleteAll();
+	}
+}
+
+export default {
+	async fetch() {
+		return new Response('twistan-rate-limiter hosts the RateLimiter Durable Object only.', { status: 404 });
+	},
+};
@@ -0,0 +1,31 @@
+/**
+ * Retention Worker — companion Worker for the Pages project.
+ *
+ * Pages Functions can't have cron triggers, so the scheduled purge lives
+ * in this separate Worker (deployed as `twistan-retention`), bound to the
+ * same CONTACT_SUBMISSIONS namespace and CONTACT_ATTACHMENTS bucket. Each
+ * run deletes or anonymizes submissions older than RETENTION_DAYS and
+ * writes an `audit_retention_{time}` entry; see functions/_lib/retention.js.
+ */
+
+import { runRetention } from '../../functions/_lib/retention.js';
+
+export default {
+	/**
+	 * @param {ScheduledController} controller
+	 * @param {object} env
+	 * @param {ExecutionContext} ctx
+	 */
+	async scheduled(controller, env, ctx) {
+		ctx.waitUntil(runRetention(env, { now: controller.scheduledTime }).then((audit) => {
+			if (!audit) {
+				console.log('Retention disabled (RETENTION_DAYS unset or 0)');
+				return;
+			}
+			const handled = audit.action === 'anonymize' ? audit.anonymized.length : audit.deleted.length;
+			console.log(`Retention: ${audit.action} ${handled} submission(s) older than ${audit.cutoff}`
+				+ `${audit.failed.length ? `, ${audit.failed.length} failed` : ''}`
+				+ `${audit.complete ? '' : ', more left for the next run'}`);
+		}));
+	},
+};